@@ -0,0 +1,175 @@
+// Benchmark and risk analytics for backtest results (backtest.js)
+// The benchmark is buy-and-hold of an index over the backtest's dates. Index bars are read from
+// daily_prices under the index code (load them with `ingest-prices.js csv <file> --symbol LQ45`).
+// Without stored bars the replay engine falls back to an equal-weight buy-and-hold of its universe,
+// but only for LQ45: the universe is the LQ45 list, so it is no stand-in for the composite.
+// Ratios use daily returns annualized over 252 trading days.
+
+import { getDailyPrices } from './price-history.js';
+
+export const BENCHMARKS = {
+  LQ45: 'LQ45 index',
+  COMPOSITE: 'IHSG (Jakarta Composite Index)'
+};
+
+export const DEFAULT_BENCHMARK = 'LQ45';
+
+const EQUAL_WEIGHT_FALLBACK = new Set(['LQ45']); // Benchmarks the LQ45 universe can approximate
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DEFAULT_RISK_FREE_PCT = 6; // Annual, roughly the BI rate
+
+const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+const round = (value, digits = 2) => value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+const dailyReturns = values => values.slice(1).map((v, i) => values[i] > 0 ? v / values[i] - 1 : 0);
+
+// Closes aligned to `dates`, carrying the last close over days without a bar
+function alignCloses(dates, closeByDate) {
+  let last = null;
+  return dates.map(date => {
+    if (closeByDate.has(date)) last = closeByDate.get(date);
+    return last;
+  });
+}
+
+// Curve points valued as if initialFund bought the benchmark at the first date's close
+function toCurve(dates, closes, initialFund) {
+  const base = closes.find(c => c > 0);
+  if (!base) return [];
+  return dates.map((date, i) => {
+    const close = closes[i] ?? base;
+    return { date, close: round(close), value: Math.round(initialFund * close / base), return: round((close / base - 1) * 100) };
+  });
+}
+
+// Why a result has no benchmark curve
+export function missingBenchmarkNote(benchmark) {
+  return `No index data for ${benchmark} (${BENCHMARKS[benchmark] || 'unknown benchmark'}): load its daily bars with ingest-prices.js csv <file> --symbol ${benchmark}`;
+}
+
+// Stored index bars for the benchmark; null when none cover the dates
+export async function getIndexBenchmark(benchmark, dates, initialFund) {
+  if (dates.length === 0) return null;
+  const bars = await getDailyPrices(benchmark, { from: dates[0], to: dates[dates.length - 1] });
+  if (bars.length === 0) return null;
+  const closes = alignCloses(dates, new Map(bars.map(b => [b.date, b.close])));
+  return { symbol: benchmark, name: BENCHMARKS[benchmark], source: 'index', curve: toCurve(dates, closes, initialFund) };
+}
+
+// Equal-weight buy-and-hold of every stock with a bar on the first date; barsByDate is date -> Map(symbol -> bar).
+// null for benchmarks the universe does not represent.
+export function equalWeightBenchmark(benchmark, dates, barsByDate, initialFund) {
+  if (!EQUAL_WEIGHT_FALLBACK.has(benchmark)) return null;
+  const first = barsByDate.get(dates[0]);
+  if (!first || first.size === 0) return null;
+  const series = [...first.keys()].map(symbol => {
+    const closes = alignCloses(dates, new Map(dates.filter(d => barsByDate.get(d)?.has(symbol)).map(d => [d, barsByDate.get(d).get(symbol).close])));
+    return closes.map(c => c / closes[0]);
+  });
+  const index = dates.map((_, i) => mean(series.map(s => s[i])) * 100);
+  return {
+    symbol: benchmark,
+    name: `Equal-weight ${series.length} ${benchmark} stocks (no index bars stored)`,
+    source: 'equal_weight_universe',
+    curve: toCurve(dates, index, initialFund)
+  };
+}
+
+// Month-end to month-end returns (the first month starts from initialFund)
+function monthlyReturns(dailyValues, initialFund, benchmarkCurve) {
+  const months = new Map(); // YYYY-MM -> { end, benchmarkEnd }
+  const benchmarkByDate = new Map((benchmarkCurve || []).map(p => [p.date, p.value]));
+  for (const dv of dailyValues) {
+    months.set(dv.date.slice(0, 7), { end: dv.value, benchmarkEnd: benchmarkByDate.get(dv.date) ?? null });
+  }
+
+  let start = initialFund;
+  let benchmarkStart = initialFund;
+  return [...months.entries()].map(([month, { end, benchmarkEnd }]) => {
+    const strategyReturn = (end / start - 1) * 100;
+    const benchmarkReturn = benchmarkEnd !== null ? (benchmarkEnd / benchmarkStart - 1) * 100 : null;
+    start = end;
+    if (benchmarkEnd !== null) benchmarkStart = benchmarkEnd;
+    return {
+      month,
+      return: round(strategyReturn),
+      benchmarkReturn: round(benchmarkReturn),
+      excessReturn: benchmarkReturn !== null ? round(strategyReturn - benchmarkReturn) : null
+    };
+  });
+}
+
+// Trading days between each closed trade's entry and exit, by dailyValues position
+function holdingPeriods(trades, dailyValues) {
+  const dayIndex = new Map(dailyValues.map((dv, i) => [dv.date, i]));
+  return trades
+    .filter(t => t.action === 'SELL' && dayIndex.has(t.date) && dayIndex.has(t.entryDate))
+    .map(t => dayIndex.get(t.date) - dayIndex.get(t.entryDate));
+}
+
+// Risk, benchmark-relative and activity statistics for a finished backtest
+export function calculateRiskAnalytics({ dailyValues, trades, initialFund, maxDrawdown, benchmark = null, riskFreePct = DEFAULT_RISK_FREE_PCT }) {
+  const values = dailyValues.map(dv => dv.value);
+  const returns = dailyReturns([initialFund, ...values]);
+  const riskFreeDaily = riskFreePct / 100 / TRADING_DAYS_PER_YEAR;
+  const excess = returns.map(r => r - riskFreeDaily);
+
+  const volatility = stdev(returns) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const downside = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2))) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const finalValue = values[values.length - 1] ?? initialFund;
+  const years = returns.length / TRADING_DAYS_PER_YEAR;
+  const cagr = years > 0 && finalValue > 0 ? (finalValue / initialFund) ** (1 / years) - 1 : 0;
+
+  const stats = {
+    riskFreePct,
+    annualizedReturn: round(cagr * 100),
+    annualizedVolatility: round(volatility * 100),
+    sharpeRatio: volatility > 0 ? round((mean(excess) * TRADING_DAYS_PER_YEAR) / volatility) : null,
+    sortinoRatio: downside > 0 ? round((mean(excess) * TRADING_DAYS_PER_YEAR) / downside) : null,
+    calmarRatio: maxDrawdown > 0 ? round((cagr * 100) / maxDrawdown) : null
+  };
+
+  // Benchmark-relative: Jensen's alpha (annualized) and beta on daily returns
+  let relative = { alpha: null, beta: null, correlation: null, benchmarkReturn: null, excessReturn: null, trackingError: null };
+  if (benchmark?.curve.length === values.length && values.length > 1) {
+    const benchmarkReturns = dailyReturns([initialFund, ...benchmark.curve.map(p => p.value)]);
+    const avgS = mean(returns);
+    const avgB = mean(benchmarkReturns);
+    const covariance = mean(returns.map((r, i) => (r - avgS) * (benchmarkReturns[i] - avgB)));
+    const varianceB = mean(benchmarkReturns.map(b => (b - avgB) ** 2));
+    const varianceS = mean(returns.map(r => (r - avgS) ** 2));
+    const beta = varianceB > 0 ? covariance / varianceB : null;
+    const benchmarkTotal = (benchmark.curve[benchmark.curve.length - 1].value / initialFund - 1) * 100;
+    relative = {
+      alpha: beta !== null ? round(((avgS - riskFreeDaily) - beta * (avgB - riskFreeDaily)) * TRADING_DAYS_PER_YEAR * 100) : null,
+      beta: round(beta, 3),
+      correlation: varianceB > 0 && varianceS > 0 ? round(covariance / Math.sqrt(varianceB * varianceS), 3) : null,
+      benchmarkReturn: round(benchmarkTotal),
+      excessReturn: round((finalValue / initialFund - 1) * 100 - benchmarkTotal),
+      trackingError: round(stdev(returns.map((r, i) => r - benchmarkReturns[i])) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100)
+    };
+  }
+
+  // Activity: time in the market, traded value against average equity, holding period
+  const tradedValue = trades.reduce((sum, t) => sum + (t.value || 0), 0);
+  const avgEquity = mean(values) || initialFund;
+  const turnover = tradedValue / 2 / avgEquity;
+  const holds = holdingPeriods(trades, dailyValues);
+
+  return {
+    ...stats,
+    ...relative,
+    exposurePct: round(mean(dailyValues.map(dv => dv.value > 0 ? dv.invested / dv.value : 0)) * 100),
+    turnover: round(turnover),
+    annualizedTurnover: years > 0 ? round(turnover / years) : null,
+    avgHoldingDays: holds.length > 0 ? round(mean(holds), 1) : null,
+    monthlyReturns: monthlyReturns(dailyValues, initialFund, benchmark?.curve)
+  };
+}
@@ -0,0 +1,304 @@
+// Parameter sweeps with walk-forward evaluation over the replay backtester (backtest.js)
+// Candidate parameter sets come from a grid or a seeded random search over a strategy's params.
+// The date range is cut into rolling windows: every candidate runs on the in-sample window, the
+// best one (by the objective) is then judged on the following out-of-sample window, and the window
+// rolls forward by outOfSampleDays. Every candidate also runs out of sample, so the ranking shows
+// how much of each set's in-sample edge survives - a large gap is the overfitting signal.
+// Each window starts flat with the full fund; positions are not carried between windows.
+
+import { runReplayBacktest } from './backtest.js';
+import { getStrategy, resolveStrategyParams, checkParam, getParamRange } from './backtest-strategies.js';
+import { getTradingDays } from './indicators.js';
+
+export const SWEEP_METHODS = ['grid', 'random'];
+
+// Higher is better; maxDrawdown is negated so every objective ranks the same way
+export const OBJECTIVES = {
+  sharpeRatio: r => r.analytics.sharpeRatio,
+  sortinoRatio: r => r.analytics.sortinoRatio,
+  calmarRatio: r => r.analytics.calmarRatio,
+  totalReturn: r => r.summary.totalReturn,
+  excessReturn: r => r.analytics.excessReturn,
+  profitFactor: r => Number.isFinite(r.summary.profitFactor) ? r.summary.profitFactor : null,
+  maxDrawdown: r => -r.summary.maxDrawdown
+};
+
+export const DEFAULT_OBJECTIVE = 'sharpeRatio';
+
+const MAX_CANDIDATES = 500;
+const MAX_GRID_POINTS = 100; // Per parameter
+
+const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+const round = (value, digits = 2) => value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+
+// Deterministic PRNG (mulberry32) so a seed reproduces a random search
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Validate a parameter space against the strategy's params. Each entry is a number (fixed), an array
+// of values, or { min, max[, step] }; grid search needs a step. Returns { space } or { error }.
+export function parseParamSpace(strategy, spec, method = 'grid') {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+    return { error: 'space must be an object of parameter ranges' };
+  }
+  const space = {};
+  for (const [key, range] of Object.entries(spec)) {
+    if (!(key in strategy.params)) return { error: `Unknown parameter ${key} for ${strategy.name} (${Object.keys(strategy.params).join(', ')})` };
+
+    if (typeof range === 'number' || Array.isArray(range)) {
+      const values = [].concat(range);
+      if (values.length === 0 || !values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+        return { error: `${key} values must be finite numbers` };
+      }
+      const rangeError = values.map(v => checkParam(strategy, key, v)).find(Boolean);
+      if (rangeError) return { error: rangeError };
+      space[key] = { values: [...new Set(values)] };
+      continue;
+    }
+
+    const { min, max, step = null } = range || {};
+    if (![min, max].every(Number.isFinite) || min > max) return { error: `${key} needs finite min <= max` };
+    if (step !== null && (!Number.isFinite(step) || step <= 0)) return { error: `${key} step must be positive` };
+    const boundError = checkParam(strategy, key, min) || checkParam(strategy, key, max);
+    if (boundError) return { error: boundError };
+    if (getParamRange(strategy, key)?.integer && step !== null && !Number.isInteger(step)) {
+      return { error: `${key} step must be a whole number` };
+    }
+    if (step === null) {
+      if (method === 'grid') return { error: `${key} needs a step for grid search` };
+      space[key] = { min, max };
+      continue;
+    }
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    if (count > MAX_GRID_POINTS) return { error: `${key} has ${count} steps (max ${MAX_GRID_POINTS})` };
+    space[key] = { values: Array.from({ length: count }, (_, i) => round(min + i * step, 6)) };
+  }
+  return { space };
+}
+
+// Number of combinations expandGrid would produce, without building them
+export function gridSize(space) {
+  return Object.values(space).reduce((size, { values }) => size * values.length, 1);
+}
+
+// Every combination of the listed values
+export function expandGrid(space) {
+  return Object.entries(space).reduce(
+    (sets, [key, { values }]) => sets.flatMap(set => values.map(value => ({ ...set, [key]: value }))),
+    [{}]
+  );
+}
+
+// `samples` distinct draws: listed values uniformly, ranges uniformly (integers stay integers)
+export function sampleRandom(space, samples, seed = 1) {
+  const random = seededRandom(seed);
+  const draw = ({ values, min, max }) => {
+    if (values) return values[Math.floor(random() * values.length)];
+    const value = min + random() * (max - min);
+    return Number.isInteger(min) && Number.isInteger(max) ? Math.round(value) : round(value, 4);
+  };
+
+  const seen = new Map();
+  for (let attempt = 0; attempt < samples * 20 && seen.size < samples; attempt++) {
+    const set = Object.fromEntries(Object.entries(space).map(([key, range]) => [key, draw(range)]));
+    seen.set(JSON.stringify(set), set);
+  }
+  return [...seen.values()];
+}
+
+// Rolling [in-sample, out-of-sample] windows over ascending trading days
+export function walkForwardWindows(days, { inSampleDays, outOfSampleDays }) {
+  if (!outOfSampleDays) return days.length > 0 ? [{ inSample: days, outOfSample: [] }] : [];
+  const windows = [];
+  for (let start = 0; start + inSampleDays + outOfSampleDays <= days.length; start += outOfSampleDays) {
+    windows.push({
+      inSample: days.slice(start, start + inSampleDays),
+      outOfSample: days.slice(start + inSampleDays, start + inSampleDays + outOfSampleDays)
+    });
+  }
+  return windows;
+}
+
+// Headline numbers kept per run
+function runMetrics(result, objective) {
+  return {
+    objective: round(OBJECTIVES[objective](result) ?? null, 4),
+    totalReturn: result.summary.totalReturn,
+    maxDrawdown: result.summary.maxDrawdown,
+    sharpeRatio: result.analytics.sharpeRatio,
+    excessReturn: result.analytics.excessReturn,
+    winRate: result.summary.winRate,
+    totalTrades: result.summary.totalTrades
+  };
+}
+
+// Score cache shared by every run of an optimization, evicting the oldest entries past `limit`.
+// Windows roll forward in date order, so the oldest entries are the days no later window reads.
+function boundedCache(limit) {
+  const entries = new Map();
+  return {
+    get: key => entries.get(key),
+    set(key, value) {
+      entries.set(key, value);
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+const rankValue = metrics => metrics?.objective ?? -Infinity;
+
+// Validate an optimization request; returns { options } or { error }
+export function resolveOptimization(body = {}) {
+  const strategy = getStrategy(body.strategy);
+  if (!strategy) return { error: `Unknown strategy: ${body.strategy}` };
+  const method = body.method || 'grid';
+  if (!SWEEP_METHODS.includes(method)) return { error: `Invalid method (${SWEEP_METHODS.join('|')})` };
+  const objective = body.objective || DEFAULT_OBJECTIVE;
+  if (!OBJECTIVES[objective]) return { error: `Invalid objective (${Object.keys(OBJECTIVES).join('|')})` };
+  const { params: baseParams, error: paramsError } = resolveStrategyParams(strategy, body.strategyParams || {});
+  if (paramsError) return { error: paramsError };
+  const { space, error: spaceError } = parseParamSpace(strategy, body.space, method);
+  if (spaceError) return { error: spaceError };
+
+  const samples = parseInt(body.samples) || 20;
+  const seed = body.seed !== undefined && body.seed !== null ? Number(body.seed) : 1;
+  if (!Number.isInteger(seed)) return { error: 'seed must be an integer' };
+  if (method === 'grid' && gridSize(space) > MAX_CANDIDATES) {
+    return { error: `Grid has ${gridSize(space)} parameter sets (max ${MAX_CANDIDATES}); narrow it or use random search` };
+  }
+  const candidates = method === 'grid' ? expandGrid(space) : sampleRandom(space, Math.min(samples, MAX_CANDIDATES), seed);
+
+  const inSampleDays = parseInt(body.inSampleDays) || 60;
+  const outOfSampleDays = body.outOfSampleDays !== undefined ? parseInt(body.outOfSampleDays) : 20;
+  if (inSampleDays < 5 || !Number.isInteger(outOfSampleDays) || outOfSampleDays < 0) {
+    return { error: 'inSampleDays must be >= 5 and outOfSampleDays >= 0' };
+  }
+  if (!body.startDate || !/^\d{4}-\d{2}-\d{2}$/.test(body.startDate) || (body.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.endDate))) {
+    return { error: 'startDate (and optional endDate) must be YYYY-MM-DD' };
+  }
+
+  return {
+    options: {
+      strategy: strategy.name,
+      method,
+      objective,
+      space,
+      seed: method === 'random' ? seed : null,
+      candidates: candidates.map(set => ({ ...baseParams, ...set })),
+      inSampleDays,
+      outOfSampleDays,
+      startDate: body.startDate,
+      endDate: body.endDate || null
+    }
+  };
+}
+
+// Run a resolved optimization (see resolveOptimization). `backtest` carries the shared replay config
+// (initialFund, symbols, profile, execution, benchmark, riskFreePct); onProgress({ completed, total, window }).
+export async function runOptimization(options, backtest, { onProgress = () => {} } = {}) {
+  const { strategy, objective, candidates, inSampleDays, outOfSampleDays } = options;
+  const days = await getTradingDays(options.startDate, options.endDate, null);
+  const windows = walkForwardWindows(days, { inSampleDays, outOfSampleDays });
+  if (windows.length === 0) {
+    throw new Error(`${days.length} trading days cannot fit a ${inSampleDays}+${outOfSampleDays} day window`);
+  }
+
+  // Sized to hold one full window of stock-days: every candidate in a window reuses the same scores
+  const windowDays = windows[0].inSample.length + windows[0].outOfSample.length;
+  const scoreCache = boundedCache(Math.max(1, backtest.symbols?.length || 0) * windowDays);
+  const total = windows.length * candidates.length * (outOfSampleDays ? 2 : 1);
+  let completed = 0;
+  await onProgress({ completed, total });
+  const run = async (params, dates) => {
+    const result = await runReplayBacktest({
+      ...backtest,
+      strategy,
+      strategyParams: params,
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      scoreCache
+    });
+    completed++;
+    await onProgress({ completed, total });
+    return runMetrics(result, objective);
+  };
+
+  // results[candidate][window] = { inSample, outOfSample }
+  const results = candidates.map(() => []);
+  const walkForward = [];
+  for (const [w, window] of windows.entries()) {
+    for (const [c, params] of candidates.entries()) {
+      results[c][w] = { inSample: await run(params, window.inSample), outOfSample: null };
+    }
+    const best = results.map((r, c) => ({ c, metrics: r[w].inSample })).sort((a, b) => rankValue(b.metrics) - rankValue(a.metrics))[0];
+    if (outOfSampleDays) {
+      for (const [c, params] of candidates.entries()) {
+        results[c][w].outOfSample = await run(params, window.outOfSample);
+      }
+    }
+    walkForward.push({
+      window: w + 1,
+      inSample: { from: window.inSample[0], to: window.inSample[window.inSample.length - 1] },
+      outOfSample: outOfSampleDays ? { from: window.outOfSample[0], to: window.outOfSample[window.outOfSample.length - 1] } : null,
+      params: candidates[best.c],
+      inSampleMetrics: best.metrics,
+      outOfSampleMetrics: results[best.c][w].outOfSample
+    });
+  }
+
+  // Ranked by mean in-sample objective, with each set's out-of-sample rank alongside
+  const ranking = candidates.map((params, c) => {
+    const inSample = mean(results[c].map(r => r.inSample.objective).filter(v => v !== null));
+    const outOfSample = outOfSampleDays ? mean(results[c].map(r => r.outOfSample.objective).filter(v => v !== null)) : null;
+    return {
+      params,
+      inSampleObjective: round(inSample, 4),
+      outOfSampleObjective: round(outOfSample, 4),
+      degradation: inSample !== null && outOfSample !== null ? round(inSample - outOfSample, 4) : null,
+      inSampleReturn: round(mean(results[c].map(r => r.inSample.totalReturn))),
+      outOfSampleReturn: outOfSampleDays ? round(mean(results[c].map(r => r.outOfSample.totalReturn))) : null,
+      windowsSelected: walkForward.filter(wf => wf.params === params).length
+    };
+  });
+  ranking.sort((a, b) => (b.inSampleObjective ?? -Infinity) - (a.inSampleObjective ?? -Infinity));
+  [...ranking].sort((a, b) => (b.outOfSampleObjective ?? -Infinity) - (a.outOfSampleObjective ?? -Infinity))
+    .forEach((row, i) => { row.outOfSampleRank = outOfSampleDays ? i + 1 : null; });
+  ranking.forEach((row, i) => { row.rank = i + 1; });
+
+  // Walk-forward result: the selected sets' out-of-sample windows chained together
+  const oosReturns = walkForward.map(wf => wf.outOfSampleMetrics?.totalReturn).filter(v => v !== null && v !== undefined);
+  const chosenIS = mean(walkForward.map(wf => wf.inSampleMetrics.objective).filter(v => v !== null));
+  const chosenOOS = mean(walkForward.map(wf => wf.outOfSampleMetrics?.objective).filter(v => v !== null && v !== undefined));
+
+  return {
+    strategy,
+    method: options.method,
+    objective,
+    seed: options.seed,
+    space: options.space,
+    from: days[0],
+    to: days[days.length - 1],
+    inSampleDays,
+    outOfSampleDays,
+    candidates: candidates.length,
+    runs: completed,
+    walkForward,
+    summary: {
+      windows: windows.length,
+      outOfSampleReturn: oosReturns.length > 0 ? round((oosReturns.reduce((acc, r) => acc * (1 + r / 100), 1) - 1) * 100) : null,
+      chosenInSampleObjective: round(chosenIS, 4),
+      chosenOutOfSampleObjective: round(chosenOOS, 4),
+      // Share of the chosen sets' in-sample objective kept out of sample (near 1 = robust, <= 0 = overfit)
+      walkForwardEfficiency: chosenIS && chosenOOS !== null && chosenIS > 0 ? round(chosenOOS / chosenIS, 3) : null
+    },
+    ranking
+  };
+}
@@ -0,0 +1,305 @@
+// Persisted, asynchronous backtest runs (backtest_runs table, see migrations/010_backtest_runs)
+// A run stores the fully resolved config, executes on the shared job queue (jobs.js) and keeps its
+// result together with the engine, scoring and code versions that produced it, so saved runs can be
+// listed, re-run from the same config and compared with diffBacktestRuns. Replay windows are pinned
+// to explicit start and end dates before a run is stored, so later data never widens a re-run.
+// Runs still queued or running when the server stops are marked failed by recoverInterruptedRuns.
+
+import { execFileSync } from 'child_process';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { pool } from './db.js';
+import { submitJob } from './jobs.js';
+import { LQ45_STOCKS } from './universe.js';
+import { BACKTEST_ENGINE_VERSION } from './backtest.js';
+import { getTradingDays } from './indicators.js';
+import { ENGINE_VERSIONS } from './scoring-engines.js';
+import { SCORING_PROFILES, getScoringProfile } from './scoring-profiles.js';
+import { getStrategy, listStrategies, resolveStrategyParams, DEFAULT_STRATEGY } from './backtest-strategies.js';
+import { resolveExecutionModel } from './idx-execution.js';
+import { BENCHMARKS, DEFAULT_BENCHMARK } from './backtest-analytics.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PROGRESS_STEP_PCT = 5; // Persist progress at most every 5%
+
+// Git revision of the running code; GIT_COMMIT overrides it for deployments without a checkout
+function codeRevision() {
+  if (process.env.GIT_COMMIT) return { commit: process.env.GIT_COMMIT, dirty: null };
+  try {
+    const git = args => execFileSync('git', args, { cwd: __dirname, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return { commit: git(['rev-parse', 'HEAD']), dirty: git(['status', '--porcelain', '--', '.']) !== '' };
+  } catch {
+    return { commit: null, dirty: null };
+  }
+}
+
+const { commit, dirty } = codeRevision();
+const RUNTIME_VERSIONS = {
+  engine: BACKTEST_ENGINE_VERSION,
+  scoring: ENGINE_VERSIONS.v2, // The replay engine scores with scoring.js
+  server: JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8')).version,
+  commit,
+  dirty,
+  node: process.version
+};
+
+// Validate a backtest request; returns { config } or { error }.
+// The config is plain JSON (the profile by name) so it can be stored and replayed as is.
+export function resolveBacktestConfig(body = {}) {
+  const { fund, weeks, mode, startDate, endDate } = body;
+  const initialFund = parseFloat(fund);
+  const profile = getScoringProfile(body.profile);
+  const strategyName = body.strategy || DEFAULT_STRATEGY;
+  const strategy = getStrategy(strategyName);
+
+  if (!Number.isFinite(initialFund) || initialFund <= 0) return { error: 'Invalid fund amount' };
+  if (mode && !['replay', 'simulated'].includes(mode)) return { error: 'Invalid mode (replay|simulated)' };
+  if (!profile) return { error: `Invalid profile (${SCORING_PROFILES.join('|')})` };
+  if (!strategy) return { error: `Invalid strategy (${listStrategies().map(s => s.name).join('|')})` };
+  if (mode === 'simulated' && strategyName !== DEFAULT_STRATEGY) {
+    return { error: `Simulated mode only runs ${DEFAULT_STRATEGY}` };
+  }
+  for (const [name, date] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return { error: `Invalid ${name} (YYYY-MM-DD)` };
+  }
+  const { params: strategyParams, error: paramsError } = resolveStrategyParams(strategy, body.strategyParams || {});
+  if (paramsError) return { error: paramsError };
+  const { model: execution, error: executionError } = resolveExecutionModel(body.execution || {});
+  if (executionError) return { error: executionError };
+  const benchmark = (body.benchmark || DEFAULT_BENCHMARK).toUpperCase();
+  if (!BENCHMARKS[benchmark]) return { error: `Invalid benchmark (${Object.keys(BENCHMARKS).join('|')})` };
+  const riskFreePct = body.riskFreePct !== undefined ? parseFloat(body.riskFreePct) : undefined;
+  if (riskFreePct !== undefined && (!Number.isFinite(riskFreePct) || riskFreePct < 0 || riskFreePct > 50)) {
+    return { error: 'Invalid riskFreePct (0-50)' };
+  }
+
+  return {
+    config: {
+      mode: mode || 'replay',
+      initialFund,
+      weeks: parseInt(weeks) || 4,
+      startDate: startDate || null,
+      endDate: endDate || null,
+      profile: profile.name,
+      strategy: strategyName,
+      strategyParams,
+      execution,
+      benchmark,
+      riskFreePct,
+      symbols: [...LQ45_STOCKS]
+    }
+  };
+}
+
+function formatRun(row, { includeResult = true } = {}) {
+  return {
+    id: row.id,
+    status: row.status,
+    mode: row.mode,
+    strategy: row.strategy,
+    config: row.config,
+    versions: row.versions,
+    rerunOf: row.rerun_of,
+    progress: row.progress,
+    summary: row.summary,
+    ...(includeResult ? { result: row.result } : {}),
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+async function updateRun(id, fields) {
+  const keys = Object.keys(fields);
+  await pool.query(
+    `UPDATE backtest_runs SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')} WHERE id = $1`,
+    [id, ...keys.map(key => fields[key] !== null && typeof fields[key] === 'object' ? JSON.stringify(fields[key]) : fields[key])]
+  );
+}
+
+// Replace an open-ended replay window (weeks back from the latest day, or weeks from startDate) with
+// the trading days it covers today. weeks is dropped once both dates are set since it no longer
+// selects anything; the config is unchanged when no days match, so the run fails as usual.
+async function pinReplayWindow(config) {
+  if (config.mode !== 'replay') return config;
+  const { weeks, ...pinned } = config;
+  if (config.startDate && config.endDate) return pinned;
+  const days = await getTradingDays(config.startDate, config.endDate, weeks * 5);
+  if (days.length === 0) return config;
+  return { ...pinned, startDate: days[0], endDate: days[days.length - 1] };
+}
+
+// Store a queued run and hand it to the job queue. execute(config, { onProgress }) resolves with the
+// backtest result; it is injected because simulated runs need the live price feed from server.js.
+export async function submitBacktestRun(requested, execute, { rerunOf = null } = {}) {
+  const id = randomUUID();
+  const config = await pinReplayWindow(requested);
+  const versions = { ...RUNTIME_VERSIONS, profileHash: getScoringProfile(config.profile)?.hash ?? null };
+  await pool.query(`
+    INSERT INTO backtest_runs (id, status, mode, strategy, config, versions, rerun_of, progress)
+    VALUES ($1, 'queued', $2, $3, $4, $5, $6, $7)
+  `, [id, config.mode, config.strategy, JSON.stringify(config), JSON.stringify(versions), rerunOf,
+    JSON.stringify({ completed: 0, total: 0, pct: 0 })]);
+
+  submitJob('backtest', { runId: id }, async reportProgress => {
+    await updateRun(id, { status: 'running', started_at: new Date().toISOString() });
+    let progress = { completed: 0, total: 0, pct: 0 };
+    let savedPct = 0;
+    try {
+      const result = await execute(config, {
+        onProgress: async ({ completed, total }) => {
+          reportProgress({ completed, total });
+          progress = { completed, total, pct: total > 0 ? Math.round((completed / total) * 100) : 0 };
+          if (progress.pct - savedPct >= PROGRESS_STEP_PCT) {
+            savedPct = progress.pct;
+            await updateRun(id, { progress });
+          }
+        }
+      });
+      await updateRun(id, {
+        status: 'completed',
+        progress: { ...progress, pct: 100 },
+        summary: { ...result.summary, ...pickAnalytics(result.analytics) },
+        result,
+        finished_at: new Date().toISOString()
+      });
+    } catch (error) {
+      await updateRun(id, { status: 'failed', progress, error: error.message, finished_at: new Date().toISOString() })
+        .catch(dbError => console.error(`Error saving failed backtest run ${id}:`, dbError.message));
+      throw error;
+    }
+    return { runId: id };
+  });
+
+  return getBacktestRun(id);
+}
+
+// Headline analytics copied into the summary column so listings can show them without the result
+function pickAnalytics(analytics = {}) {
+  const { sharpeRatio = null, sortinoRatio = null, alpha = null, beta = null, excessReturn = null, benchmarkReturn = null } = analytics || {};
+  return { sharpeRatio, sortinoRatio, alpha, beta, excessReturn, benchmarkReturn };
+}
+
+// Run by id (null when it does not exist); the result is omitted with includeResult: false
+export async function getBacktestRun(id, { includeResult = true } = {}) {
+  if (!UUID_PATTERN.test(id)) return null;
+  const result = await pool.query('SELECT * FROM backtest_runs WHERE id = $1', [id]);
+  return result.rows.length > 0 ? formatRun(result.rows[0], { includeResult }) : null;
+}
+
+// Newest first, without results
+export async function listBacktestRuns({ status = null, strategy = null, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(`
+    SELECT id, status, mode, strategy, config, versions, rerun_of, progress, summary, error,
+           created_at, started_at, finished_at
+    FROM backtest_runs
+    WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR strategy = $2)
+    ORDER BY created_at DESC
+    LIMIT $3 OFFSET $4
+  `, [status, strategy, limit, offset]);
+  return result.rows.map(row => formatRun(row, { includeResult: false }));
+}
+
+// Queue a saved run's config again; returns { run } or { error } (null when the run does not exist)
+export async function rerunBacktestRun(id, execute) {
+  const original = await getBacktestRun(id, { includeResult: false });
+  if (!original) return null;
+  if (!getScoringProfile(original.config.profile)) {
+    return { error: `Scoring profile ${original.config.profile} no longer exists` };
+  }
+  if (!getStrategy(original.config.strategy)) {
+    return { error: `Strategy ${original.config.strategy} is not registered` };
+  }
+  return { run: await submitBacktestRun(original.config, execute, { rerunOf: id }) };
+}
+
+// Mark runs left queued or running by a previous server process as failed
+export async function recoverInterruptedRuns() {
+  const result = await pool.query(`
+    UPDATE backtest_runs
+    SET status = 'failed', error = 'Interrupted by server restart', finished_at = NOW()
+    WHERE status IN ('queued', 'running')
+  `);
+  return result.rowCount;
+}
+
+// Leaf values by dotted path, for comparing configs and version records
+function flatten(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function changedFields(a = {}, b = {}) {
+  const flatA = flatten(a);
+  const flatB = flatten(b);
+  return [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])]
+    .filter(path => JSON.stringify(flatA[path]) !== JSON.stringify(flatB[path]))
+    .map(path => ({ path, a: flatA[path] ?? null, b: flatB[path] ?? null }));
+}
+
+// a/b/delta for every numeric field present in either object
+function numericDeltas(a = {}, b = {}) {
+  const keys = [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])];
+  return Object.fromEntries(keys
+    .filter(key => typeof a?.[key] === 'number' || typeof b?.[key] === 'number')
+    .map(key => {
+      const valueA = typeof a?.[key] === 'number' ? a[key] : null;
+      const valueB = typeof b?.[key] === 'number' ? b[key] : null;
+      const delta = valueA !== null && valueB !== null ? parseFloat((valueB - valueA).toFixed(4)) : null;
+      return [key, { a: valueA, b: valueB, delta }];
+    }));
+}
+
+// Trades matched on date, symbol and action; matched trades with different fills count as changed
+function tradeDiff(tradesA = [], tradesB = []) {
+  const key = t => `${t.date}|${t.symbol}|${t.action}`;
+  const byKeyB = new Map(tradesB.map(t => [key(t), t]));
+  const keysA = new Set(tradesA.map(key));
+  const brief = t => ({ date: t.date, symbol: t.symbol, action: t.action, shares: t.shares, price: t.price });
+
+  const changed = tradesA
+    .filter(t => byKeyB.has(key(t)))
+    .map(t => ({ t, other: byKeyB.get(key(t)) }))
+    .filter(({ t, other }) => t.shares !== other.shares || t.price !== other.price)
+    .map(({ t, other }) => ({ date: t.date, symbol: t.symbol, action: t.action, a: brief(t), b: brief(other) }));
+
+  return {
+    matched: tradesA.filter(t => byKeyB.has(key(t))).length,
+    changed,
+    onlyInA: tradesA.filter(t => !byKeyB.has(key(t))).map(brief),
+    onlyInB: tradesB.filter(t => !keysA.has(key(t))).map(brief)
+  };
+}
+
+// First date the two equity curves disagree on value, null when identical over the shared dates
+function firstDivergence(valuesA = [], valuesB = []) {
+  const byDateB = new Map(valuesB.map(dv => [dv.date, dv.value]));
+  const diverged = valuesA.find(dv => byDateB.has(dv.date) && Math.round(byDateB.get(dv.date)) !== Math.round(dv.value));
+  return diverged ? { date: diverged.date, a: Math.round(diverged.value), b: Math.round(byDateB.get(diverged.date)) } : null;
+}
+
+// Compare two saved runs: config and version changes always, results once both completed.
+// Returns null when either run does not exist.
+export async function diffBacktestRuns(idA, idB) {
+  const [a, b] = await Promise.all([getBacktestRun(idA), getBacktestRun(idB)]);
+  if (!a || !b) return null;
+
+  const bothCompleted = a.status === 'completed' && b.status === 'completed';
+  return {
+    runs: [a, b].map(run => ({ id: run.id, status: run.status, strategy: run.strategy, createdAt: run.createdAt, rerunOf: run.rerunOf })),
+    config: changedFields(a.config, b.config),
+    versions: changedFields(a.versions, b.versions),
+    summary: bothCompleted ? numericDeltas(a.result.summary, b.result.summary) : null,
+    analytics: bothCompleted ? numericDeltas(a.result.analytics, b.result.analytics) : null,
+    trades: bothCompleted ? tradeDiff(a.result.trades, b.result.trades) : null,
+    equityDivergence: bothCompleted ? firstDivergence(a.result.dailyValues, b.result.dailyValues) : null
+  };
+}
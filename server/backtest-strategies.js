@@ -0,0 +1,338 @@
+// Backtest strategies for the replay engine (backtest.js)
+// A strategy decides which stocks to consider, what to buy, when to sell and how much to buy;
+// the engine owns the calendar, fills (next day's open), fees and bookkeeping.
+//
+// Strategy shape (every hook may be async):
+//   name         lowercase identifier selected by POST /api/backtest { strategy }
+//   description  one line for GET /api/backtest/strategies
+//   params       default numeric parameters; requests override a subset via strategyParams
+//   ranges       optional { param: { min, max, integer } } bounds for overrides; params without one
+//                fall back to PARAM_RANGES, and params in neither are unbounded
+//   universe(stock, ctx) -> boolean               optional; stock = { symbol, bar }, before scoring
+//   entry(stocks, ctx) -> [{ symbol, reason }]    buy orders in priority order; stocks are scored
+//                                                 ({ symbol, bar, close, score, signal, indicators })
+//   exit(position, stock, ctx) -> reason | null   optional; default riskExit
+//   size(order, ctx) -> rupiah budget             optional; default cash x positionSizePct
+//
+// ctx: { date, day, params, cash, equity, positions, ranked, getBrokerInventory(symbol, lookbackDays) }
+// Custom strategies are registered with registerStrategy() or loaded at startup from the modules
+// listed in BACKTEST_STRATEGIES (comma-separated paths, default export a strategy or an array).
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+const STRATEGIES = new Map();
+const BUILT_IN = new Set();
+
+export const DEFAULT_STRATEGY = 'bandar_strength';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Bounds for the parameters the built-in strategies share; a strategy's own ranges take precedence
+export const PARAM_RANGES = {
+  entryScore: { min: 0, max: 100 },
+  exitScore: { min: 0, max: 100 },
+  minScore: { min: 0, max: 100 },
+  maxNewPositionsPerDay: { min: 1, max: 100, integer: true },
+  positionSizePct: { min: 0.01, max: 1 }, // Fraction of cash per entry
+  takeProfitPct: { min: 0, max: 1000 }, // 0 disables
+  stopLossPct: { min: -100, max: 0 }, // 0 disables
+  maxHoldDays: { min: 0, max: 1000, integer: true } // 0 disables
+};
+
+// Take-profit / stop-loss / max-hold on today's close; a zero parameter disables its rule
+export function riskExit(position, stock, { takeProfitPct = 0, stopLossPct = 0, maxHoldDays = 0 }, day) {
+  const pnlPct = ((stock.close - position.avgPrice) / position.avgPrice) * 100;
+  if (takeProfitPct > 0 && pnlPct >= takeProfitPct) return 'TAKE_PROFIT';
+  if (stopLossPct < 0 && pnlPct <= stopLossPct) return 'STOP_LOSS';
+  if (maxHoldDays > 0 && day - position.entryIndex >= maxHoldDays) return 'MAX_HOLD';
+  return null;
+}
+
+const cashSize = (order, ctx) => ctx.cash * ctx.params.positionSizePct;
+
+const notHeld = ctx => stock => !ctx.positions[stock.symbol];
+
+// Original engine rules: top scores at or above entryScore, out below exitScore
+const bandarStrength = {
+  name: 'bandar_strength',
+  description: 'Buy the day\'s top bandar scores at or above entryScore; sell below exitScore or on take-profit/stop/max-hold',
+  params: {
+    entryScore: 70,
+    exitScore: 40,
+    maxNewPositionsPerDay: 5,
+    positionSizePct: 0.15,
+    takeProfitPct: 15,
+    stopLossPct: -7,
+    maxHoldDays: 10
+  },
+  entry(stocks, ctx) {
+    return stocks
+      .slice(0, ctx.params.maxNewPositionsPerDay)
+      .filter(s => s.score >= ctx.params.entryScore)
+      .filter(notHeld(ctx))
+      .map(s => ({ symbol: s.symbol, reason: `SCORE_${s.score}` }));
+  },
+  exit(position, stock, ctx) {
+    if (stock.score < ctx.params.exitScore) return 'SCORE';
+    return riskExit(position, stock, ctx.params, ctx.day);
+  }
+};
+
+// Ride consecutive days of foreign net buying; out when foreign turns seller
+const foreignStreak = {
+  name: 'foreign_streak',
+  description: 'Buy stocks with a foreign net-buy streak of at least minStreakDays; sell on a foreign sell streak',
+  params: {
+    minStreakDays: 3,
+    exitStreakDays: 2,
+    minScore: 50,
+    maxNewPositionsPerDay: 3,
+    positionSizePct: 0.15,
+    takeProfitPct: 20,
+    stopLossPct: -8,
+    maxHoldDays: 20
+  },
+  ranges: {
+    minStreakDays: { min: 1, max: 60, integer: true },
+    exitStreakDays: { min: 1, max: 60, integer: true }
+  },
+  entry(stocks, ctx) {
+    const streakOf = s => s.indicators.foreignStreak?.consecutiveDays || 0;
+    return stocks
+      .filter(s => streakOf(s) >= ctx.params.minStreakDays && s.score >= ctx.params.minScore)
+      .filter(notHeld(ctx))
+      .sort((a, b) => (b.indicators.foreignStreak.totalNetValue || 0) - (a.indicators.foreignStreak.totalNetValue || 0))
+      .slice(0, ctx.params.maxNewPositionsPerDay)
+      .map(s => ({ symbol: s.symbol, reason: `FOREIGN_STREAK_${streakOf(s)}D` }));
+  },
+  exit(position, stock, ctx) {
+    if ((stock.indicators.foreignStreak?.consecutiveDays || 0) <= -ctx.params.exitStreakDays) return 'FOREIGN_SELLING';
+    return riskExit(position, stock, ctx.params, ctx.day);
+  }
+};
+
+// Volume dry-up followed by a volume surge on an up day
+const vduBreakout = {
+  name: 'vdu_breakout',
+  description: 'Buy a volume dry-up breakout (VDU_BREAKOUT) closing up at least minChangePct; tight stop, short hold',
+  params: {
+    minConfidence: 60,
+    minChangePct: 1,
+    exitScore: 40,
+    maxNewPositionsPerDay: 3,
+    positionSizePct: 0.15,
+    takeProfitPct: 12,
+    stopLossPct: -5,
+    maxHoldDays: 7
+  },
+  ranges: {
+    minConfidence: { min: 0, max: 100 },
+    minChangePct: { min: -35, max: 35 } // Widest ARA/ARB band
+  },
+  entry(stocks, ctx) {
+    const vduOf = s => s.indicators.volumeAnalysis?.volumeDryUp || {};
+    return stocks
+      .filter(s => vduOf(s).signal === 'VDU_BREAKOUT' && (vduOf(s).confidence || 0) >= ctx.params.minConfidence)
+      .filter(s => (s.bar.changePct || 0) >= ctx.params.minChangePct)
+      .filter(notHeld(ctx))
+      .sort((a, b) => vduOf(b).confidence - vduOf(a).confidence)
+      .slice(0, ctx.params.maxNewPositionsPerDay)
+      .map(s => ({ symbol: s.symbol, reason: `VDU_BREAKOUT_${Math.round(vduOf(s).confidence)}` }));
+  },
+  exit(position, stock, ctx) {
+    if (stock.score < ctx.params.exitScore) return 'SCORE';
+    return riskExit(position, stock, ctx.params, ctx.day);
+  }
+};
+
+// Buy near the top holders' average cost (broker-inventory.js) while they still hold
+const brokerCostPullback = {
+  name: 'broker_cost_pullback',
+  description: 'Buy when price pulls back to within a band of the top broker holders\' average cost; sell when it breaks below',
+  params: {
+    minScore: 55,
+    maxAboveCostPct: 3,
+    maxBelowCostPct: 3,
+    breakBelowCostPct: 5,
+    lookbackDays: 60,
+    maxNewPositionsPerDay: 3,
+    positionSizePct: 0.15,
+    takeProfitPct: 15,
+    stopLossPct: 0,
+    maxHoldDays: 20
+  },
+  ranges: {
+    maxAboveCostPct: { min: 0, max: 100 },
+    maxBelowCostPct: { min: 0, max: 100 },
+    breakBelowCostPct: { min: 0, max: 100 },
+    lookbackDays: { min: 1, max: 730, integer: true }
+  },
+  async entry(stocks, ctx) {
+    const orders = [];
+    for (const stock of stocks.filter(s => s.score >= ctx.params.minScore).filter(notHeld(ctx))) {
+      if (orders.length >= ctx.params.maxNewPositionsPerDay) break;
+      const inventory = await ctx.getBrokerInventory(stock.symbol, ctx.params.lookbackDays);
+      const cost = inventory?.summary.topHoldersAvgCost;
+      if (!cost) continue;
+      const vsCostPct = ((stock.close - cost) / cost) * 100;
+      if (vsCostPct <= ctx.params.maxAboveCostPct && vsCostPct >= -ctx.params.maxBelowCostPct) {
+        orders.push({ symbol: stock.symbol, reason: `NEAR_COST_${vsCostPct.toFixed(1)}%` });
+      }
+    }
+    return orders;
+  },
+  async exit(position, stock, ctx) {
+    const inventory = await ctx.getBrokerInventory(stock.symbol, ctx.params.lookbackDays);
+    const cost = inventory?.summary.topHoldersAvgCost;
+    if (cost && stock.close < cost * (1 - ctx.params.breakBelowCostPct / 100)) return 'BELOW_BROKER_COST';
+    return riskExit(position, stock, ctx.params, ctx.day);
+  }
+};
+
+// Equal-weight the top N scores, rebalanced every rebalanceDays trading days
+const topNRebalance = {
+  name: 'top_n_rebalance',
+  description: 'Hold the topN scores at or above minScore in equal weight, rebalancing every rebalanceDays trading days',
+  params: {
+    topN: 5,
+    minScore: 50,
+    rebalanceDays: 5,
+    takeProfitPct: 0,
+    stopLossPct: -10,
+    maxHoldDays: 0
+  },
+  ranges: {
+    topN: { min: 1, max: 100, integer: true },
+    rebalanceDays: { min: 1, max: 250, integer: true }
+  },
+  entry(stocks, ctx) {
+    if (ctx.day % ctx.params.rebalanceDays !== 0) return [];
+    return topN(stocks, ctx.params)
+      .filter(notHeld(ctx))
+      .map(s => ({ symbol: s.symbol, reason: `TOP_${ctx.params.topN}` }));
+  },
+  exit(position, stock, ctx) {
+    if (ctx.day % ctx.params.rebalanceDays === 0 && !topN(ctx.ranked, ctx.params).some(s => s.symbol === stock.symbol)) {
+      return 'REBALANCE';
+    }
+    return riskExit(position, stock, ctx.params, ctx.day);
+  },
+  // Target weight of equity, never more than the cash left
+  size(order, ctx) {
+    return Math.min(ctx.cash, ctx.equity / ctx.params.topN);
+  }
+};
+
+function topN(stocks, { topN: n, minScore }) {
+  return stocks.filter(s => s.score >= minScore).slice(0, n);
+}
+
+// Validate and register a strategy; throws on an invalid definition or a taken name
+export function registerStrategy(strategy, { replace = false } = {}) {
+  const errors = [];
+  if (!isObject(strategy)) throw new Error('Strategy must be an object');
+  if (typeof strategy.name !== 'string' || !/^[a-z][a-z0-9_]{1,49}$/.test(strategy.name)) {
+    errors.push('name must be lowercase letters, digits or underscores');
+  }
+  if (typeof strategy.entry !== 'function') errors.push('entry must be a function');
+  for (const hook of ['universe', 'exit', 'size']) {
+    if (strategy[hook] !== undefined && typeof strategy[hook] !== 'function') errors.push(`${hook} must be a function`);
+  }
+  if (strategy.params !== undefined && !isObject(strategy.params)) errors.push('params must be an object');
+  for (const [key, value] of Object.entries(strategy.params || {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`params.${key} must be a finite number`);
+  }
+  if (strategy.ranges !== undefined && !isObject(strategy.ranges)) errors.push('ranges must be an object');
+  for (const [key, range] of Object.entries(strategy.ranges || {})) {
+    if (!(key in (strategy.params || {}))) errors.push(`ranges.${key} has no matching param`);
+    else if (!isObject(range) || ![range.min, range.max].every(Number.isFinite) || range.min > range.max) {
+      errors.push(`ranges.${key} needs finite min <= max`);
+    }
+  }
+  if (errors.length === 0) {
+    for (const [key, value] of Object.entries(strategy.params || {})) {
+      const error = checkParam(strategy, key, value);
+      if (error) errors.push(`default ${error}`);
+    }
+  }
+  if (!strategy.size && !('positionSizePct' in (strategy.params || {}))) {
+    errors.push('params.positionSizePct is required without a size hook');
+  }
+  if (errors.length === 0 && STRATEGIES.has(strategy.name) && (BUILT_IN.has(strategy.name) || !replace)) {
+    errors.push(`${strategy.name} is already registered`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid strategy ${strategy.name || '(unnamed)'}: ${errors.join('; ')}`);
+  }
+
+  // Defaults only fill hooks left undefined, so an explicit `exit: undefined` still gets riskExit
+  STRATEGIES.set(strategy.name, {
+    ...strategy,
+    exit: strategy.exit ?? ((position, stock, ctx) => riskExit(position, stock, ctx.params, ctx.day)),
+    size: strategy.size ?? cashSize,
+    description: strategy.description || '',
+    params: { ...strategy.params },
+    ranges: { ...strategy.ranges }
+  });
+  return STRATEGIES.get(strategy.name);
+}
+
+for (const strategy of [bandarStrength, foreignStreak, vduBreakout, brokerCostPullback, topNRebalance]) {
+  registerStrategy(strategy);
+  BUILT_IN.add(strategy.name);
+}
+
+// Import strategy modules (default export: one strategy or an array); paths resolve from the cwd
+export async function loadStrategyModules(paths = []) {
+  const loaded = [];
+  for (const path of paths.map(p => p.trim()).filter(Boolean)) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const exported = module.default;
+    for (const strategy of Array.isArray(exported) ? exported : [exported]) {
+      loaded.push(registerStrategy(strategy, { replace: true }).name);
+    }
+  }
+  return loaded;
+}
+
+export function getStrategy(name = DEFAULT_STRATEGY) {
+  return STRATEGIES.get(name) || null;
+}
+
+export const listStrategies = () => [...STRATEGIES.values()].map(s => ({
+  name: s.name,
+  description: s.description,
+  builtIn: BUILT_IN.has(s.name),
+  params: s.params,
+  ranges: Object.fromEntries(Object.keys(s.params).map(key => [key, getParamRange(s, key)]).filter(([, range]) => range))
+}));
+
+// { min, max, integer } for a strategy param, or null when it is unbounded
+export function getParamRange(strategy, key) {
+  return strategy.ranges?.[key] || PARAM_RANGES[key] || null;
+}
+
+// Error message when value is outside the param's range (or not a whole number where required), else null
+export function checkParam(strategy, key, value) {
+  const range = getParamRange(strategy, key);
+  if (!range) return null;
+  if (value < range.min || value > range.max) return `${key} must be between ${range.min} and ${range.max}`;
+  if (range.integer && !Number.isInteger(value)) return `${key} must be a whole number`;
+  return null;
+}
+
+// Merge request overrides onto a strategy's defaults; returns { params } or { error }
+export function resolveStrategyParams(strategy, overrides = {}) {
+  if (!isObject(overrides)) return { error: 'strategyParams must be an object' };
+  const params = { ...strategy.params };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in params)) return { error: `Unknown parameter ${key} for ${strategy.name} (${Object.keys(params).join(', ')})` };
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${key} must be a finite number` };
+    const rangeError = checkParam(strategy, key, number);
+    if (rangeError) return { error: rangeError };
+    params[key] = number;
+  }
+  return { params };
+}
@@ -1,8 +1,33 @@
 /**
  * Backtest Engine for Bandar Strategy
  * Simulates trading performance based on Bandar Strength signals
+ *
+ * Two modes:
+ * - replay: walks real trading days in broker_transactions, rescoring every stock
+ *   with only the data available as of each day and filling on the next day's open
+ *   (prices from daily_prices, falling back to broker VWAP where no bar is stored);
+ *   entries, exits and sizing come from the selected strategy (backtest-strategies.js)
+ * - simulated: legacy random-walk prices with synthetic indicators (demo only)
+ *
+ * Both modes fill through the IDX execution model (idx-execution.js): tick sizes, ARA/ARB,
+ * lots, commission/levy/tax and value-based slippage. Results carry a buy-and-hold benchmark
+ * and risk analytics (backtest-analytics.js).
  */
 
+import { pool } from './db.js';
+import { generateBandarIndicators, getTradingDays } from './indicators.js';
+import { calculateBandarScore } from './scoring.js';
+import { getScoringProfile, describeScoringProfile } from './scoring-profiles.js';
+import { getStrategy, DEFAULT_STRATEGY } from './backtest-strategies.js';
+import { getBrokerInventory } from './broker-inventory.js';
+import { IDX_EXECUTION, LOT_SIZE, executionPrice, affordableShares, buyCostRate, sellCostRate } from './idx-execution.js';
+import { DEFAULT_BENCHMARK, getIndexBenchmark, equalWeightBenchmark, missingBenchmarkNote, calculateRiskAnalytics } from './backtest-analytics.js';
+
+const ADV_DAYS = 20; // Average daily value window for slippage
+
+// Recorded with persisted runs (backtest-runs.js); bump when fills, scoring inputs or the result shape change
+export const BACKTEST_ENGINE_VERSION = '1.0';
+
 // Generate historical price data for backtesting (simulated)
 function generateHistoricalData(currentPrice, days, volatility = 0.02) {
   const prices = [];
@@ -87,18 +112,23 @@ function calculateHistoricalScore(price, indicators) {
 }
 
 export async function runBacktest(config, currentPrices, companies) {
-  const { initialFund, weeks, strategy } = config;
+  const { initialFund, weeks, execution = IDX_EXECUTION } = config;
   const tradingDays = weeks * 5; // Approximate trading days
   
   const portfolio = {
     cash: initialFund,
-    positions: {}, // symbol -> { shares, avgPrice, costBasis }
+    positions: {}, // symbol -> { shares, avgPrice, costBasis, entryFee }
     trades: [],
     dailyValues: []
   };
   
   const companyMap = new Map(companies.map(c => [c.symbol, c]));
   const startDate = new Date();
+  // Synthetic bars carry no history; the day's own value stands in for average daily value
+  const marketOf = stock => ({
+    prevClose: stock.changePct ? stock.close / (1 + stock.changePct / 100) : null,
+    avgDailyValue: stock.volume * stock.close
+  });
   
   // Simulate each trading day
   for (let day = 0; day < tradingDays; day++) {
@@ -137,14 +167,16 @@ export async function runBacktest(config, currentPrices, companies) {
     
     // Buy signals
     for (const stock of topStocks) {
-      if (stock.signal === 'BUY' && portfolio.cash > stock.close * 100) {
+      if (stock.signal === 'BUY' && portfolio.cash > stock.close * LOT_SIZE) {
         const position = portfolio.positions[stock.symbol];
         const maxInvestment = portfolio.cash * 0.2; // Max 20% per stock
-        const shares = Math.floor(Math.min(maxInvestment, portfolio.cash * 0.15) / stock.close / 100) * 100;
+        const budget = Math.min(maxInvestment, portfolio.cash * 0.15);
+        const fill = executionPrice('BUY', stock.close, { ...marketOf(stock), orderValue: budget }, execution);
+        const shares = fill.rejected ? 0 : affordableShares(budget, fill.price, execution);
         
-        if (shares >= 100) {
-          const cost = shares * stock.close;
-          const fee = cost * 0.0015; // 0.15% trading fee
+        if (shares >= LOT_SIZE) {
+          const cost = shares * fill.price;
+          const fee = cost * buyCostRate(execution);
           const totalCost = cost + fee;
           
           if (portfolio.cash >= totalCost) {
@@ -155,11 +187,13 @@ export async function runBacktest(config, currentPrices, companies) {
               position.avgPrice = (position.costBasis + cost) / totalShares;
               position.shares = totalShares;
               position.costBasis += cost;
+              position.entryFee += fee;
             } else {
               portfolio.positions[stock.symbol] = {
                 shares,
-                avgPrice: stock.close,
+                avgPrice: fill.price,
                 costBasis: cost,
+                entryFee: fee,
                 entryDate: currentDate.toISOString().split('T')[0],
                 entryScore: stock.score
               };
@@ -170,9 +204,11 @@ export async function runBacktest(config, currentPrices, companies) {
               symbol: stock.symbol,
               action: 'BUY',
               shares,
-              price: stock.close,
+              price: fill.price,
+              marketPrice: stock.close,
               value: cost,
               fee,
+              slippage: (fill.price - stock.close) * shares,
               score: stock.score
             });
           }
@@ -194,9 +230,14 @@ export async function runBacktest(config, currentPrices, companies) {
                           unrealizedPnL <= -7 || // Stop loss 7%
                           daysHeld >= 10; // Max hold period
         
-        if (shouldSell) {
-          const value = position.shares * stock.close;
-          const fee = value * 0.0025; // 0.25% selling fee (including tax)
+        // Limit-down closes can't be sold into; the position is retried the next day
+        const fill = shouldSell
+          ? executionPrice('SELL', stock.close, { ...marketOf(stock), orderValue: position.shares * stock.close }, execution)
+          : null;
+        
+        if (fill && !fill.rejected) {
+          const value = position.shares * fill.price;
+          const fee = value * sellCostRate(execution);
           const netValue = value - fee;
           
           portfolio.cash += netValue;
@@ -206,12 +247,15 @@ export async function runBacktest(config, currentPrices, companies) {
             symbol,
             action: 'SELL',
             shares: position.shares,
-            price: stock.close,
+            price: fill.price,
+            marketPrice: stock.close,
             value,
             fee,
-            pnl: value - position.costBasis - fee - (position.costBasis * 0.0015),
-            pnlPct: ((value - fee) / position.costBasis - 1) * 100,
-            exitScore: stock.score
+            slippage: (stock.close - fill.price) * position.shares,
+            pnl: value - fee - position.costBasis - position.entryFee,
+            pnlPct: ((value - fee) / (position.costBasis + position.entryFee) - 1) * 100,
+            exitScore: stock.score,
+            entryDate: position.entryDate
           });
           
           delete portfolio.positions[symbol];
@@ -236,6 +280,343 @@ export async function runBacktest(config, currentPrices, companies) {
     });
   }
   
+  const lastPrices = new Map(currentPrices.map(p => [p.symbol, p.close]));
+  const result = buildBacktestResult(config, portfolio, tradingDays, lastPrices, companyMap);
+  const dates = portfolio.dailyValues.map(dv => dv.date);
+  return attachAnalytics(result, config, () => getIndexBenchmark(config.benchmark || DEFAULT_BENCHMARK, dates, config.initialFund));
+}
+
+// Replay backtest over real broker_transactions history (point-in-time)
+// onProgress({ completed, total }) is awaited after every replayed day
+export async function runReplayBacktest(config, companies = [], { onProgress = () => {} } = {}) {
+  const { scoreCache = null, ...runConfig } = config; // scoreCache: shared across runs by backtest-optimizer.js
+  const { initialFund, weeks, symbols = [], startDate = null, endDate = null, profile = getScoringProfile(), execution = IDX_EXECUTION } = runConfig;
+  const strategy = getStrategy(config.strategy || DEFAULT_STRATEGY);
+  if (!strategy) throw new Error(`Unknown strategy: ${config.strategy}`);
+  const params = { ...strategy.params, ...config.strategyParams };
+  
+  const tradingDays = await getTradingDays(startDate, endDate, (weeks || 4) * 5);
+  if (tradingDays.length === 0) {
+    throw new Error('No broker_transactions history available for the requested period');
+  }
+  
+  const bars = await getDailyBars(symbols, tradingDays[0], tradingDays[tradingDays.length - 1]);
+  
+  const portfolio = {
+    cash: initialFund,
+    positions: {}, // symbol -> { shares, avgPrice, costBasis, entryFee, entryDate, entryIndex, entryScore, entryReason }
+    trades: [],
+    dailyValues: []
+  };
+  
+  const companyMap = new Map(companies.map(c => [c.symbol, c]));
+  const lastPrices = new Map();
+  let pendingOrders = []; // Orders decided on day D, filled at day D+1 open
+  const rejectedOrders = []; // Fills blocked by ARA/ARB
+  
+  const markToMarket = () => Object.entries(portfolio.positions).reduce(
+    (value, [symbol, position]) => value + position.shares * (lastPrices.get(symbol) || position.avgPrice),
+    portfolio.cash
+  );
+  
+  for (let day = 0; day < tradingDays.length; day++) {
+    const date = tradingDays[day];
+    const dayBars = bars.get(date) || new Map();
+    
+    // Broker inventory as of today, loaded on demand and cached for the day
+    const inventories = new Map();
+    const ctx = {
+      date,
+      day,
+      params,
+      get cash() { return portfolio.cash; },
+      get equity() { return markToMarket(); },
+      positions: portfolio.positions,
+      ranked: [],
+      getBrokerInventory(symbol, lookbackDays = 60) {
+        const key = `${symbol}|${lookbackDays}`;
+        if (!inventories.has(key)) {
+          const from = new Date(`${date}T00:00:00Z`);
+          from.setUTCDate(from.getUTCDate() - lookbackDays);
+          inventories.set(key, getBrokerInventory(symbol, { from: from.toISOString().slice(0, 10), to: date }).catch(error => {
+            console.error(`Error loading broker inventory for ${symbol}:`, error.message);
+            return null;
+          }));
+        }
+        return inventories.get(key);
+      }
+    };
+    
+    // 1. Fill yesterday's orders at today's open through the IDX execution model
+    const carriedOrders = [];
+    for (const order of pendingOrders) {
+      const bar = dayBars.get(order.symbol);
+      if (!bar || !bar.open) {
+        // No trade in this stock today: keep exits pending, drop entries
+        if (order.action === 'SELL') carriedOrders.push(order);
+        continue;
+      }
+      const market = { prevClose: bar.prevClose, avgDailyValue: bar.avgDailyValue };
+      
+      if (order.action === 'BUY') {
+        // Never more than cash covers after buy costs
+        const budget = Math.min(await strategy.size(order, ctx), portfolio.cash / (1 + buyCostRate(execution)));
+        const fill = executionPrice('BUY', bar.open, { ...market, orderValue: budget }, execution);
+        if (fill.rejected) {
+          // Limit-up: the offer queue is empty at ARA, so the entry is dropped
+          rejectedOrders.push({ date, symbol: order.symbol, action: 'BUY', reason: fill.rejected, limits: fill.limits });
+          continue;
+        }
+        const shares = affordableShares(budget, fill.price, execution);
+        if (shares < LOT_SIZE) continue;
+        
+        const cost = shares * fill.price;
+        const fee = cost * buyCostRate(execution);
+        if (portfolio.cash < cost + fee) continue;
+        
+        portfolio.cash -= cost + fee;
+        portfolio.positions[order.symbol] = {
+          shares,
+          avgPrice: fill.price,
+          costBasis: cost,
+          entryFee: fee,
+          entryDate: date,
+          entryIndex: day,
+          entryScore: order.score,
+          entryReason: order.reason
+        };
+        portfolio.trades.push({
+          date,
+          signalDate: order.signalDate,
+          symbol: order.symbol,
+          action: 'BUY',
+          shares,
+          price: fill.price,
+          marketPrice: bar.open,
+          value: cost,
+          fee,
+          slippage: (fill.price - bar.open) * shares,
+          score: order.score,
+          entryReason: order.reason
+        });
+      } else {
+        const position = portfolio.positions[order.symbol];
+        if (!position) continue;
+        
+        const fill = executionPrice('SELL', bar.open, { ...market, orderValue: position.shares * bar.open }, execution);
+        if (fill.rejected) {
+          // Limit-down: the bid queue is empty at ARB, so the exit waits for the next day
+          rejectedOrders.push({ date, symbol: order.symbol, action: 'SELL', reason: fill.rejected, limits: fill.limits });
+          carriedOrders.push(order);
+          continue;
+        }
+        
+        const value = position.shares * fill.price;
+        const fee = value * sellCostRate(execution);
+        portfolio.cash += value - fee;
+        portfolio.trades.push({
+          date,
+          signalDate: order.signalDate,
+          symbol: order.symbol,
+          action: 'SELL',
+          shares: position.shares,
+          price: fill.price,
+          marketPrice: bar.open,
+          value,
+          fee,
+          slippage: (bar.open - fill.price) * position.shares,
+          pnl: value - fee - position.costBasis - position.entryFee,
+          pnlPct: ((value - fee) / (position.costBasis + position.entryFee) - 1) * 100,
+          exitScore: order.score,
+          entryDate: position.entryDate,
+          exitReason: order.reason
+        });
+        delete portfolio.positions[order.symbol];
+      }
+    }
+    pendingOrders = carriedOrders;
+    
+    // 2. Rescore every stock that traded today and passes the strategy's universe, using only data
+    //    up to today (held stocks are always scored so their exits are evaluated)
+    const scoredStocks = [];
+    for (const [symbol, bar] of dayBars) {
+      lastPrices.set(symbol, bar.close);
+      if (strategy.universe && !portfolio.positions[symbol] && !(await strategy.universe({ symbol, bar }, ctx))) continue;
+      // Scores depend only on the day, stock and scoring profile, never on strategy parameters
+      const cacheKey = `${profile.hash}|${date}|${symbol}`;
+      let scored = scoreCache?.get(cacheKey);
+      if (!scored) {
+        const indicators = await generateBandarIndicators(symbol, bar, date);
+        const scoreData = calculateBandarScore(bar, indicators, profile);
+        scored = { score: scoreData.score, signal: scoreData.signal, indicators };
+        scoreCache?.set(cacheKey, scored);
+      }
+      scoredStocks.push({ symbol, bar, close: bar.close, ...scored });
+    }
+    scoredStocks.sort((a, b) => b.score - a.score);
+    const scoreMap = new Map(scoredStocks.map(s => [s.symbol, s]));
+    ctx.ranked = scoredStocks;
+    
+    // 3. Strategy exit rules evaluated on today's close
+    for (const [symbol, position] of Object.entries(portfolio.positions)) {
+      if (pendingOrders.some(o => o.symbol === symbol)) continue;
+      const stock = scoreMap.get(symbol);
+      if (!stock) continue;
+      
+      const reason = await strategy.exit(position, stock, ctx);
+      if (reason) {
+        pendingOrders.push({ action: 'SELL', symbol, score: stock.score, signalDate: date, reason });
+      }
+    }
+    
+    // 4. Strategy entry signals
+    const entries = await strategy.entry(scoredStocks, ctx);
+    for (const { symbol, reason = null } of entries || []) {
+      const stock = scoreMap.get(symbol);
+      if (!stock || portfolio.positions[symbol] || pendingOrders.some(o => o.symbol === symbol)) continue;
+      pendingOrders.push({ action: 'BUY', symbol, score: stock.score, signalDate: date, reason });
+    }
+    
+    // 5. Mark to market at today's close
+    const portfolioValue = markToMarket();
+    
+    portfolio.dailyValues.push({
+      date,
+      value: portfolioValue,
+      cash: portfolio.cash,
+      invested: portfolioValue - portfolio.cash
+    });
+    await onProgress({ completed: day + 1, total: tradingDays.length });
+  }
+  
+  const result = buildBacktestResult({ ...runConfig, profile }, portfolio, tradingDays.length, lastPrices, companyMap);
+  result.pendingOrders = pendingOrders;
+  result.rejectedOrders = rejectedOrders;
+  result.execution = execution;
+  result.scoringProfile = { name: profile.name, hash: profile.hash };
+  result.strategy = { name: strategy.name, description: strategy.description, params };
+  
+  const benchmark = config.benchmark || DEFAULT_BENCHMARK;
+  return attachAnalytics(result, config, async () =>
+    (await getIndexBenchmark(benchmark, tradingDays, initialFund)) || equalWeightBenchmark(benchmark, tradingDays, bars, initialFund)
+  );
+}
+
+// Add the benchmark curve and risk analytics; a benchmark that fails to load leaves alpha/beta null
+async function attachAnalytics(result, config, loadBenchmark) {
+  let benchmark = null;
+  try {
+    benchmark = await loadBenchmark();
+  } catch (error) {
+    console.error(`Error loading benchmark ${config.benchmark || DEFAULT_BENCHMARK}:`, error.message);
+  }
+  result.benchmark = benchmark;
+  if (!benchmark) result.benchmarkNote = missingBenchmarkNote(config.benchmark || DEFAULT_BENCHMARK);
+  result.analytics = calculateRiskAnalytics({
+    dailyValues: result.dailyValues,
+    trades: result.trades,
+    initialFund: config.initialFund,
+    maxDrawdown: result.summary.maxDrawdown,
+    benchmark,
+    riskFreePct: config.riskFreePct
+  });
+  return result;
+}
+
+// Build daily bars per symbol, preferring stored OHLCV from daily_prices, with the previous close
+// (ARA/ARB reference) and the prior ADV_DAYS average traded value (slippage) for execution
+// Days missing from daily_prices fall back to broker_transactions: every trade has a buying and a
+// selling broker, so the buy side alone is the day's traded value/volume and its VWAP stands in for OHLC.
+async function getDailyBars(symbols, fromDate, toDate) {
+  const client = await pool.connect();
+  try {
+    const { rows: brokerRows } = await client.query(`
+      SELECT 
+        s.symbol,
+        TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date,
+        SUM(bt.buy_value) as value,
+        SUM(bt.buy_volume) as volume
+      FROM broker_transactions bt
+      JOIN stocks s ON bt.stock_id = s.id
+      WHERE s.symbol = ANY($1)
+        AND DATE(bt.time) > $2::date - INTERVAL '40 days'
+        AND DATE(bt.time) <= $3::date
+      GROUP BY s.symbol, DATE(bt.time)
+    `, [symbols, fromDate, toDate]);
+    
+    const { rows: priceRows } = await client.query(`
+      SELECT symbol, TO_CHAR(date, 'YYYY-MM-DD') as date, open, high, low, close, volume, value
+      FROM daily_prices
+      WHERE symbol = ANY($1)
+        AND date > $2::date - INTERVAL '40 days'
+        AND date <= $3::date
+    `, [symbols, fromDate, toDate]);
+    
+    // symbol -> date -> raw OHLCV
+    const series = new Map();
+    const put = (symbol, date, ohlcv) => {
+      if (!series.has(symbol)) series.set(symbol, new Map());
+      series.get(symbol).set(date, ohlcv);
+    };
+    
+    for (const r of brokerRows) {
+      const lots = parseInt(r.volume) || 0;
+      const value = parseFloat(r.value) || 0;
+      if (lots === 0) continue;
+      const vwap = value / (lots * LOT_SIZE);
+      put(r.symbol, r.date, { open: vwap, high: vwap, low: vwap, close: vwap, volume: lots * LOT_SIZE, value });
+    }
+    for (const r of priceRows) {
+      const close = parseFloat(r.close);
+      put(r.symbol, r.date, {
+        open: parseFloat(r.open) || close,
+        high: parseFloat(r.high) || close,
+        low: parseFloat(r.low) || close,
+        close,
+        volume: parseInt(r.volume) || 0,
+        value: r.value !== null ? parseFloat(r.value) : close * (parseInt(r.volume) || 0)
+      });
+    }
+    
+    const bars = new Map(); // date -> Map(symbol -> bar)
+    for (const [symbol, days] of series) {
+      let prevClose = null;
+      const values = [];
+      for (const date of [...days.keys()].sort()) {
+        const ohlcv = days.get(date);
+        const base = prevClose || ohlcv.open;
+        const change = ohlcv.close - base;
+        const changePct = base > 0 ? (change / base) * 100 : 0;
+        const recent = values.slice(-ADV_DAYS);
+        
+        if (date >= fromDate) {
+          if (!bars.has(date)) bars.set(date, new Map());
+          bars.get(date).set(symbol, {
+            symbol,
+            date,
+            ...ohlcv,
+            change,
+            change_pct: changePct,
+            changePct,
+            prevClose,
+            // Prior days only, so today's fill never sees today's volume
+            avgDailyValue: recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : null
+          });
+        }
+        prevClose = ohlcv.close;
+        values.push(ohlcv.value);
+      }
+    }
+    return bars;
+  } finally {
+    client.release();
+  }
+}
+
+// Summarize portfolio state into the backtest response shape
+function buildBacktestResult(config, portfolio, tradingDays, lastPrices, companyMap) {
+  const { initialFund } = config;
+  
   // Calculate final results
   const finalValue = portfolio.dailyValues[portfolio.dailyValues.length - 1]?.value || initialFund;
   const totalReturn = ((finalValue - initialFund) / initialFund) * 100;
@@ -256,7 +637,7 @@ export async function runBacktest(config, currentPrices, companies) {
   // Current holdings (unsold positions)
   const currentHoldings = Object.entries(portfolio.positions).map(([symbol, position]) => {
     const company = companyMap.get(symbol);
-    const currentPrice = currentPrices.find(p => p.symbol === symbol)?.close || position.avgPrice;
+    const currentPrice = lastPrices.get(symbol) || position.avgPrice;
     const marketValue = position.shares * currentPrice;
     const unrealizedPnL = marketValue - position.costBasis;
     
@@ -276,7 +657,7 @@ export async function runBacktest(config, currentPrices, companies) {
   });
   
   return {
-    config,
+    config: { ...config, profile: config.profile ? describeScoringProfile(config.profile) : config.profile },
     summary: {
       initialFund,
       finalValue: Math.round(finalValue),
@@ -290,7 +671,9 @@ export async function runBacktest(config, currentPrices, companies) {
       avgWinPct: parseFloat(avgWin.toFixed(2)),
       avgLossPct: parseFloat(avgLoss.toFixed(2)),
       profitFactor: parseFloat(profitFactor.toFixed(2)),
-      maxDrawdown: calculateMaxDrawdown(portfolio.dailyValues)
+      maxDrawdown: calculateMaxDrawdown(portfolio.dailyValues),
+      totalFees: Math.round(portfolio.trades.reduce((sum, t) => sum + (t.fee || 0), 0)),
+      totalSlippage: Math.round(portfolio.trades.reduce((sum, t) => sum + (t.slippage || 0), 0))
     },
     trades: portfolio.trades,
     dailyValues: portfolio.dailyValues,
@@ -0,0 +1,137 @@
+// Broker affiliation clustering
+// One operator often splits orders across several broker codes, so brokers are grouped by how
+// closely their daily net flows in a stock move together over the lookback window:
+//  - Pearson correlation of daily net value between every pair of active brokers
+//  - average-linkage agglomerative merging while the mean pairwise correlation stays above
+//    minCorrelation; brokers sharing a registered affiliate group start in the same cluster
+// Each multi-broker cluster reports its combined net flow and its share of the stock's traded value.
+
+export const CLUSTER_PARAMS = {
+  lookbackDays: 20,     // Trading days of flow per stock
+  minActiveDays: 5,     // Broker must trade the stock on this many days to be considered
+  maxBrokers: 25,       // Most active brokers only; keeps pairwise work small
+  minCorrelation: 0.6
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function correlation(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((s, v) => s + v, 0) / n;
+  const meanB = b.reduce((s, v) => s + v, 0) / n;
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+// flows: [{ date, code, buyValue, sellValue }] for one stock over the window.
+// affiliateGroups: Map code -> registered affiliate group (optional).
+export function clusterBrokerFlows(flows, { affiliateGroups = new Map(), params = CLUSTER_PARAMS } = {}) {
+  const dates = [...new Set(flows.map(f => f.date))].sort();
+  const dateIdx = new Map(dates.map((d, idx) => [d, idx]));
+  // Buy and sell totals should match for a stock; average them in case a broker row is missing
+  const totalTraded = flows.reduce((sum, f) => sum + f.buyValue + f.sellValue, 0) / 2;
+
+  const brokers = new Map();
+  for (const f of flows) {
+    if (!brokers.has(f.code)) {
+      brokers.set(f.code, { code: f.code, series: new Array(dates.length).fill(0), buyValue: 0, sellValue: 0, activeDays: 0 });
+    }
+    const b = brokers.get(f.code);
+    b.series[dateIdx.get(f.date)] += f.buyValue - f.sellValue;
+    b.buyValue += f.buyValue;
+    b.sellValue += f.sellValue;
+    b.activeDays++;
+  }
+
+  const candidates = [...brokers.values()]
+    .filter(b => b.activeDays >= params.minActiveDays)
+    .sort((a, b) => (b.buyValue + b.sellValue) - (a.buyValue + a.sellValue))
+    .slice(0, params.maxBrokers);
+
+  const empty = {
+    lookbackDays: dates.length,
+    brokersAnalyzed: candidates.length,
+    clusters: [],
+    dominantCluster: null,
+    description: 'No correlated broker groups detected'
+  };
+  if (candidates.length < 2 || dates.length < params.minActiveDays) return empty;
+
+  const corr = candidates.map(a => candidates.map(b => a === b ? 1 : correlation(a.series, b.series)));
+  const avgLink = (x, y) => {
+    let sum = 0;
+    for (const i of x) for (const j of y) sum += corr[i][j];
+    return sum / (x.length * y.length);
+  };
+
+  // Seed clusters from registered affiliate groups, then merge by average linkage
+  const seeded = new Map();
+  let clusters = [];
+  candidates.forEach((b, idx) => {
+    const group = affiliateGroups.get(b.code);
+    if (group && seeded.has(group)) seeded.get(group).push(idx);
+    else {
+      const members = [idx];
+      if (group) seeded.set(group, members);
+      clusters.push(members);
+    }
+  });
+
+  for (;;) {
+    let best = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const link = avgLink(clusters[i], clusters[j]);
+        if (link >= params.minCorrelation && (!best || link > best.link)) best = { i, j, link };
+      }
+    }
+    if (!best) break;
+    clusters[best.i] = [...clusters[best.i], ...clusters[best.j]];
+    clusters = clusters.filter((_, idx) => idx !== best.j);
+  }
+
+  const result = clusters
+    .filter(members => members.length >= 2)
+    .map(members => {
+      const codes = members.map(idx => candidates[idx]);
+      const buyValue = codes.reduce((sum, b) => sum + b.buyValue, 0);
+      const sellValue = codes.reduce((sum, b) => sum + b.sellValue, 0);
+      const netValue = buyValue - sellValue;
+      const pairs = members.length * (members.length - 1) / 2;
+      const avgCorrelation = (avgLink(members, members) * members.length ** 2 - members.length) / 2 / pairs;
+      const groups = [...new Set(codes.map(b => affiliateGroups.get(b.code)).filter(Boolean))];
+      const activeDays = dates.filter((_, d) => members.some(idx => candidates[idx].series[d] !== 0)).length;
+
+      return {
+        brokers: codes.map(b => b.code),
+        affiliateGroups: groups,
+        size: members.length,
+        avgCorrelation: round(avgCorrelation),
+        activeDays,
+        buyValue,
+        sellValue,
+        netValue,
+        // Share of all value traded in the stock over the window
+        grossSharePct: totalTraded > 0 ? round(((buyValue + sellValue) / (2 * totalTraded)) * 100) : 0,
+        netSharePct: totalTraded > 0 ? round((netValue / totalTraded) * 100) : 0,
+        signal: netValue > 0 ? 'ACCUMULATING' : netValue < 0 ? 'DISTRIBUTING' : 'NEUTRAL'
+      };
+    })
+    .sort((a, b) => Math.abs(b.netValue) - Math.abs(a.netValue));
+
+  if (result.length === 0) return empty;
+
+  const dominant = result[0];
+  return {
+    lookbackDays: dates.length,
+    brokersAnalyzed: candidates.length,
+    clusters: result,
+    dominantCluster: dominant,
+    description: `${dominant.brokers.join('+')} moving together (r=${dominant.avgCorrelation}) - ${dominant.signal.toLowerCase()} ${dominant.netSharePct}% of traded value over ${dates.length}D`
+  };
+}
@@ -0,0 +1,191 @@
+// Broker Summary Importer
+// Loads daily broker summary exports (per stock, per broker: buy/sell lots and value)
+// into stocks, brokers and broker_transactions. Rows are upserted by (stock, broker, date), so
+// re-imports never double count and a partial correction file only touches the brokers it lists.
+// With replaceDays the export is taken as each stock's whole day: the stock's other broker rows
+// for that day are deleted first, so brokers dropped from a corrected export do not linger.
+
+import { pool } from './db.js';
+import { parseCSV, toNumber, toISODate } from './csv.js';
+import { loadBrokerRegistry } from './broker-registry.js';
+
+// Pick the first non-empty field among accepted column aliases
+function pick(raw, names) {
+  for (const name of names) {
+    if (raw[name] !== undefined && raw[name] !== null && raw[name] !== '') return raw[name];
+  }
+  return null;
+}
+
+// Validate and normalize one export row; returns { row } or { error }
+function normalizeRow(raw, defaults) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Row must be an object' };
+  const date = toISODate(pick(raw, ['date', 'trade_date']) || defaults.date);
+  const symbol = String(pick(raw, ['symbol', 'stock', 'stock_code', 'ticker']) || defaults.symbol || '').trim().toUpperCase();
+  const brokerCode = String(pick(raw, ['broker', 'broker_code', 'code']) || '').trim().toUpperCase();
+  const buyVolume = toNumber(pick(raw, ['buy_lot', 'buy_lots', 'buy_volume', 'blot']) ?? 0);
+  const buyValue = toNumber(pick(raw, ['buy_value', 'bval']) ?? 0);
+  const sellVolume = toNumber(pick(raw, ['sell_lot', 'sell_lots', 'sell_volume', 'slot']) ?? 0);
+  const sellValue = toNumber(pick(raw, ['sell_value', 'sval']) ?? 0);
+  
+  if (!date) return { error: 'Missing or invalid date' };
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!/^[A-Z0-9]{2}$/.test(brokerCode)) return { error: `Invalid broker code: ${brokerCode || '(empty)'}` };
+  for (const [field, value] of [['buy lot', buyVolume], ['buy value', buyValue], ['sell lot', sellVolume], ['sell value', sellValue]]) {
+    if (value === null || value < 0) return { error: `Invalid ${field}` };
+  }
+  if (buyVolume === 0 && sellVolume === 0) return { error: 'No buy or sell volume' };
+  if ((buyVolume > 0) !== (buyValue > 0) || (sellVolume > 0) !== (sellValue > 0)) {
+    return { error: 'Lot and value must both be present for each side' };
+  }
+  
+  return {
+    row: {
+      date,
+      symbol,
+      brokerCode,
+      brokerName: pick(raw, ['broker_name', 'name']),
+      brokerType: pick(raw, ['broker_type', 'type']),
+      buyVolume: Math.round(buyVolume),
+      buyValue: Math.round(buyValue),
+      sellVolume: Math.round(sellVolume),
+      sellValue: Math.round(sellValue)
+    }
+  };
+}
+
+// Parse an export file body (CSV text, JSON array, or JSON { rows: [...] })
+export function parseBrokerSummaryFile(text, format = null) {
+  const trimmed = text.trim();
+  const isJSON = format ? format === 'json' : trimmed.startsWith('[') || trimmed.startsWith('{');
+  if (!isJSON) return parseCSV(text);
+  
+  const data = JSON.parse(trimmed);
+  return Array.isArray(data) ? data : (data.rows || []);
+}
+
+// Find or create a stock by symbol; returns { id, created }
+async function upsertStock(client, symbol, cache) {
+  if (cache.has(symbol)) return { id: cache.get(symbol), created: false };
+  let { rows } = await client.query('SELECT id FROM stocks WHERE symbol = $1', [symbol]);
+  let created = false;
+  if (rows.length === 0) {
+    ({ rows } = await client.query('INSERT INTO stocks (symbol) VALUES ($1) RETURNING id', [symbol]));
+    created = true;
+  }
+  cache.set(symbol, rows[0].id);
+  return { id: rows[0].id, created };
+}
+
+// Find or create a broker by code, filling in a missing name; returns { id, created }.
+// Classification of existing brokers belongs to the registry (broker-registry.js), so the
+// export's broker_type is only used when the broker is first seen.
+async function upsertBroker(client, row, cache) {
+  if (cache.has(row.brokerCode)) return { id: cache.get(row.brokerCode), created: false };
+  let { rows } = await client.query('SELECT id FROM brokers WHERE code = $1', [row.brokerCode]);
+  let created = false;
+  if (rows.length === 0) {
+    const type = row.brokerType === 'foreign' ? 'foreign' : 'domestic';
+    ({ rows } = await client.query(
+      'INSERT INTO brokers (code, name, type, tags) VALUES ($1, $2, $3, $4) RETURNING id',
+      [row.brokerCode, row.brokerName || row.brokerCode, type, type === 'foreign' ? ['foreign'] : []]
+    ));
+    created = true;
+  } else if (row.brokerName) {
+    await client.query('UPDATE brokers SET name = COALESCE(name, $2) WHERE id = $1', [rows[0].id, row.brokerName]);
+  }
+  cache.set(row.brokerCode, rows[0].id);
+  return { id: rows[0].id, created };
+}
+
+// Import broker summary records
+// Options: date/symbol defaults for exports that carry them outside the rows; replaceDays (see above)
+export async function importBrokerSummary(records, { date = null, symbol = null, replaceDays = false } = {}) {
+  const rejected = [];
+  const rows = [];
+  const seen = new Set();
+  
+  records.forEach((raw, idx) => {
+    const { row, error } = normalizeRow(raw, { date, symbol });
+    if (error) {
+      rejected.push({ row: idx + 1, reason: error });
+      return;
+    }
+    const key = `${row.symbol}|${row.brokerCode}|${row.date}`;
+    if (seen.has(key)) {
+      rejected.push({ row: idx + 1, reason: `Duplicate of an earlier row for ${row.symbol}/${row.brokerCode} on ${row.date}` });
+      return;
+    }
+    seen.add(key);
+    rows.push(row);
+  });
+  
+  const stockIds = new Map();
+  const brokerIds = new Map();
+  let stocksCreated = 0;
+  let brokersCreated = 0;
+  let replaced = 0;
+  let deleted = 0;
+  const clearedDays = new Set(); // stockId|date already emptied in this import
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const row of rows) {
+      const stock = await upsertStock(client, row.symbol, stockIds);
+      const broker = await upsertBroker(client, row, brokerIds);
+      if (stock.created) stocksCreated++;
+      if (broker.created) brokersCreated++;
+      
+      // Whole-day replacement clears the stock's stored rows once, before its first row is written
+      const dayKey = `${stock.id}|${row.date}`;
+      if (replaceDays && !clearedDays.has(dayKey)) {
+        const result = await client.query(
+          'DELETE FROM broker_transactions WHERE stock_id = $1 AND DATE(time) = $2::date',
+          [stock.id, row.date]
+        );
+        deleted += result.rowCount;
+        clearedDays.add(dayKey);
+      }
+      
+      // Upsert on the (stock, broker, day) key so re-imports are idempotent; xmax is non-zero
+      // when the row already existed and was updated
+      const { rows: written } = await client.query(`
+        INSERT INTO broker_transactions
+          (stock_id, broker_id, time, buy_volume, buy_value, sell_volume, sell_value, net_volume, net_value)
+        VALUES ($1, $2, $3::date + TIME '16:00', $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (stock_id, broker_id, (DATE(time))) DO UPDATE SET
+          time = EXCLUDED.time,
+          buy_volume = EXCLUDED.buy_volume,
+          buy_value = EXCLUDED.buy_value,
+          sell_volume = EXCLUDED.sell_volume,
+          sell_value = EXCLUDED.sell_value,
+          net_volume = EXCLUDED.net_volume,
+          net_value = EXCLUDED.net_value
+        RETURNING (xmax <> 0) as replaced
+      `, [
+        stock.id, broker.id, row.date,
+        row.buyVolume, row.buyValue, row.sellVolume, row.sellValue,
+        row.buyVolume - row.sellVolume, row.buyValue - row.sellValue
+      ]);
+      if (written[0].replaced) replaced++;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  if (brokersCreated > 0) await loadBrokerRegistry({ force: true });
+  
+  return {
+    received: records.length,
+    imported: rows.length,
+    replaced,
+    deleted,
+    stocksCreated,
+    brokersCreated,
+    rejected
+  };
+}
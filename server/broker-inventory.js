@@ -0,0 +1,281 @@
+// Broker inventory and cost-basis ledger
+// Walks each broker's daily flow in a stock forward from the start of the window:
+//  - lots bought and sold by the same broker on the same day are a day trade, realized at
+//    that day's average sell minus average buy price
+//  - the remaining net lots are added to (at the day's avg buy) or removed from inventory
+//    (at the day's avg sell), with cost relieved by weighted average or FIFO
+// Sells beyond what the broker accumulated inside the window came from inventory we never saw,
+// so they are counted as unmatchedSellLots and carry no realized P&L.
+
+import { pool } from './db.js';
+
+const LOT_SIZE = 100; // Shares per lot
+export const COST_METHODS = ['wavg', 'fifo'];
+
+// Daily per-(broker, stock) flow, ascending by date; symbol and broker are optional filters
+async function getBrokerDailyFlows({ symbol = null, from = null, to = null, broker = null } = {}) {
+  const { rows } = await pool.query(`
+    SELECT
+      TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date,
+      s.symbol,
+      b.code,
+      b.name,
+      b.type,
+      SUM(bt.buy_volume) as buy_lots,
+      SUM(bt.buy_value) as buy_value,
+      SUM(bt.sell_volume) as sell_lots,
+      SUM(bt.sell_value) as sell_value
+    FROM broker_transactions bt
+    JOIN brokers b ON bt.broker_id = b.id
+    JOIN stocks s ON bt.stock_id = s.id
+    WHERE ($1::text IS NULL OR s.symbol = $1)
+      AND ($2::date IS NULL OR DATE(bt.time) >= $2::date)
+      AND ($3::date IS NULL OR DATE(bt.time) <= $3::date)
+      AND ($4::text IS NULL OR b.code = $4)
+    GROUP BY DATE(bt.time), s.symbol, b.code, b.name, b.type
+    ORDER BY DATE(bt.time) ASC, s.symbol ASC, b.code ASC
+  `, [symbol, from, to, broker]);
+
+  return rows.map(r => ({
+    date: r.date,
+    symbol: r.symbol,
+    code: r.code,
+    name: r.name,
+    type: r.type,
+    buyLots: parseInt(r.buy_lots) || 0,
+    buyValue: parseFloat(r.buy_value) || 0,
+    sellLots: parseInt(r.sell_lots) || 0,
+    sellValue: parseFloat(r.sell_value) || 0
+  }));
+}
+
+// Latest close on or before `to` per symbol: daily_prices first, then the last day's broker VWAP.
+// Two queries for any number of symbols; symbols with neither are missing from the map.
+async function getMarkPrices(symbols, to) {
+  const marks = new Map();
+  if (symbols.length === 0) return marks;
+
+  const { rows } = await pool.query(`
+    SELECT DISTINCT ON (symbol) symbol, close, TO_CHAR(date, 'YYYY-MM-DD') as date
+    FROM daily_prices
+    WHERE symbol = ANY($1) AND ($2::date IS NULL OR date <= $2::date)
+    ORDER BY symbol, date DESC
+  `, [symbols, to]);
+  for (const r of rows) marks.set(r.symbol, { price: parseFloat(r.close), date: r.date, source: 'daily_prices' });
+
+  const missing = symbols.filter(symbol => !marks.has(symbol));
+  if (missing.length === 0) return marks;
+  const { rows: vwapRows } = await pool.query(`
+    SELECT DISTINCT ON (symbol) symbol, date, value, lots
+    FROM (
+      SELECT s.symbol, TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date, SUM(bt.buy_value) as value, SUM(bt.buy_volume) as lots
+      FROM broker_transactions bt
+      JOIN stocks s ON bt.stock_id = s.id
+      WHERE s.symbol = ANY($1) AND ($2::date IS NULL OR DATE(bt.time) <= $2::date)
+      GROUP BY s.symbol, DATE(bt.time)
+    ) daily
+    ORDER BY symbol, date DESC
+  `, [missing, to]);
+  for (const r of vwapRows) {
+    const lots = parseInt(r.lots) || 0;
+    if (lots > 0) marks.set(r.symbol, { price: parseFloat(r.value) / (lots * LOT_SIZE), date: r.date, source: 'broker_vwap' });
+  }
+  return marks;
+}
+
+async function getMarkPrice(symbol, to) {
+  return (await getMarkPrices([symbol], to)).get(symbol) ?? null;
+}
+
+function newPosition(flow) {
+  return {
+    code: flow.code,
+    name: flow.name,
+    type: flow.type,
+    lots: 0,
+    costBasis: 0,
+    openLots: [], // FIFO queue of { date, lots, price }
+    openedDate: null,
+    realizedPnL: 0,
+    dayTradePnL: 0,
+    boughtLots: 0,
+    soldLots: 0,
+    unmatchedSellLots: 0,
+    activeDays: 0,
+    lastActiveDate: null
+  };
+}
+
+function addLots(position, date, lots, price) {
+  if (position.lots === 0) position.openedDate = date;
+  position.lots += lots;
+  position.costBasis += lots * LOT_SIZE * price;
+  position.openLots.push({ date, lots, price });
+}
+
+// Remove lots from inventory and return the cost relieved
+function removeLots(position, lots, method) {
+  if (method === 'fifo') {
+    let remaining = lots;
+    let cost = 0;
+    while (remaining > 0 && position.openLots.length > 0) {
+      const lot = position.openLots[0];
+      const take = Math.min(remaining, lot.lots);
+      cost += take * LOT_SIZE * lot.price;
+      lot.lots -= take;
+      remaining -= take;
+      if (lot.lots === 0) position.openLots.shift();
+    }
+    position.lots -= lots;
+    position.costBasis -= cost;
+    if (position.openLots.length > 0) position.openedDate = position.openLots[0].date;
+    return cost;
+  }
+
+  const avgCost = position.costBasis / (position.lots * LOT_SIZE);
+  const cost = lots * LOT_SIZE * avgCost;
+  position.lots -= lots;
+  position.costBasis -= cost;
+  // Keep the FIFO queue's total in step so open-lot dates stay meaningful
+  let remaining = lots;
+  while (remaining > 0 && position.openLots.length > 0) {
+    const lot = position.openLots[0];
+    const take = Math.min(remaining, lot.lots);
+    lot.lots -= take;
+    remaining -= take;
+    if (lot.lots === 0) position.openLots.shift();
+  }
+  return cost;
+}
+
+function applyDay(position, flow, method) {
+  const avgBuy = flow.buyLots > 0 ? flow.buyValue / (flow.buyLots * LOT_SIZE) : 0;
+  const avgSell = flow.sellLots > 0 ? flow.sellValue / (flow.sellLots * LOT_SIZE) : 0;
+
+  position.boughtLots += flow.buyLots;
+  position.soldLots += flow.sellLots;
+  position.activeDays++;
+  position.lastActiveDate = flow.date;
+
+  const dayTradeLots = Math.min(flow.buyLots, flow.sellLots);
+  if (dayTradeLots > 0) {
+    const pnl = dayTradeLots * LOT_SIZE * (avgSell - avgBuy);
+    position.dayTradePnL += pnl;
+    position.realizedPnL += pnl;
+  }
+
+  const netLots = flow.buyLots - flow.sellLots;
+  if (netLots > 0) {
+    addLots(position, flow.date, netLots, avgBuy);
+  } else if (netLots < 0) {
+    const matched = Math.min(-netLots, position.lots);
+    if (matched > 0) {
+      const cost = removeLots(position, matched, method);
+      position.realizedPnL += matched * LOT_SIZE * avgSell - cost;
+    }
+    position.unmatchedSellLots += -netLots - matched;
+    if (position.lots === 0) {
+      position.costBasis = 0;
+      position.openedDate = null;
+    }
+  }
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to) - new Date(from)) / 86400000);
+}
+
+// Walk flows forward into one ledger entry per broker
+export function buildInventoryLedger(flows, { method = 'wavg', markPrice = null, asOf = null } = {}) {
+  const positions = new Map();
+  for (const flow of flows) {
+    if (!positions.has(flow.code)) positions.set(flow.code, newPosition(flow));
+    applyDay(positions.get(flow.code), flow, method);
+  }
+
+  const endDate = asOf || flows[flows.length - 1]?.date;
+  return [...positions.values()].map(p => {
+    const shares = p.lots * LOT_SIZE;
+    const avgCost = shares > 0 ? p.costBasis / shares : 0;
+    const marketValue = markPrice !== null ? shares * markPrice : null;
+    const unrealizedPnL = marketValue !== null ? marketValue - p.costBasis : null;
+
+    return {
+      code: p.code,
+      name: p.name,
+      type: p.type,
+      lots: p.lots,
+      shares,
+      avgCost: Math.round(avgCost * 100) / 100,
+      costBasis: Math.round(p.costBasis),
+      marketValue: marketValue !== null ? Math.round(marketValue) : null,
+      unrealizedPnL: unrealizedPnL !== null ? Math.round(unrealizedPnL) : null,
+      unrealizedPnLPct: unrealizedPnL !== null && p.costBasis > 0 ? Math.round((unrealizedPnL / p.costBasis) * 10000) / 100 : null,
+      realizedPnL: Math.round(p.realizedPnL),
+      dayTradePnL: Math.round(p.dayTradePnL),
+      boughtLots: p.boughtLots,
+      soldLots: p.soldLots,
+      unmatchedSellLots: p.unmatchedSellLots,
+      openedDate: p.openedDate,
+      holdingDays: p.openedDate && endDate ? daysBetween(p.openedDate, endDate) : 0,
+      activeDays: p.activeDays,
+      lastActiveDate: p.lastActiveDate,
+      openLots: method === 'fifo' ? p.openLots.map(l => ({ ...l, price: Math.round(l.price * 100) / 100 })) : undefined
+    };
+  });
+}
+
+// Inventory ledger for a stock plus the aggregate "bandar cost" of the largest holders
+export async function getBrokerInventory(symbol, { from = null, to = null, method = 'wavg', broker = null, top = 10 } = {}) {
+  const [flows, mark] = await Promise.all([
+    getBrokerDailyFlows({ symbol, from, to, broker }),
+    getMarkPrice(symbol, to)
+  ]);
+
+  const asOf = to || flows[flows.length - 1]?.date || null;
+  const ledger = buildInventoryLedger(flows, { method, markPrice: mark?.price ?? null, asOf });
+  const holders = ledger.filter(b => b.lots > 0).sort((a, b) => b.lots - a.lots);
+  const topHolders = holders.slice(0, top);
+
+  const topLots = topHolders.reduce((sum, b) => sum + b.lots, 0);
+  const topCost = topHolders.reduce((sum, b) => sum + b.costBasis, 0);
+  const topAvgCost = topLots > 0 ? topCost / (topLots * LOT_SIZE) : 0;
+
+  return {
+    symbol,
+    method,
+    from: from || flows[0]?.date || null,
+    to: asOf,
+    tradingDays: new Set(flows.map(f => f.date)).size,
+    markPrice: mark,
+    summary: {
+      holders: holders.length,
+      topHolders: topHolders.map(b => b.code),
+      topHoldersLots: topLots,
+      topHoldersAvgCost: Math.round(topAvgCost * 100) / 100,
+      priceVsTopHoldersCostPct: mark && topAvgCost > 0 ? Math.round(((mark.price - topAvgCost) / topAvgCost) * 10000) / 100 : null,
+      realizedPnL: ledger.reduce((sum, b) => sum + b.realizedPnL, 0),
+      unrealizedPnL: mark ? holders.reduce((sum, b) => sum + b.unrealizedPnL, 0) : null
+    },
+    brokers: [...holders, ...ledger.filter(b => b.lots === 0).sort((a, b) => b.realizedPnL - a.realizedPnL)]
+  };
+}
+
+// One broker's open inventory in every stock it traded inside the window, marked at each stock's latest price
+export async function getBrokerHoldings(broker, { from = null, to = null, method = 'wavg' } = {}) {
+  const flows = await getBrokerDailyFlows({ from, to, broker });
+  const bySymbol = new Map();
+  for (const flow of flows) {
+    if (!bySymbol.has(flow.symbol)) bySymbol.set(flow.symbol, []);
+    bySymbol.get(flow.symbol).push(flow);
+  }
+
+  const marks = await getMarkPrices([...bySymbol.keys()], to);
+  const holdings = [];
+  for (const [symbol, symbolFlows] of bySymbol) {
+    const mark = marks.get(symbol);
+    const [entry] = buildInventoryLedger(symbolFlows, { method, markPrice: mark?.price ?? null, asOf: to });
+    holdings.push({ symbol, markPrice: mark?.price ?? null, ...entry });
+  }
+  return holdings.sort((a, b) => b.costBasis - a.costBasis);
+}
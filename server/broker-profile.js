@@ -0,0 +1,174 @@
+// Broker profile: one broker's footprint across every stock
+// Net buy/sell per stock over 1D/1W/1M/1Y windows (same fields as getMultiTimeframeData's broker
+// rows, keyed by symbol instead of broker code), top accumulations, estimated cost basis from the
+// inventory ledger (broker-inventory.js) and a daily net-flow series.
+// Windows are anchored on the broker's latest trading day rather than NOW() so stale data still reads.
+
+import { pool } from './db.js';
+import { getBrokerHoldings } from './broker-inventory.js';
+
+const LOT_SIZE = 100; // Shares per lot
+
+export const PROFILE_WINDOWS = {
+  '1D': { days: 0, label: 'Current Day' },
+  '1W': { days: 7, label: 'Last 7 Days' },
+  '1M': { days: 30, label: 'Last 30 Days' },
+  '1Y': { days: 365, label: 'Last 365 Days' }
+};
+
+const FLOW_SERIES_DAYS = 90;
+const DEFAULT_STOCK_LIMIT = 20;
+const MAX_STOCK_LIMIT = 100;
+
+// Stocks listed per window from a ?limit= value: the default when missing or unparseable, else clamped to 1-100
+export function resolveProfileLimit(value) {
+  return Math.min(Math.max(parseInt(value) || DEFAULT_STOCK_LIMIT, 1), MAX_STOCK_LIMIT);
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+async function getBroker(code) {
+  const { rows } = await pool.query('SELECT id, code, name, type FROM brokers WHERE code = $1', [code]);
+  return rows[0] || null;
+}
+
+// Latest day this broker traded on or before `asOf`
+async function getLatestBrokerDate(brokerId, asOf) {
+  const { rows } = await pool.query(`
+    SELECT TO_CHAR(MAX(DATE(time)), 'YYYY-MM-DD') as date
+    FROM broker_transactions
+    WHERE broker_id = $1 AND ($2::date IS NULL OR DATE(time) <= $2::date)
+  `, [brokerId, asOf]);
+  return rows[0]?.date || null;
+}
+
+// Per-(day, stock) rows for the broker over the longest window
+async function getBrokerStockDays(brokerId, from, to) {
+  const { rows } = await pool.query(`
+    SELECT
+      TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date,
+      s.symbol,
+      SUM(bt.buy_volume) as buy_volume,
+      SUM(bt.buy_value) as buy_value,
+      SUM(bt.sell_volume) as sell_volume,
+      SUM(bt.sell_value) as sell_value
+    FROM broker_transactions bt
+    JOIN stocks s ON bt.stock_id = s.id
+    WHERE bt.broker_id = $1
+      AND DATE(bt.time) >= $2::date
+      AND DATE(bt.time) <= $3::date
+    GROUP BY DATE(bt.time), s.symbol
+    ORDER BY DATE(bt.time) ASC
+  `, [brokerId, from, to]);
+
+  return rows.map(r => ({
+    date: r.date,
+    symbol: r.symbol,
+    buyVolume: parseFloat(r.buy_volume) || 0,
+    buyValue: parseFloat(r.buy_value) || 0,
+    sellVolume: parseFloat(r.sell_volume) || 0,
+    sellValue: parseFloat(r.sell_value) || 0
+  }));
+}
+
+// Sum rows per stock, sorted by absolute net value like getMultiTimeframeData
+function aggregateByStock(rows) {
+  const stocks = new Map();
+  for (const r of rows) {
+    if (!stocks.has(r.symbol)) stocks.set(r.symbol, { symbol: r.symbol, buyVolume: 0, buyValue: 0, sellVolume: 0, sellValue: 0, activeDays: 0 });
+    const s = stocks.get(r.symbol);
+    s.buyVolume += r.buyVolume;
+    s.buyValue += r.buyValue;
+    s.sellVolume += r.sellVolume;
+    s.sellValue += r.sellValue;
+    s.activeDays++;
+  }
+
+  return [...stocks.values()].map(s => ({
+    ...s,
+    avgBuyPrice: s.buyVolume > 0 ? Math.floor(s.buyValue / (s.buyVolume * LOT_SIZE)) : 0,
+    avgSellPrice: s.sellVolume > 0 ? Math.floor(s.sellValue / (s.sellVolume * LOT_SIZE)) : 0,
+    netVolume: s.buyVolume - s.sellVolume,
+    netValue: s.buyValue - s.sellValue
+  })).sort((a, b) => Math.abs(b.netValue) - Math.abs(a.netValue));
+}
+
+// Full profile for a broker code; null when the broker is unknown
+export async function getBrokerProfile(code, { date = null, method = 'wavg', limit = DEFAULT_STOCK_LIMIT } = {}) {
+  const broker = await getBroker(code);
+  if (!broker) return null;
+
+  const asOf = await getLatestBrokerDate(broker.id, date);
+  const base = { code: broker.code, name: broker.name, type: broker.type, asOf, method };
+  if (!asOf) {
+    return { ...base, timeframes: {}, topAccumulations: [], topDistributions: [], holdings: [], dailyFlow: [] };
+  }
+
+  const yearStart = shiftDate(asOf, PROFILE_WINDOWS['1Y'].days);
+  const [rows, holdings] = await Promise.all([
+    getBrokerStockDays(broker.id, yearStart, asOf),
+    getBrokerHoldings(broker.code, { from: yearStart, to: asOf, method })
+  ]);
+
+  const timeframes = Object.fromEntries(Object.entries(PROFILE_WINDOWS).map(([key, { days, label }]) => {
+    const from = days === 0 ? asOf : shiftDate(asOf, days);
+    const stocks = aggregateByStock(rows.filter(r => days === 0 ? r.date === asOf : r.date > from));
+    return [key, {
+      label,
+      from,
+      to: asOf,
+      netValue: stocks.reduce((sum, s) => sum + s.netValue, 0),
+      stockCount: stocks.length,
+      stocks: stocks.slice(0, limit)
+    }];
+  }));
+
+  const holdingBySymbol = new Map(holdings.map(h => [h.symbol, h]));
+  const withCost = s => {
+    const h = holdingBySymbol.get(s.symbol);
+    return {
+      ...s,
+      inventoryLots: h?.lots ?? 0,
+      avgCost: h?.lots > 0 ? h.avgCost : null,
+      unrealizedPnLPct: h?.lots > 0 ? h.unrealizedPnLPct : null
+    };
+  };
+  const month = aggregateByStock(rows.filter(r => r.date > shiftDate(asOf, PROFILE_WINDOWS['1M'].days)));
+
+  const seriesFrom = shiftDate(asOf, FLOW_SERIES_DAYS);
+  const daily = new Map();
+  for (const r of rows) {
+    if (r.date <= seriesFrom) continue;
+    if (!daily.has(r.date)) daily.set(r.date, { date: r.date, buyValue: 0, sellValue: 0, netValue: 0, stocks: 0 });
+    const d = daily.get(r.date);
+    d.buyValue += r.buyValue;
+    d.sellValue += r.sellValue;
+    d.netValue += r.buyValue - r.sellValue;
+    d.stocks++;
+  }
+
+  return {
+    ...base,
+    timeframes,
+    topAccumulations: month.filter(s => s.netValue > 0).slice(0, 10).map(withCost),
+    topDistributions: month.filter(s => s.netValue < 0).slice(0, 10).map(withCost),
+    holdings: holdings.filter(h => h.lots > 0).slice(0, limit).map(h => ({
+      symbol: h.symbol,
+      lots: h.lots,
+      avgCost: h.avgCost,
+      costBasis: h.costBasis,
+      markPrice: h.markPrice,
+      marketValue: h.marketValue,
+      unrealizedPnL: h.unrealizedPnL,
+      unrealizedPnLPct: h.unrealizedPnLPct,
+      realizedPnL: h.realizedPnL,
+      openedDate: h.openedDate,
+      holdingDays: h.holdingDays
+    })),
+    dailyFlow: [...daily.values()]
+  };
+}
@@ -0,0 +1,99 @@
+import {
+  loadBrokerRegistry,
+  getRegisteredBroker,
+  listRegisteredBrokers,
+  validateBrokerInput,
+  createBroker,
+  updateBroker,
+  deleteBroker,
+  BROKER_TAGS
+} from './broker-registry.js';
+
+// Admin routes require the X-Admin-Token header to match ADMIN_TOKEN; disabled when it is unset
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({ status: 'error', message: 'Admin routes are disabled (ADMIN_TOKEN not set)' });
+  }
+  if (req.get('x-admin-token') !== token) {
+    return res.status(401).json({ status: 'error', message: 'Invalid admin token' });
+  }
+  next();
+}
+
+export function setupBrokerRegistryRoutes(app) {
+  // List the registry; query: tag, group
+  app.get('/api/admin/brokers', requireAdmin, async (req, res) => {
+    try {
+      const { tag = null, group = null } = req.query;
+      if (tag && !BROKER_TAGS.includes(tag)) {
+        return res.status(400).json({ status: 'error', message: `Invalid tag (${BROKER_TAGS.join('|')})` });
+      }
+      await loadBrokerRegistry({ force: true });
+      res.json({ status: 'success', tags: BROKER_TAGS, data: listRegisteredBrokers({ tag, group }) });
+    } catch (error) {
+      console.error('Broker Registry Error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  app.get('/api/admin/brokers/:code', requireAdmin, async (req, res) => {
+    await loadBrokerRegistry();
+    const broker = getRegisteredBroker(req.params.code.toUpperCase());
+    if (!broker) {
+      return res.status(404).json({ status: 'error', message: `Broker ${req.params.code} not found` });
+    }
+    res.json({ status: 'success', data: broker });
+  });
+
+  // Body: { code, name?, tags?, affiliateGroup? }
+  app.post('/api/admin/brokers', requireAdmin, async (req, res) => {
+    try {
+      const { broker, error } = validateBrokerInput(req.body, { requireCode: true });
+      if (error) return res.status(400).json({ status: 'error', message: error });
+
+      const created = await createBroker(broker);
+      if (!created) {
+        return res.status(409).json({ status: 'error', message: `Broker ${broker.code} already exists` });
+      }
+      res.status(201).json({ status: 'success', data: created });
+    } catch (error) {
+      console.error('Broker Registry Error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  // Body: any of { name, tags, affiliateGroup }; omitted fields are left unchanged
+  app.put('/api/admin/brokers/:code', requireAdmin, async (req, res) => {
+    try {
+      const { broker, error } = validateBrokerInput(req.body);
+      if (error) return res.status(400).json({ status: 'error', message: error });
+      const code = req.params.code.toUpperCase();
+      if (broker.code && broker.code !== code) {
+        return res.status(400).json({ status: 'error', message: 'Broker code cannot be changed' });
+      }
+
+      const updated = await updateBroker(code, broker);
+      if (!updated) {
+        return res.status(404).json({ status: 'error', message: `Broker ${code} not found` });
+      }
+      res.json({ status: 'success', data: updated });
+    } catch (error) {
+      console.error('Broker Registry Error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+
+  app.delete('/api/admin/brokers/:code', requireAdmin, async (req, res) => {
+    try {
+      const result = await deleteBroker(req.params.code.toUpperCase());
+      if (result.error) {
+        return res.status(result.status).json({ status: 'error', message: result.error });
+      }
+      res.json({ status: 'success', data: result });
+    } catch (error) {
+      console.error('Broker Registry Error:', error);
+      res.status(500).json({ status: 'error', message: error.message });
+    }
+  });
+}
@@ -0,0 +1,140 @@
+// Broker registry
+// Single source of broker classification: the brokers table (type, tags, affiliate_group; see
+// migrations/005_broker_registry). Indicator and scoring code is synchronous, so the table is cached
+// in memory: loadBrokerRegistry() refreshes it (at startup, when older than REFRESH_MS, and after
+// every admin write) and the lookups below read the cache.
+
+import { pool } from './db.js';
+
+export const BROKER_TAGS = ['foreign', 'institutional', 'retail', 'big-dog', 'bandar'];
+
+const REFRESH_MS = 5 * 60 * 1000;
+
+let registry = new Map();
+let loadedAt = 0;
+
+function toEntry(row) {
+  return {
+    code: row.code,
+    name: row.name,
+    type: row.type,
+    tags: row.tags || [],
+    affiliateGroup: row.affiliate_group,
+    updatedAt: row.updated_at
+  };
+}
+
+// Reload the cache from the database unless it is fresh; keeps the previous cache on error
+export async function loadBrokerRegistry({ force = false } = {}) {
+  if (!force && Date.now() - loadedAt < REFRESH_MS) return registry;
+  try {
+    const { rows } = await pool.query('SELECT code, name, type, tags, affiliate_group, updated_at FROM brokers ORDER BY code');
+    registry = new Map(rows.map(r => [r.code, toEntry(r)]));
+    loadedAt = Date.now();
+  } catch (error) {
+    console.error('Error loading broker registry:', error.message);
+  }
+  return registry;
+}
+
+export function getRegisteredBroker(code) {
+  return registry.get(code) || null;
+}
+
+export function brokerHasTag(code, tag) {
+  return registry.get(code)?.tags.includes(tag) || false;
+}
+
+export function listRegisteredBrokers({ tag = null, group = null } = {}) {
+  return [...registry.values()].filter(b =>
+    (!tag || b.tags.includes(tag)) && (!group || b.affiliateGroup === group)
+  );
+}
+
+// Validate an admin create/update body; returns { broker } or { error }.
+// Only fields present in the body are returned, so updates are partial.
+export function validateBrokerInput(body, { requireCode = false } = {}) {
+  const broker = {};
+  if (!body || typeof body !== 'object') return { error: 'Body must be a JSON object' };
+
+  if (requireCode || body.code !== undefined) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{2}$/.test(code)) return { error: `Invalid broker code: ${body.code || '(empty)'}` };
+    broker.code = code;
+  }
+  if (body.name !== undefined) {
+    if (body.name !== null && typeof body.name !== 'string') return { error: 'name must be a string' };
+    broker.name = body.name?.trim() || null;
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags)) return { error: 'tags must be an array' };
+    const unknown = body.tags.filter(t => !BROKER_TAGS.includes(t));
+    if (unknown.length > 0) return { error: `Unknown tags: ${unknown.join(', ')} (${BROKER_TAGS.join('|')})` };
+    broker.tags = [...new Set(body.tags)];
+  }
+  if (body.affiliateGroup !== undefined) {
+    if (body.affiliateGroup !== null && (typeof body.affiliateGroup !== 'string' || body.affiliateGroup.length > 50)) {
+      return { error: 'affiliateGroup must be a string of at most 50 characters' };
+    }
+    broker.affiliateGroup = body.affiliateGroup?.trim() || null;
+  }
+  return { broker };
+}
+
+// type mirrors the foreign tag for older readers; queries classify with 'foreign' = ANY(b.tags)
+const typeForTags = tags => tags.includes('foreign') ? 'foreign' : 'domestic';
+
+// Create a broker; returns null when the code already exists
+export async function createBroker({ code, name = null, tags = [], affiliateGroup = null }) {
+  const { rows } = await pool.query(`
+    INSERT INTO brokers (code, name, type, tags, affiliate_group)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (code) DO NOTHING
+    RETURNING code, name, type, tags, affiliate_group, updated_at
+  `, [code, name, typeForTags(tags), tags, affiliateGroup]);
+  await loadBrokerRegistry({ force: true });
+  return rows[0] ? toEntry(rows[0]) : null;
+}
+
+// Update name/tags/affiliate group; returns null when the broker does not exist
+export async function updateBroker(code, changes) {
+  const { rows: existing } = await pool.query('SELECT name, tags, affiliate_group FROM brokers WHERE code = $1', [code]);
+  if (existing.length === 0) return null;
+
+  const current = existing[0];
+  const tags = changes.tags ?? current.tags;
+  const { rows } = await pool.query(`
+    UPDATE brokers
+    SET name = $2, type = $3, tags = $4, affiliate_group = $5, updated_at = NOW()
+    WHERE code = $1
+    RETURNING code, name, type, tags, affiliate_group, updated_at
+  `, [
+    code,
+    changes.name !== undefined ? changes.name : current.name,
+    typeForTags(tags),
+    tags,
+    changes.affiliateGroup !== undefined ? changes.affiliateGroup : current.affiliate_group
+  ]);
+  await loadBrokerRegistry({ force: true });
+  return toEntry(rows[0]);
+}
+
+// Delete a broker with no transactions (deleting would cascade to its history).
+// Returns { deleted } or { error, status }.
+export async function deleteBroker(code) {
+  const { rows } = await pool.query(`
+    SELECT b.id, COUNT(bt.id) as transactions
+    FROM brokers b
+    LEFT JOIN broker_transactions bt ON bt.broker_id = b.id
+    WHERE b.code = $1
+    GROUP BY b.id
+  `, [code]);
+  if (rows.length === 0) return { error: `Broker ${code} not found`, status: 404 };
+  if (parseInt(rows[0].transactions) > 0) {
+    return { error: `Broker ${code} has ${rows[0].transactions} transaction rows; clear its tags instead`, status: 409 };
+  }
+
+  await pool.query('DELETE FROM brokers WHERE id = $1', [rows[0].id]);
+  await loadBrokerRegistry({ force: true });
+  return { deleted: code };
+}
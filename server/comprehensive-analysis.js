@@ -1,7 +1,14 @@
 // Enhanced Comprehensive Analysis Generator v2.0
 // With macro thesis, fundamentals, and detailed executive summary
+// fundamentals: getCompanyFundamentals() result (fundamentals.js); null when unavailable
 
-export function generateComprehensiveAnalysis(symbol, price, indicators, brokerSummary) {
+import { brokerHasTag } from './broker-registry.js';
+import { UNCLASSIFIED_SECTOR } from './stock-sectors.js';
+
+// Legacy float size for the broker-accumulation ratio when no market cap is on file
+const DEFAULT_FLOAT_VALUE = 1000000000000;
+
+export function generateComprehensiveAnalysis(symbol, price, indicators, brokerSummary, fundamentals = null) {
   const analysis = {
     summary: '',
     macroThesis: '',
@@ -10,7 +17,7 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   };
   
   const currentPrice = price.close || 0;
-  const { foreignFlow, volumeAnalysis, sidData, timeframes } = indicators;
+  const { foreignFlow, volumeAnalysis, sidData, timeframes, liquidity } = indicators;
   
   // Calculate metrics
   const foreignNetBillions = (foreignFlow.netValue || 0) / 1000000000;
@@ -20,19 +27,19 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   const priceChange = price.change_pct || 0;
   
   // SECTOR AND COMPANY INFO
-  const sectorInfo = getSectorInfo(symbol);
+  const company = fundamentals || { sector: UNCLASSIFIED_SECTOR, sectorMedian: null };
   
   // === ENHANCED EXECUTIVE SUMMARY ===
   let summaryParts = [];
-  summaryParts.push(symbol + ' (' + sectorInfo.sector + ') trading at Rp ' + Math.floor(currentPrice).toLocaleString());
+  summaryParts.push(symbol + ' (' + company.sector + ') trading at Rp ' + Math.floor(currentPrice).toLocaleString());
   
   // Foreign flow context
-  if (Math.abs(foreignNetBillions) > 1) {
+  if (Math.abs(foreignFlow.netValue || 0) > liquidity.thresholds.notableForeignValue) {
     summaryParts.push('Foreign ' + (foreignNetBillions > 0 ? 'net buying' : 'net selling') + ' ' + Math.abs(foreignNetBillions).toFixed(1) + 'B IDR');
   }
   
   // Broker activity
-  if (Math.abs(top3Net) > 50000000000) {
+  if (Math.abs(top3Net) > liquidity.thresholds.top3NetValue) {
     const action = top3Net > 0 ? 'accumulating' : 'distributing';
     summaryParts.push('Top 3 brokers ' + action + ' ' + Math.abs(top3Net/1000000000).toFixed(1) + 'B');
   }
@@ -62,14 +69,14 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   analysis.summary = summaryParts.join('. ') + '.';
   
   // === MACRO THESIS ===
-  analysis.macroThesis = generateMacroThesis(symbol, sectorInfo, foreignFlow, priceChange);
+  analysis.macroThesis = generateMacroThesis(symbol, company, foreignFlow, priceChange, liquidity.thresholds);
   
   // === FUNDAMENTALS SECTION ===
-  const fundamentals = {
+  const fundamentalsSection = {
     title: '📈 FUNDAMENTAL SNAPSHOT',
-    content: generateFundamentals(symbol, sectorInfo)
+    content: generateFundamentals(symbol, company)
   };
-  analysis.sections.push(fundamentals);
+  analysis.sections.push(fundamentalsSection);
   
   // === BROKER CONCENTRATION ===
   const section1 = {
@@ -95,8 +102,13 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   
   // Free float analysis
   const totalNetValue = brokerSummary.reduce((sum, b) => sum + Math.abs(b.netValue || 0), 0);
-  const floatCapture = sectorInfo.marketCap > 0 ? (totalNetValue / sectorInfo.marketCap * 100) : 0;
-  section1.content.push('• Estimated float capture: ' + floatCapture.toFixed(2) + '%');
+  const floatValue = company.freeFloatMarketCap || company.marketCap;
+  if (floatValue > 0) {
+    const floatCapture = totalNetValue / floatValue * 100;
+    section1.content.push('• Estimated float capture: ' + floatCapture.toFixed(2) + '% of ' + (company.freeFloatMarketCap ? 'free float' : 'market cap'));
+  } else {
+    section1.content.push('• Estimated float capture: n/a (no market cap on file)');
+  }
   
   analysis.sections.push(section1);
   
@@ -130,7 +142,7 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   section3.content.push('• Foreign buying via: ' + (foreignFlow.buyBrokers?.join(', ') || 'None'));
   section3.content.push('• Foreign selling via: ' + (foreignFlow.sellBrokers?.join(', ') || 'None'));
   
-  if (Math.abs(foreignNetBillions) > 1) {
+  if (Math.abs(foreignFlow.netValue || 0) > liquidity.thresholds.notableForeignValue) {
     section3.content.push((foreignNetBillions > 0 ? 'Strong foreign conviction' : 'Significant foreign exodus'));
   }
   
@@ -143,6 +155,9 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   };
   
   section4.content.push('• Todays volume: ' + ((volumeAnalysis.totalVolume || 0) / 1000000).toFixed(1) + 'M shares');
+  if (volumeAnalysis.washVolume > 0) {
+    section4.content.push('• Excluded wash/cross volume: ' + (volumeAnalysis.washVolume / 1000000).toFixed(1) + 'M shares (' + indicators.washTrades.washSharePct + '% of raw)');
+  }
   section4.content.push('• 20-day average: ' + ((volumeAnalysis.averageVolume || 0) / 1000000).toFixed(1) + 'M shares');
   section4.content.push('• Volume ratio: ' + volRatio.toFixed(1) + 'x average');
   section4.content.push('• Price change (today): ' + (priceChange > 0 ? '+' : '') + priceChange.toFixed(2) + '%');
@@ -163,17 +178,18 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
     content: []
   };
   
-  const sidChange = sidData.change || 0;
-  const sidCount = sidData.count || 0;
-  const sidChangePct = sidCount > 0 ? ((sidChange / (sidCount - sidChange)) * 100) : 0;
-  
-  section5.content.push('• SID holders: ' + sidCount.toLocaleString());
-  section5.content.push('• Change: ' + (sidChange > 0 ? '+' : '') + sidChange + ' (' + sidChangePct.toFixed(1) + '%)');
-  
-  if (sidChange > 50) {
-    section5.content.push('RETAIL FOMO: SID surge often precedes correction - be cautious');
-  } else if (sidChange < -30) {
-    section5.content.push('WEAK HANDS EXITING: Retail selling, institutions accumulating');
+  if (sidData?.available) {
+    section5.content.push('• SID holders: ' + sidData.count.toLocaleString() + ' (' + sidData.period + ' report ' + sidData.reportDate + ')');
+    section5.content.push('• Change since ' + sidData.previousDate + ': ' + (sidData.change > 0 ? '+' : '') + sidData.change.toLocaleString() + ' (' + (sidData.changePct ?? 0).toFixed(1) + '%)');
+    
+    // Relative thresholds: holder counts range from hundreds to hundreds of thousands
+    if (sidData.changePct > 5) {
+      section5.content.push('RETAIL FOMO: SID surge often precedes correction - be cautious');
+    } else if (sidData.changePct < -3) {
+      section5.content.push('WEAK HANDS EXITING: Retail selling, institutions accumulating');
+    }
+  } else {
+    section5.content.push('• SID data unavailable: ' + (sidData?.description || 'No SID reports on file'));
   }
   
   analysis.sections.push(section5);
@@ -184,8 +200,7 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
     content: []
   };
   
-  const BIG_DOGS = ['YU', 'CC', 'NI', 'GW', 'SQ', 'OD', 'BK', 'AK'];
-  const bigDogActivity = brokerSummary.filter(b => BIG_DOGS.includes(b.code));
+  const bigDogActivity = brokerSummary.filter(b => brokerHasTag(b.code, 'big-dog'));
   
   if (bigDogActivity.length > 0) {
     for (const b of bigDogActivity.slice(0, 5)) {
@@ -256,80 +271,92 @@ export function generateComprehensiveAnalysis(symbol, price, indicators, brokerS
   analysis.sections.push(section7);
   
   // Add bandarmology analysis
-  analysis.bandarmology = generateBandarmologyAnalysis(symbol, price, indicators, brokerSummary);
+  analysis.bandarmology = generateBandarmologyAnalysis(symbol, price, indicators, brokerSummary, company);
   
   analysis.redFlags = analyzeRedFlags(symbol, price, indicators, brokerSummary);
   return analysis;
 }
 
-function getSectorInfo(symbol) {
-  const sectors = {
-    'BBCA': { sector: 'Banking', marketCap: 850000000000000, pe: 18.5, roe: 18.2 },
-    'BBRI': { sector: 'Banking', marketCap: 620000000000000, pe: 16.8, roe: 19.5 },
-    'TLKM': { sector: 'Telecom', marketCap: 280000000000000, pe: 14.2, roe: 22.1 },
-    'ASII': { sector: 'Automotive', marketCap: 240000000000000, pe: 12.5, roe: 15.8 },
-    'INKP': { sector: 'Paper/Packaging', marketCap: 45000000000000, pe: 8.5, roe: 12.3 },
-    'AMMN': { sector: 'Mining', marketCap: 180000000000000, pe: 22.4, roe: 25.6 },
-    'ADRO': { sector: 'Coal/Energy', marketCap: 120000000000000, pe: 6.8, roe: 28.4 },
-    'ANTM': { sector: 'Mining', marketCap: 85000000000000, pe: 15.2, roe: 18.9 },
-    'BMRI': { sector: 'Banking', marketCap: 380000000000000, pe: 15.8, roe: 17.2 },
-    'UNVR': { sector: 'Consumer', marketCap: 95000000000000, pe: 24.5, roe: 45.2 }
-  };
-  
-  return sectors[symbol] || { sector: 'General', marketCap: 50000000000000, pe: 15.0, roe: 15.0 };
-}
-
-function generateMacroThesis(symbol, sectorInfo, foreignFlow, priceChange) {
+function generateMacroThesis(symbol, company, foreignFlow, priceChange, thresholds) {
+  // Keyed by subsector first, then sector (IDX-IC names, see migrations/006_stock_sectors)
   const themes = {
-    'Banking': 'Interest rate cycle favorable. Digital transformation improving efficiency. Strong credit growth expected in 2025.',
-    'Mining': 'Global commodity demand recovery. ESG transition creating winners/losers. Supply constraints supporting prices.',
-    'Coal/Energy': 'Energy security priority post-crisis. Transition timeline extended. Cash flow generation strong for dividends.',
-    'Telecom': '5G rollout accelerating. Data center/cloud infrastructure investments paying off. Digital economy tailwinds.',
-    'Automotive': 'Post-pandemic recovery ongoing. EV transition creating opportunities. Government incentives supporting sales.',
-    'Consumer': 'Middle class consumption resilient. Premiumization trend benefiting leaders. Distribution scale advantage.',
-    'Paper/Packaging': 'E-commerce growth driving packaging demand. Sustainability focus on recyclable materials. Regional expansion.'
+    'Banks': 'Interest rate cycle favorable. Digital transformation improving efficiency. Strong credit growth expected in 2025.',
+    'Metals & Minerals': 'Global commodity demand recovery. ESG transition creating winners/losers. Supply constraints supporting prices.',
+    'Coal': 'Energy security priority post-crisis. Transition timeline extended. Cash flow generation strong for dividends.',
+    'Energy': 'Energy security priority post-crisis. Transition timeline extended. Cash flow generation strong for dividends.',
+    'Telecommunication': '5G rollout accelerating. Data center/cloud infrastructure investments paying off. Digital economy tailwinds.',
+    'Industrials': 'Post-pandemic recovery ongoing. EV transition creating opportunities. Government incentives supporting sales.',
+    'Consumer Non-Cyclicals': 'Middle class consumption resilient. Premiumization trend benefiting leaders. Distribution scale advantage.',
+    'Paper & Packaging': 'E-commerce growth driving packaging demand. Sustainability focus on recyclable materials. Regional expansion.'
   };
   
-  const foreignComment = foreignFlow.netValue > 1000000000 ? 'Foreign accumulation suggests confidence in sector outlook. ' : 
-                        foreignFlow.netValue < -1000000000 ? 'Foreign exit may present contrarian entry opportunity. ' : '';
+  const foreignComment = foreignFlow.netValue > thresholds.notableForeignValue ? 'Foreign accumulation suggests confidence in sector outlook. ' : 
+                        foreignFlow.netValue < -thresholds.notableForeignValue ? 'Foreign exit may present contrarian entry opportunity. ' : '';
   
   const momentumComment = priceChange > 5 ? 'Recent momentum strong - watch for continuation. ' : 
                          priceChange < -5 ? 'Pullback may offer entry if fundamentals intact. ' : '';
   
-  return (themes[sectorInfo.sector] || sectorInfo.sector + ' sector showing mixed signals. ') + foreignComment + momentumComment;
+  const median = company.sectorMedian;
+  const valuationComment = company.pe > 0 && median?.pe ? 
+    (company.pe < median.pe * 0.8 ? 'Valued below ' + company.sector + ' peers. ' : company.pe > median.pe * 1.3 ? 'Priced at a premium to ' + company.sector + ' peers. ' : '') : '';
+  
+  const theme = themes[company.subsector] || themes[company.sector];
+  return (theme ? theme + ' ' : company.sector + ' sector showing mixed signals. ') + valuationComment + foreignComment + momentumComment;
 }
 
-function generateFundamentals(symbol, sectorInfo) {
+function generateFundamentals(symbol, company) {
   const lines = [];
-  lines.push('• Sector: ' + sectorInfo.sector);
-  lines.push('• Market Cap: Rp ' + (sectorInfo.marketCap / 1000000000000).toFixed(1) + 'T');
-  lines.push('• P/E Ratio: ' + sectorInfo.pe + 'x (Sector avg: ~15x)');
-  lines.push('• ROE: ' + sectorInfo.roe + '% (Strong capital efficiency)');
-  
-  if (sectorInfo.pe < 12) {
-    lines.push('ATTRACTIVE VALUATION: P/E below sector average');
-  } else if (sectorInfo.pe > 20) {
+  const median = company.sectorMedian;
+  const vsMedian = (value, key, suffix) => median?.[key] !== null && median?.[key] !== undefined
+    ? ' (sector median ' + median[key].toFixed(1) + suffix + ', ' + median.peers + ' peers)'
+    : '';
+  
+  lines.push('• Sector: ' + company.sector + (company.subsector ? ' / ' + company.subsector : ''));
+  if (!company.asOf) {
+    lines.push('• No fundamentals on file - load with npm run ingest:fundamentals');
+    return lines;
+  }
+  
+  if (company.marketCap) {
+    lines.push('• Market Cap: Rp ' + (company.marketCap / 1000000000000).toFixed(1) + 'T' + (company.marketCapDerived ? ' (shares x price)' : ''));
+  }
+  if (company.freeFloatPct !== null) {
+    lines.push('• Free float: ' + company.freeFloatPct.toFixed(1) + '%' + (company.freeFloatMarketCap ? ' (Rp ' + (company.freeFloatMarketCap / 1000000000000).toFixed(1) + 'T)' : ''));
+  }
+  if (company.pe !== null) lines.push('• P/E Ratio: ' + company.pe.toFixed(1) + 'x' + vsMedian(company.pe, 'pe', 'x'));
+  if (company.pbv !== null) lines.push('• PBV: ' + company.pbv.toFixed(2) + 'x' + vsMedian(company.pbv, 'pbv', 'x'));
+  if (company.roe !== null) lines.push('• ROE: ' + company.roe.toFixed(1) + '%' + vsMedian(company.roe, 'roe', '%'));
+  if (company.dividendYield !== null) lines.push('• Dividend yield: ' + company.dividendYield.toFixed(1) + '%');
+  lines.push('• Data as of ' + company.asOf + (company.source ? ' (' + company.source + ')' : ''));
+  
+  // Valuation relative to sector peers when there are any, else absolute P/E bands
+  const peerPE = median?.pe;
+  if (company.pe > 0 && (peerPE ? company.pe < peerPE * 0.8 : company.pe < 12)) {
+    lines.push('ATTRACTIVE VALUATION: P/E below ' + (peerPE ? 'sector median' : '12x'));
+  } else if (company.pe > 0 && (peerPE ? company.pe > peerPE * 1.3 : company.pe > 20)) {
     lines.push('PREMIUM VALUATION: High P/E requires strong growth');
   }
   
-  if (sectorInfo.roe > 20) {
+  if (company.roe > 20) {
     lines.push('EXCELLENT ROE: Above 20% capital efficiency');
   }
   
   return lines;
 }
 
-function generateBandarmologyAnalysis(symbol, price, indicators, brokerSummary) {
+function generateBandarmologyAnalysis(symbol, price, indicators, brokerSummary, company = {}) {
   const analysis = {
     priceVsCost: { status: 'NEUTRAL', detail: '', premium: 0 },
     brokerAccumulation: { status: 'NEUTRAL', detail: '', accumulationPct: 0 },
     stillHolding: { status: 'UNKNOWN', detail: '' },
-    accumulationDuration: { status: 'NEUTRAL', detail: '' }
+    accumulationDuration: { status: 'NEUTRAL', detail: '' },
+    marketPhase: { status: 'UNKNOWN', detail: '', since: null, confidence: 0 }
   };
   
   const top3Brokers = brokerSummary.slice(0, 3);
   const top3Net = top3Brokers.reduce((sum, b) => sum + (b.netValue || 0), 0);
-  const floatSize = 1000000000000;
+  const disclosedFloatValue = indicators.ownership?.freeFloatShares * (price.close || 0);
+  const floatSize = disclosedFloatValue || company.freeFloatMarketCap || company.marketCap || DEFAULT_FLOAT_VALUE;
   const accumulationPct = (Math.abs(top3Net) / floatSize * 100);
   
   if (accumulationPct > 10) {
@@ -385,6 +412,19 @@ function generateBandarmologyAnalysis(symbol, price, indicators, brokerSummary)
     }
   }
   
+  const phase = indicators.marketPhase;
+  if (phase && phase.phase !== 'UNKNOWN') {
+    analysis.marketPhase = {
+      status: phase.phase,
+      detail: phase.description,
+      since: phase.since,
+      days: phase.days,
+      confidence: phase.confidence
+    };
+  } else if (phase) {
+    analysis.marketPhase.detail = phase.description;
+  }
+  
   analysis.redFlags = analyzeRedFlags(symbol, price, indicators, brokerSummary);
   return analysis;
 }
@@ -459,7 +499,23 @@ function analyzeRedFlags(symbol, price, indicators, brokerSummary) {
       });
     }
   }
-  
+
+  // 6. Wash / cross trading painting volume
+  const washTrades = indicators.washTrades;
+  if (washTrades?.detected) {
+    const parties = [
+      ...washTrades.selfCrosses.map(s => s.code),
+      ...washTrades.crossPairs.map(p => p.brokers.join('<->'))
+    ];
+    redFlags.push({
+      type: 'WASH_TRADING',
+      severity: washTrades.severity === 'HIGH' ? 'HIGH' : 'MEDIUM',
+      title: 'Wash / Cross Trading',
+      description: washTrades.washSharePct + '% of volume (Rp ' + (washTrades.washValue/1e9).toFixed(1) + 'B) matched between ' + parties.join(', ') + ' with no net change in ownership.',
+      implication: 'Volume is painted - discount volume-based signals'
+    });
+  }
+
   return {
     hasRedFlags: redFlags.length > 0,
     count: redFlags.length,
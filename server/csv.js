@@ -0,0 +1,92 @@
+// Minimal CSV reader for data imports (quoted fields, CRLF, header row)
+
+// Parse CSV text into objects keyed by normalized header (lowercase, snake_case)
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+  
+  const headers = nonEmpty[0].map(h => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  return nonEmpty.slice(1).map(values => {
+    const record = {};
+    headers.forEach((h, idx) => { record[h] = (values[idx] ?? '').trim(); });
+    return record;
+  });
+}
+
+// Parse a well-formed number; null for anything else ("12abc", "1.2.3").
+// Thousands separators are accepted as commas ("1,234,500", "1,234.5") or, IDX-export style, as
+// dots with an optional decimal comma ("1.234.500", "1.234,5"). A lone dot is always a decimal point.
+const PLAIN_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+const COMMA_GROUPED = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const DOT_GROUPED = /^[-+]?\d{1,3}(\.\d{3})+(,\d+)?$/;
+
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const str = String(value).trim();
+  let normalized = null;
+  if (PLAIN_NUMBER.test(str)) normalized = str;
+  else if (COMMA_GROUPED.test(str)) normalized = str.replace(/,/g, '');
+  else if (DOT_GROUPED.test(str) && (str.match(/\./g).length > 1 || str.includes(','))) {
+    normalized = str.replace(/\./g, '').replace(',', '.');
+  }
+  if (normalized === null) return null;
+  const n = Number(normalized);
+  return Number.isFinite(n) ? n : null;
+}
+
+// YYYY-MM-DD when year/month/day name a real calendar day
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Normalize a date to YYYY-MM-DD (accepts ISO strings and DD/MM/YYYY); null for impossible dates
+export function toISODate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return calendarDate(iso[1], iso[2], iso[3]);
+  const dmy = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dmy) return calendarDate(dmy[3], dmy[2], dmy[1]);
+  return null;
+}
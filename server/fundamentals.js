@@ -0,0 +1,237 @@
+// Company fundamentals (company_fundamentals table, see migrations/007_company_fundamentals)
+// Sector, share count, free float and valuation ratios per symbol and as-of date, loaded from
+// GoAPI company profiles or CSV exports. A row's sector also updates stocks.sector so market
+// flow aggregation (market-flows.js) follows the same classification.
+
+import { pool } from './db.js';
+import { getCompanyProfile } from './goapi.js';
+import { getDailyPrices } from './price-history.js';
+import { parseCSV, toNumber, toISODate } from './csv.js';
+import { UNCLASSIFIED_SECTOR } from './stock-sectors.js';
+
+// Accepted field aliases, checked after keys are normalized to snake_case
+const FIELDS = {
+  symbol: ['symbol', 'ticker', 'stock_code'],
+  asOf: ['as_of', 'asof', 'date', 'period'],
+  sector: ['sector'],
+  subsector: ['subsector', 'sub_sector', 'industry'],
+  sharesOutstanding: ['shares_outstanding', 'listed_shares', 'shares'],
+  freeFloatPct: ['free_float_pct', 'free_float'],
+  marketCap: ['market_cap', 'marketcap', 'market_capitalization'],
+  pe: ['pe', 'per', 'pe_ratio'],
+  pbv: ['pbv', 'pb', 'price_to_book'],
+  roe: ['roe'],
+  dividendYield: ['dividend_yield', 'div_yield', 'yield']
+};
+
+const snakeCase = key => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+function pick(raw, names) {
+  for (const name of names) {
+    if (raw[name] !== undefined && raw[name] !== null && raw[name] !== '') return raw[name];
+  }
+  return null;
+}
+
+const median = values => {
+  const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Validate and normalize one record (CSV row or API profile); returns { row } or { error }
+export function normalizeFundamentals(raw, defaults = {}) {
+  const record = Object.fromEntries(Object.entries(raw || {}).map(([k, v]) => [snakeCase(k), v]));
+  const symbol = String(pick(record, FIELDS.symbol) || defaults.symbol || '').trim().toUpperCase();
+  const asOf = toISODate(pick(record, FIELDS.asOf) || defaults.asOf);
+  const numbers = {};
+  for (const field of ['sharesOutstanding', 'freeFloatPct', 'marketCap', 'pe', 'pbv', 'roe', 'dividendYield']) {
+    numbers[field] = toNumber(pick(record, FIELDS[field]));
+  }
+
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!asOf) return { error: 'Missing or invalid as-of date' };
+  if (numbers.sharesOutstanding !== null && numbers.sharesOutstanding <= 0) return { error: 'Invalid shares outstanding' };
+  if (numbers.freeFloatPct !== null && (numbers.freeFloatPct < 0 || numbers.freeFloatPct > 100)) {
+    return { error: `Invalid free float: ${numbers.freeFloatPct} (expected a percentage)` };
+  }
+  if (numbers.marketCap !== null && numbers.marketCap <= 0) return { error: 'Invalid market cap' };
+
+  const sector = String(pick(record, FIELDS.sector) || '').trim() || null;
+  const subsector = String(pick(record, FIELDS.subsector) || '').trim() || null;
+  if (!sector && Object.values(numbers).every(v => v === null)) return { error: 'No fundamentals in row' };
+
+  return {
+    row: {
+      symbol,
+      asOf,
+      sector,
+      subsector,
+      ...numbers,
+      sharesOutstanding: numbers.sharesOutstanding !== null ? Math.round(numbers.sharesOutstanding) : null
+    }
+  };
+}
+
+// Insert or update rows keyed by (symbol, as_of); returns the number saved
+export async function upsertFundamentals(rows, source = 'manual') {
+  if (rows.length === 0) return 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const r of rows) {
+      await client.query(`
+        INSERT INTO company_fundamentals
+          (symbol, as_of, sector, subsector, shares_outstanding, free_float_pct, market_cap, pe, pbv, roe, dividend_yield, source, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+        ON CONFLICT (symbol, as_of) DO UPDATE SET
+          sector = COALESCE(EXCLUDED.sector, company_fundamentals.sector),
+          subsector = COALESCE(EXCLUDED.subsector, company_fundamentals.subsector),
+          shares_outstanding = EXCLUDED.shares_outstanding,
+          free_float_pct = EXCLUDED.free_float_pct,
+          market_cap = EXCLUDED.market_cap,
+          pe = EXCLUDED.pe,
+          pbv = EXCLUDED.pbv,
+          roe = EXCLUDED.roe,
+          dividend_yield = EXCLUDED.dividend_yield,
+          source = EXCLUDED.source,
+          updated_at = NOW()
+      `, [r.symbol, r.asOf, r.sector, r.subsector, r.sharesOutstanding, r.freeFloatPct, r.marketCap, r.pe, r.pbv, r.roe, r.dividendYield, source]);
+
+      // Only the newest snapshot describes the company today; an older one must not overwrite stocks
+      const { rows: [latest] } = await client.query(
+        `SELECT TO_CHAR(MAX(as_of), 'YYYY-MM-DD') as as_of FROM company_fundamentals WHERE symbol = $1`,
+        [r.symbol]
+      );
+      if (r.sector && (!latest?.as_of || r.asOf >= latest.as_of)) {
+        await client.query(`
+          INSERT INTO stocks (symbol, sector, subsector) VALUES ($1, $2, $3)
+          ON CONFLICT (symbol) DO UPDATE SET sector = EXCLUDED.sector, subsector = COALESCE(EXCLUDED.subsector, stocks.subsector)
+        `, [r.symbol, r.sector, r.subsector]);
+      }
+    }
+    await client.query('COMMIT');
+    return rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Import a CSV or JSON array export; asOf applies to rows without their own date
+export async function importFundamentalsFile(text, { asOf = null, source = 'csv' } = {}) {
+  const trimmed = text.trim();
+  const records = trimmed.startsWith('[') ? JSON.parse(trimmed) : parseCSV(text);
+  const rows = [];
+  const rejected = [];
+  records.forEach((raw, idx) => {
+    const { row, error } = normalizeFundamentals(raw, { asOf });
+    if (error) rejected.push({ line: idx + 2, reason: error });
+    else rows.push(row);
+  });
+  const saved = await upsertFundamentals(rows, source);
+  return { saved, rejected };
+}
+
+// Snapshot GoAPI company profiles for each symbol as of `asOf` (default today)
+export async function syncFundamentalsFromGoAPI(symbols, { asOf = new Date().toISOString().split('T')[0] } = {}) {
+  const results = [];
+  for (const symbol of symbols) {
+    try {
+      const profile = await getCompanyProfile(symbol);
+      const { row, error } = normalizeFundamentals(profile, { symbol, asOf });
+      if (error) {
+        results.push({ symbol, saved: 0, error });
+        continue;
+      }
+      results.push({ symbol, saved: await upsertFundamentals([{ ...row, symbol, asOf }], 'goapi') });
+    } catch (error) {
+      console.error(`Error syncing fundamentals for ${symbol}:`, error.message);
+      results.push({ symbol, saved: 0, error: error.message });
+    }
+  }
+  return results;
+}
+
+const toFloat = value => value !== null && value !== undefined ? parseFloat(value) : null;
+
+// Median P/E, PBV, ROE and dividend yield over each sector peer's latest snapshot
+async function getSectorMedians(sector, asOf) {
+  const { rows } = await pool.query(`
+    SELECT f.symbol, f.pe, f.pbv, f.roe, f.dividend_yield
+    FROM company_fundamentals f
+    JOIN (
+      SELECT symbol, MAX(as_of) as as_of
+      FROM company_fundamentals
+      WHERE ($2::date IS NULL OR as_of <= $2::date)
+      GROUP BY symbol
+    ) latest ON latest.symbol = f.symbol AND latest.as_of = f.as_of
+    WHERE f.sector = $1
+  `, [sector, asOf]);
+
+  return {
+    peers: rows.length,
+    pe: median(rows.map(r => toFloat(r.pe)).filter(v => v > 0)), // Loss-makers have no meaningful P/E
+    pbv: median(rows.map(r => toFloat(r.pbv))),
+    roe: median(rows.map(r => toFloat(r.roe))),
+    dividendYield: median(rows.map(r => toFloat(r.dividend_yield)))
+  };
+}
+
+// Latest fundamentals on or before asOf with sector medians. Market cap falls back to
+// shares outstanding x price (the given price, else the latest stored close).
+// Without a snapshot, sector comes from stocks.sector and every figure is null.
+export async function getCompanyFundamentals(symbol, { asOf = null, price = null } = {}) {
+  try {
+    const [{ rows: snapshots }, { rows: stocks }] = await Promise.all([
+      pool.query(`
+        SELECT *, TO_CHAR(as_of, 'YYYY-MM-DD') as as_of_date
+        FROM company_fundamentals
+        WHERE symbol = $1 AND ($2::date IS NULL OR as_of <= $2::date)
+        ORDER BY as_of DESC
+        LIMIT 1
+      `, [symbol, asOf]),
+      pool.query('SELECT sector, subsector FROM stocks WHERE symbol = $1', [symbol])
+    ]);
+    const r = snapshots[0] || {};
+    const stock = stocks[0] || {};
+
+    const sector = r.sector || stock.sector || UNCLASSIFIED_SECTOR;
+    const sharesOutstanding = r.shares_outstanding ? parseInt(r.shares_outstanding) : null;
+    let marketCap = toFloat(r.market_cap);
+    let marketCapDerived = false;
+    if (!marketCap && sharesOutstanding) {
+      const close = price || (await getDailyPrices(symbol, { to: asOf, limit: 1 }))[0]?.close;
+      if (close) {
+        marketCap = sharesOutstanding * close;
+        marketCapDerived = true;
+      }
+    }
+    const freeFloatPct = toFloat(r.free_float_pct);
+
+    return {
+      symbol,
+      asOf: r.as_of_date || null,
+      source: r.source || null,
+      sector,
+      subsector: r.subsector || stock.subsector || null,
+      sharesOutstanding,
+      freeFloatPct,
+      marketCap,
+      marketCapDerived,
+      freeFloatMarketCap: marketCap && freeFloatPct !== null ? marketCap * freeFloatPct / 100 : null,
+      pe: toFloat(r.pe),
+      pbv: toFloat(r.pbv),
+      roe: toFloat(r.roe),
+      dividendYield: toFloat(r.dividend_yield),
+      sectorMedian: sector === UNCLASSIFIED_SECTOR ? null : await getSectorMedians(sector, asOf)
+    };
+  } catch (error) {
+    console.error(`Error loading fundamentals for ${symbol}:`, error.message);
+    return null;
+  }
+}
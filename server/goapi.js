@@ -0,0 +1,30 @@
+// GoAPI IDX client
+import axios from 'axios';
+
+const API_KEY = process.env.GOAPI_API_KEY || 'c6133705-2a93-506b-f575-a55ce0ae';
+const BASE_URL = process.env.GOAPI_BASE_URL || 'https://api.goapi.io/stock/idx';
+
+// Helper function to fetch from GoAPI
+export async function fetchFromAPI(endpoint, params = {}) {
+  try {
+    const queryParams = new URLSearchParams({ ...params, api_key: API_KEY });
+    const url = `${BASE_URL}${endpoint}?${queryParams}`;
+    const response = await axios.get(url, { timeout: 30000 });
+    return response.data;
+  } catch (error) {
+    console.error(`API Error: ${endpoint}`, error.message);
+    throw error;
+  }
+}
+
+// Get daily OHLCV history for one symbol (dates are YYYY-MM-DD, inclusive)
+export async function getHistoricalPrices(symbol, from, to) {
+  const data = await fetchFromAPI(`/${symbol}/historical`, { from, to });
+  return data?.data?.results || [];
+}
+
+// Get the company profile for one symbol (sector, shares, valuation ratios); null when unknown
+export async function getCompanyProfile(symbol) {
+  const data = await fetchFromAPI(`/${symbol}/profile`);
+  return data?.data || null;
+}
@@ -0,0 +1,116 @@
+// IDX execution model for the backtester (backtest.js)
+// Fills are rounded to the IDX tick size (fraksi harga) of their price band, must sit inside the
+// day's auto-rejection limits (ARA/ARB) off the previous close, trade in 100-share lots and pay
+// broker commission (plus VAT), exchange levies and, on sells, the 0.1% final income tax.
+// Slippage grows with the order's share of the stock's average daily traded value.
+
+export const LOT_SIZE = 100; // Shares per lot
+
+// [upper price bound (exclusive), tick] - regular market fraksi harga
+const TICK_BANDS = [
+  [200, 1],
+  [500, 2],
+  [2000, 5],
+  [5000, 10],
+  [Infinity, 25]
+];
+
+// [upper previous-close bound (inclusive), limit %] - symmetric auto rejection
+const LIMIT_BANDS = [
+  [200, 35],
+  [5000, 25],
+  [Infinity, 20]
+];
+
+const MIN_PRICE = 50; // Regular board floor
+
+// Defaults, all percentages; requests override a subset via resolveExecutionModel
+export const IDX_EXECUTION = {
+  commissionBuyPct: 0.15,
+  commissionSellPct: 0.15,
+  vatPct: 11, // On commission
+  levyPct: 0.043, // Exchange, clearing (KPEI) and depository (KSEI) levies, both sides
+  sellTaxPct: 0.1, // Final income tax on sale value
+  baseSlippagePct: 0.05,
+  impactPct: 1, // Slippage per sqrt(order value / average daily value)
+  maxSlippagePct: 3,
+  arbFlatPct: 0 // Non-zero replaces the ARB bands with a flat limit (e.g. the 7% era)
+};
+
+export function tickSize(price) {
+  return TICK_BANDS.find(([upper]) => price < upper)[1];
+}
+
+// Round onto the tick grid of the price's band; direction 'up' | 'down' | 'nearest'
+export function roundToTick(price, direction = 'nearest') {
+  const tick = tickSize(price);
+  const steps = price / tick;
+  // The epsilon keeps float noise (e.g. 4000 * 1.25 = 5000.000000001) from moving a whole tick
+  const rounded = direction === 'up' ? Math.ceil(steps - 1e-9) : direction === 'down' ? Math.floor(steps + 1e-9) : Math.round(steps);
+  return Math.max(MIN_PRICE, rounded * tick);
+}
+
+// ARA/ARB for a day from the previous close, on the tick grid and inside the band
+export function priceLimits(prevClose, model = IDX_EXECUTION) {
+  const limitPct = LIMIT_BANDS.find(([upper]) => prevClose <= upper)[1];
+  const arbPct = model.arbFlatPct > 0 ? model.arbFlatPct : limitPct;
+  return {
+    ara: roundToTick(prevClose * (1 + limitPct / 100), 'down'),
+    arb: roundToTick(Math.max(MIN_PRICE, prevClose * (1 - arbPct / 100)), 'up')
+  };
+}
+
+// Cost per rupiah traded on each side
+export function buyCostRate(model = IDX_EXECUTION) {
+  return (model.commissionBuyPct * (1 + model.vatPct / 100) + model.levyPct) / 100;
+}
+
+export function sellCostRate(model = IDX_EXECUTION) {
+  return (model.commissionSellPct * (1 + model.vatPct / 100) + model.levyPct + model.sellTaxPct) / 100;
+}
+
+// Square-root impact on the order's share of average daily value; the cap when there is no history
+export function slippagePct(orderValue, avgDailyValue, model = IDX_EXECUTION) {
+  if (!avgDailyValue || avgDailyValue <= 0) return model.maxSlippagePct;
+  const impact = model.baseSlippagePct + model.impactPct * Math.sqrt(orderValue / avgDailyValue);
+  return Math.min(model.maxSlippagePct, impact);
+}
+
+// Fill an order at `price` (the bar's open or close). Buys are rejected on a limit-up (ARA) price
+// and sells on a limit-down (ARB) price since the queue on that side never clears.
+// Returns { price, slippagePct, limits } or { rejected, limits }.
+export function executionPrice(side, price, { prevClose = null, avgDailyValue = null, orderValue = 0 } = {}, model = IDX_EXECUTION) {
+  const limits = prevClose > 0 ? priceLimits(prevClose, model) : null;
+  if (limits && side === 'BUY' && price >= limits.ara) return { rejected: 'LIMIT_UP', limits };
+  if (limits && side === 'SELL' && price <= limits.arb) return { rejected: 'LIMIT_DOWN', limits };
+
+  const slip = slippagePct(orderValue, avgDailyValue, model);
+  let fill = side === 'BUY'
+    ? roundToTick(price * (1 + slip / 100), 'up')
+    : roundToTick(price * (1 - slip / 100), 'down');
+  if (limits) fill = Math.min(limits.ara, Math.max(limits.arb, fill));
+  return { price: fill, slippagePct: slip, limits };
+}
+
+// Whole lots a budget buys at `price` including buy costs
+export function affordableShares(budget, price, model = IDX_EXECUTION) {
+  return Math.floor(budget / (price * (1 + buyCostRate(model))) / LOT_SIZE) * LOT_SIZE;
+}
+
+// Merge request overrides onto IDX_EXECUTION; returns { model } or { error }
+export function resolveExecutionModel(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: 'execution must be an object' };
+  }
+  const model = { ...IDX_EXECUTION };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in model)) return { error: `Unknown execution setting ${key} (${Object.keys(model).join(', ')})` };
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    model[key] = number;
+  }
+  if (model.arbFlatPct >= 100) return { error: 'arbFlatPct must be below 100' };
+  return { model };
+}
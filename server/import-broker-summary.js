@@ -0,0 +1,43 @@
+// Broker summary import CLI
+//
+//   node import-broker-summary.js <file.csv|file.json> [--date 2025-01-02] [--symbol BBRI] [--replace-days]
+//
+// --replace-days treats the file as each stock's complete day and deletes broker rows it omits
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { importBrokerSummary, parseBrokerSummaryFile } from './broker-import.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    date: { type: 'string' },
+    symbol: { type: 'string' },
+    'replace-days': { type: 'boolean', default: false }
+  }
+});
+
+async function main() {
+  const [file] = positionals;
+  if (!file) {
+    console.log('Usage: node import-broker-summary.js <file.csv|file.json> [--date YYYY-MM-DD] [--symbol CODE] [--replace-days]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const format = file.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+  const records = parseBrokerSummaryFile(readFileSync(file, 'utf8'), format);
+  const result = await importBrokerSummary(records, { date: values.date, symbol: values.symbol, replaceDays: values['replace-days'] });
+  
+  console.log(`Imported ${result.imported}/${result.received} rows (${result.replaced} replaced, ${result.deleted} deleted, ${result.stocksCreated} new stocks, ${result.brokersCreated} new brokers)`);
+  result.rejected.forEach(r => console.log(`  row ${r.row}: ${r.reason}`));
+  if (result.imported === 0) process.exitCode = 1;
+}
+
+main()
+  .catch(error => {
+    console.error('Broker summary import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
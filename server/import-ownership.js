@@ -0,0 +1,51 @@
+// Shareholder ownership import CLI
+//
+//   node import-ownership.js holders <file.csv|file.json> [--date 2025-01-31] [--symbol BBRI]
+//   node import-ownership.js free-float <file.csv|file.json> [--date 2025-01-31] [--symbol BBRI]
+//
+// holders columns: symbol, as_of, holder, holder_type, shares[, pct]. Each (symbol, as_of) in the
+// file replaces that disclosure, so list every >5% holder of the snapshot.
+// free-float columns: symbol, as_of, total_shares, free_float_shares and/or free_float_pct.
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { importHolderDisclosures, importFloatReports } from './ownership.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    date: { type: 'string' },
+    symbol: { type: 'string' }
+  }
+});
+
+async function main() {
+  const [kind, file] = positionals;
+  if (!['holders', 'free-float'].includes(kind) || !file) {
+    console.log('Usage: node import-ownership.js <holders|free-float> <file.csv|file.json> [--date YYYY-MM-DD] [--symbol CODE]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const text = readFileSync(file, 'utf8');
+  const options = { symbol: values.symbol, asOf: values.date };
+  if (kind === 'holders') {
+    const { saved, snapshots, rejected } = await importHolderDisclosures(text, options);
+    console.log(`Saved ${saved} holder rows in ${snapshots} disclosures, rejected ${rejected.length}`);
+    rejected.forEach(r => console.log(`  line ${r.line}: ${r.reason}`));
+    if (saved === 0) process.exitCode = 1;
+  } else {
+    const { saved, rejected } = await importFloatReports(text, options);
+    console.log(`Saved ${saved} free float reports, rejected ${rejected.length}`);
+    rejected.forEach(r => console.log(`  line ${r.line}: ${r.reason}`));
+    if (saved === 0) process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Ownership import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,42 @@
+import express from 'express';
+import { importBrokerSummary, parseBrokerSummaryFile } from './broker-import.js';
+import { requireAdmin } from './broker-registry-route.js';
+
+export function setupImportRoutes(app) {
+  // Import a broker summary export
+  // Body: JSON array of rows, JSON { date, symbol, rows }, or raw CSV (Content-Type: text/csv)
+  // date/symbol may also be passed as query params when the export omits them; replaceDays=true
+  // deletes each imported stock's broker rows for the day that the export omits. Admin only.
+  app.post('/api/import/broker-summary', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+    try {
+      let records;
+      let { date, symbol } = req.query;
+      let replaceDays = req.query.replaceDays === 'true';
+      
+      if (typeof req.body === 'string') {
+        records = parseBrokerSummaryFile(req.body);
+      } else if (Array.isArray(req.body)) {
+        records = req.body;
+      } else if (req.body && Array.isArray(req.body.rows)) {
+        records = req.body.rows;
+        date = req.body.date || date;
+        symbol = req.body.symbol || symbol;
+        replaceDays = req.body.replaceDays === true || replaceDays;
+      }
+      
+      if (!records || records.length === 0) {
+        return res.status(400).json({ status: 'error', message: 'No rows to import' });
+      }
+      
+      const result = await importBrokerSummary(records, { date, symbol, replaceDays });
+      res.status(result.imported > 0 ? 200 : 400).json({
+        status: result.imported > 0 ? 'success' : 'error',
+        data: result
+      });
+    } catch (error) {
+      console.error('Broker Summary Import Error:', error);
+      const status = error instanceof SyntaxError ? 400 : 500;
+      res.status(status).json({ status: 'error', message: error.message });
+    }
+  });
+}
@@ -0,0 +1,28 @@
+// Stock sector import CLI
+//
+//   node import-sectors.js <file.csv|file.json>     columns: symbol, sector, subsector
+
+import { readFileSync } from 'fs';
+import { pool } from './db.js';
+import { importStockSectors, parseSectorFile } from './stock-sectors.js';
+
+async function main() {
+  const [file] = process.argv.slice(2);
+  if (!file) {
+    console.log('Usage: node import-sectors.js <file.csv|file.json>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await importStockSectors(parseSectorFile(readFileSync(file, 'utf8')));
+  console.log(`Imported ${result.imported}/${result.received} sector mappings`);
+  result.rejected.forEach(r => console.log(`  row ${r.row}: ${r.reason}`));
+  if (result.imported === 0) process.exitCode = 1;
+}
+
+main()
+  .catch(error => {
+    console.error('Sector import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,44 @@
+// SID shareholder count import CLI
+//
+//   node import-sid.js <file.csv|file.json> [--date 2025-01-31] [--symbol BBRI] [--period weekly|monthly]
+//
+// Columns: symbol, report_date, holders[, period]; options fill columns the report omits.
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { importSidCounts } from './sid-counts.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    date: { type: 'string' },
+    symbol: { type: 'string' },
+    period: { type: 'string' }
+  }
+});
+
+async function main() {
+  const [file] = positionals;
+  if (!file) {
+    console.log('Usage: node import-sid.js <file.csv|file.json> [--date YYYY-MM-DD] [--symbol CODE] [--period weekly|monthly]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const { saved, rejected } = await importSidCounts(readFileSync(file, 'utf8'), {
+    symbol: values.symbol,
+    reportDate: values.date,
+    period: values.period
+  });
+  console.log(`Saved ${saved} SID counts, rejected ${rejected.length}`);
+  rejected.forEach(r => console.log(`  line ${r.line}: ${r.reason}`));
+  if (saved === 0) process.exitCode = 1;
+}
+
+main()
+  .catch(error => {
+    console.error('SID import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,49 @@
+// Company fundamentals ingestion CLI
+//
+//   node ingest-fundamentals.js goapi [--symbols BBRI,BBCA] [--as-of 2025-01-31]
+//   node ingest-fundamentals.js csv <file.csv|file.json> [--as-of 2025-01-31]
+//
+// CSV columns: symbol, as_of, sector, subsector, shares_outstanding, free_float_pct, market_cap,
+// pe, pbv, roe, dividend_yield (percentages as 0-100); --as-of fills rows without as_of.
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { LQ45_STOCKS } from './universe.js';
+import { syncFundamentalsFromGoAPI, importFundamentalsFile } from './fundamentals.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    symbols: { type: 'string' },
+    'as-of': { type: 'string' }
+  }
+});
+
+const [command, file] = positionals;
+const symbols = values.symbols ? values.symbols.split(',').map(s => s.trim().toUpperCase()) : LQ45_STOCKS;
+const asOf = values['as-of'] || null;
+
+async function main() {
+  if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) throw new Error('--as-of must be YYYY-MM-DD');
+  
+  if (command === 'goapi') {
+    const results = await syncFundamentalsFromGoAPI(symbols, asOf ? { asOf } : {});
+    console.table(results);
+  } else if (command === 'csv') {
+    if (!file) throw new Error('File path is required');
+    const { saved, rejected } = await importFundamentalsFile(readFileSync(file, 'utf8'), { asOf });
+    console.log(`Saved ${saved} snapshots, rejected ${rejected.length}`);
+    rejected.forEach(r => console.log(`  line ${r.line}: ${r.reason}`));
+  } else {
+    console.log('Usage: node ingest-fundamentals.js <goapi|csv> [options]');
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Fundamentals ingestion failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,51 @@
+// Daily price ingestion CLI
+//
+//   node ingest-prices.js backfill --from 2024-01-01 [--to 2024-12-31] [--symbols BBRI,BBCA]
+//   node ingest-prices.js csv <file> [--symbol BBRI]
+//   node ingest-prices.js daily [--symbols BBRI,BBCA]
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { LQ45_STOCKS } from './universe.js';
+import { backfillFromGoAPI, importPricesCSV, appendLatestPrices } from './price-history.js';
+
+const { positionals, values } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    symbols: { type: 'string' },
+    symbol: { type: 'string' }
+  }
+});
+
+const [command, file] = positionals;
+const symbols = values.symbols ? values.symbols.split(',').map(s => s.trim().toUpperCase()) : LQ45_STOCKS;
+
+async function main() {
+  if (command === 'backfill') {
+    if (!values.from) throw new Error('--from is required');
+    const to = values.to || new Date().toISOString().split('T')[0];
+    const results = await backfillFromGoAPI(symbols, values.from, to);
+    console.table(results);
+  } else if (command === 'csv') {
+    if (!file) throw new Error('CSV file path is required');
+    const { saved, rejected } = await importPricesCSV(readFileSync(file, 'utf8'), { symbol: values.symbol });
+    console.log(`Saved ${saved} bars, rejected ${rejected.length}`);
+    rejected.forEach(r => console.log(`  line ${r.line}: ${r.reason}`));
+  } else if (command === 'daily') {
+    const results = await appendLatestPrices(symbols);
+    console.table(results);
+  } else {
+    console.log('Usage: node ingest-prices.js <backfill|csv|daily> [options]');
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Price ingestion failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
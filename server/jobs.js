@@ -0,0 +1,72 @@
+// In-process queue for long-running API work (strategy optimizations, persisted backtest runs)
+// Jobs run one at a time in submission order so a sweep or backtest never competes with request
+// handling for more than one core. State lives in memory: finished jobs are kept for polling until
+// MAX_FINISHED newer ones push them out, and everything is lost on restart (backtest runs persist
+// their own state, see backtest-runs.js).
+
+import { randomUUID } from 'crypto';
+
+const MAX_FINISHED = 50;
+
+const jobs = new Map(); // id -> job, in submission order
+const queue = [];
+let running = false;
+
+function publicJob(job) {
+  const { run, ...rest } = job;
+  return rest;
+}
+
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(j => j.status === 'completed' || j.status === 'failed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) jobs.delete(job.id);
+}
+
+async function drain() {
+  if (running) return;
+  running = true;
+  while (queue.length > 0) {
+    const job = queue.shift();
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = await job.run(progress => {
+        job.progress = { ...progress, pct: progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 0 };
+      });
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Job ${job.type} ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.finishedAt = new Date().toISOString();
+    pruneFinished();
+  }
+  running = false;
+}
+
+// Queue run(reportProgress) under a new id; returns the job without its result
+export function submitJob(type, params, run) {
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    params,
+    progress: { completed: 0, total: 0, pct: 0 },
+    submittedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    run
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  drain();
+  return publicJob(job);
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
@@ -0,0 +1,93 @@
+// Liquidity-relative thresholds
+// Rupiah cutoffs (bandar broker, large lot, nego, "significant" foreign flow) are expressed as a
+// fraction of each stock's trailing average daily traded value (ADV), so the same indicator logic
+// applies to BBCA (~Rp 1T/day) and a second liner trading Rp 5B/day. Fractions were calibrated so
+// a mega cap lands close to the old absolute values; the floors stop thin stocks flagging every trade.
+
+import { pool } from './db.js';
+
+const ADV_DAYS = 20;
+const MIN_HISTORY_DAYS = 5;
+
+export const RELATIVE_THRESHOLDS = {
+  bandarNetValue: { pctOfADV: 0.01, min: 250000000 },      // was Rp 10B
+  largeLotValue: { pctOfADV: 0.001, min: 50000000 },       // was Rp 1B
+  negoValue: { pctOfADV: 0.005, min: 250000000 },          // was Rp 5B
+  foreignFlowValue: { pctOfADV: 0.1, min: 1000000000 },    // was Rp 100B
+  top3NetValue: { pctOfADV: 0.05, min: 1000000000 },       // was Rp 50B
+  notableForeignValue: { pctOfADV: 0.001, min: 100000000 } // was Rp 1B
+};
+
+// Trailing ADV before `date`. Prefers daily_prices (value, or close x volume when the
+// source omits it) and falls back to the broker-side value in broker_transactions.
+export async function getAverageDailyValue(symbol, date, days = ADV_DAYS) {
+  const client = await pool.connect();
+  try {
+    const { rows: priceRows } = await client.query(`
+      SELECT COALESCE(value, close * volume) as value
+      FROM daily_prices
+      WHERE symbol = $1 AND date < $2::date
+      ORDER BY date DESC
+      LIMIT $3
+    `, [symbol, date, days]);
+
+    if (priceRows.length >= MIN_HISTORY_DAYS) {
+      const values = priceRows.map(r => parseFloat(r.value) || 0);
+      return { avgDailyValue: values.reduce((a, b) => a + b, 0) / values.length, days: values.length, source: 'daily_prices' };
+    }
+
+    // Every trade has a buying and a selling broker, so the buy side is the day's traded value
+    const { rows: brokerRows } = await client.query(`
+      SELECT DATE(bt.time) as date, SUM(bt.buy_value) as value
+      FROM broker_transactions bt
+      JOIN stocks s ON bt.stock_id = s.id
+      WHERE s.symbol = $1 AND DATE(bt.time) < $2::date
+      GROUP BY DATE(bt.time)
+      ORDER BY date DESC
+      LIMIT $3
+    `, [symbol, date, days]);
+
+    if (brokerRows.length === 0) return null;
+    const values = brokerRows.map(r => parseFloat(r.value) || 0);
+    return { avgDailyValue: values.reduce((a, b) => a + b, 0) / values.length, days: values.length, source: 'broker_transactions' };
+  } catch (error) {
+    console.error(`Error getting average daily value for ${symbol}:`, error.message);
+    return null;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolve every relative threshold to rupiah for a given ADV
+export function liquidityThresholds(avgDailyValue) {
+  return Object.fromEntries(Object.entries(RELATIVE_THRESHOLDS).map(([key, { pctOfADV, min }]) =>
+    [key, Math.max(min, Math.round(avgDailyValue * pctOfADV))]
+  ));
+}
+
+// Liquidity context for one stock/day; `sameDayValue` stands in when there is no history yet
+export async function getLiquidityContext(symbol, date, sameDayValue = 0) {
+  const adv = date ? await getAverageDailyValue(symbol, date) : null;
+  const { avgDailyValue, days, source } = adv || { avgDailyValue: sameDayValue, days: 0, source: 'same_day' };
+
+  return {
+    avgDailyValue: Math.round(avgDailyValue),
+    days,
+    source,
+    thresholds: liquidityThresholds(avgDailyValue)
+  };
+}
+
+// Scoring profiles state rupiah thresholds for a mega cap trading REFERENCE_ADV a day (the same
+// calibration point as RELATIVE_THRESHOLDS); the engines scale them by the stock's own ADV. The
+// scale is clamped so a thin stock still needs real money and a blue chip at most twice the profile
+// value. Without an ADV (0 or missing) the profile values are used as-is.
+export const REFERENCE_ADV = 1000000000000; // Rp 1T/day
+const MIN_SCALE = 0.01;
+const MAX_SCALE = 2;
+
+export function scaleRupiahThresholds(thresholds, keys, avgDailyValue) {
+  if (!(avgDailyValue > 0)) return thresholds;
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, avgDailyValue / REFERENCE_ADV));
+  return { ...thresholds, ...Object.fromEntries(keys.map(key => [key, Math.round(thresholds[key] * scale)])) };
+}
@@ -0,0 +1,153 @@
+// Market-wide smart money flow and sector rotation
+// Daily foreign and big-dog net value summed across every stock and per sector (stocks.sector,
+// see stock-sectors.js), with running 5/20-day sums and buy/sell streaks per series.
+// Rotation compares sectors' 5-day foreign net: money leaving the weakest for the strongest.
+
+import { pool } from './db.js';
+import { getTradingDays } from './indicators.js';
+import { UNCLASSIFIED_SECTOR } from './stock-sectors.js';
+
+export const FLOW_WINDOWS = { short: 5, long: 20 };
+
+const MAX_ROTATION_SECTORS = 3;
+
+// Per-(day, sector) flow rows between two trading days
+async function getSectorDailyFlows(from, to) {
+  const { rows } = await pool.query(`
+    SELECT
+      TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date,
+      s.sector,
+      SUM(CASE WHEN 'foreign' = ANY(b.tags) THEN bt.net_value ELSE 0 END) as foreign_net,
+      SUM(CASE WHEN 'big-dog' = ANY(b.tags) THEN bt.net_value ELSE 0 END) as big_dog_net,
+      SUM(bt.buy_value) as traded_value,
+      COUNT(DISTINCT bt.stock_id) as stocks
+    FROM broker_transactions bt
+    JOIN brokers b ON bt.broker_id = b.id
+    JOIN stocks s ON bt.stock_id = s.id
+    WHERE DATE(bt.time) >= $1::date
+      AND DATE(bt.time) <= $2::date
+    GROUP BY DATE(bt.time), s.sector
+  `, [from, to]);
+
+  return rows.map(r => ({
+    date: r.date,
+    sector: r.sector || UNCLASSIFIED_SECTOR,
+    foreignNet: parseInt(r.foreign_net) || 0,
+    bigDogNet: parseInt(r.big_dog_net) || 0,
+    tradedValue: parseInt(r.traded_value) || 0,
+    stocks: parseInt(r.stocks) || 0
+  }));
+}
+
+// Signed run length of the latest same-sign values: +3 = three net-buy days, -2 = two net-sell days
+function streak(values) {
+  const sign = Math.sign(values[values.length - 1] || 0);
+  if (sign === 0) return 0;
+  let days = 0;
+  for (let i = values.length - 1; i >= 0 && Math.sign(values[i]) === sign; i--) days++;
+  return sign * days;
+}
+
+const trailingSum = (values, end, window) => values.slice(Math.max(0, end - window + 1), end + 1).reduce((a, b) => a + b, 0);
+
+// Day-by-day series with running sums; `days` ascending, `byDate` Map date -> flow row
+function buildSeries(days, byDate) {
+  const foreign = days.map(d => byDate.get(d)?.foreignNet || 0);
+  const bigDog = days.map(d => byDate.get(d)?.bigDogNet || 0);
+
+  return days.map((date, i) => ({
+    date,
+    foreignNet: foreign[i],
+    bigDogNet: bigDog[i],
+    tradedValue: byDate.get(date)?.tradedValue || 0,
+    stocks: byDate.get(date)?.stocks || 0,
+    foreign5D: trailingSum(foreign, i, FLOW_WINDOWS.short),
+    foreign20D: trailingSum(foreign, i, FLOW_WINDOWS.long),
+    bigDog5D: trailingSum(bigDog, i, FLOW_WINDOWS.short),
+    bigDog20D: trailingSum(bigDog, i, FLOW_WINDOWS.long),
+    foreignStreak: streak(foreign.slice(0, i + 1)),
+    bigDogStreak: streak(bigDog.slice(0, i + 1))
+  }));
+}
+
+function addRows(target, row) {
+  target.foreignNet += row.foreignNet;
+  target.bigDogNet += row.bigDogNet;
+  target.tradedValue += row.tradedValue;
+  target.stocks += row.stocks;
+}
+
+const formatB = value => `Rp ${(value / 1e9).toFixed(1)}B`;
+
+function describeRotation(into, outOf) {
+  if (into.length === 0 && outOf.length === 0) return 'No foreign sector rotation';
+  const list = sectors => sectors.map(s => `${s.sector} (${s.foreign5D > 0 ? '+' : '-'}${formatB(Math.abs(s.foreign5D))})`).join(', ');
+  if (outOf.length === 0) return `Foreign buying broadly, led by ${list(into)} over 5D`;
+  if (into.length === 0) return `Foreign selling broadly, led by ${list(outOf)} over 5D`;
+  return `Foreign rotating out of ${list(outOf)} into ${list(into)} over 5D`;
+}
+
+// Market and per-sector flows for the `days` trading days ending on `date` (default latest).
+// An extra long-window of history is loaded so the first day's 20D sum is complete; streaks count
+// back at most that far.
+export async function getMarketFlows({ date = null, days = 20, sector = null } = {}) {
+  const tradingDays = await getTradingDays(null, date, days + FLOW_WINDOWS.long - 1);
+  if (tradingDays.length === 0) {
+    return { from: null, to: null, days: 0, sectors: [], market: [], bySector: {}, latest: [], rotation: { into: [], outOf: [], description: 'No broker data' } };
+  }
+
+  const rows = await getSectorDailyFlows(tradingDays[0], tradingDays[tradingDays.length - 1]);
+
+  const marketByDate = new Map();
+  const sectorByDate = new Map();
+  for (const row of rows) {
+    if (!marketByDate.has(row.date)) marketByDate.set(row.date, { foreignNet: 0, bigDogNet: 0, tradedValue: 0, stocks: 0 });
+    addRows(marketByDate.get(row.date), row);
+    if (!sectorByDate.has(row.sector)) sectorByDate.set(row.sector, new Map());
+    sectorByDate.get(row.sector).set(row.date, row);
+  }
+
+  const visible = tradingDays.slice(-days);
+  const trim = series => series.slice(-visible.length);
+  const sectors = [...sectorByDate.keys()].sort();
+  const fullBySector = Object.fromEntries(sectors.map(name => [name, buildSeries(tradingDays, sectorByDate.get(name))]));
+
+  const latest = sectors.map(name => {
+    const series = fullBySector[name];
+    const last = series[series.length - 1];
+    const traded20D = series.slice(-FLOW_WINDOWS.long).reduce((sum, d) => sum + d.tradedValue, 0);
+    return {
+      sector: name,
+      foreignNet: last.foreignNet,
+      foreign5D: last.foreign5D,
+      foreign20D: last.foreign20D,
+      foreignStreak: last.foreignStreak,
+      bigDogNet: last.bigDogNet,
+      bigDog5D: last.bigDog5D,
+      bigDog20D: last.bigDog20D,
+      bigDogStreak: last.bigDogStreak,
+      // Foreign 20D net as a share of the sector's traded value
+      foreign20DPct: traded20D > 0 ? Math.round((last.foreign20D / traded20D) * 10000) / 100 : 0
+    };
+  }).sort((a, b) => b.foreign5D - a.foreign5D);
+
+  const into = latest.filter(s => s.foreign5D > 0 && s.sector !== UNCLASSIFIED_SECTOR).slice(0, MAX_ROTATION_SECTORS);
+  const outOf = latest.filter(s => s.foreign5D < 0 && s.sector !== UNCLASSIFIED_SECTOR).reverse().slice(0, MAX_ROTATION_SECTORS);
+
+  return {
+    from: visible[0],
+    to: visible[visible.length - 1],
+    days: visible.length,
+    sectors,
+    market: trim(buildSeries(tradingDays, marketByDate)),
+    bySector: sector
+      ? { [sector]: trim(fullBySector[sector] || []) }
+      : Object.fromEntries(sectors.map(name => [name, trim(fullBySector[name])])),
+    latest,
+    rotation: {
+      into: into.map(s => s.sector),
+      outOf: outOf.map(s => s.sector),
+      description: describeRotation(into, outOf)
+    }
+  };
+}
@@ -0,0 +1,141 @@
+// Market phase classifier (Wyckoff-style cycle position)
+// Labels a stock ACCUMULATION, MARKUP, DISTRIBUTION or MARKDOWN from the trailing window of
+// daily bars plus "smart money" net flow (bandar + foreign brokers) over the same days:
+//  - MARKUP / MARKDOWN: price trending over the window, expanding volume, flow agreeing
+//  - ACCUMULATION: sideways or compressing range with smart money net buying, typically after a decline
+//  - DISTRIBUTION: sideways range with smart money net selling, typically after an advance
+// The label is computed for every day in the history so the current phase has a start date.
+
+export const PHASE_PARAMS = {
+  window: 20,          // Trading days the phase is judged over (~4 weeks)
+  volumeWindow: 5,     // Recent volume compared against the whole window
+  trendPct: 10,        // Window return (%) that counts as a full trend
+  flowPct: 10,         // Smart money net as % of traded value that counts as full conviction
+  rangePct: 20,        // High-low range (% of avg close) at which a range stops being "tight"
+  minBars: 20
+};
+
+export const PHASES = ['ACCUMULATION', 'MARKUP', 'DISTRIBUTION', 'MARKDOWN'];
+
+const PHASE_DESCRIPTIONS = {
+  ACCUMULATION: 'Smart money absorbing supply in a range',
+  MARKUP: 'Price advancing on expanding participation',
+  DISTRIBUTION: 'Smart money unloading into a range',
+  MARKDOWN: 'Price declining as supply overwhelms demand'
+};
+
+const clamp = (value, min = -1, max = 1) => Math.max(min, Math.min(max, value));
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+// Phase evidence for the window ending at `end` (inclusive)
+function scoreWindow(bars, flowByDate, end, params) {
+  const start = end - params.window + 1;
+  const window = bars.slice(start, end + 1);
+  const first = window[0].close;
+  const last = window[window.length - 1].close;
+  const avgClose = sum(window.map(b => b.close)) / window.length;
+
+  const priceChangePct = first > 0 ? (last / first - 1) * 100 : 0;
+  const priorStart = Math.max(0, start - params.window);
+  const priorChangePct = start > priorStart && bars[priorStart].close > 0
+    ? (first / bars[priorStart].close - 1) * 100
+    : 0;
+  const rangePct = avgClose > 0
+    ? ((Math.max(...window.map(b => b.high || b.close)) - Math.min(...window.map(b => b.low || b.close))) / avgClose) * 100
+    : 0;
+
+  const avgVolume = sum(window.map(b => b.volume || 0)) / window.length;
+  const recentVolume = window.slice(-params.volumeWindow);
+  const volumeRatio = avgVolume > 0 ? sum(recentVolume.map(b => b.volume || 0)) / recentVolume.length / avgVolume : 1;
+
+  let smartNet = 0, tradedValue = 0, flowDays = 0;
+  for (const bar of window) {
+    const flow = flowByDate.get(bar.date);
+    if (!flow) continue;
+    smartNet += flow.smartNetValue;
+    tradedValue += flow.tradedValue;
+    flowDays++;
+  }
+  const smartNetPct = tradedValue > 0 ? (smartNet / tradedValue) * 100 : 0;
+
+  const t = clamp(priceChangePct / params.trendPct);
+  const p = clamp(priorChangePct / params.trendPct);
+  const f = clamp(smartNetPct / params.flowPct);
+  const v = clamp(volumeRatio - 1);
+  const sideways = 1 - Math.abs(t);
+  const tight = 1 - clamp(rangePct / params.rangePct, 0, 1);
+
+  return {
+    scores: {
+      ACCUMULATION: sideways + 1.5 * Math.max(f, 0) + 0.5 * Math.max(-p, 0) + 0.5 * tight * Math.max(-v, 0),
+      MARKUP: 2 * Math.max(t, 0) + 0.5 * Math.max(f, 0) + 0.5 * Math.max(v, 0),
+      DISTRIBUTION: sideways + 1.5 * Math.max(-f, 0) + 0.5 * Math.max(p, 0) + 0.5 * Math.max(v, 0) * (1 - tight),
+      MARKDOWN: 2 * Math.max(-t, 0) + 0.5 * Math.max(-f, 0) + 0.5 * Math.max(v, 0)
+    },
+    metrics: {
+      priceChangePct: round(priceChangePct),
+      priorChangePct: round(priorChangePct),
+      rangePct: round(rangePct),
+      volumeRatio: round(volumeRatio),
+      smartMoneyNetValue: Math.round(smartNet),
+      smartMoneyNetPct: round(smartNetPct),
+      flowDays
+    }
+  };
+}
+
+function bestPhase(scores) {
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return { phase: ranked[0][0], best: ranked[0][1], total: sum(ranked.map(([, s]) => s)) };
+}
+
+// Classify the latest bar. `bars` ascending ({date, high, low, close, volume});
+// `flows` ascending ({date, smartNetValue, tradedValue}), missing days count as no flow.
+export function classifyMarketPhase(bars, flows = [], params = PHASE_PARAMS) {
+  if (!bars || bars.length < params.minBars) {
+    return {
+      phase: 'UNKNOWN',
+      since: null,
+      days: 0,
+      confidence: 0,
+      description: `Not enough price history (${bars?.length || 0}/${params.minBars} bars)`
+    };
+  }
+
+  const flowByDate = new Map(flows.map(f => [f.date, f]));
+  const labels = [];
+  for (let end = params.window - 1; end < bars.length; end++) {
+    labels.push(bestPhase(scoreWindow(bars, flowByDate, end, params).scores).phase);
+  }
+
+  // Walk back while the label holds; a single-day flip does not end the phase
+  const current = labels[labels.length - 1];
+  let startIdx = labels.length - 1;
+  while (startIdx > 0) {
+    if (labels[startIdx - 1] === current) startIdx--;
+    else if (startIdx > 1 && labels[startIdx - 2] === current) startIdx -= 2;
+    else break;
+  }
+  const firstEnd = params.window - 1;
+  const sinceBar = bars[firstEnd + startIdx];
+
+  const { scores, metrics } = scoreWindow(bars, flowByDate, bars.length - 1, params);
+  const { best, total } = bestPhase(scores);
+  // Share of total evidence, discounted when broker flow is missing for part of the window
+  const coverage = 0.5 + 0.5 * (metrics.flowDays / params.window);
+  const confidence = total > 0 ? Math.round((best / total) * 100 * coverage) : 0;
+  const days = labels.length - startIdx;
+
+  return {
+    phase: current,
+    since: sinceBar.date,
+    days,
+    // A phase already running when history starts may be older than `since`
+    openEnded: startIdx === 0,
+    confidence,
+    scores: Object.fromEntries(Object.entries(scores).map(([k, s]) => [k, round(s)])),
+    metrics,
+    description: `${current} since ${sinceBar.date} (${days}D, ${confidence}% confidence) - ${PHASE_DESCRIPTIONS[current]}`
+  };
+}
@@ -0,0 +1,132 @@
+// Schema migration runner
+//
+//   npm run migrate                     apply all pending migrations
+//   npm run migrate -- down [--steps N] revert the latest N migrations (default 1)
+//   npm run migrate -- status           list applied and pending migrations
+//
+// Migrations live in migrations/ as NNN_name.up.sql / NNN_name.down.sql pairs and
+// are recorded in the schema_migrations ledger. Each one runs in its own transaction.
+
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const LOCK_ID = 4207001; // pg_advisory_lock key so two runners never overlap
+
+// Read migration files, ordered by version
+function loadMigrations() {
+  return readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version,
+      name,
+      upPath: join(MIGRATIONS_DIR, file),
+      downPath: join(MIGRATIONS_DIR, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function getAppliedVersions(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(r => r.version));
+}
+
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function migrateUp(client, migrations, applied) {
+  const pending = migrations.filter(m => !applied.has(m.version));
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+  
+  for (const m of pending) {
+    await runInTransaction(client, async () => {
+      await client.query(readFileSync(m.upPath, 'utf8'));
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+    });
+    console.log(`⬆️  Applied ${m.version}_${m.name}`);
+  }
+}
+
+async function migrateDown(client, migrations, applied, steps) {
+  const toRevert = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+  if (toRevert.length === 0) {
+    console.log('Nothing to revert');
+    return;
+  }
+  
+  for (const m of toRevert) {
+    if (!existsSync(m.downPath)) {
+      throw new Error(`Missing down migration for ${m.version}_${m.name}`);
+    }
+    await runInTransaction(client, async () => {
+      await client.query(readFileSync(m.downPath, 'utf8'));
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+    });
+    console.log(`⬇️  Reverted ${m.version}_${m.name}`);
+  }
+}
+
+function printStatus(migrations, applied) {
+  for (const m of migrations) {
+    console.log(`${applied.has(m.version) ? '✔ applied' : '… pending'}  ${m.version}_${m.name}`);
+  }
+}
+
+async function main() {
+  const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: { steps: { type: 'string' } }
+  });
+  const command = positionals[0] || 'up';
+  const migrations = loadMigrations();
+  
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    const applied = await getAppliedVersions(client);
+    
+    if (command === 'up') {
+      await migrateUp(client, migrations, applied);
+    } else if (command === 'down') {
+      await migrateDown(client, migrations, applied, parseInt(values.steps) || 1);
+    } else if (command === 'status') {
+      printStatus(migrations, applied);
+    } else {
+      console.log('Usage: node migrate.js [up|down|status] [--steps N]');
+      process.exitCode = 1;
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS broker_transactions;
+DROP TABLE IF EXISTS brokers;
+DROP TABLE IF EXISTS stocks;
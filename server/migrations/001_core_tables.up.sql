@@ -0,0 +1,39 @@
+-- Core bandarmology tables: stocks, brokers and daily broker transactions.
+-- IF NOT EXISTS so the migration can adopt a database created before migrations existed.
+
+CREATE TABLE IF NOT EXISTS stocks (
+  id SERIAL PRIMARY KEY,
+  symbol VARCHAR(10) NOT NULL,
+  name VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS stocks_symbol_key ON stocks (symbol);
+
+CREATE TABLE IF NOT EXISTS brokers (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(4) NOT NULL,
+  name VARCHAR(255),
+  type VARCHAR(20) NOT NULL DEFAULT 'domestic',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS brokers_code_key ON brokers (code);
+
+-- One row per (stock, broker, trading day); volumes are in lots, values in IDR
+CREATE TABLE IF NOT EXISTS broker_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  stock_id INTEGER NOT NULL REFERENCES stocks (id) ON DELETE CASCADE,
+  broker_id INTEGER NOT NULL REFERENCES brokers (id) ON DELETE CASCADE,
+  time TIMESTAMP NOT NULL,
+  buy_volume BIGINT NOT NULL DEFAULT 0,
+  buy_value BIGINT NOT NULL DEFAULT 0,
+  sell_volume BIGINT NOT NULL DEFAULT 0,
+  sell_value BIGINT NOT NULL DEFAULT 0,
+  net_volume BIGINT NOT NULL DEFAULT 0,
+  net_value BIGINT NOT NULL DEFAULT 0,
+  CHECK (buy_volume >= 0 AND sell_volume >= 0 AND buy_value >= 0 AND sell_value >= 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS broker_transactions_stock_broker_day_key
+  ON broker_transactions (stock_id, broker_id, DATE(time));
+CREATE INDEX IF NOT EXISTS broker_transactions_stock_time_idx ON broker_transactions (stock_id, time);
+CREATE INDEX IF NOT EXISTS broker_transactions_broker_time_idx ON broker_transactions (broker_id, time);
+CREATE INDEX IF NOT EXISTS broker_transactions_day_idx ON broker_transactions (DATE(time));
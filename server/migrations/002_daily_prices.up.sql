@@ -0,0 +1,17 @@
+-- Daily OHLCV bars (see price-history.js)
+
+CREATE TABLE IF NOT EXISTS daily_prices (
+  symbol VARCHAR(10) NOT NULL,
+  date DATE NOT NULL,
+  open NUMERIC(14, 2),
+  high NUMERIC(14, 2),
+  low NUMERIC(14, 2),
+  close NUMERIC(14, 2) NOT NULL,
+  volume BIGINT,
+  value NUMERIC(20, 2),
+  frequency INTEGER,
+  source VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (symbol, date)
+);
+CREATE INDEX IF NOT EXISTS daily_prices_date_idx ON daily_prices (date);
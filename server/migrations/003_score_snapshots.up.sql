@@ -0,0 +1,18 @@
+-- End-of-day score snapshots per symbol and scoring engine (see score-snapshots.js)
+
+CREATE TABLE IF NOT EXISTS score_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  symbol VARCHAR(10) NOT NULL,
+  date DATE NOT NULL,
+  engine VARCHAR(10) NOT NULL,
+  engine_version VARCHAR(20) NOT NULL,
+  score INTEGER NOT NULL,
+  signal VARCHAR(20) NOT NULL,
+  close NUMERIC(14, 2),
+  bullish_factors JSONB NOT NULL DEFAULT '[]',
+  bearish_factors JSONB NOT NULL DEFAULT '[]',
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (symbol, date, engine)
+);
+CREATE INDEX IF NOT EXISTS score_snapshots_date_idx ON score_snapshots (date);
@@ -0,0 +1,5 @@
+DELETE FROM score_snapshots WHERE profile <> 'default';
+ALTER TABLE score_snapshots DROP CONSTRAINT IF EXISTS score_snapshots_symbol_date_engine_profile_key;
+ALTER TABLE score_snapshots ADD CONSTRAINT score_snapshots_symbol_date_engine_key UNIQUE (symbol, date, engine);
+ALTER TABLE score_snapshots DROP COLUMN IF EXISTS profile_hash;
+ALTER TABLE score_snapshots DROP COLUMN IF EXISTS profile;
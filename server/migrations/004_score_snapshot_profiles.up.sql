@@ -0,0 +1,6 @@
+-- Record the scoring profile behind each snapshot (see scoring-profiles.js)
+
+ALTER TABLE score_snapshots ADD COLUMN IF NOT EXISTS profile VARCHAR(32) NOT NULL DEFAULT 'default';
+ALTER TABLE score_snapshots ADD COLUMN IF NOT EXISTS profile_hash VARCHAR(16);
+ALTER TABLE score_snapshots DROP CONSTRAINT IF EXISTS score_snapshots_symbol_date_engine_key;
+ALTER TABLE score_snapshots ADD CONSTRAINT score_snapshots_symbol_date_engine_profile_key UNIQUE (symbol, date, engine, profile);
@@ -0,0 +1,4 @@
+-- Seeded broker rows are kept: transactions may reference them
+ALTER TABLE brokers DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE brokers DROP COLUMN IF EXISTS affiliate_group;
+ALTER TABLE brokers DROP COLUMN IF EXISTS tags;
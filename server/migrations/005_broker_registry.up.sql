@@ -0,0 +1,34 @@
+-- Broker registry: classification tags and affiliate group on brokers (see broker-registry.js)
+-- tags: foreign, institutional, retail, big-dog, bandar. type mirrors the foreign tag for SQL filters.
+-- Seeded from the lists previously hard-coded in indicators.js, scoring-v3.js and server.js.
+
+ALTER TABLE brokers ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE brokers ADD COLUMN IF NOT EXISTS affiliate_group VARCHAR(50);
+ALTER TABLE brokers ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+UPDATE brokers SET tags = ARRAY['foreign'] WHERE type = 'foreign';
+
+INSERT INTO brokers (code, type, tags) VALUES
+  ('AK', 'foreign', ARRAY['foreign', 'bandar', 'big-dog', 'institutional']),
+  ('BK', 'foreign', ARRAY['foreign', 'bandar', 'big-dog', 'institutional']),
+  ('YU', 'foreign', ARRAY['foreign', 'bandar', 'big-dog', 'institutional']),
+  ('CC', 'foreign', ARRAY['foreign', 'bandar', 'big-dog', 'institutional']),
+  ('KZ', 'foreign', ARRAY['foreign']),
+  ('YP', 'foreign', ARRAY['foreign']),
+  ('GR', 'foreign', ARRAY['foreign']),
+  ('AI', 'foreign', ARRAY['foreign']),
+  ('ZZ', 'foreign', ARRAY['foreign', 'retail']),
+  ('SQ', 'domestic', ARRAY['bandar', 'big-dog', 'institutional']),
+  ('NI', 'domestic', ARRAY['bandar', 'big-dog', 'institutional']),
+  ('OD', 'domestic', ARRAY['bandar', 'big-dog', 'institutional']),
+  ('GW', 'domestic', ARRAY['bandar', 'big-dog', 'institutional']),
+  ('PD', 'domestic', ARRAY['bandar', 'retail']),
+  ('XL', 'domestic', ARRAY['bandar']),
+  ('MS', 'domestic', ARRAY['institutional']),
+  ('JP', 'domestic', ARRAY['institutional']),
+  ('GS', 'domestic', ARRAY['institutional']),
+  ('DX', 'domestic', ARRAY['retail']),
+  ('QQ', 'domestic', ARRAY['retail']),
+  ('MG', 'domestic', ARRAY['retail']),
+  ('HP', 'domestic', ARRAY['retail'])
+ON CONFLICT (code) DO UPDATE SET type = EXCLUDED.type, tags = EXCLUDED.tags, updated_at = NOW();
@@ -0,0 +1,4 @@
+-- Seeded stock rows are kept: transactions may reference them
+DROP INDEX IF EXISTS stocks_sector_idx;
+ALTER TABLE stocks DROP COLUMN IF EXISTS subsector;
+ALTER TABLE stocks DROP COLUMN IF EXISTS sector;
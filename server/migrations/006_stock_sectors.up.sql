@@ -0,0 +1,51 @@
+-- Stock sector classification (IDX-IC sector / sub-industry) used to aggregate market flows
+-- (see market-flows.js). Seeded for the LQ45 universe; other symbols can be loaded with
+-- npm run import:sectors. Stocks without a sector are reported as Unclassified.
+
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS sector VARCHAR(100);
+ALTER TABLE stocks ADD COLUMN IF NOT EXISTS subsector VARCHAR(100);
+CREATE INDEX IF NOT EXISTS stocks_sector_idx ON stocks (sector);
+
+INSERT INTO stocks (symbol, sector, subsector) VALUES
+  ('ARTO', 'Financials', 'Banks'),
+  ('BBCA', 'Financials', 'Banks'),
+  ('BBNI', 'Financials', 'Banks'),
+  ('BBRI', 'Financials', 'Banks'),
+  ('BBTN', 'Financials', 'Banks'),
+  ('BMRI', 'Financials', 'Banks'),
+  ('BRIS', 'Financials', 'Banks'),
+  ('ADRO', 'Energy', 'Coal'),
+  ('HRUM', 'Energy', 'Coal'),
+  ('ITMG', 'Energy', 'Coal'),
+  ('PTBA', 'Energy', 'Coal'),
+  ('MEDC', 'Energy', 'Oil & Gas'),
+  ('PGAS', 'Energy', 'Oil & Gas'),
+  ('AMMN', 'Basic Materials', 'Metals & Minerals'),
+  ('ANTM', 'Basic Materials', 'Metals & Minerals'),
+  ('MBMA', 'Basic Materials', 'Metals & Minerals'),
+  ('MDKA', 'Basic Materials', 'Metals & Minerals'),
+  ('TINS', 'Basic Materials', 'Metals & Minerals'),
+  ('BRPT', 'Basic Materials', 'Chemicals'),
+  ('ESSA', 'Basic Materials', 'Chemicals'),
+  ('TPIA', 'Basic Materials', 'Chemicals'),
+  ('INTP', 'Basic Materials', 'Cement'),
+  ('SMGR', 'Basic Materials', 'Cement'),
+  ('INKP', 'Basic Materials', 'Paper & Packaging'),
+  ('EXCL', 'Infrastructures', 'Telecommunication'),
+  ('MTEL', 'Infrastructures', 'Telecommunication'),
+  ('TBIG', 'Infrastructures', 'Telecommunication'),
+  ('TLKM', 'Infrastructures', 'Telecommunication'),
+  ('CPIN', 'Consumer Non-Cyclicals', 'Food & Beverage'),
+  ('ICBP', 'Consumer Non-Cyclicals', 'Food & Beverage'),
+  ('INDF', 'Consumer Non-Cyclicals', 'Food & Beverage'),
+  ('GGRM', 'Consumer Non-Cyclicals', 'Tobacco'),
+  ('UNVR', 'Consumer Non-Cyclicals', 'Household Products'),
+  ('MAPI', 'Consumer Cyclicals', 'Retailing'),
+  ('SRIL', 'Consumer Cyclicals', 'Apparel'),
+  ('ASII', 'Industrials', 'Multi-sector Holdings'),
+  ('UNTR', 'Industrials', 'Heavy Equipment'),
+  ('KLBF', 'Healthcare', 'Pharmaceuticals'),
+  ('BUKA', 'Technology', 'Internet Services'),
+  ('EMTK', 'Technology', 'Internet Services'),
+  ('GOTO', 'Technology', 'Internet Services')
+ON CONFLICT (symbol) DO UPDATE SET sector = EXCLUDED.sector, subsector = EXCLUDED.subsector;
@@ -0,0 +1,22 @@
+-- Company fundamentals snapshots (see fundamentals.js), one row per symbol per as-of date so
+-- analysis can read the figures that were current on a given day.
+-- Loaded from GoAPI company profiles or CSV; market_cap may be NULL and derived from shares x price.
+
+CREATE TABLE IF NOT EXISTS company_fundamentals (
+  symbol VARCHAR(10) NOT NULL,
+  as_of DATE NOT NULL,
+  sector VARCHAR(100),
+  subsector VARCHAR(100),
+  shares_outstanding BIGINT,
+  free_float_pct NUMERIC(6, 2),
+  market_cap NUMERIC(22, 2),
+  pe NUMERIC(12, 2),
+  pbv NUMERIC(12, 2),
+  roe NUMERIC(10, 2),
+  dividend_yield NUMERIC(8, 2),
+  source VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (symbol, as_of),
+  CHECK (free_float_pct IS NULL OR (free_float_pct >= 0 AND free_float_pct <= 100))
+);
+CREATE INDEX IF NOT EXISTS company_fundamentals_sector_idx ON company_fundamentals (sector, as_of);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS sid_counts;
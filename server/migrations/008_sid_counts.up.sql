@@ -0,0 +1,12 @@
+-- Shareholder counts (single investor IDs) per stock from KSEI-style reports (see sid-counts.js).
+-- One row per symbol per report date; period records whether the report is weekly or monthly.
+
+CREATE TABLE IF NOT EXISTS sid_counts (
+  symbol VARCHAR(10) NOT NULL,
+  report_date DATE NOT NULL,
+  holders INTEGER NOT NULL CHECK (holders >= 0),
+  period VARCHAR(10) NOT NULL DEFAULT 'monthly' CHECK (period IN ('weekly', 'monthly')),
+  source VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (symbol, report_date)
+);
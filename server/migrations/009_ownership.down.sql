@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ownership_float;
+DROP TABLE IF EXISTS ownership_holders;
@@ -0,0 +1,27 @@
+-- Shareholder ownership disclosures (see ownership.js)
+-- ownership_holders: >5% shareholders per disclosure date; each (symbol, as_of) is a full snapshot,
+-- so a holder missing from a later disclosure has exited or dropped below 5%.
+-- ownership_float: share count and free float per report date.
+
+CREATE TABLE IF NOT EXISTS ownership_holders (
+  symbol VARCHAR(10) NOT NULL,
+  as_of DATE NOT NULL,
+  holder VARCHAR(255) NOT NULL,
+  holder_type VARCHAR(20) NOT NULL DEFAULT 'other',
+  shares BIGINT NOT NULL CHECK (shares >= 0),
+  pct NUMERIC(7, 4),
+  source VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (symbol, as_of, holder)
+);
+
+CREATE TABLE IF NOT EXISTS ownership_float (
+  symbol VARCHAR(10) NOT NULL,
+  as_of DATE NOT NULL,
+  total_shares BIGINT NOT NULL CHECK (total_shares > 0),
+  free_float_shares BIGINT NOT NULL CHECK (free_float_shares >= 0),
+  free_float_pct NUMERIC(6, 2) NOT NULL,
+  source VARCHAR(20),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (symbol, as_of)
+);
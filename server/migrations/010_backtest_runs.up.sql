@@ -0,0 +1,21 @@
+-- Persisted backtest runs (see backtest-runs.js)
+-- config is the fully resolved request (strategy parameters, execution model, universe) so a run can
+-- be repeated exactly; versions records the engine, scoring and code revision that produced result.
+
+CREATE TABLE IF NOT EXISTS backtest_runs (
+  id UUID PRIMARY KEY,
+  status VARCHAR(12) NOT NULL DEFAULT 'queued',
+  mode VARCHAR(10) NOT NULL,
+  strategy VARCHAR(64) NOT NULL,
+  config JSONB NOT NULL,
+  versions JSONB NOT NULL,
+  rerun_of UUID REFERENCES backtest_runs (id) ON DELETE SET NULL,
+  progress JSONB,
+  summary JSONB,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS backtest_runs_created_idx ON backtest_runs (created_at DESC);
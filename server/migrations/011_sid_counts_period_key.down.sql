@@ -0,0 +1,6 @@
+-- Keep the monthly report where both periods share a date
+DELETE FROM sid_counts w
+USING sid_counts m
+WHERE w.symbol = m.symbol AND w.report_date = m.report_date AND w.period = 'weekly' AND m.period = 'monthly';
+ALTER TABLE sid_counts DROP CONSTRAINT IF EXISTS sid_counts_pkey;
+ALTER TABLE sid_counts ADD CONSTRAINT sid_counts_pkey PRIMARY KEY (symbol, report_date);
@@ -0,0 +1,4 @@
+-- A weekly and a monthly SID report can share a report date; key rows by period too (see sid-counts.js)
+
+ALTER TABLE sid_counts DROP CONSTRAINT IF EXISTS sid_counts_pkey;
+ALTER TABLE sid_counts ADD CONSTRAINT sid_counts_pkey PRIMARY KEY (symbol, report_date, period);
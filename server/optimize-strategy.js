@@ -0,0 +1,105 @@
+// Strategy parameter sweep / walk-forward optimization CLI
+//
+//   node optimize-strategy.js --strategy bandar_strength --from 2024-01-01 [--to 2024-12-31]
+//     --space '{"entryScore":[60,70,80],"takeProfitPct":{"min":10,"max":20,"step":5}}'
+//     [--method grid|random] [--samples 20] [--seed 1] [--objective sharpeRatio]
+//     [--in-sample 60] [--out-of-sample 20] [--fund 100000000] [--profile default] [--out result.json]
+//
+// --space also accepts @file.json. --out-of-sample 0 runs a plain sweep over the whole range.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { LQ45_STOCKS } from './universe.js';
+import { getScoringProfile } from './scoring-profiles.js';
+import { resolveOptimization, runOptimization } from './backtest-optimizer.js';
+
+const { values } = parseArgs({
+  options: {
+    strategy: { type: 'string' },
+    space: { type: 'string' },
+    method: { type: 'string' },
+    samples: { type: 'string' },
+    seed: { type: 'string' },
+    objective: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'in-sample': { type: 'string' },
+    'out-of-sample': { type: 'string' },
+    fund: { type: 'string' },
+    profile: { type: 'string' },
+    symbols: { type: 'string' },
+    out: { type: 'string' }
+  }
+});
+
+async function main() {
+  if (!values.space || !values.from) {
+    console.log('Usage: node optimize-strategy.js --strategy NAME --from YYYY-MM-DD --space JSON|@file [options]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const space = JSON.parse(values.space.startsWith('@') ? readFileSync(values.space.slice(1), 'utf8') : values.space);
+  const { options, error } = resolveOptimization({
+    strategy: values.strategy,
+    space,
+    method: values.method,
+    samples: values.samples,
+    seed: values.seed,
+    objective: values.objective,
+    inSampleDays: values['in-sample'],
+    outOfSampleDays: values['out-of-sample'],
+    startDate: values.from,
+    endDate: values.to
+  });
+  if (error) throw new Error(error);
+
+  const profile = getScoringProfile(values.profile);
+  if (!profile) throw new Error(`Unknown profile: ${values.profile}`);
+
+  console.log(`Optimizing ${options.strategy}: ${options.candidates.length} parameter sets, ${options.method} search, objective ${options.objective}`);
+  const result = await runOptimization(options, {
+    initialFund: parseFloat(values.fund) || 100_000_000,
+    symbols: values.symbols ? values.symbols.split(',').map(s => s.trim().toUpperCase()) : LQ45_STOCKS,
+    profile
+  }, {
+    onProgress: ({ completed, total }) => {
+      if (completed % 10 === 0 || completed === total) console.log(`  ${completed}/${total} runs`);
+    }
+  });
+
+  const swept = Object.keys(options.space);
+  console.log('\nWalk-forward windows:');
+  console.table(result.walkForward.map(wf => ({
+    window: wf.window,
+    inSample: `${wf.inSample.from}..${wf.inSample.to}`,
+    outOfSample: wf.outOfSample ? `${wf.outOfSample.from}..${wf.outOfSample.to}` : '-',
+    ...Object.fromEntries(swept.map(key => [key, wf.params[key]])),
+    isObjective: wf.inSampleMetrics.objective,
+    oosObjective: wf.outOfSampleMetrics?.objective ?? null,
+    oosReturn: wf.outOfSampleMetrics?.totalReturn ?? null
+  })));
+  console.log('\nTop parameter sets (ranked in-sample):');
+  console.table(result.ranking.slice(0, 20).map(r => ({
+    rank: r.rank,
+    ...Object.fromEntries(swept.map(key => [key, r.params[key]])),
+    inSample: r.inSampleObjective,
+    outOfSample: r.outOfSampleObjective,
+    oosRank: r.outOfSampleRank,
+    degradation: r.degradation
+  })));
+  console.log('Summary:', result.summary);
+
+  if (values.out) {
+    writeFileSync(values.out, JSON.stringify(result, null, 2));
+    console.log(`Wrote ${values.out}`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Optimization failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
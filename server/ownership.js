@@ -0,0 +1,383 @@
+// Shareholder ownership (ownership_holders / ownership_float, see migrations/009_ownership)
+// Imports >5% shareholder and free-float disclosures, tracks each holder's changes between
+// disclosures and measures broker net accumulation against the free float over 1W/1M/3M.
+// Free float comes from the latest float report, else company_fundamentals, else total shares
+// minus the disclosed >5% holders.
+
+import { pool } from './db.js';
+import { parseCSV, toNumber, toISODate } from './csv.js';
+import { loadBrokerRegistry, brokerHasTag } from './broker-registry.js';
+
+export const HOLDER_TYPES = ['controlling', 'institution', 'individual', 'government', 'treasury', 'other'];
+
+export const ACCUMULATION_WINDOWS = {
+  '1W': { days: 7, label: 'Last 7 Days' },
+  '1M': { days: 30, label: 'Last 30 Days' },
+  '3M': { days: 90, label: 'Last 90 Days' }
+};
+
+const LOT_SIZE = 100; // Shares per lot
+const TOP_BUYERS = 5;
+const STABLE_STAKE_PP = 0.5; // Controlling stake moving less than this (percentage points) is stable
+
+function pick(raw, names) {
+  for (const name of names) {
+    if (raw[name] !== undefined && raw[name] !== null && raw[name] !== '') return raw[name];
+  }
+  return null;
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function parseRecords(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith('[') ? JSON.parse(trimmed) : parseCSV(text);
+}
+
+// Validate one >5% holder row; returns { row } or { error }
+function normalizeHolder(raw, defaults) {
+  const symbol = String(pick(raw, ['symbol', 'ticker', 'kode_efek']) || defaults.symbol || '').trim().toUpperCase();
+  const asOf = toISODate(pick(raw, ['as_of', 'date', 'report_date']) || defaults.asOf);
+  const holder = String(pick(raw, ['holder', 'holder_name', 'shareholder', 'name']) || '').trim();
+  const holderType = String(pick(raw, ['holder_type', 'type', 'category']) || 'other').trim().toLowerCase();
+  const shares = toNumber(pick(raw, ['shares', 'shares_held', 'jumlah_saham']));
+  const pct = toNumber(pick(raw, ['pct', 'percentage', 'ownership_pct']));
+
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!asOf) return { error: 'Missing or invalid as-of date' };
+  if (!holder || holder.length > 255) return { error: 'Missing or too long holder name' };
+  if (!HOLDER_TYPES.includes(holderType)) return { error: `Invalid holder type: ${holderType} (${HOLDER_TYPES.join('|')})` };
+  if (shares === null || shares < 0) return { error: 'Invalid shares' };
+  if (pct !== null && (pct < 0 || pct > 100)) return { error: `Invalid percentage: ${pct}` };
+  return { row: { symbol, asOf, holder, holderType, shares: Math.round(shares), pct } };
+}
+
+// Validate one free-float report row; returns { row } or { error }
+function normalizeFloat(raw, defaults) {
+  const symbol = String(pick(raw, ['symbol', 'ticker', 'kode_efek']) || defaults.symbol || '').trim().toUpperCase();
+  const asOf = toISODate(pick(raw, ['as_of', 'date', 'report_date']) || defaults.asOf);
+  const totalShares = toNumber(pick(raw, ['total_shares', 'listed_shares', 'shares_outstanding']));
+  let freeFloatShares = toNumber(pick(raw, ['free_float_shares', 'float_shares']));
+  let freeFloatPct = toNumber(pick(raw, ['free_float_pct', 'free_float']));
+
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!asOf) return { error: 'Missing or invalid as-of date' };
+  if (!totalShares || totalShares <= 0) return { error: 'Invalid total shares' };
+  if (freeFloatShares === null && freeFloatPct === null) return { error: 'Free float shares or percentage required' };
+  if (freeFloatPct !== null && (freeFloatPct < 0 || freeFloatPct > 100)) return { error: `Invalid free float: ${freeFloatPct}` };
+  if (freeFloatShares !== null && (freeFloatShares < 0 || freeFloatShares > totalShares)) return { error: 'Free float shares exceed total shares' };
+
+  if (freeFloatShares === null) freeFloatShares = totalShares * freeFloatPct / 100;
+  if (freeFloatPct === null) freeFloatPct = round((freeFloatShares / totalShares) * 100);
+  return { row: { symbol, asOf, totalShares: Math.round(totalShares), freeFloatShares: Math.round(freeFloatShares), freeFloatPct } };
+}
+
+// Import >5% holder disclosures. Each (symbol, as_of) in the file replaces that snapshot.
+export async function importHolderDisclosures(text, { symbol = null, asOf = null, source = 'disclosure' } = {}) {
+  const rows = [];
+  const rejected = [];
+  parseRecords(text).forEach((raw, idx) => {
+    const { row, error } = normalizeHolder(raw, { symbol, asOf });
+    if (error) rejected.push({ line: idx + 2, reason: error });
+    else rows.push(row);
+  });
+
+  const snapshots = new Map();
+  for (const row of rows) {
+    const key = `${row.symbol}|${row.asOf}`;
+    if (!snapshots.has(key)) snapshots.set(key, new Map());
+    snapshots.get(key).set(row.holder, row); // Later duplicate of a holder wins
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const holders of snapshots.values()) {
+      const [first] = holders.values();
+      await client.query('DELETE FROM ownership_holders WHERE symbol = $1 AND as_of = $2', [first.symbol, first.asOf]);
+      for (const h of holders.values()) {
+        await client.query(`
+          INSERT INTO ownership_holders (symbol, as_of, holder, holder_type, shares, pct, source, updated_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        `, [h.symbol, h.asOf, h.holder, h.holderType, h.shares, h.pct, source]);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { saved: rows.length, snapshots: snapshots.size, rejected };
+}
+
+// Import free-float reports keyed by (symbol, as_of)
+export async function importFloatReports(text, { symbol = null, asOf = null, source = 'disclosure' } = {}) {
+  const rows = [];
+  const rejected = [];
+  parseRecords(text).forEach((raw, idx) => {
+    const { row, error } = normalizeFloat(raw, { symbol, asOf });
+    if (error) rejected.push({ line: idx + 2, reason: error });
+    else rows.push(row);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const r of rows) {
+      await client.query(`
+        INSERT INTO ownership_float (symbol, as_of, total_shares, free_float_shares, free_float_pct, source, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (symbol, as_of) DO UPDATE SET
+          total_shares = EXCLUDED.total_shares,
+          free_float_shares = EXCLUDED.free_float_shares,
+          free_float_pct = EXCLUDED.free_float_pct,
+          source = EXCLUDED.source,
+          updated_at = NOW()
+      `, [r.symbol, r.asOf, r.totalShares, r.freeFloatShares, r.freeFloatPct, source]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { saved: rows.length, rejected };
+}
+
+// Every holder disclosure on or before asOf, oldest first
+async function getHolderRows(symbol, asOf) {
+  const { rows } = await pool.query(`
+    SELECT TO_CHAR(as_of, 'YYYY-MM-DD') as as_of, holder, holder_type, shares, pct
+    FROM ownership_holders
+    WHERE symbol = $1 AND ($2::date IS NULL OR as_of <= $2::date)
+    ORDER BY as_of ASC, shares DESC
+  `, [symbol, asOf]);
+  return rows.map(r => ({
+    asOf: r.as_of,
+    holder: r.holder,
+    holderType: r.holder_type,
+    shares: parseInt(r.shares),
+    pct: r.pct !== null ? parseFloat(r.pct) : null
+  }));
+}
+
+// Share count and free float from the latest float report, else the latest fundamentals snapshot
+async function getShareBase(symbol, asOf) {
+  const { rows: reports } = await pool.query(`
+    SELECT TO_CHAR(as_of, 'YYYY-MM-DD') as as_of, total_shares, free_float_shares, free_float_pct
+    FROM ownership_float
+    WHERE symbol = $1 AND ($2::date IS NULL OR as_of <= $2::date)
+    ORDER BY as_of DESC
+    LIMIT 1
+  `, [symbol, asOf]);
+  if (reports[0]) {
+    return {
+      asOf: reports[0].as_of,
+      totalShares: parseInt(reports[0].total_shares),
+      freeFloatShares: parseInt(reports[0].free_float_shares),
+      freeFloatPct: parseFloat(reports[0].free_float_pct),
+      source: 'float_report'
+    };
+  }
+
+  const { rows: fundamentals } = await pool.query(`
+    SELECT TO_CHAR(as_of, 'YYYY-MM-DD') as as_of, shares_outstanding, free_float_pct
+    FROM company_fundamentals
+    WHERE symbol = $1 AND shares_outstanding IS NOT NULL AND ($2::date IS NULL OR as_of <= $2::date)
+    ORDER BY as_of DESC
+    LIMIT 1
+  `, [symbol, asOf]);
+  const f = fundamentals[0];
+  if (!f) return null;
+  const totalShares = parseInt(f.shares_outstanding);
+  const freeFloatPct = f.free_float_pct !== null ? parseFloat(f.free_float_pct) : null;
+  return {
+    asOf: f.as_of,
+    totalShares,
+    freeFloatShares: freeFloatPct !== null ? Math.round(totalShares * freeFloatPct / 100) : null,
+    freeFloatPct,
+    source: freeFloatPct !== null ? 'fundamentals' : null
+  };
+}
+
+// Per-(day, broker) net lots over the longest window ending on the stock's latest broker day
+async function getBrokerNetFlows(symbol, asOf) {
+  const { rows: latest } = await pool.query(`
+    SELECT TO_CHAR(MAX(DATE(bt.time)), 'YYYY-MM-DD') as date
+    FROM broker_transactions bt
+    JOIN stocks s ON bt.stock_id = s.id
+    WHERE s.symbol = $1 AND ($2::date IS NULL OR DATE(bt.time) <= $2::date)
+  `, [symbol, asOf]);
+  const to = latest[0]?.date;
+  if (!to) return { to: null, flows: [] };
+
+  const { rows } = await pool.query(`
+    SELECT TO_CHAR(DATE(bt.time), 'YYYY-MM-DD') as date, b.code, SUM(bt.net_volume) as net_volume
+    FROM broker_transactions bt
+    JOIN brokers b ON bt.broker_id = b.id
+    JOIN stocks s ON bt.stock_id = s.id
+    WHERE s.symbol = $1
+      AND DATE(bt.time) >= $2::date
+      AND DATE(bt.time) <= $3::date
+    GROUP BY DATE(bt.time), b.code
+  `, [symbol, shiftDate(to, ACCUMULATION_WINDOWS['3M'].days - 1), to]);
+
+  return { to, flows: rows.map(r => ({ date: r.date, code: r.code, netLots: parseInt(r.net_volume) || 0 })) };
+}
+
+// Net accumulation per window: top net buyers, and smart money (bandar + foreign tags), in shares
+// and as % of free float
+function summarizeAccumulation(flows, to, freeFloatShares) {
+  const pctOfFloat = shares => freeFloatShares > 0 ? round((shares / freeFloatShares) * 100, 3) : null;
+
+  return Object.fromEntries(Object.entries(ACCUMULATION_WINDOWS).map(([key, { days, label }]) => {
+    const from = shiftDate(to, days - 1);
+    const byBroker = new Map();
+    for (const f of flows) {
+      if (f.date < from) continue;
+      byBroker.set(f.code, (byBroker.get(f.code) || 0) + f.netLots * LOT_SIZE);
+    }
+
+    const buyers = [...byBroker.entries()].filter(([, shares]) => shares > 0).sort((a, b) => b[1] - a[1]).slice(0, TOP_BUYERS);
+    const topBuyersNetShares = buyers.reduce((sum, [, shares]) => sum + shares, 0);
+    const smartMoneyNetShares = [...byBroker.entries()]
+      .filter(([code]) => brokerHasTag(code, 'bandar') || brokerHasTag(code, 'foreign'))
+      .reduce((sum, [, shares]) => sum + shares, 0);
+
+    return [key, {
+      label,
+      from,
+      to,
+      topBuyers: buyers.map(([code, shares]) => ({ code, netShares: shares, pctOfFloat: pctOfFloat(shares) })),
+      topBuyersNetShares,
+      topBuyersPctOfFloat: pctOfFloat(topBuyersNetShares),
+      smartMoneyNetShares,
+      smartMoneyPctOfFloat: pctOfFloat(smartMoneyNetShares)
+    }];
+  }));
+}
+
+// Latest holders vs the previous disclosure; INITIAL when there is no earlier disclosure
+function compareHolders(latest, previous) {
+  const before = new Map(previous.map(h => [h.holder, h]));
+  const now = new Map(latest.map(h => [h.holder, h]));
+  const changes = latest.map(h => {
+    const prev = before.get(h.holder);
+    const changeShares = prev ? h.shares - prev.shares : null;
+    return {
+      ...h,
+      previousShares: prev?.shares ?? null,
+      changeShares,
+      changePct: prev && h.pct !== null && prev.pct !== null ? round(h.pct - prev.pct, 4) : null,
+      status: !prev ? (previous.length > 0 ? 'NEW' : 'INITIAL') : changeShares > 0 ? 'INCREASED' : changeShares < 0 ? 'DECREASED' : 'UNCHANGED'
+    };
+  });
+  const exited = previous
+    .filter(h => !now.has(h.holder))
+    .map(h => ({ ...h, shares: 0, pct: 0, previousShares: h.shares, changeShares: -h.shares, changePct: h.pct !== null ? -h.pct : null, status: 'EXITED' }));
+  return [...changes, ...exited];
+}
+
+// Ownership snapshot as of a date (YYYY-MM-DD, default latest) in the shape scoring-v3 reads
+// (totalShares, controllingStake, controllingStakeStable, freeFloatShares) plus holder changes
+// and broker accumulation against the free float. available is false when nothing is on file.
+export async function getOwnership(symbol, asOf = null) {
+  await loadBrokerRegistry();
+  const [holderRows, base, { to, flows }] = await Promise.all([
+    getHolderRows(symbol, asOf),
+    getShareBase(symbol, asOf),
+    getBrokerNetFlows(symbol, asOf)
+  ]);
+
+  const dates = [...new Set(holderRows.map(h => h.asOf))];
+  const latestDate = dates[dates.length - 1] || null;
+  const previousDate = dates[dates.length - 2] || null;
+  const totalShares = base?.totalShares || null;
+  const withPct = h => ({ ...h, pct: h.pct ?? (totalShares ? round((h.shares / totalShares) * 100, 4) : null) });
+  const latest = holderRows.filter(h => h.asOf === latestDate).map(withPct);
+  const previous = holderRows.filter(h => h.asOf === previousDate).map(withPct);
+
+  let freeFloatShares = base?.freeFloatShares ?? null;
+  let freeFloatPct = base?.freeFloatPct ?? null;
+  let freeFloatSource = base?.source || null;
+  if (freeFloatShares === null && totalShares && latest.length > 0) {
+    // IDX free float excludes >5% holders and treasury stock
+    freeFloatShares = Math.max(0, totalShares - latest.reduce((sum, h) => sum + h.shares, 0));
+    freeFloatPct = round((freeFloatShares / totalShares) * 100);
+    freeFloatSource = 'holders';
+  }
+
+  // Flagged controlling holders, else the largest disclosed holder
+  const stakeOf = holders => {
+    const flagged = holders.filter(h => h.holderType === 'controlling');
+    const group = flagged.length > 0 ? flagged : holders.slice(0, 1);
+    return group.length > 0 && group.every(h => h.pct !== null) ? group.reduce((sum, h) => sum + h.pct, 0) : null;
+  };
+  const controllingStake = stakeOf(latest);
+  const previousStake = stakeOf(previous);
+  const controlling = latest.filter(h => h.holderType === 'controlling');
+
+  return {
+    symbol,
+    available: latestDate !== null || base !== null,
+    holdersAsOf: latestDate,
+    previousHoldersAsOf: previousDate,
+    floatAsOf: base?.asOf || null,
+    totalShares,
+    freeFloatShares,
+    freeFloatPct,
+    freeFloatSource,
+    controllingHolder: (controlling.length > 0 ? controlling : latest.slice(0, 1)).map(h => h.holder).join(', ') || null,
+    controllingStake: controllingStake !== null ? round(controllingStake, 4) : null,
+    controllingStakeChange: controllingStake !== null && previousStake !== null ? round(controllingStake - previousStake, 4) : null,
+    // Unknown (null) until there are two disclosures to compare
+    controllingStakeStable: controllingStake !== null && previousStake !== null
+      ? Math.abs(controllingStake - previousStake) < STABLE_STAKE_PP
+      : null,
+    holders: compareHolders(latest, previous),
+    accumulation: to ? summarizeAccumulation(flows, to, freeFloatShares) : {}
+  };
+}
+
+// Each holder's disclosed position over time (oldest first), for charting
+export async function getOwnershipHistory(symbol, { from = null, to = null } = {}) {
+  const rows = (await getHolderRows(symbol, to)).filter(r => !from || r.asOf >= from);
+  const dates = [...new Set(rows.map(r => r.asOf))];
+  const holders = new Map();
+  for (const r of rows) {
+    if (!holders.has(r.holder)) holders.set(r.holder, { holder: r.holder, holderType: r.holderType, history: [] });
+    const h = holders.get(r.holder);
+    h.holderType = r.holderType;
+    h.history.push({ asOf: r.asOf, shares: r.shares, pct: r.pct });
+  }
+
+  const { rows: floats } = await pool.query(`
+    SELECT TO_CHAR(as_of, 'YYYY-MM-DD') as as_of, total_shares, free_float_shares, free_float_pct
+    FROM ownership_float
+    WHERE symbol = $1 AND ($2::date IS NULL OR as_of >= $2::date) AND ($3::date IS NULL OR as_of <= $3::date)
+    ORDER BY as_of ASC
+  `, [symbol, from, to]);
+
+  return {
+    symbol,
+    disclosureDates: dates,
+    holders: [...holders.values()],
+    freeFloat: floats.map(f => ({
+      asOf: f.as_of,
+      totalShares: parseInt(f.total_shares),
+      freeFloatShares: parseInt(f.free_float_shares),
+      freeFloatPct: parseFloat(f.free_float_pct)
+    }))
+  };
+}
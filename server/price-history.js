@@ -0,0 +1,177 @@
+// Daily OHLCV price history (daily_prices table, see migrations/002_daily_prices)
+// Backfilled from GoAPI historical endpoints or CSV exports, appended after each trading day.
+
+import { pool } from './db.js';
+import { getHistoricalPrices } from './goapi.js';
+import { parseCSV, toNumber, toISODate } from './csv.js';
+
+const DEFAULT_BACKFILL_DAYS = 30;
+
+// Validate and normalize one price row; returns { bar } or { error }
+function normalizeBar(raw, defaultSymbol = null) {
+  const symbol = String(raw.symbol || raw.ticker || defaultSymbol || '').trim().toUpperCase();
+  const date = toISODate(raw.date);
+  const close = toNumber(raw.close);
+  const high = toNumber(raw.high);
+  const low = toNumber(raw.low);
+  
+  if (!symbol) return { error: 'Missing symbol' };
+  if (!date) return { error: `Invalid date: ${raw.date}` };
+  if (!close || close <= 0) return { error: `Invalid close: ${raw.close}` };
+  // Optional columns may be blank but never malformed
+  for (const field of ['open', 'high', 'low', 'volume', 'value', 'frequency']) {
+    const present = raw[field] !== undefined && raw[field] !== null && raw[field] !== '';
+    if (present && toNumber(raw[field]) === null) return { error: `Invalid ${field}: ${raw[field]}` };
+  }
+  if (high !== null && low !== null && high < low) return { error: `High ${high} below low ${low}` };
+  
+  return {
+    bar: {
+      symbol,
+      date,
+      open: toNumber(raw.open),
+      high,
+      low,
+      close,
+      volume: toNumber(raw.volume),
+      value: toNumber(raw.value),
+      frequency: toNumber(raw.frequency)
+    }
+  };
+}
+
+// Insert or update bars keyed by (symbol, date)
+export async function upsertDailyPrices(bars, source = 'manual') {
+  if (bars.length === 0) return 0;
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const b of bars) {
+      await client.query(`
+        INSERT INTO daily_prices (symbol, date, open, high, low, close, volume, value, frequency, source, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+        ON CONFLICT (symbol, date) DO UPDATE SET
+          open = EXCLUDED.open,
+          high = EXCLUDED.high,
+          low = EXCLUDED.low,
+          close = EXCLUDED.close,
+          volume = EXCLUDED.volume,
+          value = COALESCE(EXCLUDED.value, daily_prices.value),
+          frequency = COALESCE(EXCLUDED.frequency, daily_prices.frequency),
+          source = EXCLUDED.source,
+          updated_at = NOW()
+      `, [b.symbol, b.date, b.open, b.high, b.low, b.close, b.volume, b.value, b.frequency, source]);
+    }
+    await client.query('COMMIT');
+    return bars.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Get stored bars for a symbol, oldest first
+// Options: from/to (YYYY-MM-DD, inclusive), limit (most recent N bars)
+export async function getDailyPrices(symbol, { from = null, to = null, limit = null } = {}) {
+  const { rows } = await pool.query(`
+    SELECT * FROM (
+      SELECT symbol, TO_CHAR(date, 'YYYY-MM-DD') as date, open, high, low, close, volume, value, frequency
+      FROM daily_prices
+      WHERE symbol = $1
+        AND ($2::date IS NULL OR date >= $2::date)
+        AND ($3::date IS NULL OR date <= $3::date)
+      ORDER BY date DESC
+      LIMIT $4
+    ) recent
+    ORDER BY date ASC
+  `, [symbol, from, to, limit]);
+  
+  return rows.map(r => ({
+    symbol: r.symbol,
+    date: r.date,
+    open: parseFloat(r.open) || parseFloat(r.close),
+    high: parseFloat(r.high) || parseFloat(r.close),
+    low: parseFloat(r.low) || parseFloat(r.close),
+    close: parseFloat(r.close),
+    volume: parseInt(r.volume) || 0,
+    value: r.value !== null ? parseFloat(r.value) : null,
+    frequency: r.frequency !== null ? parseInt(r.frequency) : null
+  }));
+}
+
+// Latest stored date per symbol
+async function getLatestPriceDates(symbols) {
+  const { rows } = await pool.query(`
+    SELECT symbol, TO_CHAR(MAX(date), 'YYYY-MM-DD') as latest_date
+    FROM daily_prices
+    WHERE symbol = ANY($1)
+    GROUP BY symbol
+  `, [symbols]);
+  return new Map(rows.map(r => [r.symbol, r.latest_date]));
+}
+
+// Backfill bars from GoAPI historical endpoint
+export async function backfillFromGoAPI(symbols, from, to) {
+  const results = [];
+  for (const symbol of symbols) {
+    try {
+      const history = await getHistoricalPrices(symbol, from, to);
+      const bars = [];
+      let rejected = 0;
+      for (const raw of history) {
+        const { bar } = normalizeBar(raw, symbol);
+        if (bar) bars.push(bar);
+        else rejected++;
+      }
+      const saved = await upsertDailyPrices(bars, 'goapi');
+      results.push({ symbol, saved, rejected });
+    } catch (error) {
+      console.error(`Error backfilling prices for ${symbol}:`, error.message);
+      results.push({ symbol, saved: 0, error: error.message });
+    }
+  }
+  return results;
+}
+
+// Import bars from CSV text (columns: symbol,date,open,high,low,close,volume[,value,frequency])
+// symbol may be omitted from the file and passed as an option instead
+export async function importPricesCSV(text, { symbol = null, source = 'csv' } = {}) {
+  const records = parseCSV(text);
+  const bars = [];
+  const rejected = [];
+  
+  records.forEach((raw, idx) => {
+    const { bar, error } = normalizeBar(raw, symbol);
+    if (bar) bars.push(bar);
+    else rejected.push({ line: idx + 2, reason: error });
+  });
+  
+  const saved = await upsertDailyPrices(bars, source);
+  return { saved, rejected };
+}
+
+// Append missing days since each symbol's last stored bar (end-of-day job)
+export async function appendLatestPrices(symbols) {
+  const today = new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().split('T')[0]; // WIB
+  const latestDates = await getLatestPriceDates(symbols);
+  const results = [];
+  
+  for (const symbol of symbols) {
+    const last = latestDates.get(symbol);
+    const fromDate = new Date(`${last || today}T00:00:00Z`);
+    fromDate.setUTCDate(fromDate.getUTCDate() + (last ? 1 : -DEFAULT_BACKFILL_DAYS));
+    const from = fromDate.toISOString().split('T')[0];
+    if (from > today) {
+      results.push({ symbol, saved: 0 });
+      continue;
+    }
+    results.push(...await backfillFromGoAPI([symbol], from, today));
+  }
+  
+  const saved = results.reduce((sum, r) => sum + r.saved, 0);
+  console.log(`📈 Daily prices appended: ${saved} bars for ${symbols.length} symbols`);
+  return results;
+}
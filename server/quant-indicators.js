@@ -0,0 +1,203 @@
+// Quantitative indicators (#11-14) computed from daily OHLCV bars
+// MFI, OBV, CMF and VWAP over rolling windows of stored bars (daily_prices, ascending).
+// Shared by indicators.js (scoring v2) and scoring-v3.js so both engines read the same numbers.
+// Every result carries its lookback so callers can tell a 14-day MFI from a 5-bar estimate.
+
+export const QUANT_PERIODS = {
+  mfi: 14,
+  obvSlope: 10,
+  cmf: 20,
+  vwap: 20,
+  vwapAnchorLookback: 60
+};
+
+// Bars needed before any indicator is meaningful (MFI needs period + 1 closes)
+export const MIN_QUANT_BARS = QUANT_PERIODS.mfi + 1;
+
+const typicalPrice = bar => ((bar.high || bar.close) + (bar.low || bar.close) + bar.close) / 3;
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Least-squares slope of values against their index
+function slope(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const xMean = (n - 1) / 2;
+  const yMean = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0, den = 0;
+  values.forEach((y, x) => {
+    num += (x - xMean) * (y - yMean);
+    den += (x - xMean) ** 2;
+  });
+  return den > 0 ? num / den : 0;
+}
+
+// Money Flow Index over `period` bars, with the prior bar's value for direction
+export function calculateMFI(bars, period = QUANT_PERIODS.mfi) {
+  const mfiAt = end => {
+    let positive = 0, negative = 0;
+    for (let i = end - period + 1; i <= end; i++) {
+      const tp = typicalPrice(bars[i]);
+      const prevTp = typicalPrice(bars[i - 1]);
+      const flow = tp * (bars[i].volume || 0);
+      if (tp > prevTp) positive += flow;
+      else if (tp < prevTp) negative += flow;
+    }
+    if (negative === 0) return positive > 0 ? 100 : 50;
+    return 100 - 100 / (1 + positive / negative);
+  };
+
+  const last = bars.length - 1;
+  if (last < period) return null;
+  const value = mfiAt(last);
+  const previous = last - 1 >= period ? mfiAt(last - 1) : value;
+  const signal = value > 70 ? 'OVERBOUGHT' : value < 30 ? 'OVERSOLD' : value > 50 ? 'BULLISH' : 'BEARISH';
+
+  return {
+    value: Math.round(value),
+    previous: Math.round(previous),
+    change: round(value - previous),
+    signal,
+    period,
+    description: `MFI(${period}): ${Math.round(value)} - ${signal}`
+  };
+}
+
+// Cumulative OBV over all bars; slope and divergence are measured over the last `slopePeriod` bars.
+// Slope is normalized by average volume so it reads as "average days of volume gained per day".
+export function calculateOBV(bars, slopePeriod = QUANT_PERIODS.obvSlope) {
+  if (bars.length < 2) return null;
+
+  const series = [0];
+  for (let i = 1; i < bars.length; i++) {
+    const change = bars[i].close - bars[i - 1].close;
+    const volume = bars[i].volume || 0;
+    series.push(series[i - 1] + (change > 0 ? volume : change < 0 ? -volume : 0));
+  }
+
+  const window = Math.min(slopePeriod, series.length);
+  const recent = series.slice(-window);
+  const recentBars = bars.slice(-window);
+  const avgVolume = recentBars.reduce((sum, b) => sum + (b.volume || 0), 0) / window;
+  const normalizedSlope = avgVolume > 0 ? slope(recent) / avgVolume : 0;
+  const trend = normalizedSlope > 0.1 ? 'RISING' : normalizedSlope < -0.1 ? 'FALLING' : 'FLAT';
+
+  const firstClose = recentBars[0].close;
+  const priceChangePct = firstClose > 0 ? (recentBars[window - 1].close / firstClose - 1) * 100 : 0;
+
+  const divergence = { detected: false, signal: 'NEUTRAL', description: 'OBV confirming price' };
+  if (trend === 'RISING' && priceChangePct <= 0) {
+    divergence.detected = true;
+    divergence.signal = 'BULLISH_DIVERGENCE';
+    divergence.description = `OBV rising while price ${priceChangePct.toFixed(1)}% over ${window}D - Accumulation underway`;
+  } else if (trend === 'FALLING' && priceChangePct > 1) {
+    divergence.detected = true;
+    divergence.signal = 'BEARISH_DIVERGENCE';
+    divergence.description = `OBV falling while price +${priceChangePct.toFixed(1)}% over ${window}D - Distribution possible`;
+  }
+
+  const value = series[series.length - 1];
+  return {
+    value: Math.round(value / 1000000), // In millions of shares
+    slope: round(normalizedSlope, 3),
+    trend,
+    divergence,
+    bars: bars.length,
+    slopePeriod: window,
+    description: divergence.detected ? divergence.description : `OBV: ${Math.round(value / 1000000)}M - ${trend.toLowerCase()} over ${window}D`
+  };
+}
+
+// Chaikin Money Flow over `period` bars
+export function calculateCMF(bars, period = QUANT_PERIODS.cmf) {
+  if (bars.length < period) return null;
+
+  let sumMF = 0, sumVolume = 0;
+  for (const bar of bars.slice(-period)) {
+    const high = bar.high || bar.close;
+    const low = bar.low || bar.close;
+    const volume = bar.volume || 0;
+    if (high > low) sumMF += (((bar.close - low) - (high - bar.close)) / (high - low)) * volume;
+    sumVolume += volume;
+  }
+
+  const value = sumVolume > 0 ? sumMF / sumVolume : 0;
+  const signal = value > 0.1 ? 'BULLISH' : value < -0.1 ? 'BEARISH' : 'NEUTRAL';
+  return {
+    value: round(value, 3),
+    signal,
+    period,
+    description: `CMF(${period}): ${value.toFixed(3)} - ${signal} money flow`
+  };
+}
+
+// Rolling VWAP over the last `period` bars plus VWAP anchored at the lowest low of the
+// last `anchorLookback` bars (or at `anchorDate` when given)
+export function calculateVWAP(bars, { period = QUANT_PERIODS.vwap, anchorDate = null, anchorLookback = QUANT_PERIODS.vwapAnchorLookback } = {}) {
+  if (bars.length === 0) return null;
+
+  const vwapOf = slice => {
+    let value = 0, volume = 0;
+    for (const bar of slice) {
+      value += typicalPrice(bar) * (bar.volume || 0);
+      volume += bar.volume || 0;
+    }
+    return volume > 0 ? value / volume : slice[slice.length - 1].close;
+  };
+
+  let anchorIdx;
+  if (anchorDate) {
+    anchorIdx = bars.findIndex(b => b.date >= anchorDate);
+    if (anchorIdx === -1) anchorIdx = bars.length - 1;
+  } else {
+    anchorIdx = Math.max(0, bars.length - anchorLookback);
+    for (let i = anchorIdx; i < bars.length; i++) {
+      if ((bars[i].low || bars[i].close) < (bars[anchorIdx].low || bars[anchorIdx].close)) anchorIdx = i;
+    }
+  }
+
+  const rollingBars = bars.slice(-period);
+  const close = bars[bars.length - 1].close;
+  const rolling = vwapOf(rollingBars);
+  const anchored = vwapOf(bars.slice(anchorIdx));
+  const priceVsVwap = rolling > 0 ? ((close - rolling) / rolling) * 100 : 0;
+
+  const reclaim = { detected: false, signal: 'NEUTRAL', description: 'Price around VWAP' };
+  if (priceVsVwap > 2) {
+    reclaim.detected = true;
+    reclaim.signal = 'ABOVE_VWAP';
+    reclaim.description = `Price ${priceVsVwap.toFixed(1)}% above ${rollingBars.length}D VWAP - Bullish control`;
+  } else if (priceVsVwap < -2) {
+    reclaim.detected = true;
+    reclaim.signal = 'BELOW_VWAP';
+    reclaim.description = `Price ${Math.abs(priceVsVwap).toFixed(1)}% below ${rollingBars.length}D VWAP - Bearish pressure`;
+  }
+
+  return {
+    value: Math.round(rolling),
+    period: rollingBars.length,
+    priceVsVwap: round(priceVsVwap),
+    anchored: {
+      value: Math.round(anchored),
+      anchorDate: bars[anchorIdx].date,
+      priceVsVwap: anchored > 0 ? round(((close - anchored) / anchored) * 100) : 0
+    },
+    reclaim,
+    description: reclaim.description
+  };
+}
+
+// All four indicators from ascending daily bars; null when history is too short
+export function calculateQuantIndicators(bars) {
+  if (!bars || bars.length < MIN_QUANT_BARS) return null;
+
+  return {
+    source: 'daily_bars',
+    bars: bars.length,
+    asOf: bars[bars.length - 1].date,
+    mfi: calculateMFI(bars),
+    obv: calculateOBV(bars),
+    // CMF falls back to whatever history exists when there are fewer than 20 bars
+    cmf: calculateCMF(bars) || calculateCMF(bars, bars.length),
+    vwap: calculateVWAP(bars)
+  };
+}
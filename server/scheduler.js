@@ -0,0 +1,39 @@
+// Daily job scheduler on IDX market time (WIB, UTC+7, no daylight saving)
+
+const WIB_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Next run (as a UTC Date) for HH:MM WIB, skipping weekends when weekdaysOnly
+function nextRunTime(time, weekdaysOnly, now = new Date()) {
+  const [hour, minute] = time.split(':').map(n => parseInt(n));
+  const wibNow = new Date(now.getTime() + WIB_OFFSET_MS);
+  let run = new Date(Date.UTC(wibNow.getUTCFullYear(), wibNow.getUTCMonth(), wibNow.getUTCDate(), hour, minute));
+  if (run <= wibNow) run = new Date(run.getTime() + DAY_MS);
+  while (weekdaysOnly && (run.getUTCDay() === 0 || run.getUTCDay() === 6)) {
+    run = new Date(run.getTime() + DAY_MS);
+  }
+  return new Date(run.getTime() - WIB_OFFSET_MS);
+}
+
+// Run job every trading day at time (HH:MM WIB); returns { cancel }
+export function scheduleDaily(name, time, job, { weekdaysOnly = true } = {}) {
+  let timer = null;
+  
+  const arm = () => {
+    const runAt = nextRunTime(time, weekdaysOnly);
+    timer = setTimeout(async () => {
+      console.log(`⏰ Running scheduled job ${name}`);
+      try {
+        await job();
+      } catch (error) {
+        console.error(`Scheduled job ${name} failed:`, error.message);
+      }
+      arm();
+    }, runAt.getTime() - Date.now());
+    timer.unref?.();
+  };
+  
+  arm();
+  console.log(`⏰ Scheduled ${name} daily at ${time} WIB`);
+  return { cancel: () => clearTimeout(timer) };
+}
@@ -0,0 +1,154 @@
+// End-of-day score snapshots (score_snapshots table, see migrations/003_score_snapshots)
+// Each trading day every symbol is scored point-in-time with every engine and persisted,
+// so score history can be charted and signals can be checked against later price moves.
+// Rows are keyed by scoring profile too; profile_hash pins the exact parameters used.
+
+import { pool } from './db.js';
+import { generateBandarIndicators } from './indicators.js';
+import { getDailyPrices } from './price-history.js';
+import { scoreWithAllEngines, ENGINE_VERSIONS } from './scoring-engines.js';
+import { getScoringProfile } from './scoring-profiles.js';
+
+// v3 reports a single factor list tagged with emoji; split it like v2's bullish/bearish lists
+const BULLISH_MARKERS = ['🟢', '💎'];
+const BEARISH_MARKERS = ['🔴', '⚠️'];
+
+function splitFactors(factors = []) {
+  return {
+    bullishFactors: factors.filter(f => BULLISH_MARKERS.some(m => f.startsWith(m))),
+    bearishFactors: factors.filter(f => BEARISH_MARKERS.some(m => f.startsWith(m)))
+  };
+}
+
+// Normalize an engine result into the persisted snapshot shape
+function toSnapshot(engine, result) {
+  if (engine === 'v3') {
+    return {
+      score: result.score,
+      signal: result.signal,
+      ...splitFactors(result.factors),
+      details: { conviction: result.conviction, idealSetup: result.idealSetup, metrics: result.metrics }
+    };
+  }
+
+  return {
+    score: result.score,
+    signal: result.signal,
+    bullishFactors: result.bullishFactors || [],
+    bearishFactors: result.bearishFactors || [],
+    details: null
+  };
+}
+
+// Price bar for the snapshot date with change vs the previous stored close
+async function getSnapshotBar(symbol, date) {
+  const bars = await getDailyPrices(symbol, { to: date, limit: 2 });
+  const bar = bars[bars.length - 1];
+  if (!bar || (date && bar.date !== date)) return null;
+
+  const prevClose = bars.length > 1 ? bars[0].close : bar.open;
+  const change = bar.close - prevClose;
+  return {
+    ...bar,
+    change,
+    change_pct: prevClose > 0 ? (change / prevClose) * 100 : 0
+  };
+}
+
+async function saveSnapshots(symbol, date, close, results, profile) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [engine, result] of Object.entries(results)) {
+      const s = toSnapshot(engine, result);
+      await client.query(`
+        INSERT INTO score_snapshots
+          (symbol, date, engine, engine_version, profile, profile_hash, score, signal, close,
+           bullish_factors, bearish_factors, details)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        ON CONFLICT (symbol, date, engine, profile) DO UPDATE SET
+          engine_version = EXCLUDED.engine_version,
+          profile_hash = EXCLUDED.profile_hash,
+          score = EXCLUDED.score,
+          signal = EXCLUDED.signal,
+          close = EXCLUDED.close,
+          bullish_factors = EXCLUDED.bullish_factors,
+          bearish_factors = EXCLUDED.bearish_factors,
+          details = EXCLUDED.details,
+          created_at = NOW()
+      `, [
+        symbol, date, engine, ENGINE_VERSIONS[engine], profile.name, profile.hash, s.score, s.signal, close,
+        JSON.stringify(s.bullishFactors), JSON.stringify(s.bearishFactors),
+        s.details ? JSON.stringify(s.details) : null
+      ]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Score each symbol as of `date` (default: its latest stored bar) and persist one row per engine.
+// Symbols without a price bar or broker data for that day are skipped rather than scored on defaults.
+export async function captureScoreSnapshots(symbols, { date = null, profile = getScoringProfile() } = {}) {
+  const results = [];
+
+  for (const symbol of symbols) {
+    try {
+      const bar = await getSnapshotBar(symbol, date);
+      if (!bar) {
+        results.push({ symbol, date, saved: 0, skipped: 'No price bar' });
+        continue;
+      }
+
+      const indicators = await generateBandarIndicators(symbol, bar, bar.date);
+      if (indicators.brokerSummary.length === 0 || indicators.date !== bar.date) {
+        results.push({ symbol, date: bar.date, saved: 0, skipped: 'No broker data' });
+        continue;
+      }
+
+      const scores = await scoreWithAllEngines(symbol, bar, indicators, profile);
+      await saveSnapshots(symbol, bar.date, bar.close, scores, profile);
+      results.push({ symbol, date: bar.date, saved: Object.keys(scores).length });
+    } catch (error) {
+      console.error(`Error capturing score snapshot for ${symbol}:`, error.message);
+      results.push({ symbol, date, saved: 0, error: error.message });
+    }
+  }
+
+  const saved = results.filter(r => r.saved > 0).length;
+  console.log(`📸 Score snapshots (${profile.name}): ${saved}/${symbols.length} symbols saved${date ? ` for ${date}` : ''}`);
+  return results;
+}
+
+// Stored snapshots for one symbol, ascending by date
+export async function getScoreHistory(symbol, { from = null, to = null, engine = null, profile = getScoringProfile().name } = {}) {
+  const { rows } = await pool.query(`
+    SELECT TO_CHAR(date, 'YYYY-MM-DD') as date, engine, engine_version, profile, profile_hash,
+           score, signal, close, bullish_factors, bearish_factors, details
+    FROM score_snapshots
+    WHERE symbol = $1
+      AND ($2::date IS NULL OR date >= $2::date)
+      AND ($3::date IS NULL OR date <= $3::date)
+      AND ($4::text IS NULL OR engine = $4)
+      AND profile = $5
+    ORDER BY date ASC, engine ASC
+  `, [symbol, from, to, engine, profile]);
+
+  return rows.map(r => ({
+    date: r.date,
+    engine: r.engine,
+    engineVersion: r.engine_version,
+    profile: r.profile,
+    profileHash: r.profile_hash,
+    score: r.score,
+    signal: r.signal,
+    close: r.close !== null ? parseFloat(r.close) : null,
+    bullishFactors: r.bullish_factors,
+    bearishFactors: r.bearish_factors,
+    details: r.details
+  }));
+}
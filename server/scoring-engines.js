@@ -0,0 +1,66 @@
+// Scoring engine selection
+// v2 (scoring.js) scores the indicator bundle from indicators.js directly.
+// v3 (scoring-v3.js) expects a stockData shape with price history, broker flow and ownership,
+// which buildV3StockData assembles from the same indicators plus daily_prices.
+
+import { calculateBandarScore as calculateScoreV2 } from './scoring.js';
+import { calculateBandarScore as calculateScoreV3 } from './scoring-v3.js';
+import { getDailyPrices } from './price-history.js';
+import { getScoringProfile } from './scoring-profiles.js';
+
+export const SCORING_ENGINES = ['v2', 'v3'];
+export const DEFAULT_ENGINE = 'v2';
+
+// Recorded alongside persisted scores so history survives algorithm changes
+export const ENGINE_VERSIONS = { v2: '2.0', v3: '3.0' };
+
+const LOT_SIZE = 100; // Shares per lot
+const HISTORY_BARS = 60; // v3 needs 20+ bars for OBV/CMF/resistance
+
+// Build the stockData object scoring-v3 expects
+export async function buildV3StockData(symbol, price, indicators) {
+  const historical = await getDailyPrices(symbol, { to: indicators.date || null, limit: HISTORY_BARS })
+    .catch(error => {
+      console.error(`Error loading price history for ${symbol}:`, error.message);
+      return [];
+    });
+  
+  // v3 compares broker volume against float in shares, so convert lots
+  const brokerData = (indicators.brokerSummary || []).map(b => {
+    const lots = (b.buyVolume || 0) + (b.sellVolume || 0);
+    return {
+      code: b.code,
+      buyVolume: (b.buyVolume || 0) * LOT_SIZE,
+      sellVolume: (b.sellVolume || 0) * LOT_SIZE,
+      avgPrice: lots > 0 ? ((b.buyValue || 0) + (b.sellValue || 0)) / (lots * LOT_SIZE) : 0
+    };
+  });
+  
+  const streakDays = indicators.foreignStreak?.detected ? indicators.foreignStreak.consecutiveDays : 0;
+  
+  return {
+    symbol,
+    price: price.close || 0,
+    volume: price.volume || 0,
+    changePct: price.change_pct ?? price.changePct,
+    historical,
+    brokerData,
+    foreignData: {
+      netValue: indicators.foreignFlow?.netValue || 0,
+      streak: {
+        buyDays: streakDays > 0 ? streakDays : 0,
+        sellDays: streakDays < 0 ? -streakDays : 0
+      }
+    },
+    quantitative: indicators.quantitative,
+    ownership: indicators.ownership,
+    avgDailyValue: indicators.liquidity?.avgDailyValue || 0
+  };
+}
+
+// Score with every engine so results can be compared side by side
+export async function scoreWithAllEngines(symbol, price, indicators, profile = getScoringProfile()) {
+  const v2 = calculateScoreV2(price, indicators, profile);
+  const v3 = calculateScoreV3(await buildV3StockData(symbol, price, indicators), {}, profile);
+  return { v2, v3 };
+}
@@ -0,0 +1,113 @@
+// Scoring profiles (scoring-profiles/*.json)
+// default.json defines every weight, rupiah threshold and signal cutoff used by scoring v2/v3.
+// Other profiles override a subset of default.json and are deep-merged onto it.
+// Profiles are validated once at load so a typo fails the server at startup, not mid-scan.
+
+import { readdirSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+const PROFILE_DIR = new URL('./scoring-profiles/', import.meta.url);
+const SIGNAL_ORDER = ['STRONG_BUY', 'BUY', 'HOLD', 'REDUCE'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Merge `override` onto `base`, rejecting keys the base does not define
+function mergeProfile(base, override, path, errors) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!(key in base)) {
+      errors.push(`Unknown key ${keyPath}`);
+    } else if (isObject(base[key])) {
+      if (isObject(value)) merged[key] = mergeProfile(base[key], value, keyPath, errors);
+      else errors.push(`${keyPath} must be an object`);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function checkNumbers(node, path, errors) {
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (isObject(value)) checkNumbers(value, keyPath, errors);
+    else if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${keyPath} must be a finite number`);
+  }
+}
+
+function checkSignals(signals, path, errors) {
+  const cutoffs = SIGNAL_ORDER.map(s => signals[s]);
+  if (cutoffs.some(c => c < 0 || c > 100)) errors.push(`${path} cutoffs must be within 0-100`);
+  if (cutoffs.some((c, idx) => idx > 0 && c >= cutoffs[idx - 1])) {
+    errors.push(`${path} cutoffs must descend ${SIGNAL_ORDER.join(' > ')}`);
+  }
+}
+
+function validateProfile(profile) {
+  const errors = [];
+  const { description, ...settings } = profile;
+  if (typeof description !== 'string') errors.push('description must be a string');
+  checkNumbers(settings, '', errors);
+  if (errors.length > 0) return errors;
+
+  const { rules } = profile.v2;
+  if (rules.minScore >= rules.maxScore) errors.push('v2.rules.minScore must be below maxScore');
+  if (rules.minBullishFactors < 0) errors.push('v2.rules.minBullishFactors must be >= 0');
+  checkSignals(profile.v2.signals, 'v2.signals', errors);
+  checkSignals(profile.v3.signals, 'v3.signals', errors);
+  return errors;
+}
+
+function deepFreeze(node) {
+  Object.values(node).forEach(value => isObject(value) && deepFreeze(value));
+  return Object.freeze(node);
+}
+
+function loadProfiles() {
+  const read = file => JSON.parse(readFileSync(new URL(file, PROFILE_DIR), 'utf8'));
+  const base = read('default.json');
+  const profiles = new Map();
+  const overrides = new Map();
+
+  for (const file of readdirSync(PROFILE_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const name = file.replace(/\.json$/, '');
+    const errors = [];
+    const override = name === 'default' ? {} : read(file);
+    const resolved = name === 'default' ? base : mergeProfile(base, override, '', errors);
+    errors.push(...validateProfile(resolved));
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring profile ${file}: ${errors.join('; ')}`);
+    }
+
+    // Hash of the resolved settings identifies the exact parameters behind a stored score
+    const hash = createHash('sha1').update(JSON.stringify(resolved)).digest('hex').slice(0, 10);
+    profiles.set(name, deepFreeze({ name, hash, ...resolved }));
+    overrides.set(name, deepFreeze(override));
+  }
+  return { profiles, overrides };
+}
+
+const { profiles: PROFILES, overrides: OVERRIDES } = loadProfiles();
+
+export const SCORING_PROFILES = [...PROFILES.keys()];
+export const DEFAULT_PROFILE = process.env.SCORING_PROFILE || 'default';
+
+if (!PROFILES.has(DEFAULT_PROFILE)) {
+  throw new Error(`Unknown SCORING_PROFILE ${DEFAULT_PROFILE} (${SCORING_PROFILES.join('|')})`);
+}
+
+// Resolved profile by name, or null if it does not exist
+export function getScoringProfile(name = DEFAULT_PROFILE) {
+  return PROFILES.get(name) || null;
+}
+
+// Compact record of a profile for stored results: its name, hash and what it overrides in default.json
+export function describeScoringProfile(profile) {
+  return { name: profile.name, hash: profile.hash, overrides: OVERRIDES.get(profile.name) || {} };
+}
+
+// Map a score onto a signal using a profile's cutoffs
+export function signalForScore(score, cutoffs) {
+  return SIGNAL_ORDER.find(s => score >= cutoffs[s]) || 'SELL';
+}
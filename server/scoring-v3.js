@@ -9,46 +9,21 @@
  * - Ideal setup detector with ownership cross-reference
  */
 
-// Big Dog Brokers
-const BIG_DOG_BROKERS = ['YU', 'CC', 'NI', 'GW', 'SQ', 'OD', 'BK', 'AK'];
-const INSTITUTIONAL_BROKERS = ['YU', 'CC', 'NI', 'GW', 'SQ', 'OD', 'BK', 'AK', 'MS', 'JP', 'GS'];
-const RETAIL_BROKERS = ['DX', 'ZZ', 'QQ', 'MG', 'PD', 'HP'];
+import { getScoringProfile, signalForScore } from './scoring-profiles.js';
+import { calculateQuantIndicators } from './quant-indicators.js';
+import { brokerHasTag } from './broker-registry.js';
+import { scaleRupiahThresholds } from './liquidity.js';
 
-// Priority Weights (from practitioner)
-const WEIGHTS = {
-  brokerAccumulation: {
-    concentrationRatioHigh: 25,
-    concentrationRatioMedium: 18,
-    multiDayAccumulation: 15,
-    hiddenAccumulation: 12,
-    contraFlow: 10,
-    bigDogPresence: 5
-  },
-  volumePrice: {
-    unusualVolumeSpike: 15,
-    volumeDryUpBreakout: 15,
-    priceCompression: 12,
-    breakoutGap: 10
-  },
-  foreignFlow: {
-    strongNetBuy: 12,
-    moderateNetBuy: 8,
-    streakBonus: 5,
-    strongNetSell: -20  // INCREASED: Stronger penalty for foreign selling >1B
-  },
-  quantitative: {
-    obvDivergence: 8,
-    cmfPositive: 6,
-    mfiTrendingUp: 5,
-    vwapReclaim: 5
-  },
-  relativeStrength: {
-    vsIHSGDivergence: 6,
-    sectorLeadership: 5
-  }
-};
+// Priority weights (from practitioner), thresholds and signal cutoffs live in the
+// scoring profile (scoring-profiles/default.json) so they can be tuned without code changes;
+// rupiah thresholds are scaled by stockData.avgDailyValue (see liquidity.js)
+const RUPIAH_THRESHOLDS = ['strongForeignNetValue', 'moderateForeignNetValue', 'strongForeignSellValue'];
 
-export function calculateBandarScore(stockData, marketContext = {}) {
+export function calculateBandarScore(stockData, marketContext = {}, profile = getScoringProfile()) {
+  const config = {
+    ...profile.v3,
+    thresholds: scaleRupiahThresholds(profile.v3.thresholds, RUPIAH_THRESHOLDS, stockData.avgDailyValue)
+  };
   const { 
     symbol, 
     price, 
@@ -66,34 +41,34 @@ export function calculateBandarScore(stockData, marketContext = {}) {
   const metrics = calculateMetrics(stockData, marketContext);
   
   // Priority 1: Broker Analysis
-  const brokerAnalysis = analyzeBrokerAccumulation(brokerData, ownership, metrics);
+  const brokerAnalysis = analyzeBrokerAccumulation(brokerData, ownership, metrics, config);
   score += brokerAnalysis.scoreContribution;
   factors.push(...brokerAnalysis.factors);
   convictionFactors.push(...brokerAnalysis.convictionFactors);
   
   // Priority 2: Volume + Price
-  const volumePriceAnalysis = analyzeVolumePrice(price, volume, historical, metrics);
+  const volumePriceAnalysis = analyzeVolumePrice(price, volume, historical, metrics, config);
   score += volumePriceAnalysis.scoreContribution;
   factors.push(...volumePriceAnalysis.factors);
   
   // Priority 3: Foreign Flow
-  const foreignAnalysis = analyzeForeignFlow(foreignData);
+  const foreignAnalysis = analyzeForeignFlow(foreignData, config);
   score += foreignAnalysis.scoreContribution;
   factors.push(...foreignAnalysis.factors);
   
   // Priority 4: Quantitative
-  const quantAnalysis = analyzeQuantitativeIndicators(historical, price, volume);
+  const quantAnalysis = analyzeQuantitativeIndicators(stockData, config);
   score += quantAnalysis.scoreContribution;
   factors.push(...quantAnalysis.factors);
   
   // Priority 5: Relative Strength
-  const rsAnalysis = analyzeRelativeStrength(stockData, marketContext);
+  const rsAnalysis = analyzeRelativeStrength(stockData, marketContext, config);
   score += rsAnalysis.scoreContribution;
   factors.push(...rsAnalysis.factors);
   
   score = Math.max(0, Math.min(100, score));
   
-  const signal = determineSignal(score, convictionFactors);
+  const signal = determineSignal(score, convictionFactors, config.signals);
   const idealSetup = assessIdealSetup(stockData, brokerAnalysis, metrics);
   
   return {
@@ -112,13 +87,17 @@ export function calculateBandarScore(stockData, marketContext = {}) {
       volumeSpikeRatio: metrics.volumeSpikeRatio,
       obvTrend: quantAnalysis.obvTrend,
       cmfValue: quantAnalysis.cmfValue,
+      mfiValue: quantAnalysis.mfiValue,
       foreignStreak: foreignAnalysis.streak
     },
-    reasoning: generateEnhancedReasoning(score, signal, factors, idealSetup, metrics)
+    reasoning: generateEnhancedReasoning(score, signal, factors, idealSetup, metrics),
+    profile: profile.name,
+    profileHash: profile.hash
   };
 }
 
-function analyzeBrokerAccumulation(brokerData, ownership, metrics) {
+function analyzeBrokerAccumulation(brokerData, ownership, metrics, { weights, thresholds: T }) {
+  const W = weights.brokerAccumulation;
   let score = 0;
   const factors = [];
   const convictionFactors = [];
@@ -150,18 +129,18 @@ function analyzeBrokerAccumulation(brokerData, ownership, metrics) {
     sum + ((b.buyVolume || 0) - (b.sellVolume || 0)), 0
   );
   
-  const bigDogActivity = brokerData.filter(b => BIG_DOG_BROKERS.includes(b.code));
+  const bigDogActivity = brokerData.filter(b => brokerHasTag(b.code, 'big-dog'));
   const bigDogNet = bigDogActivity.reduce((sum, b) => 
     sum + ((b.buyVolume || 0) - (b.sellVolume || 0)), 0
   );
   
   const institutionalBuy = brokerData
-    .filter(b => INSTITUTIONAL_BROKERS.includes(b.code))
+    .filter(b => brokerHasTag(b.code, 'institutional'))
     .reduce((sum, b) => sum + (b.buyVolume || 0), 0);
   const retailSell = brokerData
-    .filter(b => RETAIL_BROKERS.includes(b.code))
+    .filter(b => brokerHasTag(b.code, 'retail'))
     .reduce((sum, b) => sum + (b.sellVolume || 0), 0);
-  const contraFlow = institutionalBuy > 0 && retailSell > institutionalBuy * 0.5;
+  const contraFlow = institutionalBuy > 0 && retailSell > institutionalBuy * T.contraFlowRetailRatio;
   
   const floatSize = metrics.floatSize || estimateFloat(ownership);
   const accumulationPct = floatSize > 0 ? Math.abs(netVolume) / floatSize : 0;
@@ -171,53 +150,53 @@ function analyzeBrokerAccumulation(brokerData, ownership, metrics) {
   const priceVsAvg = estimatedAvgPrice > 0 ? ((currentPrice - estimatedAvgPrice) / estimatedAvgPrice) * 100 : 0;
   
   // Scoring - FIXED: Check if top 3 are NET BUYING (top3NetVolume > 0)
-  if (top3Concentration > 0.5 && top3NetVolume > 0) {
-    score += WEIGHTS.brokerAccumulation.concentrationRatioHigh;
+  if (top3Concentration > T.highConcentration && top3NetVolume > 0) {
+    score += W.concentrationRatioHigh;
     factors.push(`🟢 High concentration (NET BUYING): ${(top3Concentration * 100).toFixed(1)}% (top 3)`);
     convictionFactors.push('high_concentration');
-  } else if (top3Concentration > 0.35 && top3NetVolume > 0) {
-    score += WEIGHTS.brokerAccumulation.concentrationRatioMedium;
+  } else if (top3Concentration > T.mediumConcentration && top3NetVolume > 0) {
+    score += W.concentrationRatioMedium;
     factors.push(`🟡 Moderate concentration (NET BUYING): ${(top3Concentration * 100).toFixed(1)}%`);
-  } else if (top3Concentration > 0.5 && top3NetVolume <= 0) {
+  } else if (top3Concentration > T.highConcentration && top3NetVolume <= 0) {
     // Penalty if concentrated but SELLING
-    score -= 15;
+    score += W.concentratedSelling;
     factors.push(`🔴 High concentration but NET SELLING: ${(top3Concentration * 100).toFixed(1)}%`);
     convictionFactors.push('concentrated_selling');
   }
   
   if (bigDogNet > 0 && bigDogActivity.length >= 2) {
-    score += WEIGHTS.brokerAccumulation.multiDayAccumulation;
+    score += W.multiDayAccumulation;
     factors.push(`🟢 Big Dog accumulation: ${bigDogActivity.filter(b => (b.buyVolume - b.sellVolume) > 0).length} brokers buying`);
     convictionFactors.push('big_dog_accumulating');
   } else if (bigDogNet > 0) {
-    score += WEIGHTS.brokerAccumulation.bigDogPresence;
+    score += W.bigDogPresence;
     factors.push(`🟡 Big Dog presence`);
-  } else if (bigDogNet < 0 && Math.abs(bigDogNet) > totalBuy * 0.1) {
-    score -= 15;
+  } else if (bigDogNet < 0 && Math.abs(bigDogNet) > totalBuy * T.bigDogDistributionRatio) {
+    score += W.bigDogDistribution;
     factors.push(`🔴 Big Dog distribution`);
     convictionFactors.push('big_dog_distributing');
   }
   
   if (contraFlow && netVolume > 0) {
-    score += WEIGHTS.brokerAccumulation.contraFlow;
+    score += W.contraFlow;
     factors.push(`🟢 Contra flow: Institutions absorbing retail`);
     convictionFactors.push('contra_flow');
   }
   
-  if (accumulationPct > 0.1) {
-    score += WEIGHTS.brokerAccumulation.hiddenAccumulation;
+  if (accumulationPct > T.strongFloatAccumulation) {
+    score += W.hiddenAccumulation;
     factors.push(`🟢 Strong accumulation: ${(accumulationPct * 100).toFixed(1)}% of float`);
     convictionFactors.push('high_float_pct');
-  } else if (accumulationPct > 0.05) {
-    score += 6;
+  } else if (accumulationPct > T.moderateFloatAccumulation) {
+    score += W.moderateAccumulation;
     factors.push(`🟡 Moderate accumulation: ${(accumulationPct * 100).toFixed(1)}% of float`);
   }
   
-  if (priceVsAvg > 0 && priceVsAvg < 20) {
+  if (priceVsAvg > 0 && priceVsAvg < T.sweetSpotMaxPct) {
     factors.push(`💎 Sweet spot: ${priceVsAvg.toFixed(1)}% above broker avg`);
     convictionFactors.push('sweet_spot');
-  } else if (priceVsAvg > 30) {
-    score -= 10;
+  } else if (priceVsAvg > T.extendedPct) {
+    score += W.extendedFromAvg;
     factors.push(`⚠️ ${priceVsAvg.toFixed(1)}% above broker avg (distribution risk)`);
     convictionFactors.push('extended');
   }
@@ -239,39 +218,41 @@ function analyzeBrokerAccumulation(brokerData, ownership, metrics) {
   };
 }
 
-function analyzeVolumePrice(price, volume, historical, metrics) {
+function analyzeVolumePrice(price, volume, historical, metrics, { weights, thresholds: T }) {
+  const W = weights.volumePrice;
   let score = 0;
   const factors = [];
   
   const avgVolume20 = metrics.avgVolume20 || calculateAverageVolume(historical, 20);
   const volumeSpikeRatio = avgVolume20 > 0 ? volume / avgVolume20 : 1;
   
-  if (volumeSpikeRatio > 3) {
-    score += WEIGHTS.volumePrice.unusualVolumeSpike;
+  if (volumeSpikeRatio > T.volumeSpikeRatio) {
+    score += W.unusualVolumeSpike;
     factors.push(`🟢 Volume spike: ${volumeSpikeRatio.toFixed(1)}x avg`);
-  } else if (volumeSpikeRatio > 2) {
-    score += 10;
+  } else if (volumeSpikeRatio > T.elevatedVolumeRatio) {
+    score += W.elevatedVolume;
     factors.push(`🟡 Elevated volume: ${volumeSpikeRatio.toFixed(1)}x avg`);
   }
   
   if (historical && historical.length >= 10) {
     const recentRange = calculatePriceRange(historical.slice(-10));
-    if (recentRange < 0.03) {
-      score += WEIGHTS.volumePrice.priceCompression;
+    if (recentRange < T.compressionRange) {
+      score += W.priceCompression;
       factors.push(`🟢 Price compression: ${(recentRange * 100).toFixed(1)}% range`);
     }
   }
   
   const resistanceLevel = metrics.resistanceLevel;
-  if (resistanceLevel && price > resistanceLevel * 1.02 && volumeSpikeRatio > 2) {
-    score += WEIGHTS.volumePrice.breakoutGap;
+  if (resistanceLevel && price > resistanceLevel * T.breakoutAboveResistance && volumeSpikeRatio > T.breakoutVolumeRatio) {
+    score += W.breakoutGap;
     factors.push(`🟢 Breakout on volume`);
   }
   
   return { scoreContribution: score, factors, volumeSpikeRatio };
 }
 
-function analyzeForeignFlow(foreignData) {
+function analyzeForeignFlow(foreignData, { weights, thresholds: T }) {
+  const W = weights.foreignFlow;
   let score = 0;
   const factors = [];
   let streak = 0;
@@ -279,73 +260,92 @@ function analyzeForeignFlow(foreignData) {
   const netValue = foreignData.netValue || 0;
   const streakData = foreignData.streak || { buyDays: 0, sellDays: 0 };
   
-  if (streakData.buyDays >= 5) {
+  if (streakData.buyDays >= T.foreignStreakDays) {
     streak = streakData.buyDays;
-    score += WEIGHTS.foreignFlow.streakBonus;
+    score += W.streakBonus;
     factors.push(`🟢 Foreign buy streak: ${streak} days`);
-  } else if (streakData.sellDays >= 5) {
+  } else if (streakData.sellDays >= T.foreignStreakDays) {
     streak = -streakData.sellDays;
-    score -= WEIGHTS.foreignFlow.streakBonus;
+    score -= W.streakBonus;
     factors.push(`🔴 Foreign sell streak: ${streakData.sellDays} days`);
   }
   
-  if (netValue > 1000000000) {
-    score += WEIGHTS.foreignFlow.strongNetBuy;
+  if (netValue > T.strongForeignNetValue) {
+    score += W.strongNetBuy;
     factors.push(`🟢 Foreign inflow: Rp ${(netValue / 1000000000).toFixed(2)}B`);
-  } else if (netValue > 500000000) {
-    score += WEIGHTS.foreignFlow.moderateNetBuy;
+  } else if (netValue > T.moderateForeignNetValue) {
+    score += W.moderateNetBuy;
     factors.push(`🟢 Foreign inflow: Rp ${(netValue / 1000000000).toFixed(2)}B`);
-  } else if (netValue < -1000000000) {
-    score += WEIGHTS.foreignFlow.strongNetSell;
+  } else if (netValue < -T.strongForeignSellValue) {
+    score += W.strongNetSell;
     factors.push(`🔴 Foreign outflow: Rp ${(netValue / 1000000000).toFixed(2)}B`);
   }
   
   return { scoreContribution: score, factors, streak };
 }
 
-function analyzeQuantitativeIndicators(historical, price, volume) {
+// Uses the indicator engine's bar-based quant indicators when available, otherwise computes
+// them from the price history passed in (see quant-indicators.js)
+function analyzeQuantitativeIndicators(stockData, { weights, thresholds: T }) {
+  const W = weights.quantitative;
   let score = 0;
   const factors = [];
   
-  if (!historical || historical.length < 20) {
+  const quant = stockData.quantitative?.source === 'daily_bars'
+    ? stockData.quantitative
+    : calculateQuantIndicators(stockData.historical);
+  
+  if (!quant) {
     return { scoreContribution: 0, factors: ['⚪ No quant data'], obvTrend: 'neutral', cmfValue: 0 };
   }
   
-  const obv = calculateOBV(historical);
-  const obvTrend = analyzeOBVTrend(obv, historical);
+  const divergence = quant.obv.divergence.signal;
+  const obvTrend = divergence === 'BULLISH_DIVERGENCE' ? 'leading' : divergence === 'BEARISH_DIVERGENCE' ? 'lagging' : 'neutral';
   
   if (obvTrend === 'leading') {
-    score += WEIGHTS.quantitative.obvDivergence;
+    score += W.obvDivergence;
     factors.push(`🟢 OBV divergence`);
   }
   
-  const cmf = calculateCMF(historical, 20);
-  if (cmf > 0.1) {
-    score += WEIGHTS.quantitative.cmfPositive;
-    factors.push(`🟢 CMF: ${cmf.toFixed(3)}`);
-  } else if (cmf < -0.1) {
-    score -= 5;
-    factors.push(`🔴 CMF: ${cmf.toFixed(3)}`);
+  const cmf = quant.cmf.value;
+  if (cmf > T.cmfPositive) {
+    score += W.cmfPositive;
+    factors.push(`🟢 CMF(${quant.cmf.period}): ${cmf.toFixed(3)}`);
+  } else if (cmf < T.cmfNegative) {
+    score += W.cmfNegative;
+    factors.push(`🔴 CMF(${quant.cmf.period}): ${cmf.toFixed(3)}`);
   }
   
-  const vwap = calculateVWAP(historical);
-  const priceVsVWAP = vwap > 0 ? ((price - vwap) / vwap) * 100 : 0;
+  const mfi = quant.mfi.value;
+  if (mfi > T.mfiTrendingMin && mfi < T.mfiOverbought && quant.mfi.change > 0) {
+    score += W.mfiTrendingUp;
+    factors.push(`🟢 MFI(${quant.mfi.period}) rising: ${mfi}`);
+  }
   
-  if (priceVsVWAP > 0 && priceVsVWAP < 5) {
-    score += WEIGHTS.quantitative.vwapReclaim;
+  const priceVsVWAP = quant.vwap.priceVsVwap;
+  if (priceVsVWAP > 0 && priceVsVWAP < T.vwapReclaimMaxPct) {
+    score += W.vwapReclaim;
     factors.push(`🟢 Reclaimed VWAP`);
   }
   
-  return { scoreContribution: score, factors, obvTrend, cmfValue: cmf, vwap, priceVsVWAP };
+  return {
+    scoreContribution: score,
+    factors,
+    obvTrend,
+    cmfValue: cmf,
+    mfiValue: mfi,
+    vwap: quant.vwap.value,
+    priceVsVWAP
+  };
 }
 
-function analyzeRelativeStrength(stockData, marketContext) {
+function analyzeRelativeStrength(stockData, marketContext, { weights, thresholds: T }) {
   let score = 0;
   const factors = [];
   
   if (marketContext.ihsgChange !== undefined && stockData.changePct !== undefined) {
-    if (marketContext.ihsgChange < -0.5 && stockData.changePct > 0) {
-      score += WEIGHTS.relativeStrength.vsIHSGDivergence;
+    if (marketContext.ihsgChange < T.ihsgWeakChangePct && stockData.changePct > 0) {
+      score += weights.relativeStrength.vsIHSGDivergence;
       factors.push(`🟢 Outperforming IHSG`);
     }
   }
@@ -395,9 +395,12 @@ function calculateMetrics(stockData) {
   };
 }
 
+// Free float in shares: the disclosed float (ownership.js), else total shares less the
+// controlling stake, else 30% of total shares; 1B when no share count is known
 function estimateFloat(ownership) {
-  if (!ownership) return 1_000_000_000;
-  const totalShares = ownership.totalShares || 0;
+  if (ownership?.freeFloatShares > 0) return ownership.freeFloatShares;
+  if (!ownership?.totalShares) return 1_000_000_000;
+  const totalShares = ownership.totalShares;
   const controllingStake = ownership.controllingStake || 0;
   if (totalShares > 0 && controllingStake > 0) {
     return totalShares * (1 - controllingStake / 100);
@@ -438,50 +441,9 @@ function calculateResistanceLevel(historical) {
   return Math.max(...historical.slice(-20).map(d => d.high || 0));
 }
 
-function calculateOBV(historical) {
-  let obv = 0;
-  for (let i = 1; i < historical.length; i++) {
-    const change = (historical[i].close || 0) - (historical[i-1].close || 0);
-    obv += change > 0 ? (historical[i].volume || 0) : change < 0 ? -(historical[i].volume || 0) : 0;
-  }
-  return obv;
-}
-
-function analyzeOBVTrend(obv, historical) {
-  if (historical.length < 10) return 'neutral';
-  const priceHigh = Math.max(...historical.slice(-10).map(d => d.high || d.close || 0));
-  const prevPriceHigh = Math.max(...historical.slice(-20, -10).map(d => d.high || d.close || 0));
-  return (obv > 0 && priceHigh <= prevPriceHigh) ? 'leading' : 'neutral';
-}
-
-function calculateCMF(historical, period) {
-  if (historical.length < period) return 0;
-  const recent = historical.slice(-period);
-  let sumMF = 0, sumVol = 0;
-  recent.forEach(d => {
-    const high = d.high || d.close || 0, low = d.low || d.close || 0, close = d.close || 0;
-    if (high > low) {
-      const mf = (((close - low) - (high - close)) / (high - low)) * (d.volume || 0);
-      sumMF += mf;
-      sumVol += d.volume || 0;
-    }
-  });
-  return sumVol > 0 ? sumMF / sumVol : 0;
-}
-
-function calculateVWAP(historical) {
-  let totalValue = 0, totalVolume = 0;
-  historical.forEach(d => {
-    const tp = ((d.high || d.close) + (d.low || d.close) + d.close) / 3;
-    totalValue += tp * (d.volume || 0);
-    totalVolume += d.volume || 0;
-  });
-  return totalVolume > 0 ? totalValue / totalVolume : 0;
-}
-
-function determineSignal(score, convictionFactors) {
-  let signal = score >= 75 ? 'STRONG_BUY' : score >= 60 ? 'BUY' : score >= 45 ? 'HOLD' : score >= 30 ? 'REDUCE' : 'SELL';
-  let conviction = score >= 75 ? 5 : score >= 60 ? 4 : score >= 45 ? 3 : score >= 30 ? 2 : 1;
+function determineSignal(score, convictionFactors, cutoffs) {
+  const signal = signalForScore(score, cutoffs);
+  let conviction = { STRONG_BUY: 5, BUY: 4, HOLD: 3, REDUCE: 2, SELL: 1 }[signal];
   
   if (convictionFactors.includes('high_concentration')) conviction = Math.min(5, conviction + 1);
   if (convictionFactors.includes('sweet_spot')) conviction = Math.min(5, conviction + 1);
@@ -518,4 +480,4 @@ export function generateSignalReasoning(score, signal, factors, indicators) {
   return generateEnhancedReasoning(score, { signal, conviction: 3 }, factors, { setupQuality: 'unknown', setupScore: 50 }, {});
 }
 
-export const SCORING_WEIGHTS = WEIGHTS;
+export const SCORING_WEIGHTS = getScoringProfile('default').v3.weights;
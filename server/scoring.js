@@ -2,9 +2,21 @@
 // More conservative - requires multiple confirmations for high scores
 // Penalizes bearish signals more heavily
 // Weights adjusted for better accuracy
+// Points, rupiah thresholds and signal cutoffs come from the scoring profile (see scoring-profiles.js);
+// rupiah thresholds are scaled by the stock's average daily value (see liquidity.js)
 
-export function calculateBandarScore(stockData, indicators) {
+import { getScoringProfile, signalForScore } from './scoring-profiles.js';
+import { scaleRupiahThresholds } from './liquidity.js';
+
+const RUPIAH_THRESHOLDS = [
+  'foreignStreakValue', 'strongForeignNetValue', 'foreignNetValue',
+  'majorTop3NetValue', 'top3NetValue', 'coordinatedExitNetValue'
+];
+
+export function calculateBandarScore(stockData, indicators, profile = getScoringProfile()) {
+  const { points: P, rules, signals } = profile.v2;
   const { brokerSummary = [], volumeAnalysis = {}, foreignFlow = {}, priceAction = {} } = indicators;
+  const T = scaleRupiahThresholds(profile.v2.thresholds, RUPIAH_THRESHOLDS, indicators.liquidity?.avgDailyValue);
   
   const currentPrice = stockData.close || 0;
   const priceChange = priceAction.changePct || 0;
@@ -24,7 +36,8 @@ export function calculateBandarScore(stockData, indicators) {
   const premiumToCost = ((currentPrice - avgBrokerCost) / avgBrokerCost) * 100;
   
   // Foreign flow
-  const foreignNetBillions = (foreignFlow.netValue || 0) / 1000000000;
+  const foreignNetValue = foreignFlow.netValue || 0;
+  const foreignNetBillions = foreignNetValue / 1000000000;
   
   // Top brokers
   const sortedByNet = [...brokerSummary].sort((a, b) => Math.abs(b.netValue || 0) - Math.abs(a.netValue || 0));
@@ -45,164 +58,166 @@ export function calculateBandarScore(stockData, indicators) {
   // 1. Strong Foreign Streak (3+ days, >Rp 5B)
   const fs = indicators.foreignStreak;
   if (fs && fs.detected) {
-    if (fs.signal === 'STRONG_BULLISH' && fs.totalNetValue > 5000000000) {
-      score += 15;
+    if (fs.signal === 'STRONG_BULLISH' && fs.totalNetValue > T.foreignStreakValue) {
+      score += P.foreignStreakInflow;
       bullishFactors.push(`Strong foreign streak: ${fs.consecutiveDays} days, Rp ${(fs.totalNetValue/1e9).toFixed(1)}B inflow`);
-    } else if (fs.signal === 'STRONG_BEARISH' && Math.abs(fs.totalNetValue) > 5000000000) {
-      score -= 18; // PENALIZE MORE
+    } else if (fs.signal === 'STRONG_BEARISH' && Math.abs(fs.totalNetValue) > T.foreignStreakValue) {
+      score += P.foreignStreakExodus; // PENALIZE MORE
       bearishFactors.push(`⚠️ Foreign exodus: ${Math.abs(fs.consecutiveDays)} days, Rp ${Math.abs(fs.totalNetValue/1e9).toFixed(1)}B outflow`);
     }
   }
   
-  // 2. High Bandar Concentration (>50% by top 3)
+  // 2. Bandar control: one broker dominating, or a cluster of correlated brokers (see broker-clusters.js)
+  // acting as one operator and absorbing a meaningful share of traded value
   const bc = indicators.brokerConcentration;
-  if (bc && bc.detected) {
-    if (bc.signal === 'HIGH_CONCENTRATION' && bc.concentrationDays >= 3) {
-      score += 15;
-      bullishFactors.push(`Bandar control: ${bc.dominantBrokers.map(b => b.code).join('+')} for ${bc.concentrationDays} days`);
-    }
+  const cluster = indicators.brokerClusters?.dominantCluster;
+  if (bc && bc.detected && bc.signal === 'HIGH_CONCENTRATION' && bc.concentrationDays >= T.concentrationDays) {
+    score += P.bandarControl;
+    bullishFactors.push(`Bandar control: ${bc.dominantBrokers.map(b => b.code).join('+')} for ${bc.concentrationDays} days`);
+  } else if (cluster && cluster.netSharePct >= T.clusterNetSharePct && cluster.activeDays >= T.concentrationDays) {
+    score += P.bandarControl;
+    bullishFactors.push(`Bandar control: ${cluster.brokers.join('+')} accumulating together (r=${cluster.avgCorrelation}), ${cluster.netSharePct}% of value over ${indicators.brokerClusters.lookbackDays} days`);
+  }
+  if (cluster && cluster.netSharePct <= -T.clusterNetSharePct && cluster.activeDays >= T.concentrationDays) {
+    score += P.clusterDistribution;
+    bearishFactors.push(`⚠️ Coordinated distribution: ${cluster.brokers.join('+')} selling together, ${Math.abs(cluster.netSharePct)}% of value over ${indicators.brokerClusters.lookbackDays} days`);
   }
   
   // 3. Gap Up Breakout on Volume
   const pa = indicators.priceAction;
-  if (pa?.gapUpBreakout?.detected && volumeRatio > 1.5) {
-    score += 15;
+  if (pa?.gapUpBreakout?.detected && volumeRatio > T.gapUpVolumeRatio) {
+    score += P.gapUpBreakout;
     bullishFactors.push(`Gap up breakout: ${pa.gapUpBreakout.gapPct}% with volume - accumulation complete`);
   }
   
   // === TIER 2: MEDIUM CONVICTION (+/- 8-12 points) ===
   
   // 4. Foreign Flow (single day)
-  if (foreignNetBillions > 2) {
-    score += 10;
+  if (foreignNetValue > T.strongForeignNetValue) {
+    score += P.strongForeignBuying;
     bullishFactors.push(`Strong foreign buying: +${foreignNetBillions.toFixed(1)}B`);
-  } else if (foreignNetBillions > 1) {
-    score += 6;
+  } else if (foreignNetValue > T.foreignNetValue) {
+    score += P.foreignBuying;
     bullishFactors.push(`Foreign buying: +${foreignNetBillions.toFixed(1)}B`);
-  } else if (foreignNetBillions < -2) {
-    score -= 12; // PENALIZE MORE
+  } else if (foreignNetValue < -T.strongForeignNetValue) {
+    score += P.strongForeignSelling; // PENALIZE MORE
     bearishFactors.push(`Strong foreign selling: ${foreignNetBillions.toFixed(1)}B`);
-  } else if (foreignNetBillions < -1) {
-    score -= 8;
+  } else if (foreignNetValue < -T.foreignNetValue) {
+    score += P.foreignSelling;
     bearishFactors.push(`Foreign selling: ${foreignNetBillions.toFixed(1)}B`);
   }
   
   // 5. Top Broker Alignment (>Rp 50B)
-  if (top3NetValue > 100000000000) {
-    score += 12;
+  if (top3NetValue > T.majorTop3NetValue) {
+    score += P.majorAccumulation;
     bullishFactors.push(`Major accumulation: Top 3 +Rp ${(top3NetValue/1e9).toFixed(1)}B`);
-  } else if (top3NetValue > 50000000000) {
-    score += 8;
+  } else if (top3NetValue > T.top3NetValue) {
+    score += P.brokerAccumulation;
     bullishFactors.push(`Broker accumulation: Top 3 +Rp ${(top3NetValue/1e9).toFixed(1)}B`);
-  } else if (top3NetValue < -100000000000) {
-    score -= 15; // PENALIZE MORE
+  } else if (top3NetValue < -T.majorTop3NetValue) {
+    score += P.majorDistribution; // PENALIZE MORE
     bearishFactors.push(`Major distribution: Top 3 -Rp ${Math.abs(top3NetValue/1e9).toFixed(1)}B`);
-  } else if (top3NetValue < -50000000000) {
-    score -= 10;
+  } else if (top3NetValue < -T.top3NetValue) {
+    score += P.brokerDistribution;
     bearishFactors.push(`Broker distribution: Top 3 -Rp ${Math.abs(top3NetValue/1e9).toFixed(1)}B`);
   }
   
   // 6. Stealth Accumulation (VDU + Breakout)
   const vdu = volumeAnalysis.volumeDryUp;
   if (vdu?.detected && vdu.signal === 'VDU_BREAKOUT') {
-    score += 12;
+    score += P.vduBreakout;
     bullishFactors.push(`VDU Breakout: ${vdu.dryUpDays} days quiet accumulation`);
   }
   
   // 7. OBV Bullish Divergence
   const qi = indicators.quantitative;
   if (qi?.obv?.divergence?.detected && qi.obv.divergence.signal === 'BULLISH_DIVERGENCE') {
-    score += 10;
+    score += P.obvBullishDivergence;
     bullishFactors.push(`OBV Divergence: Smart money accumulating`);
   } else if (qi?.obv?.divergence?.detected && qi.obv.divergence.signal === 'BEARISH_DIVERGENCE') {
-    score -= 10;
+    score += P.obvBearishDivergence;
     bearishFactors.push(`OBV Warning: Distribution pattern`);
   }
   
   // === TIER 3: CONFIRMATION SIGNALS (+/- 3-6 points) ===
   
   // 8. Volume Confirmation
-  if (volumeRatio > 2.5 && priceChange > 2) {
-    score += 6;
+  if (volumeRatio > T.volumeBreakoutRatio && priceChange > T.volumeBreakoutChangePct) {
+    score += P.volumeBreakout;
     bullishFactors.push(`Volume breakout: ${volumeRatio.toFixed(1)}x avg`);
-  } else if (volumeRatio > 2 && priceChange < -1) {
-    score -= 8; // Distribution
+  } else if (volumeRatio > T.volumeDistributionRatio && priceChange < T.volumeDistributionChangePct) {
+    score += P.volumeDistribution; // Distribution
     bearishFactors.push(`Volume distribution: ${volumeRatio.toFixed(1)}x avg with price drop`);
   }
   
   // 9. Cost Basis Position
-  if (premiumToCost >= -5 && premiumToCost <= 15) {
-    score += 5;
+  if (premiumToCost >= T.fairValueMinPct && premiumToCost <= T.fairValueMaxPct) {
+    score += P.fairValue;
     bullishFactors.push(`Fair value: ${premiumToCost.toFixed(1)}% above cost`);
-  } else if (premiumToCost > 30) {
-    score -= 8; // Overextended
+  } else if (premiumToCost > T.overextendedPct) {
+    score += P.overextended; // Overextended
     bearishFactors.push(`Overextended: ${premiumToCost.toFixed(1)}% above cost`);
-  } else if (premiumToCost < -10) {
-    score += 4;
+  } else if (premiumToCost < T.valueOpportunityPct) {
+    score += P.valueOpportunity;
     bullishFactors.push(`Value opportunity: ${Math.abs(premiumToCost).toFixed(1)}% below cost`);
   }
   
   // 10. CMF Money Flow
-  if (qi?.cmf?.value > 0.15) {
-    score += 5;
+  if (qi?.cmf?.value > T.cmfBuying) {
+    score += P.cmfBuying;
     bullishFactors.push(`CMF ${qi.cmf.value}: Strong buying pressure`);
-  } else if (qi?.cmf?.value < -0.15) {
-    score -= 6;
+  } else if (qi?.cmf?.value < T.cmfSelling) {
+    score += P.cmfSelling;
     bearishFactors.push(`CMF ${qi.cmf.value}: Selling pressure`);
   }
   
   // 11. MFI Momentum
-  if (qi?.mfi?.value < 30) {
-    score += 6;
+  if (qi?.mfi?.value < T.mfiOversold) {
+    score += P.mfiOversold;
     bullishFactors.push(`MFI ${qi.mfi.value}: Oversold bounce potential`);
-  } else if (qi?.mfi?.value > 75) {
-    score -= 5;
+  } else if (qi?.mfi?.value > T.mfiOverbought) {
+    score += P.mfiOverbought;
     bearishFactors.push(`MFI ${qi.mfi.value}: Overbought caution`);
   }
   
   // 12. Floor Defense
   if (pa?.floorDefense?.detected) {
-    score += 4;
+    score += P.floorDefense;
     bullishFactors.push(`Support at Rp ${pa.floorDefense.defenseLevel?.toLocaleString()}`);
   }
   
   // === RED FLAG PENALTIES (Additional) ===
   
   // 13. Multiple brokers selling (coordinated exit)
-  const sellingBrokers = brokerSummary.filter(b => (b.netValue || 0) < -10000000000);
-  if (sellingBrokers.length >= 3) {
-    score -= 10;
+  const sellingBrokers = brokerSummary.filter(b => (b.netValue || 0) < -T.coordinatedExitNetValue);
+  if (sellingBrokers.length >= T.coordinatedExitBrokers) {
+    score += P.coordinatedExit;
     bearishFactors.push(`Coordinated exit: ${sellingBrokers.length} major brokers selling`);
   }
   
   // ===== FINAL SCORE CALCULATION =====
   
   // Cap the score
-  score = Math.max(15, Math.min(85, score));
+  score = Math.max(rules.minScore, Math.min(rules.maxScore, score));
   
   // REQUIRE MULTIPLE CONFIRMATIONS FOR HIGH SCORES
   // Need at least 2 bullish factors for BUY signal
-  if (score >= 65 && bullishFactors.length < 2) {
-    score = 60; // Reduce to HOLD range if only 1 factor
+  if (score >= rules.confirmationScore && bullishFactors.length < rules.minBullishFactors) {
+    score = rules.unconfirmedScore; // Reduce to HOLD range if only 1 factor
   }
   
   // Need strong conviction for BUY (>=70)
-  if (score >= 70 && !bullishFactors.some(f => f.includes('streak') || f.includes('concentration') || f.includes('Gap up'))) {
-    score = 68; // Cap at 68 without tier 1 signal
+  if (score >= rules.tier1Score && !bullishFactors.some(f => f.includes('streak') || f.includes('concentration') || f.includes('Gap up'))) {
+    score = rules.noTier1Score; // Cap without tier 1 signal (68 by default)
   }
   
   // PENALIZE MORE: If has critical bearish factor, cap score
   if (bearishFactors.some(f => f.includes('exodus') || f.includes('distribution'))) {
-    score = Math.min(score, 55); // Cap at 55 if major red flag
+    score = Math.min(score, rules.redFlagCap); // Cap if major red flag (55 by default)
   }
   
   // Determine signal
-  let signal;
-  if (score >= 70) signal = 'STRONG_BUY';
-  else if (score >= 60) signal = 'BUY';
-  else if (score >= 45) signal = 'HOLD';
-  else if (score >= 35) signal = 'REDUCE';
-  else signal = 'SELL';
+  const signal = signalForScore(score, signals);
   
   // Generate honest summary
   let summary = '';
@@ -223,7 +238,9 @@ export function calculateBandarScore(stockData, indicators) {
     premiumToCost,
     bullishFactors,
     bearishFactors,
-    summary
+    summary,
+    profile: profile.name,
+    profileHash: profile.hash
   };
 }
 
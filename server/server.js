@@ -1,50 +1,43 @@
 import { generateComprehensiveAnalysis } from './comprehensive-analysis.js';
 import express from 'express';
 import { setupDashboard } from './dashboard-route.js';
+import { setupImportRoutes } from './import-route.js';
+import { setupBrokerRegistryRoutes } from './broker-registry-route.js';
 import cors from 'cors';
-import axios from 'axios';
-import pg from 'pg';
-import { calculateBandarScore, generateSignalReasoning } from './scoring.js';
-import { runBacktest } from './backtest.js';
-
-const { Pool } = pg;
-
-// Database connection pool
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'the_frontier',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'postgres',
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
-});
+import { pool } from './db.js';
+import { fetchFromAPI } from './goapi.js';
+import { LQ45_STOCKS } from './universe.js';
+import { generateSignalReasoning } from './scoring.js';
+import { SCORING_ENGINES, DEFAULT_ENGINE, scoreWithAllEngines } from './scoring-engines.js';
+import { SCORING_PROFILES, getScoringProfile } from './scoring-profiles.js';
+import { runBacktest, runReplayBacktest } from './backtest.js';
+import { listStrategies, loadStrategyModules } from './backtest-strategies.js';
+import { resolveOptimization, runOptimization } from './backtest-optimizer.js';
+import { resolveBacktestConfig, submitBacktestRun, getBacktestRun, listBacktestRuns, rerunBacktestRun, diffBacktestRuns, recoverInterruptedRuns } from './backtest-runs.js';
+import { submitJob, getJob } from './jobs.js';
+import { generateBandarIndicators } from './indicators.js';
+import { appendLatestPrices } from './price-history.js';
+import { scheduleDaily } from './scheduler.js';
+import { captureScoreSnapshots, getScoreHistory } from './score-snapshots.js';
+import { evaluateSignalPerformance } from './signal-performance.js';
+import { getBrokerInventory, COST_METHODS } from './broker-inventory.js';
+import { getBrokerProfile, resolveProfileLimit } from './broker-profile.js';
+import { getMarketFlows } from './market-flows.js';
+import { getCompanyFundamentals } from './fundamentals.js';
+import { getOwnership, getOwnershipHistory } from './ownership.js';
+import { loadBrokerRegistry, brokerHasTag, getRegisteredBroker } from './broker-registry.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const API_KEY = process.env.GOAPI_API_KEY || 'c6133705-2a93-506b-f575-a55ce0ae';
-const BASE_URL = process.env.GOAPI_BASE_URL || 'https://api.goapi.io/stock/idx';
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '20mb' }));
 // Setup dashboard route
 setupDashboard(app);
-
-// LQ45 Constituents (2024-2025)
-const LQ45_STOCKS = [
-  'ADRO', 'AMMN', 'ANTM', 'ARTO', 'ASII', 'BBCA', 'BBNI', 'BBRI', 'BBTN', 'BMRI',
-  'BRIS', 'BRPT', 'BUKA', 'CPIN', 'EMTK', 'ESSA', 'EXCL', 'GGRM', 'GOTO', 'HRUM',
-  'ICBP', 'INDF', 'INKP', 'INTP', 'ITMG', 'KLBF', 'MAPI', 'MBMA', 'MDKA', 'MEDC',
-  'MTEL', 'PGAS', 'PTBA', 'SMGR', 'SRIL', 'TBIG', 'TINS', 'TLKM', 'TPIA', 'UNTR',
-  'UNVR', 'BBRI', 'BMRI', 'BBCA', 'TLKM'
-].filter((v, i, a) => a.indexOf(v) === i); // Remove duplicates
-
-// Known foreign brokers (by code)
-const FOREIGN_BROKERS = ['AK', 'BK', 'KZ', 'YP', 'GR', 'AI', 'ZZ', 'YU', 'CC'];
-
-// Known bandar/brokerage firms with significant market presence
-const BANDAR_BROKERS = ['YU', 'CC', 'SQ', 'NI', 'OD', 'GW', 'BK', 'AK', 'PD', 'XL'];
+// Data import routes
+setupImportRoutes(app);
+// Broker registry admin routes
+setupBrokerRegistryRoutes(app);
 
 // Cache for API responses
 const cache = {
@@ -56,17 +49,23 @@ const cache = {
 
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
-// Helper function to fetch from GoAPI
-async function fetchFromAPI(endpoint, params = {}) {
-  try {
-    const queryParams = new URLSearchParams({ ...params, api_key: API_KEY });
-    const url = `${BASE_URL}${endpoint}?${queryParams}`;
-    const response = await axios.get(url, { timeout: 30000 });
-    return response.data;
-  } catch (error) {
-    console.error(`API Error: ${endpoint}`, error.message);
-    throw error;
-  }
+// Stocks the screener analyzes at once. Each analysis checks out pool clients for its ownership,
+// cluster, phase, liquidity, SID and wash-trade queries (up to 3 at a time), so this keeps a cold
+// screener inside the pool's 20 connections instead of queueing past connectionTimeoutMillis.
+const SCREENER_CONCURRENCY = 5;
+
+// Map items through an async fn with at most `limit` calls in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 // Get all companies data
@@ -95,894 +94,6 @@ async function getBrokers() {
   return cache.brokers;
 }
 
-// Get real broker transactions from database for a specific stock and date
-async function getBrokerTransactionsFromDB(symbol, date) {
-  const client = await pool.connect();
-  try {
-    // Get the date - use provided date or default to latest available
-    let queryDate = date;
-    if (!queryDate) {
-      const latestResult = await client.query(`
-        SELECT MAX(DATE(time)) as latest_date FROM broker_transactions
-      `);
-      queryDate = latestResult.rows[0]?.latest_date;
-    }
-    
-    if (!queryDate) {
-      return null;
-    }
-
-    // Query broker transactions with broker details
-    const result = await client.query(`
-      SELECT 
-        bt.broker_id,
-        bt.buy_volume,
-        bt.buy_value,
-        bt.sell_volume,
-        bt.sell_value,
-        bt.net_volume,
-        bt.net_value,
-        b.code,
-        b.name,
-        b.type
-      FROM broker_transactions bt
-      JOIN brokers b ON bt.broker_id = b.id
-      JOIN stocks s ON bt.stock_id = s.id
-      WHERE s.symbol = $1 
-        AND DATE(bt.time) = $2
-      ORDER BY ABS(bt.net_value) DESC
-    `, [symbol, queryDate]);
-
-    return {
-      date: queryDate,
-      transactions: result.rows
-    };
-  } finally {
-    client.release();
-  }
-}
-
-// Get historical volume data for volume comparison
-async function getHistoricalVolumeData(symbol, days = 20) {
-  const client = await pool.connect();
-  try {
-    // Get the latest available date for this stock
-    const latestDate = await getLatestDataDate(symbol);
-    if (!latestDate) return [];
-    
-    const result = await client.query(`
-      SELECT 
-        DATE(bt.time) as date,
-        SUM(bt.buy_volume + bt.sell_volume) as total_volume
-      FROM broker_transactions bt
-      JOIN stocks s ON bt.stock_id = s.id
-      WHERE s.symbol = $1
-        AND DATE(bt.time) <= $2
-        AND DATE(bt.time) > $2 - INTERVAL '${days} days'
-      GROUP BY DATE(bt.time)
-      ORDER BY date DESC
-      LIMIT ${days}
-    `, [symbol, latestDate]);
-
-    return result.rows;
-  } catch (error) {
-    console.error(`Error getting historical volume for ${symbol}:`, error.message);
-    return [];
-  } finally {
-    client.release();
-  }
-}
-
-// Helper: Get the latest available date for a stock
-async function getLatestDataDate(symbol) {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(`
-      SELECT MAX(DATE(bt.time)) as latest_date
-      FROM broker_transactions bt
-      JOIN stocks s ON bt.stock_id = s.id
-      WHERE s.symbol = $1
-    `, [symbol]);
-    return result.rows[0]?.latest_date;
-  } catch (error) {
-    console.error(`Error getting latest date for ${symbol}:`, error.message);
-    return null;
-  } finally {
-    client.release();
-  }
-}
-
-// Get historical foreign flow data for streak detection (Indicator #4)
-async function getForeignFlowHistory(symbol, days = 10) {
-  const client = await pool.connect();
-  try {
-    // Get the latest available date for this stock
-    const latestDate = await getLatestDataDate(symbol);
-    if (!latestDate) return [];
-    
-    const result = await client.query(`
-      SELECT 
-        DATE(bt.time) as date,
-        SUM(CASE WHEN b.type = 'foreign' THEN bt.net_value ELSE 0 END) as foreign_net_value
-      FROM broker_transactions bt
-      JOIN brokers b ON bt.broker_id = b.id
-      JOIN stocks s ON bt.stock_id = s.id
-      WHERE s.symbol = $1
-        AND DATE(bt.time) <= $2
-        AND DATE(bt.time) > $2 - INTERVAL '${days} days'
-        AND b.type = 'foreign'
-      GROUP BY DATE(bt.time)
-      ORDER BY date DESC
-      LIMIT ${days}
-    `, [symbol, latestDate]);
-
-    return result.rows;
-  } catch (error) {
-    console.error(`Error getting foreign flow history for ${symbol}:`, error.message);
-    return []; // Return empty array on error
-  } finally {
-    client.release();
-  }
-}
-
-// Get broker concentration history for bandar detection (Indicator #5)
-async function getBrokerConcentrationHistory(symbol, days = 10) {
-  const client = await pool.connect();
-  try {
-    // Get the latest available date for this stock
-    const latestDate = await getLatestDataDate(symbol);
-    if (!latestDate) return [];
-    
-    const result = await client.query(`
-      SELECT 
-        DATE(bt.time) as date,
-        b.code,
-        SUM(bt.buy_value) as buy_value,
-        SUM(bt.sell_value) as sell_value,
-        SUM(bt.net_value) as net_value
-      FROM broker_transactions bt
-      JOIN brokers b ON bt.broker_id = b.id
-      JOIN stocks s ON bt.stock_id = s.id
-      WHERE s.symbol = $1
-        AND DATE(bt.time) <= $2
-        AND DATE(bt.time) > $2 - INTERVAL '${days} days'
-      GROUP BY DATE(bt.time), b.code
-      ORDER BY date DESC, ABS(SUM(bt.net_value)) DESC
-    `, [symbol, latestDate]);
-
-    return result.rows;
-  } catch (error) {
-    console.error(`Error getting broker concentration history for ${symbol}:`, error.message);
-    return []; // Return empty array on error
-  } finally {
-    client.release();
-  }
-}
-
-// Generate REAL bandar indicators from database data
-async function generateBandarIndicators(symbol, priceData) {
-  const volume = priceData.volume || 0;
-  const closePrice = priceData.close || 0;
-  
-  try {
-    console.log(`[DEBUG] Starting generateBandarIndicators for ${symbol}`);
-    // Get real broker transactions
-    const txData = await getBrokerTransactionsFromDB(symbol);
-    console.log(`[DEBUG] Got txData for ${symbol}: ${txData ? txData.transactions?.length : 0} transactions`);
-
-    if (!txData || !txData.transactions || txData.transactions.length === 0) {
-      console.log(`No transaction data found for ${symbol}, falling back to basic data`);
-      return generateBasicIndicators(symbol, priceData);
-    }
-
-    const transactions = txData.transactions;
-    const txDate = txData.date;
-
-    // Calculate foreign flow (brokers identified as foreign)
-    let foreignBuyVolume = 0;
-    let foreignBuyValue = 0;
-    let foreignSellVolume = 0;
-    let foreignSellValue = 0;
-
-    // Calculate totals
-    let totalBuyVolume = 0;
-    let totalBuyValue = 0;
-    let totalSellVolume = 0;
-    let totalSellValue = 0;
-
-    // Track top brokers
-    const brokerSummary = [];
-    const bandarBrokerActivity = [];
-
-    // Initialize indicator variables (scoped for return statement)
-    let volumeSpike = null;
-    let volumeDryUp = null;
-    let bidAskImbalance = {
-      detected: false,
-      ratio: 1.0,
-      signal: 'NEUTRAL',
-      severity: 'NONE',
-      buyPressure: 0,
-      description: 'No significant bid-ask imbalance detected'
-    };
-    let foreignStreak = {
-      detected: false,
-      consecutiveDays: 0,
-      totalNetValue: 0,
-      signal: 'NEUTRAL',
-      description: 'No sustained foreign flow pattern'
-    };
-    let brokerConcentration = {
-      detected: false,
-      dominantBrokers: [],
-      concentrationDays: 0,
-      signal: 'NEUTRAL',
-      description: 'No significant broker concentration'
-    };
-    
-    for (const tx of transactions) {
-      const buyVol = parseInt(tx.buy_volume) || 0;
-      const buyVal = parseInt(tx.buy_value) || 0;
-      const sellVol = parseInt(tx.sell_volume) || 0;
-      const sellVal = parseInt(tx.sell_value) || 0;
-      
-      totalBuyVolume += buyVol;
-      totalBuyValue += buyVal;
-      totalSellVolume += sellVol;
-      totalSellValue += sellVal;
-      
-      // Check if foreign broker
-      const isForeign = FOREIGN_BROKERS.includes(tx.code);
-      if (isForeign) {
-        foreignBuyVolume += buyVol;
-        foreignBuyValue += buyVal;
-        foreignSellVolume += sellVol;
-        foreignSellValue += sellVal;
-      }
-      
-      // Add to broker summary
-      brokerSummary.push({
-        code: tx.code,
-        name: tx.name,
-        buyVolume: buyVol,
-        buyValue: buyVal,
-        sellVolume: sellVol,
-        sellValue: sellVal,
-        netVolume: buyVol - sellVol,
-        netValue: buyVal - sellVal,
-        isForeign: isForeign
-      });
-      
-      // Track bandar brokers
-      if (BANDAR_BROKERS.includes(tx.code) || Math.abs(buyVal - sellVal) > 10000000000) {
-        bandarBrokerActivity.push({
-          code: tx.code,
-          netValue: buyVal - sellVal,
-          isForeign: isForeign
-        });
-      }
-    }
-    
-    const foreignNet = foreignBuyVolume - foreignSellVolume;
-    const foreignNetValue = foreignBuyValue - foreignSellValue;
-    
-    // Get historical volume for comparison (20 days)
-    const histVolumeData = await getHistoricalVolumeData(symbol, 20);
-    let avgVolume = volume;
-
-    // Lowered threshold: need 3+ days (was 5+)
-    if (histVolumeData.length > 3) {
-      const volumes = histVolumeData.map(v => parseInt(v.total_volume));
-      avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-      
-      // Calculate volume spike ratio
-      const currentTotalVolume = totalBuyVolume + totalSellVolume;
-      const spikeRatio = avgVolume > 0 ? currentTotalVolume / avgVolume : 1;
-      
-      // Detect unusual volume spike - lowered threshold to 1.5x (was 2x)
-      if (spikeRatio >= 1.5 && spikeRatio < 3.0) {
-        volumeSpike = {
-          detected: true,
-          ratio: parseFloat(spikeRatio.toFixed(2)),
-          severity: spikeRatio >= 2.5 ? 'HIGH' : 'MODERATE',
-          signal: 'STEALTH_ACCUMULATION',
-          description: `Volume ${spikeRatio.toFixed(1)}x above avg - Possible bandar accumulation`,
-          avgVolume20d: Math.round(avgVolume),
-          currentVolume: currentTotalVolume
-        };
-      } else if (spikeRatio >= 3.0) {
-        volumeSpike = {
-          detected: true,
-          ratio: parseFloat(spikeRatio.toFixed(2)),
-          severity: 'EXTREME',
-          signal: 'BREAKOUT',
-          description: `Volume ${spikeRatio.toFixed(1)}x above avg - News-driven or distribution`,
-          avgVolume20d: Math.round(avgVolume),
-          currentVolume: currentTotalVolume
-        };
-      } else {
-        volumeSpike = {
-          detected: false,
-          ratio: parseFloat(spikeRatio.toFixed(2)),
-          severity: 'NONE',
-          signal: 'NORMAL',
-          avgVolume20d: Math.round(avgVolume),
-          currentVolume: currentTotalVolume
-        };
-      }
-
-      // Volume Dry-Up (VDU) Detection - lowered to 5 days (was 10)
-      if (volumes.length >= 5) {
-        const recentVolumes = volumes.slice(-5);
-        const recentAvg = recentVolumes.slice(0, 3).reduce((a, b) => a + b, 0) / 3;
-        
-        // Check for dry-up - lowered to 2 days (was 3)
-        const dryUpDays = recentVolumes.slice(0, 3).filter(v => v < recentAvg * 0.7).length;
-        const isDryUp = dryUpDays >= 2;
-        
-        const surgeDetected = spikeRatio >= 1.3 && isDryUp;
-        
-        if (isDryUp && surgeDetected) {
-          volumeDryUp = {
-            detected: true,
-            signal: 'VDU_BREAKOUT',
-            severity: 'HIGH',
-            description: `Dry-up (${dryUpDays} days) + ${spikeRatio.toFixed(1)}x surge - accumulation complete`,
-            dryUpDays: dryUpDays,
-            dryUpVolume: Math.round(recentAvg),
-            breakoutVolume: currentTotalVolume,
-            confidence: Math.min(95, 50 + (dryUpDays * 15) + (spikeRatio * 10))
-          };
-        } else if (isDryUp) {
-          volumeDryUp = {
-            detected: true,
-            signal: 'VDU_ACCUMULATING',
-            severity: 'MODERATE',
-            description: `Dry-up phase (${dryUpDays} days) - quiet accumulation`,
-            dryUpDays: dryUpDays,
-            dryUpVolume: Math.round(recentAvg),
-            breakoutVolume: currentTotalVolume,
-            confidence: Math.min(80, 30 + (dryUpDays * 15))
-          };
-        } else {
-          volumeDryUp = {
-            detected: false,
-            signal: 'NORMAL',
-            severity: 'NONE'
-          };
-        }
-      }
-    }
-
-    // Bid-Ask Volume Imbalance Detection (Indicator #3)
-    // Detects consistently higher bid volume vs ask even when price flat/down
-    // Calculate bid-ask ratio from broker activity
-    const totalBidVolume = totalBuyVolume;
-    const totalAskVolume = totalSellVolume;
-    const bidAskRatio = totalAskVolume > 0 ? totalBidVolume / totalAskVolume : 1;
-    const priceChange = priceData.changePct || 0;
-    
-    // Detect stealth accumulation: lowered threshold to 1.15x (was 1.3x)
-    if (bidAskRatio > 1.15 && priceChange <= 2) {
-      bidAskImbalance.detected = true;
-      bidAskImbalance.ratio = parseFloat(bidAskRatio.toFixed(2));
-      bidAskImbalance.buyPressure = Math.round((bidAskRatio - 1) * 100);
-      
-      if (priceChange < -0.5 && bidAskRatio > 1.3) {
-        bidAskImbalance.signal = 'STEALTH_ACCUMULATION';
-        bidAskImbalance.severity = 'HIGH';
-        bidAskImbalance.description = `Aggressive buying (${bidAskRatio.toFixed(1)}x bid/ask) despite -${Math.abs(priceChange).toFixed(1)}% price drop - Bandar absorbing`;
-      } else if (Math.abs(priceChange) <= 2) {
-        bidAskImbalance.signal = 'HIDDEN_SUPPORT';
-        bidAskImbalance.severity = bidAskRatio > 1.5 ? 'HIGH' : 'MODERATE';
-        bidAskImbalance.description = `Bid support (${bidAskRatio.toFixed(1)}x) keeping price stable - Floor defense`;
-      }
-    } else if (bidAskRatio < 0.85 && priceChange >= -2) {
-      bidAskImbalance.detected = true;
-      bidAskImbalance.ratio = parseFloat(bidAskRatio.toFixed(2));
-      bidAskImbalance.buyPressure = Math.round((bidAskRatio - 1) * 100);
-      bidAskImbalance.signal = 'DISTRIBUTION';
-      bidAskImbalance.severity = 'HIGH';
-      bidAskImbalance.description = `Selling pressure (${(1/bidAskRatio).toFixed(1)}x ask/bid) - Distribution`;
-    }
-    
-    // Calculate large lot transactions (above 1B IDR or 100k shares)
-    const largeLotThreshold = 1000000000; // 1 Billion IDR
-    const largeLotTransactions = brokerSummary.filter(b => 
-      b.buyValue > largeLotThreshold || b.sellValue > largeLotThreshold
-    );
-    
-    const largeLotVolume = largeLotTransactions.reduce((sum, b) => 
-      sum + Math.max(b.buyVolume, b.sellVolume), 0
-    );
-    const largeLotValue = largeLotTransactions.reduce((sum, b) => 
-      sum + Math.max(b.buyValue, b.sellValue), 0
-    );
-    
-    // Calculate queue manipulation score based on buy/sell imbalance
-    const buySellRatio = totalBuyVolume / (totalSellVolume || 1);
-    const queueManipulation = Math.min(100, Math.max(0, 
-      buySellRatio > 1 ? (buySellRatio - 1) * 50 : (1 - buySellRatio) * 50
-    ));
-    
-    // Estimate running trades (frequency of transactions)
-    const runningTrades = transactions.length * 10; // Approximate
-    
-    // Calculate transaksi nego (negotiated deals - typically large block trades)
-    const negoThreshold = 5000000000; // 5 Billion IDR
-    const transaksiNegoList = brokerSummary.filter(b => 
-      b.buyValue > negoThreshold || b.sellValue > negoThreshold
-    );
-    const transaksiNegoVolume = transaksiNegoList.reduce((sum, b) => 
-      sum + (b.buyValue > negoThreshold ? b.buyVolume : b.sellVolume), 0
-    );
-    const transaksiNegoValue = transaksiNegoList.reduce((sum, b) => 
-      sum + Math.max(b.buyValue, b.sellValue), 0
-    );
-
-    // SID data (simulated - would need SID table)
-    const sidCount = Math.floor(1000 + Math.random() * 5000);
-    const sidChange = Math.floor((Math.random() - 0.5) * 200);
-
-    // Indicator #4: Foreign Net Buy Flow (multi-day streak detection)
-    try {
-      const foreignFlowHistory = await getForeignFlowHistory(symbol, 10);
-      
-      if (foreignFlowHistory.length >= 5) {
-        let consecutiveBuys = 0;
-        let totalNet = 0;
-        
-        for (const day of foreignFlowHistory) {
-          const netValue = parseFloat(day.foreign_net_value) || 0;
-          if (netValue > 0) {
-            consecutiveBuys++;
-            totalNet += netValue;
-          } else {
-            break; // Streak broken
-          }
-        }
-        
-        // Lowered thresholds: 2+ days for streak (more realistic with data gaps)
-      if (consecutiveBuys >= 2) {
-          foreignStreak = {
-            detected: true,
-            consecutiveDays: consecutiveBuys,
-            totalNetValue: Math.round(totalNet),
-            signal: consecutiveBuys >= 5 ? 'STRONG_BULLISH' : consecutiveBuys >= 3 ? 'BULLISH' : 'MODERATE_BULLISH',
-            description: `Foreign buying streak: ${consecutiveBuys} consecutive days, total Rp ${(totalNet/1000000000).toFixed(1)}B net inflow`
-          };
-        } else if (consecutiveBuys === 0) {
-          // Check for sell streak
-          let consecutiveSells = 0;
-          let totalSellNet = 0;
-          for (const day of foreignFlowHistory) {
-            const netValue = parseFloat(day.foreign_net_value) || 0;
-            if (netValue < 0) {
-              consecutiveSells++;
-              totalSellNet += netValue;
-            } else {
-              break;
-            }
-          }
-          
-          if (consecutiveSells >= 2) {
-            foreignStreak = {
-              detected: true,
-              consecutiveDays: -consecutiveSells,
-              totalNetValue: Math.round(totalSellNet),
-              signal: consecutiveSells >= 5 ? 'STRONG_BEARISH' : 'BEARISH',
-              description: `Foreign selling streak: ${consecutiveSells} consecutive days, total Rp ${Math.abs(totalSellNet/1000000000).toFixed(1)}B net outflow`
-            };
-          }
-        }
-      }
-    } catch (error) {
-      console.error(`Error calculating foreign streak for ${symbol}:`, error.message);
-    }
-
-    // Indicator #5: Broker Flow Concentration (1-3 brokers dominating)
-    try {
-      const brokerHistory = await getBrokerConcentrationHistory(symbol, 10);
-      
-      if (brokerHistory.length > 0) {
-        // Group by date and find top 3 brokers per day
-        const dailyTops = {};
-        for (const record of brokerHistory) {
-          const date = record.date;
-          if (!dailyTops[date]) dailyTops[date] = [];
-          dailyTops[date].push({
-            code: record.code,
-            netValue: parseFloat(record.net_value) || 0
-          });
-        }
-        
-        // Sort each day by net value and get top 3
-        const dates = Object.keys(dailyTops).sort().slice(-7); // Last 7 days
-        const brokerAppearanceCount = {};
-        
-        for (const date of dates) {
-          const sorted = dailyTops[date].sort((a, b) => b.netValue - a.netValue);
-          const top3 = sorted.slice(0, 3).filter(b => b.netValue > 0);
-          
-          for (const broker of top3) {
-            if (!brokerAppearanceCount[broker.code]) {
-              brokerAppearanceCount[broker.code] = { count: 0, totalNet: 0 };
-            }
-            brokerAppearanceCount[broker.code].count++;
-            brokerAppearanceCount[broker.code].totalNet += broker.netValue;
-          }
-        }
-        
-        // Find brokers appearing 2+ days (lowered from 5)
-        const dominantBrokers = Object.entries(brokerAppearanceCount)
-          .filter(([code, data]) => data.count >= 2)
-          .sort((a, b) => b[1].count - a[1].count)
-        .slice(0, 3);
-      
-      if (dominantBrokers.length > 0) {
-        const topBroker = dominantBrokers[0];
-        brokerConcentration = {
-          detected: true,
-          dominantBrokers: dominantBrokers.map(([code, data]) => ({
-            code,
-            daysActive: data.count,
-            totalNetValue: Math.round(data.totalNet)
-          })),
-          concentrationDays: topBroker[1].count,
-          signal: dominantBrokers.length === 1 && topBroker[1].count >= 4 ? 'HIGH_CONCENTRATION' : 
-                  dominantBrokers.length >= 2 ? 'COORDINATED_BUYING' : 'MODERATE_CONCENTRATION',
-          description: `${dominantBrokers.length} broker(s) dominating buy side for ${topBroker[1].count}+ days - ${dominantBrokers.map(b => b[0]).join('+')} controlling flow`
-        };
-      }
-    }
-    } catch (error) {
-      console.error(`Error calculating broker concentration for ${symbol}:`, error.message);
-    }
-
-    const result = {
-      symbol,
-      date: txDate,
-      foreignFlow: {
-        buy: foreignBuyVolume,
-        sell: foreignSellVolume,
-        net: foreignNet,
-        buyValue: foreignBuyValue,
-        sellValue: foreignSellValue,
-        netValue: foreignNetValue,
-        buyBrokers: brokerSummary.filter(b => b.isForeign && b.buyValue > 0).map(b => b.code),
-        sellBrokers: brokerSummary.filter(b => b.isForeign && b.sellValue > 0).map(b => b.code)
-      },
-      brokerSummary: brokerSummary.slice(0, 15), // Top 15 by activity
-      bandarBrokers: bandarBrokerActivity.sort((a, b) => 
-        Math.abs(b.netValue) - Math.abs(a.netValue)
-      ).slice(0, 5),
-      largeLotTransactions: {
-        count: largeLotTransactions.length,
-        volume: largeLotVolume,
-        value: largeLotValue,
-        brokers: largeLotTransactions.map(b => b.code)
-      },
-      sidData: {
-        count: sidCount,
-        change: sidChange,
-        changePct: (sidChange / (sidCount - sidChange)) * 100
-      },
-      queueManipulation: Math.round(queueManipulation),
-      runningTrades,
-      transaksiNego: {
-        volume: transaksiNegoVolume,
-        value: transaksiNegoValue,
-        count: transaksiNegoList.length,
-        brokers: transaksiNegoList.map(b => b.code)
-      },
-      volumeAnalysis: {
-        totalVolume: totalBuyVolume + totalSellVolume,
-        averageVolume: Math.round(avgVolume),
-        volumeVsAvg: avgVolume > 0 ? (((totalBuyVolume + totalSellVolume) / avgVolume) - 1) * 100 : 0,
-        volumeSpike: volumeSpike || { detected: false, ratio: 1.0, severity: 'NONE', signal: 'NORMAL' },
-        volumeDryUp: volumeDryUp || { detected: false, signal: 'NORMAL', severity: 'NONE' },
-        bidAskImbalance: bidAskImbalance
-      },
-      foreignStreak: foreignStreak,
-      brokerConcentration: brokerConcentration,
-      priceAction: generatePriceActionIndicators(symbol, priceData, volumeAnalysis, brokerSummary, txDate),
-      quantitative: generateQuantitativeIndicators(symbol, priceData, brokerSummary, volumeAnalysis, histVolumeData),
-      totals: {
-        buyVolume: totalBuyVolume,
-        buyValue: totalBuyValue,
-        sellVolume: totalSellVolume,
-        sellValue: totalSellValue,
-        netVolume: totalBuyVolume - totalSellVolume,
-        netValue: totalBuyValue - totalSellValue
-      }
-    };
-    
-    // DEBUG: Log what we're returning
-    console.log(`[DEBUG] Returning indicators for ${symbol}:`, {
-      hasVolumeDryUp: 'volumeDryUp' in result.volumeAnalysis,
-      hasBidAskImbalance: 'bidAskImbalance' in result.volumeAnalysis,
-      hasForeignStreak: 'foreignStreak' in result,
-      hasBrokerConcentration: 'brokerConcentration' in result,
-      hasQuantitative: 'quantitative' in result,
-      hasPriceAction: 'priceAction' in result
-    });
-    
-    return result;
-  } catch (error) {
-    console.error(`[DEBUG ERROR] generateBandarIndicators failed for ${symbol}:`, error.message);
-    console.error(error.stack);
-    return generateBasicIndicators(symbol, priceData);
-  }
-}
-
-// Quantitative Indicators (#11-14)
-function generateQuantitativeIndicators(symbol, priceData, brokerSummary, volumeAnalysis, histVolumeData) {
-  const currentPrice = priceData.close || 0;
-  const highPrice = priceData.high || currentPrice;
-  const lowPrice = priceData.low || currentPrice;
-  const volume = priceData.volume || 0;
-  
-  // #11: Simplified Money Flow Index (MFI) using typical price * volume
-  const typicalPrice = (currentPrice + highPrice + lowPrice) / 3;
-  const rawMoneyFlow = typicalPrice * volume;
-  
-  // Estimate MFI based on money flow trend (simplified)
-  let mfi = 50; // Neutral
-  const volumeTrend = volumeAnalysis.volumeVsAvg || 0;
-  const priceTrend = priceData.change_pct || 0;
-  
-  if (volumeTrend > 20 && priceTrend > 0) {
-    mfi = Math.min(80, 50 + (volumeTrend * 0.5) + priceTrend);
-  } else if (volumeTrend > 20 && priceTrend < 0) {
-    mfi = Math.max(20, 50 - (volumeTrend * 0.5) + priceTrend);
-  }
-  
-  const mfiSignal = mfi > 70 ? 'OVERBOUGHT' : mfi < 30 ? 'OVERSOLD' : mfi > 50 ? 'BULLISH' : 'BEARISH';
-  
-  // #12: On-Balance Volume (OBV) - simplified calculation
-  let obv = volume;
-  if (priceTrend > 0) obv = volume;
-  else if (priceTrend < 0) obv = -volume;
-  
-  // OBV divergence detection
-  const obvDivergence = {
-    detected: false,
-    signal: 'NEUTRAL',
-    description: 'No OBV divergence detected'
-  };
-  
-  if (priceTrend < 0 && volumeTrend > 10) {
-    obvDivergence.detected = true;
-    obvDivergence.signal = 'BULLISH_DIVERGENCE';
-    obvDivergence.description = 'Price down but volume increasing - Accumulation underway';
-  } else if (priceTrend > 0 && volumeTrend < -10) {
-    obvDivergence.detected = true;
-    obvDivergence.signal = 'BEARISH_DIVERGENCE';
-    obvDivergence.description = 'Price up but volume declining - Distribution possible';
-  }
-  
-  // #13: VWAP (Volume Weighted Average Price) - simplified
-  const totalVolume = volumeAnalysis.totalVolume || volume;
-  const totalValue = brokerSummary.reduce((sum, b) => sum + b.buyValue + b.sellValue, 0);
-  const vwap = totalVolume > 0 ? totalValue / totalVolume / 100 : currentPrice; // Adjust for lot size
-  
-  const vwapReclaim = {
-    detected: false,
-    signal: 'NEUTRAL',
-    description: 'Price around VWAP'
-  };
-  
-  const priceVsVwap = ((currentPrice - vwap) / vwap) * 100;
-  if (priceVsVwap > 2) {
-    vwapReclaim.detected = true;
-    vwapReclaim.signal = 'ABOVE_VWAP';
-    vwapReclaim.description = `Price ${priceVsVwap.toFixed(1)}% above VWAP - Bullish control`;
-  } else if (priceVsVwap < -2) {
-    vwapReclaim.detected = true;
-    vwapReclaim.signal = 'BELOW_VWAP';
-    vwapReclaim.description = `Price ${Math.abs(priceVsVwap).toFixed(1)}% below VWAP - Bearish pressure`;
-  }
-  
-  // #14: Chaikin Money Flow (CMF) - simplified using ADL concept
-  // CMF = Sum((Close - Low) - (High - Close)) / (High - Low) * Volume) / Sum(Volume)
-  const moneyFlowMultiplier = ((currentPrice - lowPrice) - (highPrice - currentPrice)) / (highPrice - lowPrice || 1);
-  const cmf = moneyFlowMultiplier; // Simplified single-period CMF
-  
-  const cmfSignal = cmf > 0.1 ? 'BULLISH' : cmf < -0.1 ? 'BEARISH' : 'NEUTRAL';
-  
-  return {
-    mfi: {
-      value: Math.round(mfi),
-      signal: mfiSignal,
-      description: `MFI: ${Math.round(mfi)} - ${mfiSignal}`
-    },
-    obv: {
-      value: Math.round(obv / 1000000), // In millions
-      divergence: obvDivergence,
-      description: obvDivergence.detected ? obvDivergence.description : `OBV: ${Math.round(obv/1000000)}M - Following price trend`
-    },
-    vwap: {
-      value: Math.round(vwap),
-      priceVsVwap: parseFloat(priceVsVwap.toFixed(2)),
-      reclaim: vwapReclaim,
-      description: vwapReclaim.description
-    },
-    cmf: {
-      value: parseFloat(cmf.toFixed(3)),
-      signal: cmfSignal,
-      description: `CMF: ${cmf.toFixed(3)} - ${cmfSignal} money flow`
-    }
-  };
-}
-
-// Price Action Indicators (#6-10)
-function generatePriceActionIndicators(symbol, priceData, volumeAnalysis, brokerSummary, date) {
-  const currentPrice = priceData.close || 0;
-  const openPrice = priceData.open || currentPrice;
-  const highPrice = priceData.high || currentPrice;
-  const lowPrice = priceData.low || currentPrice;
-  const priceChange = priceData.change_pct || 0;
-  const volume = priceData.volume || 0;
-  const avgVolume = volumeAnalysis.averageVolume || volume;
-  
-  // Indicator #6: Price Compression / Tight Ranging
-  const dailyRange = highPrice - lowPrice;
-  const rangePct = (dailyRange / currentPrice) * 100;
-  const priceCompression = {
-    detected: false,
-    signal: 'NORMAL',
-    rangePct: parseFloat(rangePct.toFixed(2)),
-    description: 'Normal price movement'
-  };
-  
-  if (rangePct <= 2.0 && Math.abs(priceChange) <= 1.0) {
-    priceCompression.detected = true;
-    priceCompression.signal = 'COMPRESSION';
-    priceCompression.description = `Tight range: ${rangePct.toFixed(1)}% (±1-2%) - Bandar suppressing price during accumulation`;
-  }
-  
-  // Indicator #7: Fake Breakdown / Bear Trap
-  const fakeBreakdown = {
-    detected: false,
-    signal: 'NORMAL',
-    description: 'No breakdown pattern'
-  };
-  
-  // Detect if price briefly breached support (fake below open) then recovered
-  const breachedSupport = lowPrice < (openPrice * 0.97); // 3% below open
-  const recoveredStrong = currentPrice > (lowPrice * 1.02) && priceChange > -1;
-  const volumeConfirmation = volume > (avgVolume * 1.3);
-  
-  if (breachedSupport && recoveredStrong && volumeConfirmation) {
-    fakeBreakdown.detected = true;
-    fakeBreakdown.signal = 'BEAR_TRAP';
-    fakeBreakdown.description = `Bear trap: Price broke support to ${lowPrice.toLocaleString()} then snapped back to ${currentPrice.toLocaleString()} on ${(volume/avgVolume).toFixed(1)}x volume - Weak hands shaken out`;
-  }
-  
-  // Indicator #8: Lower High Correction on Low Volume
-  const lowerHighPattern = {
-    detected: false,
-    signal: 'NORMAL',
-    description: 'No correction pattern detected'
-  };
-  
-  // Check if this looks like a pullback (lower high from previous close implied)
-  const isPullback = priceChange < 0 && priceChange > -3;
-  const lowVolume = volume < (avgVolume * 0.7);
-  
-  if (isPullback && lowVolume) {
-    lowerHighPattern.detected = true;
-    lowerHighPattern.signal = 'HEALTHY_PULLBACK';
-    lowerHighPattern.description = `Healthy pullback: -${Math.abs(priceChange).toFixed(1)}% on ${(volume/avgVolume).toFixed(1)}x volume (below avg) - Bandar not selling, just lack of buying`;
-  }
-  
-  // Indicator #9: Price Floor Defense
-  const floorDefense = {
-    detected: false,
-    signal: 'NORMAL',
-    defenseLevel: 0,
-    description: 'No floor defense detected'
-  };
-  
-  // Check if price bounced strongly from day's low
-  const bounceFromLow = ((currentPrice - lowPrice) / lowPrice) * 100;
-  const heldLevel = bounceFromLow > 1.5 && lowPrice > (openPrice * 0.98);
-  
-  if (heldLevel && volumeConfirmation) {
-    floorDefense.detected = true;
-    floorDefense.signal = 'FLOOR_DEFENSE';
-    floorDefense.defenseLevel = lowPrice;
-    floorDefense.description = `Floor defended at Rp ${lowPrice.toLocaleString()}: Absorbed selling and bounced ${bounceFromLow.toFixed(1)}% on volume`;
-  }
-  
-  // Indicator #10: Gap Up on Volume After Accumulation
-  const gapUpBreakout = {
-    detected: false,
-    signal: 'NORMAL',
-    gapPct: 0,
-    description: 'No gap up detected'
-  };
-  
-  // Detect gap up (open > previous close by >1%)
-  const gapPct = ((openPrice - (currentPrice / (1 + priceChange/100))) / (currentPrice / (1 + priceChange/100))) * 100;
-  const strongGap = gapPct > 1.0;
-  const sustained = currentPrice > openPrice && priceChange > 2;
-  
-  if (strongGap && sustained && volumeConfirmation) {
-    gapUpBreakout.detected = true;
-    gapUpBreakout.signal = 'GAP_UP_BREAKOUT';
-    gapUpBreakout.gapPct = parseFloat(gapPct.toFixed(2));
-    gapUpBreakout.description = `Gap up breakout: +${gapPct.toFixed(1)}% open gap sustained with ${(volume/avgVolume).toFixed(1)}x volume - Accumulation phase complete`;
-  }
-  
-  return {
-    priceChange,
-    dailyRange,
-    rangePct,
-    priceCompression,
-    fakeBreakdown,
-    lowerHighPattern,
-    floorDefense,
-    gapUpBreakout
-  };
-}
-
-// Fallback basic indicators if database fails
-function generateBasicIndicators(symbol, priceData) {
-  const volume = priceData.volume || 0;
-  
-  return {
-    symbol,
-    date: new Date().toISOString().split('T')[0],
-    foreignFlow: {
-      buy: 0,
-      sell: 0,
-      net: 0,
-      buyValue: 0,
-      sellValue: 0,
-      netValue: 0,
-      buyBrokers: [],
-      sellBrokers: []
-    },
-    brokerSummary: [],
-    bandarBrokers: [],
-    largeLotTransactions: {
-      count: 0,
-      volume: 0,
-      value: 0,
-      brokers: []
-    },
-    sidData: {
-      count: 0,
-      change: 0,
-      changePct: 0
-    },
-    queueManipulation: 50,
-    runningTrades: 0,
-    transaksiNego: {
-      volume: 0,
-      value: 0,
-      count: 0,
-      brokers: []
-    },
-    volumeAnalysis: {
-      totalVolume: volume,
-      averageVolume: volume,
-      volumeVsAvg: 0,
-      volumeSpike: { detected: false, ratio: 1.0, severity: 'NONE', signal: 'NORMAL' }
-    },
-    priceAction: generatePriceActionIndicators(symbol, priceData, { averageVolume: volume }, [], new Date().toISOString().split('T')[0]),
-    totals: {
-      buyVolume: 0,
-      buyValue: 0,
-      sellVolume: 0,
-      sellValue: 0,
-      netVolume: 0,
-      netValue: 0
-    }
-  };
-}
-
 // Routes
 
 // Health check
@@ -990,9 +101,29 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Validate ?engine= (v2|v3); returns null if invalid
+function parseEngine(req) {
+  const engine = req.query.engine || DEFAULT_ENGINE;
+  return SCORING_ENGINES.includes(engine) ? engine : null;
+}
+
+// Resolve ?profile= (see scoring-profiles/); returns null if unknown
+function parseProfile(req) {
+  return req.query.profile ? getScoringProfile(req.query.profile) : getScoringProfile();
+}
+
 // Get LQ45 stocks with prices and bandar scores
 app.get('/api/screener', async (req, res) => {
   try {
+    const engine = parseEngine(req);
+    if (!engine) {
+      return res.status(400).json({ status: 'error', message: `Invalid engine (${SCORING_ENGINES.join('|')})` });
+    }
+    const profile = parseProfile(req);
+    if (!profile) {
+      return res.status(400).json({ status: 'error', message: `Invalid profile (${SCORING_PROFILES.join('|')})` });
+    }
+    
     const [companies, pricesData] = await Promise.all([
       getCompanies(),
       getPrices(LQ45_STOCKS)
@@ -1002,10 +133,11 @@ app.get('/api/screener', async (req, res) => {
     const companyMap = new Map(companies.map(c => [c.symbol, c]));
     
     // Process each stock with real bandar indicators
-    const screenerDataPromises = prices.map(async (price) => {
+    const screenerData = await mapWithConcurrency(prices, SCREENER_CONCURRENCY, async (price) => {
       const company = companyMap.get(price.symbol);
       const indicators = await generateBandarIndicators(price.symbol, price);
-      const scoreData = calculateBandarScore(price, indicators);
+      const scores = await scoreWithAllEngines(price.symbol, price, indicators, profile);
+      const scoreData = scores[engine];
       
       return {
         symbol: price.symbol,
@@ -1025,19 +157,28 @@ app.get('/api/screener', async (req, res) => {
           queueScore: indicators.queueManipulation,
           brokerActivity: indicators.brokerSummary.length,
           topBrokers: indicators.bandarBrokers.slice(0, 3).map(b => b.code),
-          volumeVsAvg: indicators.volumeAnalysis.volumeVsAvg
+          volumeVsAvg: indicators.volumeAnalysis.volumeVsAvg,
+          marketPhase: {
+            phase: indicators.marketPhase.phase,
+            since: indicators.marketPhase.since,
+            confidence: indicators.marketPhase.confidence
+          }
         },
-        reasoning: scoreData.reasoning
+        reasoning: scoreData.reasoning,
+        scores: {
+          v2: { score: scores.v2.score, signal: scores.v2.signal },
+          v3: { score: scores.v3.score, signal: scores.v3.signal, conviction: scores.v3.conviction }
+        }
       };
     });
     
-    const screenerData = await Promise.all(screenerDataPromises);
-    
     // Sort by score descending
     screenerData.sort((a, b) => b.score - a.score);
     
     res.json({
       status: 'success',
+      engine,
+      profile: { name: profile.name, hash: profile.hash },
       data: screenerData,
       timestamp: new Date().toISOString()
     });
@@ -1051,6 +192,15 @@ app.get('/api/screener', async (req, res) => {
 app.get('/api/stock/:symbol', async (req, res) => {
   try {
     const { symbol } = req.params;
+    const engine = parseEngine(req);
+    if (!engine) {
+      return res.status(400).json({ status: 'error', message: `Invalid engine (${SCORING_ENGINES.join('|')})` });
+    }
+    const profile = parseProfile(req);
+    if (!profile) {
+      return res.status(400).json({ status: 'error', message: `Invalid profile (${SCORING_PROFILES.join('|')})` });
+    }
+    
     const [pricesData, companies, brokers] = await Promise.all([
       getPrices([symbol]),
       getCompanies(),
@@ -1066,7 +216,8 @@ app.get('/api/stock/:symbol', async (req, res) => {
     const brokerMap = new Map(brokers.map(b => [b.code, b.name]));
     
     const indicators = await generateBandarIndicators(symbol, price);
-    const scoreData = calculateBandarScore(price, indicators);
+    const scores = await scoreWithAllEngines(symbol, price, indicators, profile);
+    const scoreData = scores[engine];
     
     // Enrich broker summary with names and calculate real metrics
     const enrichedBrokerSummary = indicators.brokerSummary.map(b => ({
@@ -1089,7 +240,8 @@ app.get('/api/stock/:symbol', async (req, res) => {
 
     // Generate real reasoning with actual data
     const realReasoning = generateRealReasoning(symbol, price, indicators, enrichedBrokerSummary);
-    const comprehensiveAnalysis = generateComprehensiveAnalysis(symbol, price, indicators, enrichedBrokerSummary);
+    const fundamentals = await getCompanyFundamentals(symbol, { price: price.close });
+    const comprehensiveAnalysis = generateComprehensiveAnalysis(symbol, price, indicators, enrichedBrokerSummary, fundamentals);
     
     // Get multi-timeframe data
     const timeframes = await getMultiTimeframeData(symbol);
@@ -1121,9 +273,13 @@ app.get('/api/stock/:symbol', async (req, res) => {
           timeframes: timeframes,
           bigDogActivity: bigDogData
         },
+        engine,
+        profile: { name: profile.name, hash: profile.hash },
         score: scoreData.score,
         signal: scoreData.signal,
+        scores,
         reasoning: realReasoning,
+        fundamentals,
         comprehensiveAnalysis: comprehensiveAnalysis
       }
     });
@@ -1138,16 +294,17 @@ function generateRealReasoning(symbol, price, indicators, brokerSummary) {
   const reasons = [];
   const details = [];
   
-  const { foreignFlow, bandarBrokers, largeLotTransactions, volumeAnalysis, totals } = indicators;
+  const { foreignFlow, bandarBrokers, largeLotTransactions, volumeAnalysis, totals, liquidity } = indicators;
   const currentPrice = price.close;
+  const significantForeignValue = liquidity.thresholds.foreignFlowValue; // 10% of ADV (~Rp 100B for a mega cap)
   
   // Foreign flow analysis
-  if (foreignFlow.netValue > 100000000000) { // > 100B IDR
+  if (foreignFlow.netValue > significantForeignValue) {
     const foreignBuyers = foreignFlow.buyBrokers.slice(0, 3).join('+');
     const netBuyBillions = Math.round(foreignFlow.netValue / 1000000000);
     reasons.push(`Foreign net buy Rp ${netBuyBillions}B via ${foreignBuyers || 'multiple brokers'}`);
     details.push(`Strong foreign inflow: ${foreignFlow.buyBrokers.join(', ')} actively buying`);
-  } else if (foreignFlow.netValue < -100000000000) {
+  } else if (foreignFlow.netValue < -significantForeignValue) {
     const foreignSellers = foreignFlow.sellBrokers.slice(0, 3).join('+');
     const netSellBillions = Math.round(Math.abs(foreignFlow.netValue) / 1000000000);
     reasons.push(`Foreign net sell Rp ${netSellBillions}B via ${foreignSellers || 'multiple brokers'}`);
@@ -1198,7 +355,7 @@ function generateRealReasoning(symbol, price, indicators, brokerSummary) {
   
   // Retail vs Institutional breakdown
   const institutionalVolume = brokerSummary
-    .filter(b => FOREIGN_BROKERS.includes(b.code) || BANDAR_BROKERS.includes(b.code))
+    .filter(b => brokerHasTag(b.code, 'foreign') || brokerHasTag(b.code, 'bandar'))
     .reduce((sum, b) => sum + b.buyVolume + b.sellVolume, 0);
   const totalVolume = volumeAnalysis.totalVolume || 1;
   const institutionalPct = Math.round((institutionalVolume / totalVolume) * 100);
@@ -1241,6 +398,121 @@ function calculateForeignConcentration(indicators) {
   return Math.round((foreignFlow.buyValue / totals.buyValue) * 100 * 10) / 10;
 }
 
+// Broker inventory ledger: running position, average cost and P&L per broker
+// Query: from/to (YYYY-MM-DD, default full history), method (wavg|fifo), broker, top
+app.get('/api/stock/:symbol/broker-inventory', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { from = null, to = null, method = 'wavg' } = req.query;
+    const broker = req.query.broker ? req.query.broker.toUpperCase() : null;
+    const top = parseInt(req.query.top) || 10;
+    
+    const invalidDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (invalidDate) {
+      return res.status(400).json({ status: 'error', message: `Invalid date: ${invalidDate} (expected YYYY-MM-DD)` });
+    }
+    if (!COST_METHODS.includes(method)) {
+      return res.status(400).json({ status: 'error', message: `Invalid method (${COST_METHODS.join('|')})` });
+    }
+    
+    const inventory = await getBrokerInventory(symbol, { from, to, method, broker, top });
+    res.json({ status: 'success', data: inventory });
+  } catch (error) {
+    console.error('Broker Inventory Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Shareholder ownership: current snapshot with broker accumulation vs free float, plus holder history
+// Query: from/to (YYYY-MM-DD, history range; `to` is also the snapshot date, default latest)
+app.get('/api/stock/:symbol/ownership', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { from = null, to = null } = req.query;
+    
+    const invalidDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (invalidDate) {
+      return res.status(400).json({ status: 'error', message: `Invalid date: ${invalidDate} (expected YYYY-MM-DD)` });
+    }
+    
+    const [ownership, history] = await Promise.all([
+      getOwnership(symbol, to),
+      getOwnershipHistory(symbol, { from, to })
+    ]);
+    if (!ownership.available) {
+      return res.status(404).json({ status: 'error', message: `No ownership disclosures for ${symbol}` });
+    }
+    res.json({ status: 'success', data: { ...ownership, history } });
+  } catch (error) {
+    console.error('Ownership Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Get persisted end-of-day score snapshots for charting
+// Query: from/to (YYYY-MM-DD), engine (optional, all engines when omitted), profile
+app.get('/api/stock/:symbol/score-history', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { from = null, to = null, engine = null } = req.query;
+    
+    const invalidDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (invalidDate) {
+      return res.status(400).json({ status: 'error', message: `Invalid date: ${invalidDate} (expected YYYY-MM-DD)` });
+    }
+    if (engine && !SCORING_ENGINES.includes(engine)) {
+      return res.status(400).json({ status: 'error', message: `Invalid engine (${SCORING_ENGINES.join('|')})` });
+    }
+    const profile = parseProfile(req);
+    if (!profile) {
+      return res.status(400).json({ status: 'error', message: `Invalid profile (${SCORING_PROFILES.join('|')})` });
+    }
+    
+    const history = await getScoreHistory(symbol, { from, to, engine, profile: profile.name });
+    res.json({ status: 'success', data: { symbol, from, to, engine, profile: profile.name, history } });
+  } catch (error) {
+    console.error('Score History Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Forward-return evaluation of stored signals
+// Query: engine, profile, from/to (YYYY-MM-DD), symbol, factor (substring match on bullish/bearish factors)
+app.get('/api/signals/performance', async (req, res) => {
+  try {
+    const { from = null, to = null, factor = null } = req.query;
+    const symbol = req.query.symbol ? req.query.symbol.toUpperCase() : null;
+    const engine = parseEngine(req);
+    if (!engine) {
+      return res.status(400).json({ status: 'error', message: `Invalid engine (${SCORING_ENGINES.join('|')})` });
+    }
+    const profile = parseProfile(req);
+    if (!profile) {
+      return res.status(400).json({ status: 'error', message: `Invalid profile (${SCORING_PROFILES.join('|')})` });
+    }
+    
+    const invalidDate = [from, to].find(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d));
+    if (invalidDate) {
+      return res.status(400).json({ status: 'error', message: `Invalid date: ${invalidDate} (expected YYYY-MM-DD)` });
+    }
+    
+    const report = await evaluateSignalPerformance({ engine, profile: profile.name, from, to, symbol, factor });
+    res.json({ status: 'success', data: report });
+  } catch (error) {
+    console.error('Signal Performance Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// List available scoring profiles
+app.get('/api/scoring/profiles', (req, res) => {
+  const profiles = SCORING_PROFILES.map(name => {
+    const { hash, description } = getScoringProfile(name);
+    return { name, hash, description, default: name === getScoringProfile().name };
+  });
+  res.json({ status: 'success', data: profiles });
+});
+
 // Get LQ45 constituents
 app.get('/api/lq45', async (req, res) => {
   try {
@@ -1257,29 +529,80 @@ app.get('/api/lq45', async (req, res) => {
   }
 });
 
-// Run backtest
-app.post('/api/backtest', async (req, res) => {
+// Backtest strategies selectable by name, with their default parameters
+app.get('/api/backtest/strategies', (req, res) => {
+  res.json({ status: 'success', data: listStrategies() });
+});
+
+// Queue a walk-forward parameter sweep; poll GET /api/backtest/optimize/:id for progress and results
+// Body: strategy, space ({ param: [values] | { min, max, step } }), method (grid|random), samples, seed,
+//       objective, inSampleDays, outOfSampleDays, startDate/endDate, fund, profile, strategyParams,
+//       execution, benchmark, riskFreePct (as for POST /api/backtest)
+app.post('/api/backtest/optimize', async (req, res) => {
   try {
-    const { fund, weeks, strategy } = req.body;
-    
-    if (!fund || fund <= 0) {
-      return res.status(400).json({ status: 'error', message: 'Invalid fund amount' });
+    // Shared replay settings are validated like a single backtest's; the sweep sets strategy params and dates
+    const { config, error: configError } = resolveBacktestConfig({ ...req.body, fund: req.body.fund ?? 100_000_000, mode: 'replay' });
+    if (configError) {
+      return res.status(400).json({ status: 'error', message: configError });
+    }
+    const { options, error } = resolveOptimization(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
     }
     
-    const backtestConfig = {
-      initialFund: parseFloat(fund),
-      weeks: parseInt(weeks) || 4,
-      strategy: strategy || 'bandar_strength'
+    const backtest = {
+      initialFund: config.initialFund,
+      symbols: config.symbols,
+      profile: getScoringProfile(config.profile),
+      execution: config.execution,
+      benchmark: config.benchmark,
+      riskFreePct: config.riskFreePct
     };
+    const job = submitJob('optimization', { ...req.body, fund: config.initialFund, profile: config.profile }, reportProgress =>
+      runOptimization(options, backtest, { onProgress: reportProgress })
+    );
+    res.status(202).json({ status: 'success', data: job });
+  } catch (error) {
+    console.error('Optimization Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+app.get('/api/backtest/optimize/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || job.type !== 'optimization') {
+    return res.status(404).json({ status: 'error', message: 'Optimization job not found' });
+  }
+  res.json({ status: 'success', data: job });
+});
+
+// Run a resolved backtest config (see resolveBacktestConfig in backtest-runs.js) in its mode
+async function executeBacktest(config, { onProgress } = {}) {
+  const backtestConfig = { ...config, profile: getScoringProfile(config.profile) };
+  if (config.mode === 'replay') {
+    const companies = await getCompanies().catch(() => []);
+    return runReplayBacktest(backtestConfig, companies, { onProgress });
+  }
+  const [companies, pricesData] = await Promise.all([
+    getCompanies(),
+    getPrices(config.symbols)
+  ]);
+  return runBacktest(backtestConfig, pricesData.data.results, companies);
+}
+
+// Run backtest synchronously (short runs; use POST /api/backtests for long ones)
+// Body: fund, weeks, mode (replay|simulated), startDate/endDate, profile,
+//       strategy (GET /api/backtest/strategies, replay mode only), strategyParams (overrides),
+//       execution (IDX fee/slippage overrides, see idx-execution.js),
+//       benchmark (LQ45|COMPOSITE), riskFreePct (annual, for Sharpe/Sortino/alpha)
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const { config, error } = resolveBacktestConfig(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
     
-    const [companies, pricesData] = await Promise.all([
-      getCompanies(),
-      getPrices(LQ45_STOCKS)
-    ]);
-    
-    const prices = pricesData.data.results;
-    const backtestResults = await runBacktest(backtestConfig, prices, companies);
-    
+    const backtestResults = await executeBacktest(config);
     res.json({
       status: 'success',
       data: backtestResults
@@ -1290,6 +613,86 @@ app.post('/api/backtest', async (req, res) => {
   }
 });
 
+// Submit a persisted backtest run (same body as POST /api/backtest); poll GET /api/backtests/:id
+app.post('/api/backtests', async (req, res) => {
+  try {
+    const { config, error } = resolveBacktestConfig(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+    
+    const run = await submitBacktestRun(config, executeBacktest);
+    res.status(202).json({ status: 'success', data: run });
+  } catch (error) {
+    console.error('Backtest Run Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Saved runs, newest first, without results
+// Query: status (queued|running|completed|failed), strategy, limit (1-200), offset
+app.get('/api/backtests', async (req, res) => {
+  try {
+    const { status, strategy } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    if (status && !['queued', 'running', 'completed', 'failed'].includes(status)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid status (queued|running|completed|failed)' });
+    }
+    
+    const runs = await listBacktestRuns({ status: status || null, strategy: strategy || null, limit, offset });
+    res.json({ status: 'success', data: runs, count: runs.length });
+  } catch (error) {
+    console.error('Backtest Run List Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Run status and progress; the full result once completed
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const run = await getBacktestRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ status: 'error', message: 'Backtest run not found' });
+    }
+    res.json({ status: 'success', data: run });
+  } catch (error) {
+    console.error('Backtest Run Fetch Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Queue a new run with a saved run's exact config
+app.post('/api/backtests/:id/rerun', async (req, res) => {
+  try {
+    const rerun = await rerunBacktestRun(req.params.id, executeBacktest);
+    if (!rerun) {
+      return res.status(404).json({ status: 'error', message: 'Backtest run not found' });
+    }
+    if (rerun.error) {
+      return res.status(400).json({ status: 'error', message: rerun.error });
+    }
+    res.status(202).json({ status: 'success', data: rerun.run });
+  } catch (error) {
+    console.error('Backtest Rerun Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Config, version and result differences between two saved runs (b relative to a)
+app.get('/api/backtests/:id/diff/:otherId', async (req, res) => {
+  try {
+    const diff = await diffBacktestRuns(req.params.id, req.params.otherId);
+    if (!diff) {
+      return res.status(404).json({ status: 'error', message: 'Backtest run not found' });
+    }
+    res.json({ status: 'success', data: diff });
+  } catch (error) {
+    console.error('Backtest Diff Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Get market indices
 app.get('/api/indices', async (req, res) => {
   try {
@@ -1310,6 +713,57 @@ app.get('/api/brokers', async (req, res) => {
   }
 });
 
+// Broker profile: one broker's net flow, accumulations and cost basis across all stocks
+// Query: date (YYYY-MM-DD, default latest), method (wavg|fifo) for cost basis, limit per window (1-100)
+app.get('/api/broker/:code', async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    const { date = null, method = 'wavg' } = req.query;
+    const limit = resolveProfileLimit(req.query.limit);
+    
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date (expected YYYY-MM-DD)' });
+    }
+    if (!COST_METHODS.includes(method)) {
+      return res.status(400).json({ status: 'error', message: `Invalid method (${COST_METHODS.join('|')})` });
+    }
+    
+    const profile = await getBrokerProfile(code, { date, method, limit });
+    if (!profile) {
+      return res.status(404).json({ status: 'error', message: `Broker ${code} not found` });
+    }
+    res.json({ status: 'success', data: profile });
+  } catch (error) {
+    console.error('Broker Profile Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Market-wide foreign / big-dog flow, per sector, with 5D/20D running sums and streaks
+// Query: date (YYYY-MM-DD, default latest), days (1-250, default 20), sector (limit bySector to one)
+app.get('/api/market/flows', async (req, res) => {
+  try {
+    const { date = null, sector = null } = req.query;
+    const days = req.query.days === undefined ? 20 : parseInt(req.query.days);
+    
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date (expected YYYY-MM-DD)' });
+    }
+    if (!Number.isInteger(days) || days < 1 || days > 250) {
+      return res.status(400).json({ status: 'error', message: 'Invalid days (1-250)' });
+    }
+    
+    const flows = await getMarketFlows({ date, days, sector });
+    if (sector && !flows.sectors.includes(sector)) {
+      return res.status(404).json({ status: 'error', message: `No flows for sector ${sector} (${flows.sectors.join(', ')})` });
+    }
+    res.json({ status: 'success', data: flows });
+  } catch (error) {
+    console.error('Market Flows Error:', error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Database health check
 app.get('/api/db-health', async (req, res) => {
   try {
@@ -1345,9 +799,29 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Scheduled end-of-day jobs (set DISABLE_SCHEDULER=true to run them externally)
+if (process.env.DISABLE_SCHEDULER !== 'true') {
+  scheduleDaily('daily-prices', process.env.PRICE_INGEST_TIME || '17:00', () => appendLatestPrices(LQ45_STOCKS));
+  scheduleDaily('score-snapshots', process.env.SCORE_SNAPSHOT_TIME || '17:30', () => captureScoreSnapshots(LQ45_STOCKS));
+}
+
+if (process.env.BACKTEST_STRATEGIES) {
+  const loaded = await loadStrategyModules(process.env.BACKTEST_STRATEGIES.split(','));
+  console.log(`📈 Custom backtest strategies: ${loaded.join(', ')}`);
+}
+
+// Before listening, so only runs left by a previous process are marked failed
+try {
+  const interrupted = await recoverInterruptedRuns();
+  if (interrupted > 0) console.log(`⏹️ Marked ${interrupted} interrupted backtest runs as failed`);
+} catch (error) {
+  console.error('Error recovering backtest runs:', error.message);
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Bandarmology Server running on port ${PORT}`);
   console.log(`📊 Database: ${process.env.DB_NAME || 'the_frontier'}`);
+  loadBrokerRegistry().then(registry => console.log(`🏷️ Broker registry: ${registry.size} brokers`));
 });
 // Add this function to server.js after getHistoricalVolumeData
 
@@ -1428,7 +902,8 @@ async function getMultiTimeframeData(symbol) {
       avgBuyPrice: Math.floor(r.avg_buy_price) || 0,
       avgSellPrice: Math.floor(r.avg_sell_price) || 0,
       netVolume: (parseInt(r.buy_volume) || 0) - (parseInt(r.sell_volume) || 0),
-      netValue: (parseInt(r.buy_value) || 0) - (parseInt(r.sell_value) || 0)
+      netValue: (parseInt(r.buy_value) || 0) - (parseInt(r.sell_value) || 0),
+      tags: getRegisteredBroker(r.code)?.tags || []
     }));
     
     return {
@@ -1450,8 +925,6 @@ async function getBigDogAnalysis(symbol) {
     if (stockResult.rows.length === 0) return null;
     const stockId = stockResult.rows[0].id;
     
-    const BIG_DOGS = ['YU', 'CC', 'NI', 'GW', 'SQ', 'OD', 'BK', 'AK'];
-    
     const result = await client.query(`
       SELECT b.code, b.name, 
              SUM(bt.buy_volume) as buy_volume, SUM(bt.buy_value) as buy_value,
@@ -1460,10 +933,10 @@ async function getBigDogAnalysis(symbol) {
              CASE WHEN SUM(bt.sell_volume) > 0 THEN SUM(bt.sell_value) / (SUM(bt.sell_volume) * 100) ELSE 0 END as avg_sell_price
       FROM broker_transactions bt
       JOIN brokers b ON bt.broker_id = b.id
-      WHERE bt.stock_id = $1 AND b.code = ANY($2)
+      WHERE bt.stock_id = $1 AND 'big-dog' = ANY(b.tags)
       GROUP BY b.code, b.name
       ORDER BY ABS(SUM(bt.buy_value) - SUM(bt.sell_value)) DESC
-    `, [stockId, BIG_DOGS]);
+    `, [stockId]);
     
     return result.rows.map(r => ({
       code: r.code,
@@ -0,0 +1,129 @@
+// SID (single investor ID) shareholder counts (sid_counts table, see migrations/008_sid_counts)
+// Loaded from KSEI-style weekly/monthly shareholder count reports. SID change compares the latest
+// two reports of the same period on or before the as-of date, so a weekly count is never compared
+// with a monthly one; without two reports the data is marked unavailable rather than estimated.
+
+import { pool } from './db.js';
+import { parseCSV, toNumber, toISODate } from './csv.js';
+
+export const SID_PERIODS = ['weekly', 'monthly'];
+
+function pick(raw, names) {
+  for (const name of names) {
+    if (raw[name] !== undefined && raw[name] !== null && raw[name] !== '') return raw[name];
+  }
+  return null;
+}
+
+// Validate and normalize one report row; returns { row } or { error }
+function normalizeSidRow(raw, defaults) {
+  const symbol = String(pick(raw, ['symbol', 'code', 'stock_code', 'kode_efek', 'ticker']) || defaults.symbol || '').trim().toUpperCase();
+  const reportDate = toISODate(pick(raw, ['report_date', 'date', 'period_end', 'tanggal']) || defaults.reportDate);
+  const holdersField = pick(raw, ['holders', 'sid', 'sid_count', 'total_sid', 'shareholders', 'jumlah_sid']);
+  const holders = toNumber(holdersField);
+  const period = String(pick(raw, ['period', 'frequency']) || defaults.period || 'monthly').trim().toLowerCase();
+
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!reportDate) return { error: 'Missing or invalid report date' };
+  if (holders === null || holders < 0 || !Number.isInteger(holders)) return { error: `Invalid holder count: ${holdersField ?? '(empty)'}` };
+  if (!SID_PERIODS.includes(period)) return { error: `Invalid period: ${period} (${SID_PERIODS.join('|')})` };
+  return { row: { symbol, reportDate, holders, period } };
+}
+
+// Import report rows (CSV text or JSON array); defaults fill columns the file omits
+export async function importSidCounts(text, { symbol = null, reportDate = null, period = null, source = 'ksei' } = {}) {
+  const trimmed = text.trim();
+  const records = trimmed.startsWith('[') ? JSON.parse(trimmed) : parseCSV(text);
+  const rows = [];
+  const rejected = [];
+  records.forEach((raw, idx) => {
+    const { row, error } = normalizeSidRow(raw, { symbol, reportDate, period });
+    if (error) rejected.push({ line: idx + 2, reason: error });
+    else rows.push(row);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const r of rows) {
+      await client.query(`
+        INSERT INTO sid_counts (symbol, report_date, holders, period, source, updated_at)
+        VALUES ($1, $2, $3, $4, $5, NOW())
+        ON CONFLICT (symbol, report_date, period) DO UPDATE SET
+          holders = EXCLUDED.holders,
+          source = EXCLUDED.source,
+          updated_at = NOW()
+      `, [r.symbol, r.reportDate, r.holders, r.period, source]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { saved: rows.length, rejected };
+}
+
+// SID data when no reports are on file
+export function unavailableSidData(reason = 'No SID reports on file') {
+  return {
+    available: false,
+    count: null,
+    change: null,
+    changePct: null,
+    reportDate: null,
+    previousDate: null,
+    period: null,
+    description: reason
+  };
+}
+
+// Latest report on or before asOf (YYYY-MM-DD, default latest) and the one before it in the same
+// period; monthly wins when both periods report on the latest date
+export async function getSidData(symbol, asOf = null) {
+  try {
+    const { rows } = await pool.query(`
+      SELECT TO_CHAR(report_date, 'YYYY-MM-DD') as report_date, holders, period
+      FROM sid_counts
+      WHERE symbol = $1 AND ($2::date IS NULL OR report_date <= $2::date)
+        AND period = (
+          SELECT period FROM sid_counts
+          WHERE symbol = $1 AND ($2::date IS NULL OR report_date <= $2::date)
+          ORDER BY report_date DESC, period ASC
+          LIMIT 1
+        )
+      ORDER BY report_date DESC
+      LIMIT 2
+    `, [symbol, asOf]);
+
+    if (rows.length === 0) return unavailableSidData();
+    const [latest, previous] = rows;
+    const count = parseInt(latest.holders);
+    if (!previous) {
+      return {
+        ...unavailableSidData(`Only one SID report (${latest.report_date}); change needs two`),
+        count,
+        reportDate: latest.report_date,
+        period: latest.period
+      };
+    }
+
+    const previousCount = parseInt(previous.holders);
+    const change = count - previousCount;
+    return {
+      available: true,
+      count,
+      change,
+      changePct: previousCount > 0 ? Math.round((change / previousCount) * 10000) / 100 : null,
+      reportDate: latest.report_date,
+      previousDate: previous.report_date,
+      period: latest.period,
+      description: `${count.toLocaleString()} holders on ${latest.report_date} (${change >= 0 ? '+' : ''}${change.toLocaleString()} since ${previous.report_date})`
+    };
+  } catch (error) {
+    console.error(`Error getting SID data for ${symbol}:`, error.message);
+    return unavailableSidData('SID data could not be loaded');
+  }
+}
@@ -0,0 +1,199 @@
+// Signal forward-return evaluation
+// Replays every stored score snapshot (score_snapshots) against daily_prices to measure
+// what happened 1/5/10/20 trading days later, per signal and per contributing factor.
+// Excess return is measured against an equal-weighted LQ45 basket over the same window; samples
+// whose window has no basket prices are left out of the excess average.
+
+import { pool } from './db.js';
+import { LQ45_STOCKS } from './universe.js';
+import { DEFAULT_ENGINE } from './scoring-engines.js';
+import { getScoringProfile } from './scoring-profiles.js';
+
+export const HORIZONS = [1, 5, 10, 20];
+
+const BULLISH_SIGNALS = ['STRONG_BUY', 'BUY'];
+const BEARISH_SIGNALS = ['REDUCE', 'SELL'];
+const LOOKAHEAD_CALENDAR_DAYS = 45; // Covers 20 trading days plus holidays
+
+async function getSnapshots({ engine, profile, from, to, symbol }) {
+  const { rows } = await pool.query(`
+    SELECT symbol, TO_CHAR(date, 'YYYY-MM-DD') as date, signal, score, bullish_factors, bearish_factors
+    FROM score_snapshots
+    WHERE engine = $1
+      AND ($2::date IS NULL OR date >= $2::date)
+      AND ($3::date IS NULL OR date <= $3::date)
+      AND ($4::text IS NULL OR symbol = $4)
+      AND profile = $5
+    ORDER BY date ASC
+  `, [engine, from, to, symbol, profile]);
+  return rows;
+}
+
+// Closes keyed by symbol then date, plus the sorted trading calendar
+async function getPriceMatrix(symbols, from, to) {
+  const { rows } = await pool.query(`
+    SELECT symbol, TO_CHAR(date, 'YYYY-MM-DD') as date, close
+    FROM daily_prices
+    WHERE symbol = ANY($1)
+      AND ($2::date IS NULL OR date >= $2::date)
+      AND ($3::date IS NULL OR date <= $3::date + $4::int)
+    ORDER BY date ASC
+  `, [symbols, from, to, LOOKAHEAD_CALENDAR_DAYS]);
+
+  const closes = new Map();
+  const dates = new Set();
+  for (const r of rows) {
+    if (!closes.has(r.symbol)) closes.set(r.symbol, new Map());
+    closes.get(r.symbol).set(r.date, parseFloat(r.close));
+    dates.add(r.date);
+  }
+  return { closes, calendar: [...dates].sort() };
+}
+
+// Reduce a factor string to a stable key: "Foreign buying: +1.2B" -> "Foreign buying"
+export function factorKey(factor) {
+  return factor
+    .replace(/^[^\p{L}\p{N}]+/u, '')
+    .split(':')[0]
+    .replace(/[-+]?\d[\d.,]*%?/g, '#')
+    .trim();
+}
+
+function newBucket() {
+  return Object.fromEntries(HORIZONS.map(h => [h, { returns: [], excess: [], hits: 0, judged: 0 }]));
+}
+
+// direction: 1 = expects price up, -1 = expects price down, 0 = no directional call
+function record(bucket, h, ret, excess, direction) {
+  const b = bucket[h];
+  b.returns.push(ret);
+  if (excess !== null) b.excess.push(excess);
+  if (direction !== 0) {
+    b.judged++;
+    if (ret * direction > 0) b.hits++;
+  }
+}
+
+const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function summarizeBucket(bucket) {
+  return Object.fromEntries(HORIZONS.map(h => {
+    const b = bucket[h];
+    if (b.returns.length === 0) return [h, { count: 0 }];
+    return [h, {
+      count: b.returns.length,
+      avgReturnPct: round(mean(b.returns)),
+      medianReturnPct: round(median(b.returns)),
+      avgExcessPct: b.excess.length > 0 ? round(mean(b.excess)) : null,
+      excessCount: b.excess.length,
+      hitRate: b.judged > 0 ? round((b.hits / b.judged) * 100, 1) : null
+    }];
+  }));
+}
+
+// Evaluate stored signals. Returns are in percent; a hit is a forward move in the
+// signal's direction (up for BUY/STRONG_BUY, down for REDUCE/SELL). HOLD is reported without a hit rate.
+export async function evaluateSignalPerformance({
+  engine = DEFAULT_ENGINE,
+  profile = getScoringProfile().name,
+  from = null,
+  to = null,
+  symbol = null,
+  factor = null
+} = {}) {
+  let snapshots = await getSnapshots({ engine, profile, from, to, symbol });
+  if (factor) {
+    const needle = factor.toLowerCase();
+    snapshots = snapshots.filter(s =>
+      [...s.bullish_factors, ...s.bearish_factors].some(f => f.toLowerCase().includes(needle))
+    );
+  }
+
+  const symbols = [...new Set([...LQ45_STOCKS, ...snapshots.map(s => s.symbol)])];
+  const { closes, calendar } = snapshots.length > 0
+    ? await getPriceMatrix(symbols, snapshots[0].date, snapshots[snapshots.length - 1].date)
+    : { closes: new Map(), calendar: [] };
+  const dateIndex = new Map(calendar.map((d, idx) => [d, idx]));
+
+  const forwardReturn = (sym, date, h) => {
+    const idx = dateIndex.get(date);
+    const exitDate = calendar[idx + h];
+    const series = closes.get(sym);
+    if (!exitDate || !series?.get(date) || !series.get(exitDate)) return null;
+    return (series.get(exitDate) / series.get(date) - 1) * 100;
+  };
+
+  const basketCache = new Map();
+  const basketReturn = (date, h) => {
+    const key = `${date}|${h}`;
+    if (!basketCache.has(key)) {
+      const returns = LQ45_STOCKS.map(sym => forwardReturn(sym, date, h)).filter(r => r !== null);
+      basketCache.set(key, returns.length > 0 ? mean(returns) : null);
+    }
+    return basketCache.get(key);
+  };
+
+  const bySignal = new Map();
+  const byFactor = new Map();
+  let evaluated = 0;
+
+  for (const s of snapshots) {
+    if (!dateIndex.has(s.date)) continue;
+
+    const direction = BULLISH_SIGNALS.includes(s.signal) ? 1 : BEARISH_SIGNALS.includes(s.signal) ? -1 : 0;
+    if (!bySignal.has(s.signal)) bySignal.set(s.signal, { direction, snapshots: 0, bucket: newBucket() });
+    const signalEntry = bySignal.get(s.signal);
+    signalEntry.snapshots++;
+
+    const factorEntries = [
+      ...s.bullish_factors.map(f => ({ key: factorKey(f), side: 'bullish', direction: 1 })),
+      ...s.bearish_factors.map(f => ({ key: factorKey(f), side: 'bearish', direction: -1 }))
+    ].filter((f, idx, all) => all.findIndex(o => o.key === f.key && o.side === f.side) === idx);
+    for (const f of factorEntries) {
+      const id = `${f.side}|${f.key}`;
+      if (!byFactor.has(id)) byFactor.set(id, { factor: f.key, side: f.side, direction: f.direction, snapshots: 0, bucket: newBucket() });
+      byFactor.get(id).snapshots++;
+    }
+
+    let counted = false;
+    for (const h of HORIZONS) {
+      const ret = forwardReturn(s.symbol, s.date, h);
+      if (ret === null) continue;
+      const basket = basketReturn(s.date, h);
+      const excess = basket !== null ? ret - basket : null;
+
+      record(signalEntry.bucket, h, ret, excess, direction);
+      for (const f of factorEntries) {
+        record(byFactor.get(`${f.side}|${f.key}`).bucket, h, ret, excess, f.direction);
+      }
+      counted = true;
+    }
+    if (counted) evaluated++;
+  }
+
+  return {
+    engine,
+    profile,
+    from,
+    to,
+    factor,
+    horizons: HORIZONS,
+    snapshots: snapshots.length,
+    evaluated,
+    bySignal: Object.fromEntries([...bySignal].map(([signal, e]) => [signal, {
+      direction: e.direction > 0 ? 'bullish' : e.direction < 0 ? 'bearish' : 'neutral',
+      snapshots: e.snapshots,
+      horizons: summarizeBucket(e.bucket)
+    }])),
+    byFactor: [...byFactor.values()]
+      .sort((a, b) => b.snapshots - a.snapshots)
+      .map(e => ({ factor: e.factor, side: e.side, snapshots: e.snapshots, horizons: summarizeBucket(e.bucket) }))
+  };
+}
@@ -0,0 +1,74 @@
+// Signal performance report CLI
+//
+//   node signal-report.js [--engine v2] [--profile default] [--from 2024-01-01] [--to 2024-06-30] [--symbol BBRI]
+//                         [--factor "Foreign streak"] [--top 15] [--json]
+
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { evaluateSignalPerformance, HORIZONS } from './signal-performance.js';
+import { SCORING_ENGINES } from './scoring-engines.js';
+import { SCORING_PROFILES } from './scoring-profiles.js';
+
+const { values } = parseArgs({
+  options: {
+    engine: { type: 'string' },
+    profile: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    symbol: { type: 'string' },
+    factor: { type: 'string' },
+    top: { type: 'string', default: '15' },
+    json: { type: 'boolean', default: false }
+  }
+});
+
+// One row per group, with avg return / excess / hit rate columns per horizon
+function toRows(entries) {
+  return entries.map(([label, e]) => {
+    const row = { group: label, n: e.snapshots };
+    for (const h of HORIZONS) {
+      const s = e.horizons[h];
+      row[`${h}d ret%`] = s.count ? s.avgReturnPct : '-';
+      row[`${h}d exc%`] = s.avgExcessPct ?? '-';
+      row[`${h}d hit%`] = s.hitRate ?? '-';
+    }
+    return row;
+  });
+}
+
+async function main() {
+  // A mistyped name would otherwise match no snapshots and print an empty report
+  if (values.engine && !SCORING_ENGINES.includes(values.engine)) {
+    throw new Error(`Unknown engine ${values.engine} (${SCORING_ENGINES.join('|')})`);
+  }
+  if (values.profile && !SCORING_PROFILES.includes(values.profile)) {
+    throw new Error(`Unknown profile ${values.profile} (${SCORING_PROFILES.join('|')})`);
+  }
+
+  const report = await evaluateSignalPerformance({
+    engine: values.engine,
+    profile: values.profile,
+    from: values.from || null,
+    to: values.to || null,
+    symbol: values.symbol ? values.symbol.toUpperCase() : null,
+    factor: values.factor || null
+  });
+  
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  
+  console.log(`Engine ${report.engine} (${report.profile} profile): ${report.evaluated}/${report.snapshots} snapshots with forward prices`);
+  console.log('\nBy signal');
+  console.table(toRows(Object.entries(report.bySignal)));
+  console.log(`\nBy factor (top ${values.top})`);
+  console.table(toRows(report.byFactor.slice(0, parseInt(values.top)).map(f => [`${f.side === 'bullish' ? '+' : '-'} ${f.factor}`, f])));
+}
+
+main()
+  .catch(error => {
+    console.error('Signal report failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,46 @@
+// Score snapshot CLI
+//
+//   node snapshot-scores.js [--date 2024-06-14] [--symbols BBRI,BBCA] [--profile conservative]
+//   node snapshot-scores.js --from 2024-01-01 [--to 2024-06-30]   (backfill every trading day)
+
+import { parseArgs } from 'util';
+import { pool } from './db.js';
+import { LQ45_STOCKS } from './universe.js';
+import { getTradingDays } from './indicators.js';
+import { captureScoreSnapshots } from './score-snapshots.js';
+import { getScoringProfile } from './scoring-profiles.js';
+
+const { values } = parseArgs({
+  options: {
+    date: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    symbols: { type: 'string' },
+    profile: { type: 'string' }
+  }
+});
+
+const symbols = values.symbols ? values.symbols.split(',').map(s => s.trim().toUpperCase()) : LQ45_STOCKS;
+
+async function main() {
+  const profile = getScoringProfile(values.profile);
+  if (!profile) throw new Error(`Unknown profile: ${values.profile}`);
+  
+  if (values.from) {
+    const days = await getTradingDays(values.from, values.to || null, null);
+    for (const date of days) {
+      await captureScoreSnapshots(symbols, { date, profile });
+    }
+    console.log(`Backfilled ${days.length} trading days`);
+  } else {
+    const results = await captureScoreSnapshots(symbols, { date: values.date || null, profile });
+    console.table(results);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('Score snapshot failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,56 @@
+// Stock sector classification
+// stocks.sector / stocks.subsector (migrations/006_stock_sectors) group the universe for
+// market-wide flow aggregation. Loaded from a CSV/JSON mapping: symbol, sector, subsector.
+
+import { pool } from './db.js';
+import { parseCSV } from './csv.js';
+
+export const UNCLASSIFIED_SECTOR = 'Unclassified';
+
+// Validate one mapping row; returns { row } or { error }
+function normalizeSectorRow(raw) {
+  const symbol = String(raw.symbol || raw.ticker || raw.stock_code || '').trim().toUpperCase();
+  const sector = String(raw.sector || '').trim();
+  const subsector = String(raw.subsector || raw.sub_sector || raw.industry || '').trim() || null;
+
+  if (!/^[A-Z0-9]{2,10}$/.test(symbol)) return { error: `Invalid symbol: ${symbol || '(empty)'}` };
+  if (!sector || sector.length > 100) return { error: 'Missing or too long sector' };
+  if (subsector && subsector.length > 100) return { error: 'Subsector too long' };
+  return { row: { symbol, sector, subsector } };
+}
+
+// Parse a mapping file body (CSV text or JSON array)
+export function parseSectorFile(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith('[') ? JSON.parse(trimmed) : parseCSV(text);
+}
+
+// Upsert sector/subsector per symbol; creates the stock row when it is not known yet
+export async function importStockSectors(records) {
+  const rejected = [];
+  const rows = [];
+  records.forEach((raw, idx) => {
+    const { row, error } = normalizeSectorRow(raw);
+    if (error) rejected.push({ row: idx + 1, reason: error });
+    else rows.push(row);
+  });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const row of rows) {
+      await client.query(`
+        INSERT INTO stocks (symbol, sector, subsector) VALUES ($1, $2, $3)
+        ON CONFLICT (symbol) DO UPDATE SET sector = EXCLUDED.sector, subsector = EXCLUDED.subsector
+      `, [row.symbol, row.sector, row.subsector]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { received: records.length, imported: rows.length, rejected };
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { equalWeightBenchmark, calculateRiskAnalytics, missingBenchmarkNote } from '../backtest-analytics.js';
+
+const DATES = ['2024-01-30', '2024-01-31', '2024-02-01', '2024-02-02'];
+
+const barsByDate = new Map([
+  ['2024-01-30', new Map([['AAAA', { close: 100 }], ['BBBB', { close: 200 }]])],
+  ['2024-01-31', new Map([['AAAA', { close: 110 }], ['BBBB', { close: 200 }]])],
+  ['2024-02-01', new Map([['AAAA', { close: 120 }]])],
+  ['2024-02-02', new Map([['AAAA', { close: 120 }], ['BBBB', { close: 220 }]])]
+]);
+
+test('equalWeightBenchmark averages normalized closes, carrying missing bars forward', () => {
+  const benchmark = equalWeightBenchmark('LQ45', DATES, barsByDate, 1000);
+  assert.equal(benchmark.source, 'equal_weight_universe');
+  assert.deepEqual(benchmark.curve.map(p => p.value), [1000, 1050, 1100, 1150]);
+});
+
+test('equalWeightBenchmark only stands in for LQ45', () => {
+  assert.equal(equalWeightBenchmark('COMPOSITE', DATES, barsByDate, 1000), null);
+  assert.match(missingBenchmarkNote('COMPOSITE'), /No index data for COMPOSITE/);
+});
+
+test('calculateRiskAnalytics computes returns, benchmark stats and activity', () => {
+  const dailyValues = [
+    { date: '2024-01-30', value: 1000, invested: 0 },
+    { date: '2024-01-31', value: 1100, invested: 1100 },
+    { date: '2024-02-01', value: 1045, invested: 1045 },
+    { date: '2024-02-02', value: 1150, invested: 0 }
+  ];
+  const trades = [
+    { action: 'BUY', date: '2024-01-30', value: 1000 },
+    { action: 'SELL', date: '2024-02-02', entryDate: '2024-01-30', value: 1150 }
+  ];
+  const benchmark = { curve: DATES.map((date, i) => ({ date, value: [1000, 1050, 1100, 1150][i] })) };
+  const stats = calculateRiskAnalytics({ dailyValues, trades, initialFund: 1000, maxDrawdown: 5, benchmark, riskFreePct: 0 });
+
+  assert.equal(stats.riskFreePct, 0);
+  assert.equal(stats.benchmarkReturn, 15);
+  assert.equal(stats.excessReturn, 0);
+  assert.ok(stats.beta !== null);
+  assert.equal(stats.avgHoldingDays, 3);
+  assert.equal(stats.exposurePct, 50);
+  assert.deepEqual(stats.monthlyReturns.map(m => [m.month, m.return, m.benchmarkReturn]), [
+    ['2024-01', 10, 5],
+    ['2024-02', 4.55, 9.52]
+  ]);
+  assert.ok(stats.sharpeRatio > 0);
+  assert.equal(stats.calmarRatio, Math.round(stats.annualizedReturn / 5 * 100) / 100);
+});
+
+test('calculateRiskAnalytics leaves ratios null for a flat curve without a benchmark', () => {
+  const dailyValues = [{ date: '2024-01-30', value: 1000, invested: 0 }, { date: '2024-01-31', value: 1000, invested: 0 }];
+  const stats = calculateRiskAnalytics({ dailyValues, trades: [], initialFund: 1000, maxDrawdown: 0, riskFreePct: 0 });
+  assert.equal(stats.annualizedReturn, 0);
+  assert.equal(stats.sharpeRatio, null);
+  assert.equal(stats.calmarRatio, null);
+  assert.equal(stats.beta, null);
+  assert.equal(stats.avgHoldingDays, null);
+});
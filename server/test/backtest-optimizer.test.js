@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseParamSpace, gridSize, expandGrid, sampleRandom, walkForwardWindows, resolveOptimization } from '../backtest-optimizer.js';
+import { getStrategy } from '../backtest-strategies.js';
+
+const days = n => Array.from({ length: n }, (_, i) => `2024-01-${String(i + 1).padStart(2, '0')}`);
+
+test('expandGrid builds every combination and gridSize counts them', () => {
+  const space = { topN: { values: [3, 5] }, minScore: { values: [50, 60, 70] } };
+  const grid = expandGrid(space);
+  assert.equal(gridSize(space), 6);
+  assert.equal(grid.length, 6);
+  assert.deepEqual(grid[0], { topN: 3, minScore: 50 });
+  assert.deepEqual(grid[5], { topN: 5, minScore: 70 });
+  assert.equal(new Set(grid.map(set => JSON.stringify(set))).size, 6);
+});
+
+test('sampleRandom is reproducible for a seed, including seed 0', () => {
+  const space = { topN: { min: 1, max: 20 }, minScore: { values: [50, 60] } };
+  assert.deepEqual(sampleRandom(space, 5, 0), sampleRandom(space, 5, 0));
+  assert.notDeepEqual(sampleRandom(space, 5, 0), sampleRandom(space, 5, 1));
+  for (const set of sampleRandom(space, 10, 7)) assert.ok(Number.isInteger(set.topN));
+});
+
+test('walkForwardWindows rolls by the out-of-sample length', () => {
+  const windows = walkForwardWindows(days(10), { inSampleDays: 4, outOfSampleDays: 2 });
+  assert.equal(windows.length, 3);
+  assert.deepEqual(windows[0].inSample, days(4));
+  assert.deepEqual(windows[0].outOfSample, days(6).slice(4));
+  assert.deepEqual(windows[2].outOfSample, days(10).slice(8));
+});
+
+test('walkForwardWindows handles no out-of-sample and too little history', () => {
+  assert.deepEqual(walkForwardWindows(days(5), { inSampleDays: 4, outOfSampleDays: 0 }), [{ inSample: days(5), outOfSample: [] }]);
+  assert.deepEqual(walkForwardWindows([], { inSampleDays: 4, outOfSampleDays: 0 }), []);
+  assert.deepEqual(walkForwardWindows(days(5), { inSampleDays: 4, outOfSampleDays: 2 }), []);
+});
+
+test('parseParamSpace expands stepped ranges and rejects out-of-range params', () => {
+  const strategy = getStrategy('top_n_rebalance');
+  assert.deepEqual(parseParamSpace(strategy, { topN: { min: 2, max: 6, step: 2 } }).space, { topN: { values: [2, 4, 6] } });
+  assert.match(parseParamSpace(strategy, { topN: [0, 5] }).error, /topN must be between 1 and 100/);
+  assert.match(parseParamSpace(strategy, { rebalanceDays: { min: 0, max: 10, step: 1 } }).error, /rebalanceDays must be between/);
+  assert.match(parseParamSpace(strategy, { topN: { min: 1, max: 10, step: 0.5 } }).error, /whole number/);
+  assert.match(parseParamSpace(strategy, { topN: { min: 1, max: 10 } }).error, /needs a step/);
+  assert.match(parseParamSpace(strategy, { nope: 1 }).error, /Unknown parameter nope/);
+});
+
+test('resolveOptimization rejects a grid too large to run without expanding it', () => {
+  const { error } = resolveOptimization({
+    strategy: 'top_n_rebalance',
+    startDate: '2024-01-01',
+    space: {
+      topN: { min: 1, max: 100, step: 1 },
+      minScore: { min: 1, max: 100, step: 1 },
+      rebalanceDays: { min: 1, max: 100, step: 1 }
+    }
+  });
+  assert.match(error, /Grid has 1000000 parameter sets/);
+});
+
+test('resolveOptimization keeps seed 0 and rejects non-integer seeds', () => {
+  const body = { strategy: 'top_n_rebalance', method: 'random', startDate: '2024-01-01', space: { topN: { min: 1, max: 20 } } };
+  assert.equal(resolveOptimization({ ...body, seed: 0 }).options.seed, 0);
+  assert.match(resolveOptimization({ ...body, seed: 1.5 }).error, /seed must be an integer/);
+});
+
+test('resolveOptimization rejects zero strategy params', () => {
+  const { error } = resolveOptimization({
+    strategy: 'top_n_rebalance',
+    startDate: '2024-01-01',
+    strategyParams: { rebalanceDays: 0 },
+    space: { topN: [3, 5] }
+  });
+  assert.match(error, /rebalanceDays must be between 1 and 250/);
+});
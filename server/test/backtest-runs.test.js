@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { resolveBacktestConfig, diffBacktestRuns } from '../backtest-runs.js';
+import { IDX_EXECUTION } from '../idx-execution.js';
+import { LQ45_STOCKS } from '../universe.js';
+
+const ID_A = '11111111-1111-4111-8111-111111111111';
+const ID_B = '22222222-2222-4222-8222-222222222222';
+
+test('resolveBacktestConfig fills defaults', () => {
+  const { config } = resolveBacktestConfig({ fund: '100000000' });
+  assert.equal(config.mode, 'replay');
+  assert.equal(config.initialFund, 100000000);
+  assert.equal(config.weeks, 4);
+  assert.equal(config.profile, 'default');
+  assert.equal(config.strategy, 'bandar_strength');
+  assert.equal(config.benchmark, 'LQ45');
+  assert.equal(config.riskFreePct, undefined);
+  assert.deepEqual(config.execution, IDX_EXECUTION);
+  assert.deepEqual(config.symbols, LQ45_STOCKS);
+});
+
+test('resolveBacktestConfig applies strategy, execution and benchmark overrides', () => {
+  const { config } = resolveBacktestConfig({
+    fund: 50000000,
+    weeks: '8',
+    startDate: '2024-01-02',
+    strategy: 'foreign_streak',
+    strategyParams: { minStreakDays: '5' },
+    execution: { commissionBuyPct: '0.1' },
+    benchmark: 'composite',
+    riskFreePct: '6.25'
+  });
+  assert.equal(config.weeks, 8);
+  assert.equal(config.startDate, '2024-01-02');
+  assert.equal(config.endDate, null);
+  assert.equal(config.strategyParams.minStreakDays, 5);
+  assert.equal(config.strategyParams.exitStreakDays, 2);
+  assert.equal(config.execution.commissionBuyPct, 0.1);
+  assert.equal(config.execution.commissionSellPct, IDX_EXECUTION.commissionSellPct);
+  assert.equal(config.benchmark, 'COMPOSITE');
+  assert.equal(config.riskFreePct, 6.25);
+  assert.doesNotThrow(() => JSON.stringify(config));
+});
+
+test('resolveBacktestConfig rejects invalid requests', () => {
+  const error = body => resolveBacktestConfig({ fund: 1000000, ...body }).error;
+  assert.equal(resolveBacktestConfig({}).error, 'Invalid fund amount');
+  assert.equal(error({ fund: -1 }), 'Invalid fund amount');
+  assert.equal(error({ mode: 'live' }), 'Invalid mode (replay|simulated)');
+  assert.match(error({ profile: 'nope' }), /^Invalid profile \(/);
+  assert.match(error({ strategy: 'nope' }), /^Invalid strategy \(bandar_strength\|/);
+  assert.equal(error({ mode: 'simulated', strategy: 'foreign_streak' }), 'Simulated mode only runs bandar_strength');
+  assert.equal(error({ endDate: '2024/03/01' }), 'Invalid endDate (YYYY-MM-DD)');
+  assert.match(error({ strategy: 'foreign_streak', strategyParams: { minScore: 'high' } }), /^minScore must be a finite number/);
+  assert.match(error({ execution: { spread: 1 } }), /^Unknown execution setting spread/);
+  assert.equal(error({ benchmark: 'SP500' }), 'Invalid benchmark (LQ45|COMPOSITE)');
+  assert.equal(error({ riskFreePct: 60 }), 'Invalid riskFreePct (0-50)');
+});
+
+const run = (id, overrides = {}) => ({
+  id,
+  status: 'completed',
+  mode: 'replay',
+  strategy: 'bandar_strength',
+  config: { profile: 'default', initialFund: 100000000, execution: { commissionBuyPct: 0.15 } },
+  versions: { engine: 2, commit: 'abc' },
+  rerun_of: null,
+  result: {
+    summary: { totalReturn: 5, trades: 2 },
+    analytics: { sharpeRatio: 1.2 },
+    trades: [
+      { date: '2024-03-01', symbol: 'BBRI', action: 'BUY', shares: 1000, price: 5000 },
+      { date: '2024-03-05', symbol: 'BBRI', action: 'SELL', shares: 1000, price: 5200 }
+    ],
+    dailyValues: [{ date: '2024-03-01', value: 100000000 }, { date: '2024-03-05', value: 100200000 }]
+  },
+  created_at: '2024-03-10T00:00:00Z',
+  ...overrides
+});
+
+// Stand-in for getBacktestRun: rows looked up by id
+function mockRuns(t, runs) {
+  t.mock.method(pool, 'query', async (sql, [id]) => ({ rows: runs.filter(r => r.id === id) }));
+}
+
+test('diffBacktestRuns returns null when either run is missing', async t => {
+  mockRuns(t, [run(ID_A)]);
+  assert.equal(await diffBacktestRuns(ID_A, ID_B), null);
+  assert.equal(await diffBacktestRuns(ID_A, 'not-a-uuid'), null);
+});
+
+test('diffBacktestRuns compares config, versions and results of completed runs', async t => {
+  const b = run(ID_B, {
+    config: { profile: 'default', initialFund: 100000000, execution: { commissionBuyPct: 0.1 } },
+    versions: { engine: 2, commit: 'def' },
+    rerun_of: ID_A
+  });
+  b.result = {
+    summary: { totalReturn: 7.5, trades: 2 },
+    analytics: { sharpeRatio: 1.5 },
+    trades: [
+      { date: '2024-03-01', symbol: 'BBRI', action: 'BUY', shares: 1000, price: 4990 },
+      { date: '2024-03-06', symbol: 'BBRI', action: 'SELL', shares: 1000, price: 5300 }
+    ],
+    dailyValues: [{ date: '2024-03-01', value: 100000000 }, { date: '2024-03-05', value: 100400000 }]
+  };
+  mockRuns(t, [run(ID_A), b]);
+  const diff = await diffBacktestRuns(ID_A, ID_B);
+
+  assert.deepEqual(diff.runs.map(r => r.rerunOf), [null, ID_A]);
+  assert.deepEqual(diff.config, [{ path: 'execution.commissionBuyPct', a: 0.15, b: 0.1 }]);
+  assert.deepEqual(diff.versions, [{ path: 'commit', a: 'abc', b: 'def' }]);
+  assert.deepEqual(diff.summary.totalReturn, { a: 5, b: 7.5, delta: 2.5 });
+  assert.deepEqual(diff.analytics.sharpeRatio, { a: 1.2, b: 1.5, delta: 0.3 });
+  assert.equal(diff.trades.matched, 1);
+  assert.deepEqual(diff.trades.changed.map(c => [c.a.price, c.b.price]), [[5000, 4990]]);
+  assert.deepEqual(diff.trades.onlyInA.map(tr => tr.date), ['2024-03-05']);
+  assert.deepEqual(diff.trades.onlyInB.map(tr => tr.date), ['2024-03-06']);
+  assert.deepEqual(diff.equityDivergence, { date: '2024-03-05', a: 100200000, b: 100400000 });
+});
+
+test('diffBacktestRuns skips result comparison until both runs complete', async t => {
+  mockRuns(t, [run(ID_A), run(ID_B, { status: 'running', result: null })]);
+  const diff = await diffBacktestRuns(ID_A, ID_B);
+
+  assert.deepEqual(diff.config, []);
+  assert.equal(diff.summary, null);
+  assert.equal(diff.trades, null);
+  assert.equal(diff.equityDivergence, null);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clusterBrokerFlows } from '../broker-clusters.js';
+
+const DATES = ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-01-08', '2024-01-09'];
+
+// One flow row per day from a series of net values (positive buys, negative sells)
+const flows = (code, nets, gross = 1_000_000_000) => nets.map((net, i) => ({
+  date: DATES[i],
+  code,
+  buyValue: (gross + net) / 2,
+  sellValue: (gross - net) / 2
+}));
+
+test('clusterBrokerFlows groups brokers whose net flows move together', () => {
+  const result = clusterBrokerFlows([
+    ...flows('AA', [100, 200, 300, 400, 500, 600].map(v => v * 1e6)),
+    ...flows('BB', [110, 190, 310, 420, 480, 610].map(v => v * 1e6)),
+    ...flows('CC', [300, -200, 100, -400, 200, -300].map(v => v * 1e6))
+  ]);
+  assert.equal(result.brokersAnalyzed, 3);
+  assert.equal(result.clusters.length, 1);
+  assert.deepEqual([...result.dominantCluster.brokers].sort(), ['AA', 'BB']);
+  assert.equal(result.dominantCluster.signal, 'ACCUMULATING');
+  assert.ok(result.dominantCluster.avgCorrelation > 0.9);
+});
+
+test('clusterBrokerFlows needs enough active days', () => {
+  const short = [...flows('AA', [1, 2, 3]), ...flows('BB', [1, 2, 3])];
+  const result = clusterBrokerFlows(short);
+  assert.equal(result.clusters.length, 0);
+  assert.equal(result.dominantCluster, null);
+});
+
+test('clusterBrokerFlows seeds clusters from registered affiliate groups', () => {
+  const result = clusterBrokerFlows([
+    ...flows('AA', [100, -200, 300, -400, 500, -600].map(v => v * 1e6)),
+    ...flows('BB', [-300, 200, 100, 400, -200, 300].map(v => v * 1e6))
+  ], { affiliateGroups: new Map([['AA', 'GROUP'], ['BB', 'GROUP']]) });
+  assert.equal(result.clusters.length, 1);
+  assert.deepEqual(result.dominantCluster.affiliateGroups, ['GROUP']);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { parseBrokerSummaryFile, importBrokerSummary } from '../broker-import.js';
+
+// Stand-in transaction client with every stock and broker already on file; records each statement
+function mockClient(t, { replaced = false, deletedRows = 0 } = {}) {
+  const statements = [];
+  const client = {
+    async query(sql, params = []) {
+      statements.push({ sql: sql.trim(), params });
+      if (sql.includes('SELECT id FROM')) return { rows: [{ id: 1 }] };
+      if (sql.includes('INSERT INTO broker_transactions')) return { rows: [{ replaced }] };
+      if (sql.includes('DELETE FROM broker_transactions')) return { rows: [], rowCount: deletedRows };
+      return { rows: [] };
+    },
+    release() {}
+  };
+  t.mock.method(pool, 'connect', async () => client);
+  return statements;
+}
+
+const row = (broker, overrides = {}) => ({
+  date: '2024-03-01', symbol: 'BBRI', broker, buy_lot: 100, buy_value: 50000000, sell_lot: 0, sell_value: 0, ...overrides
+});
+
+test('parseBrokerSummaryFile reads CSV, JSON arrays and { rows } objects', () => {
+  const csv = parseBrokerSummaryFile('symbol,broker,buy_lot\nBBRI,YP,100\n');
+  assert.deepEqual(csv.map(r => [r.symbol, r.broker]), [['BBRI', 'YP']]);
+  assert.equal(parseBrokerSummaryFile('[{"broker":"YP"}]').length, 1);
+  assert.deepEqual(parseBrokerSummaryFile('{"rows":[{"broker":"YP"},{"broker":"CC"}]}').map(r => r.broker), ['YP', 'CC']);
+  assert.deepEqual(parseBrokerSummaryFile('{"date":"2024-03-01"}'), []);
+});
+
+test('importBrokerSummary rejects invalid and duplicate rows with their position', async t => {
+  mockClient(t);
+  const result = await importBrokerSummary([
+    row('YP'),
+    'not a row',
+    row('CC', { date: '2024-02-30' }),
+    row('YP', { buy_lot: 200 }),
+    row('ZZZ'),
+    row('DD', { buy_value: 0 }),
+    row('KZ', { buy_lot: 0, buy_value: 0 })
+  ]);
+
+  assert.equal(result.received, 7);
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.rejected.map(r => r.row), [2, 3, 4, 5, 6, 7]);
+  assert.equal(result.rejected[0].reason, 'Row must be an object');
+  assert.equal(result.rejected[1].reason, 'Missing or invalid date');
+  assert.match(result.rejected[2].reason, /^Duplicate of an earlier row for BBRI\/YP/);
+  assert.equal(result.rejected[3].reason, 'Invalid broker code: ZZZ');
+  assert.equal(result.rejected[4].reason, 'Lot and value must both be present for each side');
+  assert.equal(result.rejected[5].reason, 'No buy or sell volume');
+});
+
+test('importBrokerSummary fills defaults and stores net lots and value', async t => {
+  const statements = mockClient(t);
+  const result = await importBrokerSummary(
+    [{ broker: 'yp', buy_lot: '1,500', buy_value: '750,000,000', sell_lot: 500, sell_value: 250000000 }],
+    { date: '01/03/2024', symbol: 'bbri' }
+  );
+
+  assert.equal(result.imported, 1);
+  const insert = statements.find(s => s.sql.startsWith('INSERT INTO broker_transactions'));
+  assert.deepEqual(insert.params, [1, 1, '2024-03-01', 1500, 750000000, 500, 250000000, 1000, 500000000]);
+});
+
+test('importBrokerSummary upserts without deleting unless replaceDays is set', async t => {
+  const statements = mockClient(t, { replaced: true });
+  const result = await importBrokerSummary([row('YP'), row('CC')]);
+
+  assert.equal(result.replaced, 2);
+  assert.equal(result.deleted, 0);
+  assert.equal(statements.filter(s => s.sql.startsWith('DELETE')).length, 0);
+});
+
+test('importBrokerSummary with replaceDays clears each stock day once', async t => {
+  const statements = mockClient(t, { deletedRows: 3 });
+  const result = await importBrokerSummary(
+    [row('YP'), row('CC'), row('YP', { date: '2024-03-04' })],
+    { replaceDays: true }
+  );
+
+  const deletes = statements.filter(s => s.sql.startsWith('DELETE'));
+  assert.deepEqual(deletes.map(s => s.params), [[1, '2024-03-01'], [1, '2024-03-04']]);
+  assert.equal(result.deleted, 6);
+  assert.equal(result.imported, 3);
+});
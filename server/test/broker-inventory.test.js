@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildInventoryLedger } from '../broker-inventory.js';
+
+// Daily flow for broker AA; prices are per share, lots are 100 shares
+const flow = (date, buyLots, buyPrice, sellLots = 0, sellPrice = 0) => ({
+  date, code: 'AA', name: 'Broker AA', type: 'domestic',
+  buyLots, buyValue: buyLots * 100 * buyPrice, sellLots, sellValue: sellLots * 100 * sellPrice
+});
+
+const FLOWS = [
+  flow('2024-01-02', 10, 1000),
+  flow('2024-01-03', 10, 1200),
+  flow('2024-01-04', 0, 0, 10, 1300)
+];
+
+test('buildInventoryLedger relieves cost at the weighted average', () => {
+  const [entry] = buildInventoryLedger(FLOWS, { markPrice: 1400 });
+  assert.equal(entry.lots, 10);
+  assert.equal(entry.avgCost, 1100);
+  assert.equal(entry.realizedPnL, 200_000);
+  assert.equal(entry.marketValue, 1_400_000);
+  assert.equal(entry.unrealizedPnL, 300_000);
+  assert.equal(entry.unrealizedPnLPct, 27.27);
+  assert.equal(entry.openedDate, '2024-01-02');
+  assert.equal(entry.holdingDays, 2);
+  assert.equal(entry.openLots, undefined);
+});
+
+test('buildInventoryLedger relieves the oldest lots first with FIFO', () => {
+  const [entry] = buildInventoryLedger(FLOWS, { method: 'fifo' });
+  assert.equal(entry.avgCost, 1200);
+  assert.equal(entry.realizedPnL, 300_000);
+  assert.equal(entry.openedDate, '2024-01-03');
+  assert.deepEqual(entry.openLots, [{ date: '2024-01-03', lots: 10, price: 1200 }]);
+  assert.equal(entry.marketValue, null);
+});
+
+test('buildInventoryLedger realizes day trades and leaves unseen sells unmatched', () => {
+  const [entry] = buildInventoryLedger([
+    flow('2024-01-02', 5, 1000, 5, 1010),
+    flow('2024-01-03', 0, 0, 8, 1000)
+  ]);
+  assert.equal(entry.dayTradePnL, 5000);
+  assert.equal(entry.realizedPnL, 5000);
+  assert.equal(entry.lots, 0);
+  assert.equal(entry.unmatchedSellLots, 8);
+  assert.equal(entry.openedDate, null);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { getBrokerProfile, resolveProfileLimit } from '../broker-profile.js';
+
+const day = (date, symbol, buyLots, sellLots, price = 1000) => ({
+  date, symbol,
+  buy_volume: String(buyLots), buy_value: String(buyLots * price * 100),
+  sell_volume: String(sellLots), sell_value: String(sellLots * price * 100)
+});
+
+// Stand-in for the profile queries; inventory queries get no rows, so holdings stay empty
+function mockQueries(t, { broker = { id: 7, code: 'YP', name: 'Mirae', type: 'domestic' }, asOf = '2024-03-29', days = [] } = {}) {
+  t.mock.method(pool, 'query', async sql => {
+    if (sql.includes('FROM brokers WHERE code')) return { rows: broker ? [broker] : [] };
+    if (sql.includes('MAX(DATE(time))')) return { rows: [{ date: asOf }] };
+    if (sql.includes('bt.broker_id = $1')) return { rows: days };
+    return { rows: [] };
+  });
+}
+
+test('resolveProfileLimit defaults to 20 and clamps to 1-100', () => {
+  assert.equal(resolveProfileLimit(undefined), 20);
+  assert.equal(resolveProfileLimit('abc'), 20);
+  assert.equal(resolveProfileLimit('0'), 20);
+  assert.equal(resolveProfileLimit('-5'), 1);
+  assert.equal(resolveProfileLimit('35'), 35);
+  assert.equal(resolveProfileLimit('500'), 100);
+});
+
+test('getBrokerProfile returns null for an unknown broker', async t => {
+  mockQueries(t, { broker: null });
+  assert.equal(await getBrokerProfile('XX'), null);
+});
+
+test('getBrokerProfile returns empty windows when the broker has no trades', async t => {
+  mockQueries(t, { asOf: null });
+  const profile = await getBrokerProfile('YP');
+  assert.equal(profile.asOf, null);
+  assert.deepEqual(profile.timeframes, {});
+  assert.deepEqual(profile.dailyFlow, []);
+});
+
+test('getBrokerProfile sums each window from the latest trading day and applies the limit', async t => {
+  mockQueries(t, {
+    days: [
+      day('2023-11-15', 'BBRI', 50, 0),
+      day('2024-03-25', 'BBRI', 10, 0),
+      day('2024-03-25', 'TLKM', 0, 30),
+      day('2024-03-29', 'BBRI', 20, 5),
+      day('2024-03-29', 'ASII', 1, 0)
+    ]
+  });
+  const profile = await getBrokerProfile('YP', { limit: 1 });
+
+  const today = profile.timeframes['1D'];
+  assert.equal(today.from, '2024-03-29');
+  assert.equal(today.stockCount, 2);
+  assert.deepEqual(today.stocks.map(s => [s.symbol, s.netVolume, s.avgBuyPrice]), [['BBRI', 15, 1000]]);
+
+  const week = profile.timeframes['1W'];
+  assert.equal(week.netValue, (10 - 30 + 15 + 1) * 1000 * 100);
+  assert.equal(week.stocks[0].symbol, 'TLKM');
+
+  assert.equal(profile.timeframes['1Y'].stocks[0].netVolume, 75);
+  assert.deepEqual(profile.topAccumulations.map(s => s.symbol), ['BBRI', 'ASII']);
+  assert.deepEqual(profile.topDistributions.map(s => s.symbol), ['TLKM']);
+  assert.deepEqual(profile.dailyFlow.map(d => [d.date, d.stocks]), [['2024-03-25', 2], ['2024-03-29', 2]]);
+});
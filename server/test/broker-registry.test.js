@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { validateBrokerInput, loadBrokerRegistry, brokerHasTag, listRegisteredBrokers } from '../broker-registry.js';
+
+test('validateBrokerInput normalizes the code and requires it only when asked', () => {
+  assert.deepEqual(validateBrokerInput({ code: ' yp ', name: ' Mirae ' }), { broker: { code: 'YP', name: 'Mirae' } });
+  assert.deepEqual(validateBrokerInput({ tags: ['retail'] }), { broker: { tags: ['retail'] } });
+  assert.equal(validateBrokerInput({ tags: [] }, { requireCode: true }).error, 'Invalid broker code: (empty)');
+  assert.equal(validateBrokerInput({ code: 'YPX' }).error, 'Invalid broker code: YPX');
+  assert.equal(validateBrokerInput(null).error, 'Body must be a JSON object');
+});
+
+test('validateBrokerInput only accepts known tags and drops repeats', () => {
+  assert.deepEqual(validateBrokerInput({ tags: ['foreign', 'big-dog', 'foreign'] }).broker.tags, ['foreign', 'big-dog']);
+  assert.equal(validateBrokerInput({ tags: 'foreign' }).error, 'tags must be an array');
+  assert.match(validateBrokerInput({ tags: ['foreign', 'whale'] }).error, /^Unknown tags: whale \(foreign\|/);
+});
+
+test('validateBrokerInput checks name and affiliateGroup types', () => {
+  assert.equal(validateBrokerInput({ name: 42 }).error, 'name must be a string');
+  assert.deepEqual(validateBrokerInput({ name: null, affiliateGroup: '  ' }).broker, { name: null, affiliateGroup: null });
+  assert.equal(validateBrokerInput({ affiliateGroup: 'x'.repeat(51) }).error, 'affiliateGroup must be a string of at most 50 characters');
+  assert.equal(validateBrokerInput({ affiliateGroup: 7 }).error, 'affiliateGroup must be a string of at most 50 characters');
+});
+
+test('registry lookups filter the loaded brokers by tag and group', async t => {
+  t.mock.method(pool, 'query', async () => ({
+    rows: [
+      { code: 'AK', name: 'UBS', type: 'foreign', tags: ['foreign', 'big-dog'], affiliate_group: 'UBS' },
+      { code: 'YP', name: 'Mirae', type: 'domestic', tags: ['retail'], affiliate_group: null },
+      { code: 'XX', name: null, type: 'domestic', tags: null, affiliate_group: null }
+    ]
+  }));
+  await loadBrokerRegistry({ force: true });
+
+  assert.equal(brokerHasTag('AK', 'big-dog'), true);
+  assert.equal(brokerHasTag('XX', 'retail'), false);
+  assert.equal(brokerHasTag('ZZ', 'retail'), false);
+  assert.deepEqual(listRegisteredBrokers({ tag: 'retail' }).map(b => b.code), ['YP']);
+  assert.deepEqual(listRegisteredBrokers({ group: 'UBS' }).map(b => b.code), ['AK']);
+  assert.equal(listRegisteredBrokers().length, 3);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, toNumber, toISODate } from '../csv.js';
+
+test('parseCSV normalizes headers and handles quotes and CRLF', () => {
+  const rows = parseCSV('Stock Code,Close Price,Note\r\nBBCA,"9,850","said ""hold"""\r\n\r\nTLKM,3500,\r\n');
+  assert.deepEqual(rows, [
+    { stock_code: 'BBCA', close_price: '9,850', note: 'said "hold"' },
+    { stock_code: 'TLKM', close_price: '3500', note: '' }
+  ]);
+  assert.deepEqual(parseCSV(''), []);
+});
+
+test('toNumber accepts plain and grouped numbers', () => {
+  assert.equal(toNumber('1234.5'), 1234.5);
+  assert.equal(toNumber('-12'), -12);
+  assert.equal(toNumber('1,234,500'), 1234500);
+  assert.equal(toNumber('1,234.5'), 1234.5);
+  assert.equal(toNumber('1.234.500'), 1234500);
+  assert.equal(toNumber('1.234,5'), 1234.5);
+  assert.equal(toNumber(42), 42);
+});
+
+test('toNumber treats a lone dot as a decimal point', () => {
+  assert.equal(toNumber('1.234'), 1.234);
+});
+
+test('toNumber rejects malformed values', () => {
+  for (const value of ['12abc', '1.2.3', '1,23', '1.234.56', 'abc', '--1', null, undefined, '', NaN, Infinity]) {
+    assert.equal(toNumber(value), null, `${value}`);
+  }
+});
+
+test('toISODate normalizes ISO and DD/MM/YYYY dates', () => {
+  assert.equal(toISODate('2024-03-15'), '2024-03-15');
+  assert.equal(toISODate('2024-03-15T09:00:00Z'), '2024-03-15');
+  assert.equal(toISODate('5/3/2024'), '2024-03-05');
+  assert.equal(toISODate('29/02/2024'), '2024-02-29');
+});
+
+test('toISODate rejects impossible calendar dates', () => {
+  for (const value of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-00-10', '31/04/2024', '15-03-2024', '', null]) {
+    assert.equal(toISODate(value), null, `${value}`);
+  }
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { normalizeFundamentals, importFundamentalsFile } from '../fundamentals.js';
+
+test('normalizeFundamentals accepts column aliases in any case style', () => {
+  const { row } = normalizeFundamentals({
+    Ticker: 'bbri', AsOf: '31/12/2023', Sector: 'Financials', Industry: 'Banks',
+    listedShares: '151,559,001,604', FreeFloat: '46.5', PER: '14.2', PriceToBook: 2.8, DivYield: ''
+  });
+  assert.deepEqual(row, {
+    symbol: 'BBRI', asOf: '2023-12-31', sector: 'Financials', subsector: 'Banks',
+    sharesOutstanding: 151559001604, freeFloatPct: 46.5, marketCap: null,
+    pe: 14.2, pbv: 2.8, roe: null, dividendYield: null
+  });
+});
+
+test('normalizeFundamentals fills symbol and date from defaults', () => {
+  const { row } = normalizeFundamentals({ pe: 10 }, { symbol: 'tlkm', asOf: '2024-03-01' });
+  assert.equal(row.symbol, 'TLKM');
+  assert.equal(row.asOf, '2024-03-01');
+  assert.equal(row.sector, null);
+});
+
+test('normalizeFundamentals rejects rows it cannot trust', () => {
+  const error = raw => normalizeFundamentals(raw, { asOf: '2024-03-01' }).error;
+  assert.equal(error({ symbol: 'BB-RI', pe: 10 }), 'Invalid symbol: BB-RI');
+  assert.equal(normalizeFundamentals({ symbol: 'BBRI', pe: 10 }).error, 'Missing or invalid as-of date');
+  assert.equal(error({ symbol: 'BBRI', shares: 0 }), 'Invalid shares outstanding');
+  assert.equal(error({ symbol: 'BBRI', free_float: 465 }), 'Invalid free float: 465 (expected a percentage)');
+  assert.equal(error({ symbol: 'BBRI', market_cap: -1 }), 'Invalid market cap');
+  assert.equal(error({ symbol: 'BBRI', sector: ' ' }), 'No fundamentals in row');
+});
+
+test('importFundamentalsFile reports rejected lines and saves the rest', async t => {
+  const statements = [];
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params) => {
+      statements.push({ sql, params });
+      return { rows: sql.includes('MAX(as_of)') ? [{ as_of: '2024-03-01' }] : [] };
+    },
+    release() {}
+  }));
+  const result = await importFundamentalsFile('symbol,sector,pe\nBBRI,Financials,14\n??,Financials,9\n', { asOf: '2024-03-01' });
+
+  assert.equal(result.saved, 1);
+  assert.deepEqual(result.rejected, [{ line: 3, reason: 'Invalid symbol: ??' }]);
+  assert.ok(statements.some(s => s.sql.includes('INSERT INTO stocks') && s.params[1] === 'Financials'));
+});
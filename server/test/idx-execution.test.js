@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  IDX_EXECUTION, tickSize, roundToTick, priceLimits, buyCostRate, sellCostRate,
+  slippagePct, executionPrice, affordableShares, resolveExecutionModel
+} from '../idx-execution.js';
+
+test('tickSize follows the IDX price bands', () => {
+  assert.equal(tickSize(50), 1);
+  assert.equal(tickSize(199), 1);
+  assert.equal(tickSize(200), 2);
+  assert.equal(tickSize(499), 2);
+  assert.equal(tickSize(500), 5);
+  assert.equal(tickSize(1995), 5);
+  assert.equal(tickSize(2000), 10);
+  assert.equal(tickSize(4990), 10);
+  assert.equal(tickSize(5000), 25);
+});
+
+test('roundToTick rounds onto the band grid and respects the price floor', () => {
+  assert.equal(roundToTick(1003), 1005);
+  assert.equal(roundToTick(1003, 'down'), 1000);
+  assert.equal(roundToTick(1001, 'up'), 1005);
+  assert.equal(roundToTick(4000 * 1.25, 'down'), 5000);
+  assert.equal(roundToTick(30), 50);
+});
+
+test('priceLimits applies the ARA/ARB band of the previous close', () => {
+  assert.deepEqual(priceLimits(100), { ara: 135, arb: 65 });
+  assert.deepEqual(priceLimits(1000), { ara: 1250, arb: 750 });
+  assert.deepEqual(priceLimits(10000), { ara: 12000, arb: 8000 });
+  // ARB never goes below the regular board floor
+  assert.equal(priceLimits(60).arb, 50);
+});
+
+test('priceLimits uses a flat ARB when configured', () => {
+  assert.deepEqual(priceLimits(1000, { ...IDX_EXECUTION, arbFlatPct: 7 }), { ara: 1250, arb: 930 });
+});
+
+test('cost rates include VAT on commission, levies and the sell tax', () => {
+  assert.ok(Math.abs(buyCostRate() - 0.002095) < 1e-9);
+  assert.ok(Math.abs(sellCostRate() - 0.003095) < 1e-9);
+});
+
+test('slippagePct grows with order size and caps without history', () => {
+  assert.equal(slippagePct(1_000_000, 0), IDX_EXECUTION.maxSlippagePct);
+  assert.ok(Math.abs(slippagePct(1_000_000, 100_000_000) - 0.15) < 1e-9);
+  assert.equal(slippagePct(1e12, 1), IDX_EXECUTION.maxSlippagePct);
+});
+
+test('executionPrice rejects buys at ARA and sells at ARB', () => {
+  assert.equal(executionPrice('BUY', 1250, { prevClose: 1000 }).rejected, 'LIMIT_UP');
+  assert.equal(executionPrice('SELL', 750, { prevClose: 1000 }).rejected, 'LIMIT_DOWN');
+});
+
+test('executionPrice slips buys up and sells down onto the tick grid within limits', () => {
+  const buy = executionPrice('BUY', 1000, { prevClose: 1000, avgDailyValue: 100_000_000, orderValue: 1_000_000 });
+  assert.equal(buy.price, 1005);
+  const sell = executionPrice('SELL', 1000, { prevClose: 1000, avgDailyValue: 100_000_000, orderValue: 1_000_000 });
+  assert.equal(sell.price, 995);
+  // Capped slippage cannot push the fill through ARA
+  assert.equal(executionPrice('BUY', 1240, { prevClose: 1000 }).price, 1250);
+});
+
+test('affordableShares buys whole lots including costs', () => {
+  assert.equal(affordableShares(1_000_000, 1000), 900);
+  assert.equal(affordableShares(50_000, 1000), 0);
+});
+
+test('resolveExecutionModel merges overrides and rejects bad values', () => {
+  assert.equal(resolveExecutionModel({ commissionBuyPct: '0.1' }).model.commissionBuyPct, 0.1);
+  assert.match(resolveExecutionModel({ nope: 1 }).error, /Unknown execution setting nope/);
+  assert.match(resolveExecutionModel({ levyPct: -1 }).error, /non-negative/);
+  assert.match(resolveExecutionModel({ arbFlatPct: 100 }).error, /below 100/);
+  assert.match(resolveExecutionModel([]).error, /must be an object/);
+});
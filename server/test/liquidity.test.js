@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { liquidityThresholds, scaleRupiahThresholds, REFERENCE_ADV } from '../liquidity.js';
+
+test('liquidityThresholds scales with ADV above the floors', () => {
+  assert.equal(liquidityThresholds(1_000_000_000_000).bandarNetValue, 10_000_000_000);
+  assert.equal(liquidityThresholds(0).bandarNetValue, 250_000_000);
+});
+
+test('scaleRupiahThresholds scales only the listed keys by ADV', () => {
+  const thresholds = { foreignNetValue: 1_000_000_000, volumeRatio: 2 };
+  assert.deepEqual(scaleRupiahThresholds(thresholds, ['foreignNetValue'], REFERENCE_ADV / 20), { foreignNetValue: 50_000_000, volumeRatio: 2 });
+  assert.equal(scaleRupiahThresholds(thresholds, ['foreignNetValue'], REFERENCE_ADV).foreignNetValue, 1_000_000_000);
+});
+
+test('scaleRupiahThresholds clamps the scale and keeps profile values without an ADV', () => {
+  const thresholds = { foreignNetValue: 1_000_000_000 };
+  assert.equal(scaleRupiahThresholds(thresholds, ['foreignNetValue'], 1).foreignNetValue, 10_000_000);
+  assert.equal(scaleRupiahThresholds(thresholds, ['foreignNetValue'], REFERENCE_ADV * 10).foreignNetValue, 2_000_000_000);
+  assert.equal(scaleRupiahThresholds(thresholds, ['foreignNetValue'], 0), thresholds);
+  assert.equal(scaleRupiahThresholds(thresholds, ['foreignNetValue'], undefined), thresholds);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { getMarketFlows } from '../market-flows.js';
+import { UNCLASSIFIED_SECTOR } from '../stock-sectors.js';
+
+const DAYS = ['2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08'];
+const B = 1e9;
+
+const flow = (date, sector, foreignNet, tradedValue = 10 * B) => ({
+  date, sector, foreign_net: String(foreignNet), big_dog_net: '0', traded_value: String(tradedValue), stocks: '2'
+});
+
+// Trading days come from a pooled client (newest first), sector rows from pool.query
+function mockQueries(t, { days = DAYS, rows = [] } = {}) {
+  t.mock.method(pool, 'connect', async () => ({
+    query: async () => ({ rows: [...days].reverse().map(date => ({ date })) }),
+    release() {}
+  }));
+  t.mock.method(pool, 'query', async () => ({ rows }));
+}
+
+const ROWS = [
+  ...DAYS.map(date => flow(date, 'Financials', 1 * B)),
+  flow('2024-03-07', 'Energy', -1 * B),
+  flow('2024-03-08', 'Energy', -2 * B),
+  flow('2024-03-08', null, 10 * B)
+];
+
+test('getMarketFlows sums sectors into the market series and trims to the requested days', async t => {
+  mockQueries(t, { rows: ROWS });
+  const flows = await getMarketFlows({ days: 2 });
+
+  assert.equal(flows.from, '2024-03-07');
+  assert.equal(flows.to, '2024-03-08');
+  assert.deepEqual(flows.sectors, ['Energy', 'Financials', UNCLASSIFIED_SECTOR]);
+  assert.deepEqual(flows.market.map(d => d.foreignNet), [0, 9 * B]);
+  assert.equal(flows.market[1].foreign5D, 12 * B);
+  assert.equal(flows.market[1].stocks, 6);
+  assert.equal(flows.bySector.Financials.length, 2);
+});
+
+test('getMarketFlows reports running sums, streaks and foreign share per sector', async t => {
+  mockQueries(t, { rows: ROWS });
+  const { latest } = await getMarketFlows({ days: 2 });
+  const bySector = Object.fromEntries(latest.map(s => [s.sector, s]));
+
+  assert.deepEqual(latest.map(s => s.sector), [UNCLASSIFIED_SECTOR, 'Financials', 'Energy']);
+  assert.equal(bySector.Financials.foreign5D, 5 * B);
+  assert.equal(bySector.Financials.foreign20D, 6 * B);
+  assert.equal(bySector.Financials.foreignStreak, 6);
+  assert.equal(bySector.Financials.foreign20DPct, 10);
+  assert.equal(bySector.Energy.foreign5D, -3 * B);
+  assert.equal(bySector.Energy.foreignStreak, -2);
+});
+
+test('getMarketFlows leaves unclassified stocks out of sector rotation', async t => {
+  mockQueries(t, { rows: ROWS });
+  const { rotation } = await getMarketFlows({ days: 2 });
+
+  assert.deepEqual(rotation.into, ['Financials']);
+  assert.deepEqual(rotation.outOf, ['Energy']);
+  assert.equal(rotation.description, 'Foreign rotating out of Energy (-Rp 3.0B) into Financials (+Rp 5.0B) over 5D');
+});
+
+test('getMarketFlows limits bySector to one sector and handles an empty table', async t => {
+  mockQueries(t, { rows: ROWS });
+  const flows = await getMarketFlows({ days: 2, sector: 'Energy' });
+  assert.deepEqual(Object.keys(flows.bySector), ['Energy']);
+  assert.deepEqual(flows.bySector.Energy.map(d => d.foreignNet), [-1 * B, -2 * B]);
+
+  mockQueries(t, { days: [] });
+  const empty = await getMarketFlows();
+  assert.equal(empty.days, 0);
+  assert.equal(empty.rotation.description, 'No broker data');
+});
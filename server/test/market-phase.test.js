@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMarketPhase, PHASES } from '../market-phase.js';
+
+const date = i => new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10);
+
+// Ascending bars from a close series; volume may be a number or a function of the index
+const barsFrom = (closes, volume = 1_000_000) => closes.map((close, i) => ({
+  date: date(i),
+  high: close * 1.01,
+  low: close * 0.99,
+  close,
+  volume: typeof volume === 'function' ? volume(i) : volume
+}));
+
+const flowsFrom = (bars, smartNetPct) => bars.map(b => ({
+  date: b.date,
+  tradedValue: b.close * b.volume,
+  smartNetValue: b.close * b.volume * smartNetPct / 100
+}));
+
+test('classifyMarketPhase needs a full window of bars', () => {
+  const result = classifyMarketPhase(barsFrom([100, 101, 102]));
+  assert.equal(result.phase, 'UNKNOWN');
+  assert.equal(result.since, null);
+  assert.match(result.description, /3\/20 bars/);
+});
+
+test('classifyMarketPhase labels a rising, expanding trend MARKUP', () => {
+  const bars = barsFrom(Array.from({ length: 40 }, (_, i) => 1000 * 1.01 ** i), i => 1_000_000 + i * 50_000);
+  const result = classifyMarketPhase(bars, flowsFrom(bars, 5));
+  assert.equal(result.phase, 'MARKUP');
+  assert.ok(result.days > 1);
+  assert.ok(PHASES.includes(result.phase));
+});
+
+test('classifyMarketPhase labels a falling trend MARKDOWN', () => {
+  const bars = barsFrom(Array.from({ length: 40 }, (_, i) => 1000 * 0.99 ** i));
+  assert.equal(classifyMarketPhase(bars, flowsFrom(bars, -5)).phase, 'MARKDOWN');
+});
+
+test('classifyMarketPhase separates accumulation from distribution by smart money flow', () => {
+  const declineThenRange = [
+    ...Array.from({ length: 20 }, (_, i) => 1000 * 0.99 ** i),
+    ...Array.from({ length: 20 }, (_, i) => 820 + (i % 2) * 5)
+  ];
+  const bars = barsFrom(declineThenRange);
+  assert.equal(classifyMarketPhase(bars, flowsFrom(bars, 10)).phase, 'ACCUMULATION');
+
+  const advanceThenRange = [
+    ...Array.from({ length: 20 }, (_, i) => 1000 * 1.01 ** i),
+    ...Array.from({ length: 20 }, (_, i) => 1210 + (i % 2) * 5)
+  ];
+  const top = barsFrom(advanceThenRange);
+  assert.equal(classifyMarketPhase(top, flowsFrom(top, -10)).phase, 'DISTRIBUTION');
+});
+
+test('classifyMarketPhase discounts confidence when broker flow is missing', () => {
+  const bars = barsFrom(Array.from({ length: 40 }, (_, i) => 1000 * 1.01 ** i));
+  const withFlow = classifyMarketPhase(bars, flowsFrom(bars, 5));
+  const withoutFlow = classifyMarketPhase(bars);
+  assert.equal(withoutFlow.metrics.flowDays, 0);
+  assert.ok(withoutFlow.confidence < withFlow.confidence);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { importHolderDisclosures, importFloatReports, getOwnership } from '../ownership.js';
+
+// Stand-in transaction client; records each statement
+function mockClient(t) {
+  const statements = [];
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params) => {
+      statements.push({ sql: sql.trim(), params });
+      return { rows: [] };
+    },
+    release() {}
+  }));
+  return statements;
+}
+
+const holder = (as_of, name, holder_type, shares, pct = null) => ({ as_of, holder: name, holder_type, shares: String(shares), pct });
+
+// Stand-in for the queries getOwnership makes, keyed by the table each one reads
+function mockQueries(t, { holders = [], floats = [], fundamentals = [], to = null, flows = [] } = {}) {
+  t.mock.method(pool, 'query', async sql => {
+    if (sql.includes('FROM brokers')) {
+      return { rows: [{ code: 'AK', tags: ['foreign'] }, { code: 'YP', tags: ['retail'] }] };
+    }
+    if (sql.includes('FROM ownership_holders')) return { rows: holders };
+    if (sql.includes('FROM ownership_float')) return { rows: floats };
+    if (sql.includes('FROM company_fundamentals')) return { rows: fundamentals };
+    if (sql.includes('MAX(DATE(bt.time))')) return { rows: [{ date: to }] };
+    if (sql.includes('GROUP BY DATE(bt.time), b.code')) return { rows: flows };
+    return { rows: [] };
+  });
+}
+
+test('importFloatReports derives the missing float figure and rejects bad rows', async t => {
+  const statements = mockClient(t);
+  const result = await importFloatReports(
+    'symbol,total_shares,free_float_pct,free_float_shares\nBBRI,1000000,45,\nTLKM,2000000,,500000\nASII,1000,,2000\nUNVR,1000,,\n',
+    { asOf: '2024-03-31' }
+  );
+
+  assert.equal(result.saved, 2);
+  assert.deepEqual(result.rejected, [
+    { line: 4, reason: 'Free float shares exceed total shares' },
+    { line: 5, reason: 'Free float shares or percentage required' }
+  ]);
+  const inserts = statements.filter(s => s.sql.startsWith('INSERT')).map(s => s.params.slice(0, 5));
+  assert.deepEqual(inserts, [
+    ['BBRI', '2024-03-31', 1000000, 450000, 45],
+    ['TLKM', '2024-03-31', 2000000, 500000, 25]
+  ]);
+});
+
+test('importHolderDisclosures replaces each snapshot once and keeps the last duplicate holder', async t => {
+  const statements = mockClient(t);
+  const result = await importHolderDisclosures(JSON.stringify([
+    { holder: 'Negara RI', holder_type: 'Government', shares: 500 },
+    { holder: 'Fund A', type: 'institution', shares: 100 },
+    { holder: 'Fund A', type: 'institution', shares: 120 },
+    { holder: 'Someone', type: 'insider', shares: 10 },
+    { holder: '', shares: 10 }
+  ]), { symbol: 'BBRI', asOf: '2024-03-31' });
+
+  assert.equal(result.saved, 3);
+  assert.equal(result.snapshots, 1);
+  assert.deepEqual(result.rejected.map(r => r.line), [5, 6]);
+  assert.match(result.rejected[0].reason, /^Invalid holder type: insider/);
+  assert.equal(statements.filter(s => s.sql.startsWith('DELETE')).length, 1);
+  const inserted = statements.filter(s => s.sql.startsWith('INSERT')).map(s => [s.params[2], s.params[3], s.params[4]]);
+  assert.deepEqual(inserted, [['Negara RI', 'government', 500], ['Fund A', 'institution', 120]]);
+});
+
+test('getOwnership takes free float from the latest float report', async t => {
+  mockQueries(t, {
+    floats: [{ as_of: '2024-03-31', total_shares: '1000000', free_float_shares: '450000', free_float_pct: '45' }],
+    holders: [holder('2024-03-31', 'Negara RI', 'controlling', 550000, '55')]
+  });
+  const ownership = await getOwnership('BBRI');
+
+  assert.equal(ownership.available, true);
+  assert.equal(ownership.freeFloatShares, 450000);
+  assert.equal(ownership.freeFloatPct, 45);
+  assert.equal(ownership.freeFloatSource, 'float_report');
+  assert.equal(ownership.controllingStake, 55);
+  assert.equal(ownership.controllingStakeStable, null);
+});
+
+test('getOwnership falls back to total shares minus the latest >5% holders', async t => {
+  mockQueries(t, {
+    fundamentals: [{ as_of: '2024-01-01', shares_outstanding: '1000000', free_float_pct: null }],
+    holders: [
+      holder('2023-12-31', 'Negara RI', 'controlling', 590000),
+      holder('2024-03-31', 'Negara RI', 'controlling', 600000),
+      holder('2024-03-31', 'Fund A', 'institution', 100000)
+    ],
+    to: '2024-03-29',
+    flows: [
+      { date: '2024-03-28', code: 'AK', net_volume: '30' },
+      { date: '2024-02-01', code: 'YP', net_volume: '10' }
+    ]
+  });
+  const ownership = await getOwnership('BBRI');
+
+  assert.equal(ownership.freeFloatShares, 300000);
+  assert.equal(ownership.freeFloatPct, 30);
+  assert.equal(ownership.freeFloatSource, 'holders');
+  assert.equal(ownership.controllingStake, 60);
+  assert.equal(ownership.controllingStakeChange, 1);
+  assert.equal(ownership.controllingStakeStable, false);
+  assert.deepEqual(ownership.holders.map(h => [h.holder, h.status]), [['Negara RI', 'INCREASED'], ['Fund A', 'NEW']]);
+
+  const week = ownership.accumulation['1W'];
+  assert.deepEqual(week.topBuyers, [{ code: 'AK', netShares: 3000, pctOfFloat: 1 }]);
+  assert.equal(week.smartMoneyPctOfFloat, 1);
+  assert.equal(ownership.accumulation['3M'].topBuyersNetShares, 4000);
+  assert.equal(ownership.accumulation['3M'].smartMoneyNetShares, 3000);
+});
+
+test('getOwnership is unavailable when nothing is on file', async t => {
+  mockQueries(t);
+  const ownership = await getOwnership('ZZZZ');
+
+  assert.equal(ownership.available, false);
+  assert.equal(ownership.freeFloatShares, null);
+  assert.deepEqual(ownership.holders, []);
+  assert.deepEqual(ownership.accumulation, {});
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateMFI, calculateOBV, calculateCMF, calculateVWAP, calculateQuantIndicators, MIN_QUANT_BARS } from '../quant-indicators.js';
+
+const date = i => new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10);
+
+const bar = (i, close, { high = close, low = close, volume = 1000 } = {}) => ({ date: date(i), high, low, close, volume });
+const rising = n => Array.from({ length: n }, (_, i) => bar(i, 100 + i));
+const falling = n => Array.from({ length: n }, (_, i) => bar(i, 200 - i));
+
+test('calculateMFI needs period + 1 bars and saturates on one-way flow', () => {
+  assert.equal(calculateMFI(rising(14)), null);
+  assert.equal(calculateMFI(rising(15)).value, 100);
+  assert.equal(calculateMFI(rising(15)).signal, 'OVERBOUGHT');
+  assert.equal(calculateMFI(falling(15)).value, 0);
+  assert.equal(calculateMFI(falling(15)).signal, 'OVERSOLD');
+  assert.equal(calculateMFI(Array.from({ length: 15 }, (_, i) => bar(i, 100))).value, 50);
+});
+
+test('calculateOBV accumulates volume by close direction', () => {
+  assert.equal(calculateOBV([bar(0, 100)]), null);
+  const obv = calculateOBV(rising(12).map(b => ({ ...b, volume: 1_000_000 })));
+  assert.equal(obv.value, 11);
+  assert.equal(obv.trend, 'RISING');
+  assert.equal(obv.divergence.detected, false);
+});
+
+test('calculateOBV flags rising OBV on a flat price as bullish divergence', () => {
+  const closes = [100, 101, 100, 101, 100, 101, 100, 101, 100, 101, 100];
+  const bars = closes.map((close, i) => bar(i, close, { volume: close === 101 ? 3000 : 1000 }));
+  const obv = calculateOBV(bars);
+  assert.equal(obv.trend, 'RISING');
+  assert.equal(obv.divergence.signal, 'BULLISH_DIVERGENCE');
+});
+
+test('calculateCMF reads closes against the bar range', () => {
+  assert.equal(calculateCMF(rising(5), 20), null);
+  const strong = Array.from({ length: 20 }, (_, i) => bar(i, 110, { high: 110, low: 100 }));
+  assert.equal(calculateCMF(strong).value, 1);
+  assert.equal(calculateCMF(strong).signal, 'BULLISH');
+  const weak = Array.from({ length: 20 }, (_, i) => bar(i, 100, { high: 110, low: 100 }));
+  assert.equal(calculateCMF(weak).value, -1);
+});
+
+test('calculateVWAP weights typical price by volume and anchors at the lowest low', () => {
+  assert.equal(calculateVWAP([]), null);
+  const bars = [bar(0, 100, { volume: 1000 }), bar(1, 90, { volume: 1000 }), bar(2, 110, { volume: 2000 })];
+  const vwap = calculateVWAP(bars);
+  assert.equal(vwap.value, 103); // (100 + 90 + 2 * 110) / 4 = 102.5
+  assert.equal(vwap.anchored.anchorDate, date(1));
+  assert.equal(vwap.anchored.value, 103); // (90 + 2 * 110) / 3 = 103.3
+  assert.equal(vwap.reclaim.signal, 'ABOVE_VWAP');
+  assert.equal(calculateVWAP(bars, { anchorDate: date(2) }).anchored.value, 110);
+});
+
+test('calculateQuantIndicators needs MIN_QUANT_BARS bars', () => {
+  assert.equal(calculateQuantIndicators(rising(MIN_QUANT_BARS - 1)), null);
+  const result = calculateQuantIndicators(rising(MIN_QUANT_BARS));
+  assert.equal(result.source, 'daily_bars');
+  assert.equal(result.asOf, date(MIN_QUANT_BARS - 1));
+  // CMF falls back to the available history under 20 bars
+  assert.equal(result.cmf.period, MIN_QUANT_BARS);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCORING_PROFILES, getScoringProfile, describeScoringProfile, signalForScore } from '../scoring-profiles.js';
+
+test('every shipped profile loads and resolves onto default.json', () => {
+  const base = getScoringProfile('default');
+  assert.ok(SCORING_PROFILES.includes('default'));
+  for (const name of SCORING_PROFILES) {
+    const profile = getScoringProfile(name);
+    assert.equal(profile.name, name);
+    assert.match(profile.hash, /^[0-9a-f]{10}$/);
+    assert.deepEqual(Object.keys(profile.v2.thresholds).sort(), Object.keys(base.v2.thresholds).sort());
+    assert.deepEqual(Object.keys(profile.v3.thresholds).sort(), Object.keys(base.v3.thresholds).sort());
+  }
+  assert.equal(getScoringProfile('nope'), null);
+});
+
+test('resolved profiles are frozen', () => {
+  assert.ok(Object.isFrozen(getScoringProfile().v2.thresholds));
+});
+
+test('describeScoringProfile records the overrides only', () => {
+  assert.deepEqual(describeScoringProfile(getScoringProfile('default')).overrides, {});
+  const smallCap = describeScoringProfile(getScoringProfile('small-cap'));
+  assert.equal(smallCap.name, 'small-cap');
+  assert.equal(smallCap.hash, getScoringProfile('small-cap').hash);
+  assert.deepEqual(smallCap.overrides.v3, { thresholds: { volumeSpikeRatio: 4 } });
+  assert.equal(smallCap.overrides.v2, undefined);
+});
+
+test('signalForScore maps scores onto the profile cutoffs', () => {
+  const cutoffs = { STRONG_BUY: 80, BUY: 65, HOLD: 45, REDUCE: 30 };
+  assert.equal(signalForScore(80, cutoffs), 'STRONG_BUY');
+  assert.equal(signalForScore(79, cutoffs), 'BUY');
+  assert.equal(signalForScore(45, cutoffs), 'HOLD');
+  assert.equal(signalForScore(30, cutoffs), 'REDUCE');
+  assert.equal(signalForScore(29, cutoffs), 'SELL');
+});
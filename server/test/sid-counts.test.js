@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { importSidCounts, getSidData, unavailableSidData } from '../sid-counts.js';
+
+// Stand-in transaction client; returns the parameters of each inserted row
+function mockClient(t) {
+  const inserted = [];
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO sid_counts')) inserted.push(params);
+      return { rows: [] };
+    },
+    release() {}
+  }));
+  return inserted;
+}
+
+test('importSidCounts normalizes CSV rows and applies defaults', async t => {
+  const inserted = mockClient(t);
+  const result = await importSidCounts('kode_efek,tanggal,jumlah_sid\nbbri,31/01/2024,"1,250,000"\nTLKM,2024-01-31,980000\n', { period: 'Monthly' });
+
+  assert.deepEqual(result, { saved: 2, rejected: [] });
+  assert.deepEqual(inserted, [
+    ['BBRI', '2024-01-31', 1250000, 'monthly', 'ksei'],
+    ['TLKM', '2024-01-31', 980000, 'monthly', 'ksei']
+  ]);
+});
+
+test('importSidCounts rejects invalid rows with their line number', async t => {
+  const inserted = mockClient(t);
+  const result = await importSidCounts(JSON.stringify([
+    { holders: 1000 },
+    { date: '2024-02-30', holders: 1000 },
+    { date: '2024-02-02', holders: 12.5 },
+    { date: '2024-02-02', holders: 1000, period: 'daily' },
+    { date: '2024-02-02', holders: 1000, period: 'weekly' }
+  ]), { symbol: 'BBRI', source: 'manual' });
+
+  assert.equal(result.saved, 1);
+  assert.deepEqual(result.rejected, [
+    { line: 2, reason: 'Missing or invalid report date' },
+    { line: 3, reason: 'Missing or invalid report date' },
+    { line: 4, reason: 'Invalid holder count: 12.5' },
+    { line: 5, reason: 'Invalid period: daily (weekly|monthly)' }
+  ]);
+  assert.deepEqual(inserted, [['BBRI', '2024-02-02', 1000, 'weekly', 'manual']]);
+});
+
+test('getSidData needs two reports to measure a change', async t => {
+  t.mock.method(pool, 'query', async () => ({ rows: [] }));
+  assert.deepEqual(await getSidData('BBRI'), unavailableSidData());
+
+  t.mock.method(pool, 'query', async () => ({ rows: [{ report_date: '2024-02-29', holders: '1100', period: 'monthly' }] }));
+  const single = await getSidData('BBRI');
+  assert.equal(single.available, false);
+  assert.equal(single.count, 1100);
+  assert.equal(single.description, 'Only one SID report (2024-02-29); change needs two');
+
+  t.mock.method(pool, 'query', async () => ({
+    rows: [
+      { report_date: '2024-02-29', holders: '1100', period: 'monthly' },
+      { report_date: '2024-01-31', holders: '1000', period: 'monthly' }
+    ]
+  }));
+  const sid = await getSidData('BBRI');
+  assert.equal(sid.available, true);
+  assert.equal(sid.change, 100);
+  assert.equal(sid.changePct, 10);
+  assert.equal(sid.previousDate, '2024-01-31');
+});
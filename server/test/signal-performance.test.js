@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { evaluateSignalPerformance, factorKey } from '../signal-performance.js';
+
+const DATES = ['2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06'];
+
+// Stand-in for the two queries evaluateSignalPerformance makes
+function mockQueries(t, { snapshots, prices }) {
+  t.mock.method(pool, 'query', async sql => ({
+    rows: sql.includes('FROM score_snapshots') ? snapshots : prices
+  }));
+}
+
+const snapshot = (symbol, date, signal = 'BUY') => ({
+  symbol, date, signal, score: 70, bullish_factors: ['Foreign buying: +1.2B'], bearish_factors: []
+});
+
+const price = (symbol, date, close) => ({ symbol, date, close: String(close) });
+
+test('factorKey strips numbers and details from a factor', () => {
+  assert.equal(factorKey('Foreign buying: +1.2B'), 'Foreign buying');
+  assert.equal(factorKey('🔥 Volume 3.5x average'), 'Volume #x average');
+});
+
+test('avgExcessPct measures returns against the LQ45 basket', async t => {
+  mockQueries(t, {
+    snapshots: [snapshot('ZZZZ', DATES[0])],
+    prices: [
+      price('TLKM', DATES[0], 100), price('TLKM', DATES[1], 105),
+      price('ZZZZ', DATES[0], 100), price('ZZZZ', DATES[1], 110)
+    ]
+  });
+  const result = await evaluateSignalPerformance();
+  const day1 = result.bySignal.BUY.horizons[1];
+  assert.equal(day1.avgReturnPct, 10);
+  assert.equal(day1.avgExcessPct, 5);
+  assert.equal(day1.excessCount, 1);
+  assert.equal(day1.hitRate, 100);
+  assert.equal(result.byFactor[0].factor, 'Foreign buying');
+});
+
+test('avgExcessPct leaves out samples without basket prices', async t => {
+  mockQueries(t, {
+    snapshots: [snapshot('ZZZZ', DATES[0]), snapshot('ZZZZ', DATES[2])],
+    prices: [
+      price('TLKM', DATES[0], 100), price('TLKM', DATES[1], 105),
+      price('ZZZZ', DATES[0], 100), price('ZZZZ', DATES[1], 110),
+      price('ZZZZ', DATES[2], 100), price('ZZZZ', DATES[3], 130)
+    ]
+  });
+  const day1 = (await evaluateSignalPerformance()).bySignal.BUY.horizons[1];
+  assert.equal(day1.count, 2);
+  assert.equal(day1.avgReturnPct, 20);
+  assert.equal(day1.avgExcessPct, 5);
+  assert.equal(day1.excessCount, 1);
+});
+
+test('avgExcessPct is null when no sample has basket prices', async t => {
+  mockQueries(t, {
+    snapshots: [snapshot('ZZZZ', DATES[0])],
+    prices: [price('ZZZZ', DATES[0], 100), price('ZZZZ', DATES[1], 90)]
+  });
+  const day1 = (await evaluateSignalPerformance()).bySignal.BUY.horizons[1];
+  assert.equal(day1.avgReturnPct, -10);
+  assert.equal(day1.avgExcessPct, null);
+  assert.equal(day1.hitRate, 0);
+});
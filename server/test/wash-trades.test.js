@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectWashTrades } from '../wash-trades.js';
+
+const row = (code, buyVolume, sellVolume, price = 1000) => ({
+  code, buyVolume, buyValue: buyVolume * 100 * price, sellVolume, sellValue: sellVolume * 100 * price
+});
+
+test('detectWashTrades returns the empty result for no volume', () => {
+  const result = detectWashTrades([]);
+  assert.equal(result.detected, false);
+  assert.equal(result.washVolume, 0);
+  assert.equal(result.severity, 'NONE');
+});
+
+test('detectWashTrades ignores one-way flow', () => {
+  const result = detectWashTrades([row('AA', 1000, 0), row('BB', 0, 1000)]);
+  assert.equal(result.detected, false);
+});
+
+test('detectWashTrades flags a large flat broker as a self-cross', () => {
+  const result = detectWashTrades([row('AA', 500, 500), row('BB', 300, 0), row('CC', 0, 300)]);
+  assert.equal(result.detected, true);
+  assert.equal(result.selfCrosses.length, 1);
+  assert.equal(result.selfCrosses[0].code, 'AA');
+  assert.equal(result.selfCrosses[0].matchedVolume, 500);
+  assert.equal(result.washVolume, 1000);
+  assert.equal(result.washSharePct, 62.5);
+  assert.equal(result.severity, 'HIGH');
+});
+
+test('detectWashTrades washes only the round trip of a mirrored pair', () => {
+  const result = detectWashTrades([row('AA', 400, 200), row('BB', 200, 400), row('CC', 1200, 0), row('DD', 0, 1200)]);
+  assert.equal(result.selfCrosses.length, 0);
+  assert.equal(result.crossPairs.length, 1);
+  assert.deepEqual(result.crossPairs[0].brokers, ['AA', 'BB']);
+  // 200 lots each way, counted on both sides; the 200-lot one-way excess is a real transfer
+  assert.equal(result.crossPairs[0].volume, 800);
+  assert.equal(result.washVolume, 800);
+  assert.equal(result.washSharePct, 22.22);
+  assert.equal(result.severity, 'MODERATE');
+});
+
+test('detectWashTrades does not count self-crossed volume again in a pair', () => {
+  const result = detectWashTrades([row('AA', 500, 500), row('BB', 500, 500)]);
+  assert.equal(result.selfCrosses.length, 2);
+  assert.equal(result.crossPairs.length, 0);
+  assert.equal(result.washVolume, 2000);
+  assert.equal(result.washSharePct, 100);
+});
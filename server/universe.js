@@ -0,0 +1,8 @@
+// LQ45 Constituents (2024-2025)
+export const LQ45_STOCKS = [
+  'ADRO', 'AMMN', 'ANTM', 'ARTO', 'ASII', 'BBCA', 'BBNI', 'BBRI', 'BBTN', 'BMRI',
+  'BRIS', 'BRPT', 'BUKA', 'CPIN', 'EMTK', 'ESSA', 'EXCL', 'GGRM', 'GOTO', 'HRUM',
+  'ICBP', 'INDF', 'INKP', 'INTP', 'ITMG', 'KLBF', 'MAPI', 'MBMA', 'MDKA', 'MEDC',
+  'MTEL', 'PGAS', 'PTBA', 'SMGR', 'SRIL', 'TBIG', 'TINS', 'TLKM', 'TPIA', 'UNTR',
+  'UNVR', 'BBRI', 'BMRI', 'BBCA', 'TLKM'
+].filter((v, i, a) => a.indexOf(v) === i); // Remove duplicates
@@ -0,0 +1,126 @@
+// Wash-trade and cross-trade detection
+// Volume that never changes hands between different owners inflates totals and volume spikes:
+//  - self-cross: one broker large on both sides with almost no net position (buys its own sells)
+//  - cross pair: two brokers whose buys and sells mirror each other (A buys what B sells and
+//    B buys what A sells), painting volume back and forth; only the round trip is washed, any
+//    one-way excess is a real transfer
+// Matched volume is consumed once per broker, self-crosses first, so overlapping patterns are not
+// double-counted. All volumes are lots and are counted on both sides like volumeAnalysis.totalVolume.
+
+export const WASH_PARAMS = {
+  minGrossSharePct: 10,  // Broker's buy+sell must be this share of the day's gross volume
+  maxNetRatio: 0.1,      // |net| / gross at or below this counts as flat
+  minLegSharePct: 5,     // Each leg of a cross pair must be this share of the day's gross volume
+  mirrorTolerance: 0.2,  // Mirrored legs may differ by up to 20% of the larger leg
+  maxBrokers: 20,        // Largest brokers only for pair search
+  highWashSharePct: 25   // Washed share of gross volume rated HIGH
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const mirrored = (a, b, tolerance) => Math.max(a, b) > 0 && Math.abs(a - b) / Math.max(a, b) <= tolerance;
+
+export function emptyWashTrades() {
+  return {
+    detected: false,
+    washVolume: 0,
+    washValue: 0,
+    washSharePct: 0,
+    selfCrosses: [],
+    crossPairs: [],
+    severity: 'NONE',
+    description: 'No wash or cross trading detected'
+  };
+}
+
+// rows: one day's broker rows for a stock ({ code, buyVolume, buyValue, sellVolume, sellValue })
+export function detectWashTrades(rows, params = WASH_PARAMS) {
+  const grossVolume = rows.reduce((sum, r) => sum + r.buyVolume + r.sellVolume, 0);
+  if (grossVolume === 0) return emptyWashTrades();
+
+  const sharePct = volume => (volume / grossVolume) * 100;
+  const priceOf = (value, volume) => volume > 0 ? value / volume : 0;
+  // Remaining unmatched volume per broker
+  const remaining = new Map(rows.map(r => [r.code, { buy: r.buyVolume, sell: r.sellVolume }]));
+
+  let washVolume = 0;
+  let washValue = 0;
+
+  const selfCrosses = [];
+  for (const r of rows) {
+    const gross = r.buyVolume + r.sellVolume;
+    const netRatio = gross > 0 ? Math.abs(r.buyVolume - r.sellVolume) / gross : 1;
+    if (sharePct(gross) < params.minGrossSharePct || netRatio > params.maxNetRatio) continue;
+
+    const matched = Math.min(r.buyVolume, r.sellVolume);
+    const left = remaining.get(r.code);
+    left.buy -= matched;
+    left.sell -= matched;
+    washVolume += 2 * matched;
+    washValue += matched * (priceOf(r.buyValue, r.buyVolume) + priceOf(r.sellValue, r.sellVolume));
+    selfCrosses.push({
+      code: r.code,
+      buyVolume: r.buyVolume,
+      sellVolume: r.sellVolume,
+      matchedVolume: matched,
+      netRatio: round(netRatio, 3),
+      grossSharePct: round(sharePct(gross))
+    });
+  }
+
+  const candidates = [...rows]
+    .sort((a, b) => (b.buyVolume + b.sellVolume) - (a.buyVolume + a.sellVolume))
+    .slice(0, params.maxBrokers);
+  const pairs = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = remaining.get(candidates[i].code);
+      const b = remaining.get(candidates[j].code);
+      // Both directions must trade and each leg must mirror the other broker's opposite side
+      if (sharePct(a.buy) < params.minLegSharePct || sharePct(a.sell) < params.minLegSharePct) continue;
+      if (!mirrored(a.buy, b.sell, params.mirrorTolerance) || !mirrored(a.sell, b.buy, params.mirrorTolerance)) continue;
+      pairs.push({ a: candidates[i], b: candidates[j], roundTrip: Math.min(a.buy, b.sell, a.sell, b.buy) });
+    }
+  }
+
+  const crossPairs = [];
+  for (const { a, b } of pairs.sort((x, y) => y.roundTrip - x.roundTrip)) {
+    const left = { a: remaining.get(a.code), b: remaining.get(b.code) };
+    const roundTrip = Math.min(left.a.buy, left.b.sell, left.a.sell, left.b.buy);
+    if (roundTrip === 0) continue; // Already consumed by a stronger pair
+    left.a.buy -= roundTrip;
+    left.b.sell -= roundTrip;
+    left.a.sell -= roundTrip;
+    left.b.buy -= roundTrip;
+
+    // A->B and B->A legs, each counted on the buy and the sell side
+    const volume = 4 * roundTrip;
+    const value = roundTrip * (priceOf(a.buyValue, a.buyVolume) + priceOf(b.sellValue, b.sellVolume) +
+      priceOf(a.sellValue, a.sellVolume) + priceOf(b.buyValue, b.buyVolume));
+    washVolume += volume;
+    washValue += value;
+    crossPairs.push({
+      brokers: [a.code, b.code],
+      volume,
+      value: Math.round(value),
+      sharePct: round(sharePct(volume))
+    });
+  }
+
+  if (selfCrosses.length === 0 && crossPairs.length === 0) return emptyWashTrades();
+
+  const washSharePct = round(sharePct(washVolume));
+  const labels = [
+    ...selfCrosses.map(s => `${s.code} both sides`),
+    ...crossPairs.map(p => p.brokers.join('<->'))
+  ];
+  return {
+    detected: true,
+    washVolume,
+    washValue: Math.round(washValue),
+    washSharePct,
+    selfCrosses,
+    crossPairs,
+    severity: washSharePct >= params.highWashSharePct ? 'HIGH' : 'MODERATE',
+    description: `${washSharePct}% of volume looks washed (${labels.join(', ')}) - excluded from volume analysis`
+  };
+}